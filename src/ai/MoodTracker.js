@@ -59,6 +59,17 @@ export class MoodTracker {
     this.postMood = null;
   }
 
+  /**
+   * Pick up tracking of a session restored after a page reload
+   * @param {string} sessionId - Session ID
+   * @param {Object|null} preMood - Pre-session mood recorded before the reload
+   */
+  restoreSession(sessionId, preMood = null) {
+    this.currentSession = sessionId;
+    this.preMood = preMood;
+    this.postMood = null;
+  }
+
   /**
    * Record pre-session mood
    * @param {number} score - Mood score (1-10)
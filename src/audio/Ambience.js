@@ -0,0 +1,232 @@
+/**
+ * Ambience - Procedural ambient layers to sit with under the bells
+ * @module audio/Ambience
+ */
+
+import { AMBIENT, AMBIENT_PRESETS } from '../config/constants.js';
+import { createSeededRandom } from '../utils/random.js';
+
+/**
+ * Scale samples so the loudest is at full scale
+ * @param {Float32Array} samples - Samples, scaled in place
+ * @returns {Float32Array} The same samples
+ */
+function normalize(samples) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+
+  if (peak > 0) {
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] /= peak;
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Generate noise of a color
+ * White is flat; pink falls 3 dB an octave (Paul Kellet's filter); brown
+ * falls 6 dB an octave (leaky integration of white)
+ * @param {string} color - 'white', 'pink' or 'brown'
+ * @param {number} length - Number of samples
+ * @param {Function} random - Random number generator
+ * @returns {Float32Array} Samples, peaking at full scale
+ * @throws {Error} If the color is unknown
+ */
+export function noiseSamples(color, length, random) {
+  const samples = new Float32Array(length);
+
+  if (color === 'white') {
+    for (let i = 0; i < length; i++) {
+      samples[i] = random() * 2 - 1;
+    }
+  } else if (color === 'pink') {
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+
+    for (let i = 0; i < length; i++) {
+      const white = random() * 2 - 1;
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.96900 * b2 + white * 0.1538520;
+      b3 = 0.86650 * b3 + white * 0.3104856;
+      b4 = 0.55000 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.0168980;
+      samples[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+      b6 = white * 0.115926;
+    }
+  } else if (color === 'brown') {
+    let last = 0;
+
+    for (let i = 0; i < length; i++) {
+      last = (last + 0.02 * (random() * 2 - 1)) / 1.02;
+      samples[i] = last;
+    }
+  } else {
+    throw new Error(`Unknown noise color: ${color}`);
+  }
+
+  return normalize(samples);
+}
+
+/**
+ * Scatter rain drops over samples
+ * Each drop is a crackle of noise dying away to -60 dB over drops.length
+ * @param {Float32Array} samples - Samples, added to in place
+ * @param {Object} drops - Drops, as AMBIENT_PRESETS.rain.drops
+ * @param {number} sampleRate - Samples per second
+ * @param {Function} random - Random number generator
+ * @returns {Float32Array} The same samples
+ */
+function addDrops(samples, drops, sampleRate, random) {
+  const chance = drops.rate / sampleRate;
+  const decay = Math.pow(1000, -1 / Math.max(1, drops.length * sampleRate));
+  let level = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    if (random() < chance) {
+      level = Math.max(level, drops.gain * random());
+    }
+
+    samples[i] += level * (random() * 2 - 1);
+    level *= decay;
+  }
+
+  return samples;
+}
+
+/**
+ * Generate the samples of a layer's loop
+ * Each channel is its own run of noise, so the layer is wide rather than
+ * centred. The loop's last LOOP_FADE seconds are blended into its start,
+ * so it repeats without a click. The noise is seeded with the layer's
+ * name, so a layer sounds the same every time it is built
+ * @param {Object} preset - Noise layer, as AMBIENT_PRESETS.rain
+ * @param {number} sampleRate - Samples per second
+ * @param {Function} [random] - Random number generator (defaults to one seeded with the layer's name)
+ * @returns {Array<Float32Array>} Left and right channels, LOOP_LENGTH seconds long
+ *
+ * @example
+ * const [left, right] = ambientLoop(AMBIENT_PRESETS['brown-noise'], 48000);
+ */
+export function ambientLoop(preset, sampleRate, random = createSeededRandom(preset.name)) {
+  const length = Math.round(AMBIENT.LOOP_LENGTH * sampleRate);
+  const fade = Math.min(length, Math.round(AMBIENT.LOOP_FADE * sampleRate));
+
+  return [0, 1].map(() => {
+    const samples = noiseSamples(preset.noise, length + fade, random);
+    if (preset.drops) {
+      normalize(addDrops(samples, preset.drops, sampleRate, random));
+    }
+
+    const loop = samples.slice(0, length);
+    for (let i = 0; i < fade; i++) {
+      const progress = i / fade;
+      loop[i] = samples[i] * progress + samples[length + i] * (1 - progress);
+    }
+
+    return loop;
+  });
+}
+
+/**
+ * Build an ambient layer
+ * Nothing sounds until the layer's sources are started; connect its output
+ * first. Noise loops are generated once per context and kept in buffers
+ * @param {BaseAudioContext} context - Audio context
+ * @param {string} layer - AMBIENT_LAYERS value (other than none)
+ * @param {Map} [buffers] - Generated loops by layer, to reuse
+ * @returns {Object} {layer, output, sources} - output is a GainNode; sources are to start and stop
+ * @throws {Error} If the layer is unknown
+ *
+ * @example
+ * const { output, sources } = createAmbientLayer(context, 'rain');
+ * output.connect(context.destination);
+ * sources.forEach(source => source.start());
+ */
+export function createAmbientLayer(context, layer, buffers = new Map()) {
+  const preset = AMBIENT_PRESETS[layer];
+  if (!preset) {
+    throw new Error(`Unknown ambient layer: ${layer}`);
+  }
+
+  const now = context.currentTime;
+  const output = context.createGain();
+  const filter = context.createBiquadFilter();
+  const sources = [];
+
+  output.gain.setValueAtTime(preset.level, now);
+  filter.type = 'lowpass';
+  filter.frequency.setValueAtTime(preset.cutoff, now);
+  filter.connect(output);
+
+  if (preset.frequencies) {
+    const voiceLevel = 1 / (preset.frequencies.length * 2);
+
+    preset.frequencies.forEach(frequency => {
+      [-preset.detune, preset.detune].forEach(detune => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(frequency, now);
+        oscillator.detune.setValueAtTime(detune, now);
+        gain.gain.setValueAtTime(voiceLevel, now);
+
+        oscillator.connect(gain);
+        gain.connect(filter);
+        sources.push(oscillator);
+      });
+    });
+
+    // The lowpass opens and closes slowly, so the drone breathes
+    const lfo = context.createOscillator();
+    const depth = context.createGain();
+    lfo.frequency.setValueAtTime(preset.sweep.rate, now);
+    depth.gain.setValueAtTime(preset.sweep.depth, now);
+    lfo.connect(depth);
+    depth.connect(filter.frequency);
+    sources.push(lfo);
+  } else {
+    if (!buffers.has(layer)) {
+      const channels = ambientLoop(preset, context.sampleRate);
+      const buffer = context.createBuffer(channels.length, channels[0].length, context.sampleRate);
+      channels.forEach((samples, channel) => buffer.copyToChannel(samples, channel));
+      buffers.set(layer, buffer);
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffers.get(layer);
+    source.loop = true;
+
+    if (preset.highpass) {
+      const highpass = context.createBiquadFilter();
+      highpass.type = 'highpass';
+      highpass.frequency.setValueAtTime(preset.highpass, now);
+      source.connect(highpass);
+      highpass.connect(filter);
+    } else {
+      source.connect(filter);
+    }
+    sources.push(source);
+  }
+
+  return { layer, output, sources };
+}
+
+/**
+ * Duck an ambient layer under a bell
+ * The layer drops to DUCK_LEVEL as the first strike sounds, holds there for
+ * DUCK_HOLD seconds after the last, then comes back up. A later duck
+ * carries on from wherever an earlier one has got to
+ * @param {AudioParam} param - Gain of the ducking stage
+ * @param {number} startTime - When the first strike sounds (AudioContext time)
+ * @param {number} [length=0] - Seconds from the first strike to the last
+ */
+export function scheduleDuck(param, startTime, length = 0) {
+  param.cancelScheduledValues(startTime);
+  param.setTargetAtTime(AMBIENT.DUCK_LEVEL, startTime, AMBIENT.DUCK_ATTACK / 3);
+  param.setTargetAtTime(1, startTime + length + AMBIENT.DUCK_HOLD, AMBIENT.DUCK_RELEASE / 3);
+}
@@ -0,0 +1,164 @@
+/**
+ * Ambient Player - Plays an ambient layer under a session
+ * Fades layers in and out, crossfades from one to another, and ducks
+ * them while a bell rings
+ * @module audio/AmbientPlayer
+ */
+
+import { eventBus } from '../core/EventBus.js';
+import { EVENTS, AMBIENT } from '../config/constants.js';
+import { audioContextManager } from './AudioContextManager.js';
+import { createAmbientLayer, scheduleDuck } from './Ambience.js';
+
+/**
+ * Player for ambient layers
+ * The layers skip the reverb: the rain or the drone is in the room
+ * already. Master volume and mute still apply
+ */
+export class AmbientPlayer {
+  /**
+   * Create an AmbientPlayer
+   * @param {AudioContext} audioContext - The Web Audio API context
+   */
+  constructor(audioContext) {
+    /** @private {AudioContext} */
+    this.context = audioContext || audioContextManager.getContext();
+
+    /** @private {Map<string, AudioBuffer>} Generated noise loops by layer */
+    this.buffers = new Map();
+
+    /** @private {Object|null} Playing layer {layer, output, sources, fadeGain} */
+    this.current = null;
+
+    /** @private {GainNode} Ducking under the bells */
+    this.duckGain = this.context.createGain();
+
+    /** @private {GainNode} Volume of the ambient channel */
+    this.volumeNode = this.context.createGain();
+
+    this.duckGain.connect(this.volumeNode);
+    this.volumeNode.connect(audioContextManager.getMasterGain() || this.context.destination);
+    this.volumeNode.gain.setValueAtTime(AMBIENT.DEFAULT_VOLUME, this.context.currentTime);
+  }
+
+  /**
+   * Fade a layer in, crossfading from the one playing
+   * @param {string} layer - AMBIENT_LAYERS value (other than none)
+   * @param {number} [fadeTime=AMBIENT.FADE_IN] - Fade duration in seconds
+   * @throws {Error} If the layer is unknown
+   */
+  start(layer, fadeTime = AMBIENT.FADE_IN) {
+    if (this.current?.layer === layer) {
+      return;
+    }
+
+    const next = createAmbientLayer(this.context, layer, this.buffers);
+    const now = this.context.currentTime;
+
+    next.fadeGain = this.context.createGain();
+    next.fadeGain.gain.setValueAtTime(0, now);
+    next.fadeGain.gain.linearRampToValueAtTime(1, now + fadeTime);
+    next.output.connect(next.fadeGain);
+    next.fadeGain.connect(this.duckGain);
+    next.sources.forEach(source => source.start(now));
+
+    this._fadeOut(this.current, fadeTime);
+    this.current = next;
+
+    eventBus.dispatch(EVENTS.AMBIENT_CHANGE, { layer, fadeTime });
+  }
+
+  /**
+   * Fade the playing layer out
+   * @param {number} [fadeTime=AMBIENT.FADE_OUT] - Fade duration in seconds
+   */
+  stop(fadeTime = AMBIENT.FADE_OUT) {
+    if (!this.current) {
+      return;
+    }
+
+    this._fadeOut(this.current, fadeTime);
+    this.current = null;
+
+    eventBus.dispatch(EVENTS.AMBIENT_CHANGE, { layer: null, fadeTime });
+  }
+
+  /**
+   * Duck the layer under a bell
+   * @param {number} [delay=0] - Seconds until the first strike
+   * @param {number} [length=0] - Seconds from the first strike to the last
+   */
+  duck(delay = 0, length = 0) {
+    scheduleDuck(this.duckGain.gain, this.context.currentTime + delay, length);
+  }
+
+  /**
+   * Set the volume of the ambient channel
+   * @param {number} volume - Volume (0.0 to 1.0)
+   * @param {number} [rampTime=0.2] - Fade duration in seconds
+   */
+  setVolume(volume, rampTime = 0.2) {
+    const clampedVolume = Math.max(0, Math.min(1, volume));
+    const currentTime = this.context.currentTime;
+
+    this.volumeNode.gain.cancelScheduledValues(currentTime);
+    this.volumeNode.gain.setValueAtTime(this.volumeNode.gain.value, currentTime);
+    this.volumeNode.gain.linearRampToValueAtTime(clampedVolume, currentTime + rampTime);
+  }
+
+  /**
+   * Get the playing layer
+   * @returns {string|null} AMBIENT_LAYERS value, or null when silent
+   */
+  getLayer() {
+    return this.current ? this.current.layer : null;
+  }
+
+  /**
+   * Check if a layer is playing
+   * @returns {boolean}
+   */
+  getIsPlaying() {
+    return this.current !== null;
+  }
+
+  /**
+   * Fade a layer out, then stop and disconnect it
+   * @private
+   * @param {Object|null} entry - Layer {output, sources, fadeGain}
+   * @param {number} fadeTime - Fade duration in seconds
+   */
+  _fadeOut(entry, fadeTime) {
+    if (!entry) {
+      return;
+    }
+
+    const now = this.context.currentTime;
+    const gain = entry.fadeGain.gain;
+
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(0, now + fadeTime);
+
+    entry.sources[0].onended = () => {
+      entry.fadeGain.disconnect();
+      entry.output.disconnect();
+    };
+    entry.sources.forEach(source => source.stop(now + fadeTime));
+  }
+
+  /**
+   * Cleanup and disconnect audio nodes
+   */
+  cleanup() {
+    this.stop(0);
+
+    if (this.volumeNode) {
+      this.duckGain.disconnect();
+      this.volumeNode.disconnect();
+      this.volumeNode = null;
+    }
+
+    this.buffers.clear();
+  }
+}
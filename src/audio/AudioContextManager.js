@@ -1,11 +1,13 @@
 /**
  * AudioContext Manager - Singleton for managing Web Audio API context
  * Handles browser autoplay policies and provides master gain control
+ * and the shared effects bus the bells play into
  * @module audio/AudioContextManager
  */
 
 import { eventBus } from '../core/EventBus.js';
-import { EVENTS, AUDIO_STATES } from '../config/constants.js';
+import { EVENTS, AUDIO_STATES, REVERB_ROOMS, REVERB_PRESETS } from '../config/constants.js';
+import { createImpulseResponse } from './Reverb.js';
 
 /**
  * Singleton class for managing the Web Audio API AudioContext
@@ -27,6 +29,21 @@ export class AudioContextManager {
     /** @private {GainNode|null} Master volume control */
     this.masterGain = null;
 
+    /** @private {GainNode|null} Input of the effects bus, ahead of the master gain */
+    this.effectsInput = null;
+
+    /** @private {ConvolverNode|null} Reverb of the effects bus */
+    this.convolver = null;
+
+    /** @private {GainNode|null} Level of the reverb */
+    this.wetGain = null;
+
+    /** @private {string} Room the reverb models (REVERB_ROOMS) */
+    this.reverbRoom = REVERB_ROOMS.NONE;
+
+    /** @private {Map<string, AudioBuffer>} Impulse responses built so far, by room */
+    this.impulseResponses = new Map();
+
     /** @private {string} Current state of the audio context */
     this.state = AUDIO_STATES.IDLE;
 
@@ -75,6 +92,18 @@ export class AudioContextManager {
       this.masterGain.connect(this.context.destination);
       this.masterGain.gain.setValueAtTime(1.0, this.context.currentTime);
 
+      // Effects bus: the dry signal and the reverb meet at the master gain
+      this.effectsInput = this.context.createGain();
+      this.convolver = this.context.createConvolver();
+      this.wetGain = this.context.createGain();
+      this.wetGain.gain.setValueAtTime(0, this.context.currentTime);
+
+      this.effectsInput.connect(this.masterGain);
+      this.effectsInput.connect(this.convolver);
+      this.convolver.connect(this.wetGain);
+      this.wetGain.connect(this.masterGain);
+      this.setReverb(this.reverbRoom, 0);
+
       // Update state
       this.state = this.context.state === 'running' 
         ? AUDIO_STATES.READY 
@@ -163,7 +192,13 @@ export class AudioContextManager {
   async close() {
     if (this.context) {
       try {
-        // Disconnect master gain
+        // Disconnect the effects bus and master gain
+        [this.effectsInput, this.convolver, this.wetGain].forEach(node => node?.disconnect());
+        this.effectsInput = null;
+        this.convolver = null;
+        this.wetGain = null;
+        this.impulseResponses.clear();
+
         if (this.masterGain) {
           this.masterGain.disconnect();
           this.masterGain = null;
@@ -196,6 +231,55 @@ export class AudioContextManager {
     return this.masterGain;
   }
 
+  /**
+   * Get the input of the effects bus
+   * Bells connect here so they ring in the chosen room
+   * @returns {AudioNode|null}
+   */
+  getEffectsInput() {
+    return this.effectsInput || this.masterGain;
+  }
+
+  /**
+   * Choose the room the bells ring in
+   * @param {string} room - REVERB_ROOMS value
+   * @param {number} [rampTime=0.05] - Fade duration in seconds
+   * @throws {Error} If the room is unknown
+   */
+  setReverb(room, rampTime = 0.05) {
+    if (room !== REVERB_ROOMS.NONE && !REVERB_PRESETS[room]) {
+      throw new Error(`Unknown reverb room: ${room}`);
+    }
+
+    this.reverbRoom = room;
+
+    if (!this.convolver || !this.context) {
+      return;
+    }
+
+    const currentTime = this.context.currentTime;
+    const wet = room === REVERB_ROOMS.NONE ? 0 : REVERB_PRESETS[room].wet;
+
+    if (room !== REVERB_ROOMS.NONE) {
+      if (!this.impulseResponses.has(room)) {
+        this.impulseResponses.set(room, createImpulseResponse(this.context, room));
+      }
+      this.convolver.buffer = this.impulseResponses.get(room);
+    }
+
+    this.wetGain.gain.cancelScheduledValues(currentTime);
+    this.wetGain.gain.setValueAtTime(this.wetGain.gain.value, currentTime);
+    this.wetGain.gain.linearRampToValueAtTime(wet, currentTime + rampTime);
+  }
+
+  /**
+   * Get the room the bells ring in
+   * @returns {string} REVERB_ROOMS value
+   */
+  getReverb() {
+    return this.reverbRoom;
+  }
+
   /**
    * Get current audio context time (for precise scheduling)
    * @returns {number} Current time in seconds
@@ -332,7 +416,8 @@ export class AudioContextManager {
       baseLatency: this.context.baseLatency,
       outputLatency: this.context.outputLatency,
       hasUserInteraction: this.hasUserInteraction,
-      masterVolume: this.getMasterVolume()
+      masterVolume: this.getMasterVolume(),
+      reverb: this.reverbRoom
     };
   }
 }
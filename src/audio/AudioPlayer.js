@@ -31,6 +31,12 @@ export class AudioPlayer {
     /** @private {string|null} Current bell type */
     this.currentBellType = null;
 
+    /** @private {AudioBuffer|null} Recording played in place of the synthesized bell */
+    this.currentBuffer = null;
+
+    /** @private {Object|null} Bell model played in place of the bell type's own */
+    this.currentModel = null;
+
     /** @private {boolean} Whether audio is currently playing */
     this.isPlaying = false;
 
@@ -51,7 +57,7 @@ export class AudioPlayer {
 
     /** @private {GainNode} Volume control for player */
     this.volumeNode = this.context.createGain();
-    this.volumeNode.connect(audioContextManager.getMasterGain() || this.context.destination);
+    this.volumeNode.connect(audioContextManager.getEffectsInput() || this.context.destination);
     this.volumeNode.gain.setValueAtTime(1.0, this.context.currentTime);
   }
 
@@ -59,9 +65,14 @@ export class AudioPlayer {
    * Play a bell sound
    * @param {string} bellType - 'big' or 'small'
    * @param {number} [volume=1.0] - Volume (0.0 to 1.0)
+   * @param {Object} [options={}] - What to play instead of the bell type's own sound
+   * @param {AudioBuffer} [options.buffer=null] - Recording to play
+   * @param {Object} [options.model=null] - Bell model to synthesize
    * @returns {Promise<void>}
    */
-  async play(bellType, volume = 1.0) {
+  async play(bellType, volume = 1.0, options = {}) {
+    const { buffer = null, model = null } = options;
+
     // Stop any currently playing bell
     if (this.isPlaying) {
       this.stop();
@@ -74,6 +85,8 @@ export class AudioPlayer {
 
     try {
       this.currentBellType = bellType;
+      this.currentBuffer = buffer;
+      this.currentModel = model;
       this.startTime = this.context.currentTime;
       this.pauseOffset = 0;
 
@@ -81,9 +94,15 @@ export class AudioPlayer {
       this.setVolume(volume);
 
       // Create and play bell
-      this.currentBell = bellType === BELL_TYPES.BIG
-        ? this.synthesizer.createBigBell(this.startTime, this.volumeNode)
-        : this.synthesizer.createSmallBell(this.startTime, this.volumeNode);
+      if (buffer) {
+        this.currentBell = this.synthesizer.createSampleBell(buffer, this.startTime, this.volumeNode);
+      } else if (model) {
+        this.currentBell = this.synthesizer.createBell(model, this.startTime, this.volumeNode);
+      } else if (bellType === BELL_TYPES.BIG) {
+        this.currentBell = this.synthesizer.createBigBell(this.startTime, this.volumeNode);
+      } else {
+        this.currentBell = this.synthesizer.createSmallBell(this.startTime, this.volumeNode);
+      }
 
       this.isPlaying = true;
       this.isPaused = false;
@@ -159,7 +178,10 @@ export class AudioPlayer {
     // Note: True pause/resume is complex with synthesized audio
     // This implementation restarts from the beginning
     // For better UX, consider using pre-rendered buffers
-    await this.play(this.currentBellType);
+    await this.play(this.currentBellType, 1.0, {
+      buffer: this.currentBuffer,
+      model: this.currentModel
+    });
 
     eventBus.dispatch(EVENTS.AUDIO_RESUMED, {
       bellType: this.currentBellType,
@@ -190,6 +212,8 @@ export class AudioPlayer {
     this.startTime = 0;
     this.pauseOffset = 0;
     this.currentBellType = null;
+    this.currentBuffer = null;
+    this.currentModel = null;
 
     // Stop progress tracking
     this._stopProgressTracking();
@@ -243,7 +243,7 @@ export class AudioPreloader {
       const source = this.context.createBufferSource();
       source.buffer = buffer;
 
-      const dest = destination || audioContextManager.getMasterGain() || this.context.destination;
+      const dest = destination || audioContextManager.getEffectsInput() || this.context.destination;
       source.connect(dest);
 
       const startTime = when || this.context.currentTime;
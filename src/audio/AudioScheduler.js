@@ -16,7 +16,7 @@ export class AudioScheduler {
   /**
    * Create an AudioScheduler
    * @param {AudioContext} audioContext - The Web Audio API context
-   * @param {GainNode} [destination=null] - Destination for scheduled bells
+   * @param {GainNode} [destination=null] - Destination for scheduled bells (defaults to the effects bus)
    */
   constructor(audioContext, destination = null) {
     /** @private {AudioContext} */
@@ -26,7 +26,7 @@ export class AudioScheduler {
     this.synthesizer = new BellSynthesizer(this.context);
 
     /** @private {GainNode} Destination node */
-    this.destination = destination || audioContextManager.getMasterGain();
+    this.destination = destination || audioContextManager.getEffectsInput();
 
     /** @private {Map<number, Object>} Scheduled sounds by ID */
     this.scheduledSounds = new Map();
@@ -57,13 +57,43 @@ export class AudioScheduler {
    * @param {Object} [options={}] - Additional options
    * @param {number} [options.volume=1.0] - Volume (0.0 to 1.0)
    * @param {*} [options.metadata=null] - Custom metadata to attach
+   * @param {boolean} [options.immediate=false] - Create the audio nodes now rather than
+   *   within the lookahead window, so throttled timers in a background tab cannot delay the bell
+   * @param {AudioBuffer} [options.buffer=null] - Recording to play instead of the synthesized bell
    * @returns {number} Schedule ID (use to cancel)
    */
   schedule(bellType, delayMs, options = {}) {
-    const { volume = 1.0, metadata = null } = options;
+    return this._schedule(bellType, this.context.currentTime + (delayMs / 1000), delayMs, options);
+  }
+
+  /**
+   * Schedule multiple bells in sequence
+   * All delays are measured from the same AudioContext time, so the strikes
+   * of a bell pattern keep their spacing exactly
+   * @param {Array<Object>} bells - Array of {bellType, delayMs, options}
+   * @returns {Array<number>} Array of schedule IDs
+   */
+  scheduleSequence(bells) {
+    const startTime = this.context.currentTime;
+
+    return bells.map(({ bellType, delayMs, options = {} }) =>
+      this._schedule(bellType, startTime + (delayMs / 1000), delayMs, options)
+    );
+  }
+
+  /**
+   * Queue a bell at an AudioContext time
+   * @private
+   * @param {string} bellType - 'big' or 'small'
+   * @param {number} scheduleTime - AudioContext time to play at (seconds)
+   * @param {number} delayMs - Requested delay in milliseconds
+   * @param {Object} options - {volume, metadata, immediate, buffer}
+   * @returns {number} Schedule ID
+   */
+  _schedule(bellType, scheduleTime, delayMs, options) {
+    const { volume = 1.0, metadata = null, immediate = false, buffer = null } = options;
 
     const id = this.nextId++;
-    const scheduleTime = this.context.currentTime + (delayMs / 1000);
 
     const scheduleInfo = {
       id,
@@ -72,6 +102,7 @@ export class AudioScheduler {
       delayMs,
       volume,
       metadata,
+      buffer,
       sound: null,
       isScheduled: false,
       isCanceled: false
@@ -79,13 +110,18 @@ export class AudioScheduler {
 
     this.scheduledSounds.set(id, scheduleInfo);
 
-    // Add to queue for processing
-    this.queue.push(scheduleInfo);
-    this.queue.sort((a, b) => a.scheduleTime - b.scheduleTime);
-
-    // Start scheduler if not running
-    if (!this.isRunning) {
-      this.start();
+    if (immediate) {
+      // Straight onto the AudioContext timeline
+      this._scheduleSound(scheduleInfo);
+    } else {
+      // Add to queue for processing
+      this.queue.push(scheduleInfo);
+      this.queue.sort((a, b) => a.scheduleTime - b.scheduleTime);
+
+      // Start scheduler if not running
+      if (!this.isRunning) {
+        this.start();
+      }
     }
 
     eventBus.dispatch(EVENTS.BELL_SCHEDULED, {
@@ -99,17 +135,6 @@ export class AudioScheduler {
     return id;
   }
 
-  /**
-   * Schedule multiple bells in sequence
-   * @param {Array<Object>} bells - Array of {bellType, delayMs, options}
-   * @returns {Array<number>} Array of schedule IDs
-   */
-  scheduleSequence(bells) {
-    return bells.map(({ bellType, delayMs, options }) =>
-      this.schedule(bellType, delayMs, options)
-    );
-  }
-
   /**
    * Schedule a bell to repeat at regular intervals
    * @param {string} bellType - 'big' or 'small'
@@ -311,18 +336,24 @@ export class AudioScheduler {
       volumeNode.connect(this.destination);
 
       // Create and schedule bell
-      const sound = scheduleInfo.bellType === BELL_TYPES.BIG
-        ? this.synthesizer.createBigBell(scheduleInfo.scheduleTime, volumeNode)
-        : this.synthesizer.createSmallBell(scheduleInfo.scheduleTime, volumeNode);
+      let sound;
+      if (scheduleInfo.buffer) {
+        sound = this.synthesizer.createSampleBell(scheduleInfo.buffer, scheduleInfo.scheduleTime, volumeNode);
+      } else if (scheduleInfo.bellType === BELL_TYPES.BIG) {
+        sound = this.synthesizer.createBigBell(scheduleInfo.scheduleTime, volumeNode);
+      } else {
+        sound = this.synthesizer.createSmallBell(scheduleInfo.scheduleTime, volumeNode);
+      }
 
       scheduleInfo.sound = sound;
       scheduleInfo.isScheduled = true;
 
-      // Emit bell ring event at scheduled time
+      // Announce the strike when it sounds. BELL_RING is the request to
+      // ring; re-dispatching it here would ring every scheduled bell twice
       const delay = (scheduleInfo.scheduleTime - this.context.currentTime) * 1000;
       setTimeout(() => {
         if (!scheduleInfo.isCanceled) {
-          eventBus.dispatch(EVENTS.BELL_RING, {
+          eventBus.dispatch(EVENTS.BELL_START, {
             id: scheduleInfo.id,
             bellType: scheduleInfo.bellType,
             metadata: scheduleInfo.metadata
@@ -371,7 +402,7 @@ export class AudioScheduler {
     this.stop();
     this.cancelAll();
     
-    if (this.destination && this.destination !== audioContextManager.getMasterGain()) {
+    if (this.destination && this.destination !== audioContextManager.getEffectsInput()) {
       this.destination.disconnect();
     }
   }
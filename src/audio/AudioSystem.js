@@ -5,12 +5,20 @@
  */
 
 import { eventBus } from '../core/EventBus.js';
-import { EVENTS, BELL_TYPES } from '../config/constants.js';
+import { EVENTS, BELL_TYPES, TIMING, REVERB_ROOMS, SESSION_RENDER, AMBIENT, AMBIENT_LAYERS, AMBIENT_PRESETS } from '../config/constants.js';
 import { audioContextManager } from './AudioContextManager.js';
 import { audioPreloader } from './AudioPreloader.js';
 import { AudioPlayer } from './AudioPlayer.js';
 import { AudioScheduler } from './AudioScheduler.js';
 import { VolumeController } from './VolumeController.js';
+import { AmbientPlayer } from './AmbientPlayer.js';
+import { bellLibrary } from './BellLibrary.js';
+import { BellSynthesizer } from './BellSynthesizer.js';
+import { preferencesStore } from '../storage/PreferencesStore.js';
+import { renderSession, toWavBlob } from './SessionRenderer.js';
+import { planSession } from '../core/SessionPlanner.js';
+import { validateBellModel } from '../utils/validation.js';
+import { repeatBell, toSequence } from '../utils/bells.js';
 
 /**
  * Unified audio system that integrates all audio components
@@ -29,6 +37,15 @@ export class AudioSystem {
     /** @private {VolumeController|null} */
     this.volumeController = null;
 
+    /** @private {AmbientPlayer|null} */
+    this.ambientPlayer = null;
+
+    /** @private {string} Ambient layer to play under sessions (AMBIENT_LAYERS) */
+    this.ambientLayer = AMBIENT_LAYERS.NONE;
+
+    /** @private {boolean} Whether a session is running (not paused or stopped) */
+    this.sessionRunning = false;
+
     /** @private {boolean} */
     this.initialized = false;
 
@@ -37,6 +54,12 @@ export class AudioSystem {
 
     /** @private {Array<Function>} */
     this.cleanupHandlers = [];
+
+    /** @private {Array<Object>} Bells queued ahead on the audio clock {dueAt, ids} */
+    this.prescheduled = [];
+
+    /** @private {number|null} When the interval completing now was due, while its bell is rung */
+    this.completionDueAt = null;
   }
 
   /**
@@ -64,12 +87,23 @@ export class AudioSystem {
       this.player = new AudioPlayer(context);
       this.scheduler = new AudioScheduler(context);
       this.volumeController = new VolumeController(context);
+      this.ambientPlayer = new AmbientPlayer(context);
+
+      // Ring the bells with the models chosen in the bell designer, in the
+      // chosen room, over the chosen ambient layer
+      await this._applySoundPreferences();
 
       // Preload bell sounds if requested
       if (preload) {
         await audioPreloader.preload();
       }
 
+      // Library sounds in the modes' slots replace the synthesized bells
+      await bellLibrary.initialize();
+      if (preload) {
+        await bellLibrary.preloadAssigned();
+      }
+
       // Set up event listeners
       this._setupEventListeners();
 
@@ -116,6 +150,9 @@ export class AudioSystem {
    * Play a bell sound
    * @param {string} bellType - 'big' or 'small'
    * @param {Object} [options={}] - Playback options
+   * @param {number} [options.volume] - Volume (defaults to the bell type's effective volume)
+   * @param {AudioBuffer} [options.buffer] - Recording to play instead of the synthesized bell
+   * @param {Object} [options.model] - Bell model to synthesize instead of the bell type's own
    * @returns {Promise<void>}
    */
   async playBell(bellType, options = {}) {
@@ -132,7 +169,69 @@ export class AudioSystem {
       ? options.volume 
       : this.volumeController.getEffectiveVolume(bellType);
 
-    await this.player.play(bellType, volume);
+    await this.player.play(bellType, volume, {
+      buffer: options.buffer || null,
+      model: options.model || null
+    });
+  }
+
+  /**
+   * Ring a bell type with a designed model, or its built-in one again
+   * @param {string} bellType - 'big' or 'small'
+   * @param {Object|null} model - Bell model, or null for the built-in bell
+   * @throws {Error} If the model is invalid
+   */
+  setBellModel(bellType, model) {
+    if (model) {
+      const validation = validateBellModel(model);
+      if (!validation.valid) {
+        throw new Error(`Invalid bell model: ${validation.errors.join(', ')}`);
+      }
+    }
+
+    BellSynthesizer.setModel(bellType, model);
+    audioPreloader.clearCache(bellType);
+  }
+
+  /**
+   * Play a bell pattern
+   * Every strike goes through the scheduler in one sequence, so the gaps
+   * are kept on the audio clock rather than by timers. When the metadata
+   * names a mode, its bell library slots pick the recordings to play
+   * @param {Array<Object>} strikes - Pattern strikes {bellType, gap}
+   * @param {Object} [options={}] - Playback options
+   * @param {number} [options.delayMs=0] - Delay before the first strike
+   * @param {boolean} [options.immediate=false] - Put the strikes on the AudioContext timeline now
+   * @param {*} [options.metadata=null] - Metadata attached to every strike
+   * @returns {Promise<Array<number>>} Schedule IDs of the strikes
+   */
+  async playPattern(strikes, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.hasUserInteraction) {
+      await this.enableAudio();
+    }
+
+    const { delayMs = 0, immediate = false, metadata = null } = options;
+    const buffers = await this._slotBuffers(metadata?.mode, strikes);
+
+    const sequence = toSequence(strikes, (strike, index) => ({
+      volume: this.volumeController.getEffectiveVolume(strike.bellType),
+      metadata: { ...metadata, strike: index + 1, of: strikes.length },
+      immediate,
+      buffer: buffers[strike.bellType] || null
+    }));
+
+    if (this.ambientPlayer.getIsPlaying() && sequence.length > 0) {
+      this.ambientPlayer.duck(delayMs / 1000, sequence[sequence.length - 1].delayMs / 1000);
+    }
+
+    return this.scheduler.scheduleSequence(sequence.map(entry => ({
+      ...entry,
+      delayMs: entry.delayMs + delayMs
+    })));
   }
 
   /**
@@ -205,6 +304,44 @@ export class AudioSystem {
     }
   }
 
+  /**
+   * Set volume of the ambient layer
+   * @param {number} volume - Volume (0.0 to 1.0)
+   */
+  setAmbientVolume(volume) {
+    if (this.volumeController) {
+      this.volumeController.setAmbientVolume(volume);
+      this.ambientPlayer.setVolume(this.volumeController.getAmbientVolume());
+    }
+  }
+
+  /**
+   * Choose the ambient layer to play under sessions
+   * The layer fades in as a session starts or resumes and out as it pauses
+   * or stops; chosen while a session runs, it crossfades with the one playing
+   * @param {string} layer - AMBIENT_LAYERS value
+   * @throws {Error} If the layer is unknown
+   */
+  setAmbientLayer(layer) {
+    if (layer !== AMBIENT_LAYERS.NONE && !AMBIENT_PRESETS[layer]) {
+      throw new Error(`Unknown ambient layer: ${layer}`);
+    }
+
+    this.ambientLayer = layer;
+
+    if (this.sessionRunning) {
+      this._playAmbient(AMBIENT.CROSSFADE);
+    }
+  }
+
+  /**
+   * Get the ambient layer chosen for sessions
+   * @returns {string} AMBIENT_LAYERS value
+   */
+  getAmbientLayer() {
+    return this.ambientLayer;
+  }
+
   /**
    * Mute audio
    * @param {number} [fadeDuration] - Fade duration
@@ -248,9 +385,15 @@ export class AudioSystem {
       preloaderReady: audioPreloader.isReady(),
       isPlaying: this.player ? this.player.getIsPlaying() : false,
       scheduledCount: this.scheduler ? this.scheduler.getScheduledCount() : 0,
+      reverb: audioContextManager.getReverb(),
+      ambient: {
+        layer: this.ambientLayer,
+        playing: this.ambientPlayer ? this.ambientPlayer.getLayer() : null
+      },
       volume: {
         master: this.volumeController ? this.volumeController.getMasterVolume() : 1.0,
-        isMuted: this.volumeController ? this.volumeController.getIsMuted() : false
+        isMuted: this.volumeController ? this.volumeController.getIsMuted() : false,
+        ambient: this.volumeController ? this.volumeController.getAmbientVolume() : AMBIENT.DEFAULT_VOLUME
       }
     };
   }
@@ -262,27 +405,291 @@ export class AudioSystem {
   _setupEventListeners() {
     // Listen for bell ring events from timer
     const unsubBellRing = eventBus.on(EVENTS.BELL_RING, async (data) => {
-      const { bellType = BELL_TYPES.BIG } = data;
+      const { bellType = BELL_TYPES.BIG, pattern = null } = data;
+
+      // Already queued on the audio clock; the ring may arrive late from a
+      // throttled background tab but the bell itself sounded on time
+      if (this._consumePrescheduled(this.completionDueAt ?? data.timestamp ?? Date.now())) {
+        return;
+      }
+
       try {
-        await this.playBell(bellType);
+        await this.playPattern(pattern || repeatBell(bellType), {
+          metadata: { mode: data.mode, phase: data.phase }
+        });
       } catch (error) {
         console.error('Error playing bell from timer event:', error);
       }
     });
 
-    this.cleanupHandlers.push(unsubBellRing);
+    // A ring from a completed interval was due when the interval was, however
+    // late the completion runs; modes ring synchronously from onComplete
+    const unsubTimerComplete = eventBus.on(EVENTS.TIMER_COMPLETE, (data) => {
+      this.completionDueAt = data.scheduledAt ?? null;
+      queueMicrotask(() => {
+        this.completionDueAt = null;
+      });
+    });
+
+    this.cleanupHandlers.push(unsubBellRing, unsubTimerComplete);
+
+    // Queue the timer's next bell ahead of time
+    const unsubBellUpcoming = eventBus.on(EVENTS.BELL_UPCOMING, (data) => {
+      this._preschedule(data).catch(error => {
+        console.error('Error queuing upcoming bell:', error);
+      });
+    });
+
+    const unsubTimerPause = eventBus.on(EVENTS.TIMER_PAUSE, () => {
+      this._cancelPrescheduled();
+      this._endAmbient();
+    });
+    const unsubTimerStop = eventBus.on(EVENTS.TIMER_STOP, () => {
+      this._cancelPrescheduled();
+      this._endAmbient();
+    });
+
+    // The ambient layer plays while the session runs
+    const unsubTimerStart = eventBus.on(EVENTS.TIMER_START, () => {
+      this.sessionRunning = true;
+      this._playAmbient(AMBIENT.FADE_IN);
+    });
+    const unsubTimerResume = eventBus.on(EVENTS.TIMER_RESUME, () => {
+      this.sessionRunning = true;
+      this._playAmbient(AMBIENT.FADE_IN);
+    });
+
+    // A bell queued before the clock changed may no longer be due then;
+    // the timer announces it again once the mode has re-armed
+    const unsubClockChanged = eventBus.on(EVENTS.TIMER_CLOCK_CHANGED, () => this._cancelPrescheduled());
+
+    this.cleanupHandlers.push(
+      unsubBellUpcoming, unsubTimerPause, unsubTimerStop, unsubClockChanged, unsubTimerStart, unsubTimerResume
+    );
+
+    // Timer completions are not played directly: every audible bell is a
+    // BELL_RING from the active mode, so do not disturb can hold it back
+  }
+
+  /**
+   * Queue an upcoming bell on the audio clock
+   * Replaces any queued bell that has not sounded yet; bells already due
+   * are kept until their ring arrives
+   * @private
+   * @param {Object} bell - Upcoming bell {time, bellType, pattern}
+   * @returns {Promise<void>}
+   */
+  async _preschedule(bell) {
+    const { time, bellType = BELL_TYPES.BIG, pattern = null } = bell;
+    const now = Date.now();
+
+    this.prescheduled = this.prescheduled.filter(entry => {
+      if (entry.dueAt > now) {
+        this._cancelEntry(entry);
+        return false;
+      }
+      return now - entry.dueAt < TIMING.PRESCHEDULE_EXPIRY;
+    });
+
+    // A bell already due is left to its ring
+    if (time <= now) {
+      return;
+    }
+
+    // Recorded before any await so a ring arriving meanwhile still finds it
+    const entry = { dueAt: time, ids: [], canceled: false };
+    this.prescheduled.push(entry);
+
+    entry.ids = await this.playPattern(pattern || repeatBell(bellType), {
+      delayMs: Math.max(0, time - now),
+      immediate: true,
+      metadata: { mode: bell.mode, phase: bell.phase, prescheduled: true }
+    });
+
+    // Paused or replaced while the audio was starting up
+    if (entry.canceled) {
+      this._cancelEntry(entry);
+    }
+  }
+
+  /**
+   * Take the queued bell a ring refers to
+   * Only a bell queued for within BELL_MATCH_TOLERANCE of the ring's due
+   * time counts; any other is not the ring's bell
+   * @private
+   * @param {number} dueAt - When the ring was due (wall-clock ms)
+   * @returns {boolean} True if the ring's bell was already queued
+   */
+  _consumePrescheduled(dueAt) {
+    const index = this.prescheduled.findIndex(entry => Math.abs(entry.dueAt - dueAt) <= TIMING.BELL_MATCH_TOLERANCE);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.prescheduled.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Drop queued bells that have not sounded yet
+   * @private
+   */
+  _cancelPrescheduled() {
+    const now = Date.now();
+
+    this.prescheduled.forEach(entry => {
+      if (entry.dueAt > now) {
+        this._cancelEntry(entry);
+      }
+    });
+
+    this.prescheduled = [];
+  }
+
+  /**
+   * Cancel the strikes of a queued bell
+   * @private
+   * @param {Object} entry - Queued bell {dueAt, ids, canceled}
+   */
+  _cancelEntry(entry) {
+    entry.canceled = true;
+
+    if (this.scheduler) {
+      entry.ids.forEach(id => this.scheduler.cancel(id));
+    }
+  }
+
+  /**
+   * Fade the chosen ambient layer in, or the playing one out if none is chosen
+   * @private
+   * @param {number} fadeTime - Fade duration in seconds
+   */
+  _playAmbient(fadeTime) {
+    if (this.ambientLayer === AMBIENT_LAYERS.NONE) {
+      this.ambientPlayer.stop(fadeTime);
+    } else {
+      this.ambientPlayer.start(this.ambientLayer, fadeTime);
+    }
+  }
+
+  /**
+   * Fade the ambient layer out as the session pauses or stops
+   * @private
+   */
+  _endAmbient() {
+    this.sessionRunning = false;
+    this.ambientPlayer.stop(AMBIENT.FADE_OUT);
+  }
 
-    // Listen for timer complete events
-    const unsubTimerComplete = eventBus.on(EVENTS.TIMER_COMPLETE, async (data) => {
-      const { bellType = BELL_TYPES.BIG } = data;
+  /**
+   * Get the library recordings a mode plays for the bells of a pattern
+   * @private
+   * @param {string|undefined} mode - Timer mode
+   * @param {Array<Object>} strikes - Pattern strikes {bellType, gap}
+   * @returns {Promise<Object>} Recordings by bell type; null where the synthesized bell rings
+   */
+  async _slotBuffers(mode, strikes) {
+    const buffers = {};
+
+    if (mode) {
+      for (const bellType of new Set(strikes.map(strike => strike.bellType))) {
+        buffers[bellType] = await bellLibrary.getSlotBuffer(mode, bellType);
+      }
+    }
+
+    return buffers;
+  }
+
+  /**
+   * Choose the room the bells ring in
+   * @param {string} room - REVERB_ROOMS value
+   * @throws {Error} If the room is unknown
+   */
+  setReverb(room) {
+    audioContextManager.setReverb(room);
+  }
+
+  /**
+   * Render a whole session to a WAV file
+   * The bells ring with the mode's library recordings or the bell models,
+   * at the current volumes (muted or not), in the current room. The ambient
+   * bed plays at the ambient layer's volume unless given one
+   * @param {string} modeName - Mode name, as TIMER_MODES
+   * @param {Object} config - Mode config
+   * @param {number} durationMinutes - Length of the session in minutes
+   * @param {Object} [options={}] - Render options
+   * @param {Object} [options.ambient=null] - Ambient bed {buffer, volume} or {layer, volume}
+   * @param {number} [options.startTime] - Wall-clock time the session starts at (defaults to now)
+   * @returns {Promise<Blob>} WAV file
+   * @throws {Error} If the length is out of range or the mode config is invalid
+   */
+  async exportSession(modeName, config, durationMinutes, options = {}) {
+    if (!(durationMinutes > 0) || durationMinutes > SESSION_RENDER.MAX_DURATION) {
+      throw new Error(`Invalid session render: length must be between 1 and ${SESSION_RENDER.MAX_DURATION} minutes`);
+    }
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const plan = planSession(modeName, config, durationMinutes * 60 * 1000, { startTime: options.startTime });
+    const bellTypes = Object.values(BELL_TYPES);
+    const buffers = await this._slotBuffers(modeName, bellTypes.map(bellType => ({ bellType })));
+    const volumes = Object.fromEntries(bellTypes.map(bellType => [
+      bellType,
+      this.volumeController.getMasterVolume() * this.volumeController.getBellVolume(bellType)
+    ]));
+
+    const rendered = await renderSession(plan, {
+      volumes,
+      buffers,
+      reverb: audioContextManager.getReverb(),
+      ambient: options.ambient ? {
+        volume: this.volumeController.getMasterVolume() * this.volumeController.getAmbientVolume(),
+        ...options.ambient
+      } : null
+    });
+
+    return toWavBlob(rendered);
+  }
+
+  /**
+   * Apply the bell models, reverb room and ambient layer saved in preferences
+   * A model that no longer validates leaves its bell built-in; an unknown
+   * room leaves the bells dry, and an unknown layer leaves sessions quiet
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _applySoundPreferences() {
+    const models = await preferencesStore.get('audio.bellModels');
+    const room = await preferencesStore.get('audio.reverb');
+    const ambientLayer = await preferencesStore.get('audio.ambientLayer');
+    const ambientVolume = await preferencesStore.get('audio.ambientVolume');
+
+    Object.values(BELL_TYPES).forEach(bellType => {
       try {
-        await this.playBell(bellType);
+        this.setBellModel(bellType, models?.[bellType] || null);
       } catch (error) {
-        console.error('Error playing bell on timer complete:', error);
+        console.warn(`Ignoring saved ${bellType} bell model:`, error.message);
       }
     });
 
-    this.cleanupHandlers.push(unsubTimerComplete);
+    try {
+      this.setReverb(room || REVERB_ROOMS.NONE);
+    } catch (error) {
+      console.warn('Ignoring saved reverb room:', error.message);
+    }
+
+    try {
+      this.setAmbientLayer(ambientLayer || AMBIENT_LAYERS.NONE);
+    } catch (error) {
+      console.warn('Ignoring saved ambient layer:', error.message);
+    }
+
+    if (typeof ambientVolume === 'number') {
+      this.setAmbientVolume(ambientVolume);
+    }
   }
 
   /**
@@ -304,6 +711,12 @@ export class AudioSystem {
       this.scheduler = null;
     }
 
+    if (this.ambientPlayer) {
+      this.ambientPlayer.cleanup();
+      this.ambientPlayer = null;
+    }
+    this.sessionRunning = false;
+
     this.volumeController = null;
 
     audioPreloader.cleanup();
@@ -0,0 +1,436 @@
+/**
+ * Bell Library - The user's own bell recordings and the mode slots they fill
+ * @module audio/BellLibrary
+ */
+
+import { eventBus } from '../core/EventBus.js';
+import { EVENTS, BELL_TYPES, SOUND_LIBRARY } from '../config/constants.js';
+import { audioContextManager } from './AudioContextManager.js';
+import { soundStore } from '../storage/SoundStore.js';
+import { preferencesStore } from '../storage/PreferencesStore.js';
+import { validateSoundFile, validateSoundSettings, validateTimerMode, sanitizeInput } from '../utils/validation.js';
+
+/**
+ * Trim a recording and bring its loudest sample to a peak level
+ * A short fade is laid over each cut so the sound doesn't start or stop
+ * with a click
+ * @param {Array<Float32Array>} channels - Samples of each channel
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} [settings={}] - {trimStart, trimEnd, peakDb}
+ * @param {number} [settings.trimStart=0] - Seconds cut from the start
+ * @param {number|null} [settings.trimEnd=null] - Where the kept sound ends in seconds (null = end)
+ * @param {number|null} [settings.peakDb=null] - Peak level in dBFS (null = leave the level as recorded)
+ * @returns {Object} {channels, peak, gain} - New samples, their peak before gain, and the gain applied
+ *
+ * @example
+ * const { channels } = processSound([samples], 48000, { trimStart: 0.25, peakDb: -1 });
+ */
+export function processSound(channels, sampleRate, settings = {}) {
+  const { trimStart = 0, trimEnd = null, peakDb = null } = settings;
+  const length = channels[0]?.length || 0;
+
+  const start = Math.min(length, Math.max(0, Math.round(trimStart * sampleRate)));
+  const end = trimEnd === null
+    ? length
+    : Math.min(length, Math.max(start, Math.round(trimEnd * sampleRate)));
+
+  const trimmed = channels.map(samples => samples.slice(start, end));
+
+  let peak = 0;
+  trimmed.forEach(samples => {
+    for (let i = 0; i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+  });
+
+  const gain = peakDb === null || peak === 0 ? 1 : Math.pow(10, peakDb / 20) / peak;
+  const fadeLength = Math.min(Math.round(SOUND_LIBRARY.TRIM_FADE * sampleRate), Math.floor((end - start) / 2));
+
+  trimmed.forEach(samples => {
+    if (gain !== 1) {
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] *= gain;
+      }
+    }
+
+    for (let i = 0; i < fadeLength; i++) {
+      const ramp = i / fadeLength;
+      if (start > 0) {
+        samples[i] *= ramp;
+      }
+      if (end < length) {
+        samples[samples.length - 1 - i] *= ramp;
+      }
+    }
+  });
+
+  return { channels: trimmed, peak, gain };
+}
+
+/**
+ * Library of imported bell recordings
+ * Any sound can fill a mode's big or small slot; a slot left empty keeps
+ * the synthesized bell
+ */
+export class BellLibrary {
+  /**
+   * Create a BellLibrary
+   */
+  constructor() {
+    /** @private {Object} Sound IDs by mode and bell type {periodic: {big, small}} */
+    this.assignments = {};
+
+    /** @private {Map<string, Promise<AudioBuffer>>} Trimmed, normalized sounds by ID */
+    this.bufferCache = new Map();
+
+    /** @private {Promise<void>|null} */
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the library and the slot assignments
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._load();
+    return this.loadPromise;
+  }
+
+  /**
+   * Load assignments from preferences
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _load() {
+    try {
+      const stored = await preferencesStore.get('audio.bellSounds');
+      this.assignments = stored ? JSON.parse(JSON.stringify(stored)) : {};
+    } catch (error) {
+      console.error('Failed to load bell sound assignments:', error);
+      this.assignments = {};
+    }
+
+    await soundStore.initialize();
+  }
+
+  /**
+   * List the library's sounds, without their recordings
+   * @returns {Promise<Array<Object>>} Sounds {id, name, fileName, duration, trimStart, trimEnd, peakDb, ...}
+   */
+  async list() {
+    await this.initialize();
+    const sounds = await soundStore.getAllSounds();
+    return sounds.map(sound => this._describe(sound));
+  }
+
+  /**
+   * Import a recording into the library
+   * Recordings longer than SOUND_LIBRARY.MAX_DURATION are cut to that
+   * length unless a trim end is given
+   * @param {File} file - wav, mp3 or ogg file
+   * @param {Object} [settings={}] - {name, trimStart, trimEnd, peakDb}; the name defaults to the file's
+   * @returns {Promise<Object>} The new sound, without its recording
+   * @throws {Error} If the file or settings are invalid, or the file cannot be decoded
+   */
+  async importSound(file, settings = {}) {
+    const fileValidation = validateSoundFile(file);
+    if (!fileValidation.valid) {
+      throw new Error(`Invalid sound file: ${fileValidation.errors.join(', ')}`);
+    }
+
+    await this.initialize();
+
+    const data = await file.arrayBuffer();
+    let decoded;
+    try {
+      decoded = await this._decode(data);
+    } catch (error) {
+      throw new Error(`Invalid sound file: ${file.name} could not be decoded`);
+    }
+
+    const trimStart = settings.trimStart ?? 0;
+    const soundSettings = {
+      name: sanitizeInput(settings.name ?? file.name.replace(/\.[^.]+$/, ''), SOUND_LIBRARY.MAX_NAME_LENGTH),
+      trimStart,
+      trimEnd: settings.trimEnd !== undefined
+        ? settings.trimEnd
+        : (decoded.duration - trimStart > SOUND_LIBRARY.MAX_DURATION ? trimStart + SOUND_LIBRARY.MAX_DURATION : null),
+      peakDb: settings.peakDb !== undefined ? settings.peakDb : SOUND_LIBRARY.DEFAULT_PEAK_DB
+    };
+
+    const validation = validateSoundSettings(soundSettings, decoded.duration);
+    if (!validation.valid) {
+      throw new Error(`Invalid sound settings: ${validation.errors.join(', ')}`);
+    }
+
+    const sound = await soundStore.createSound({
+      ...soundSettings,
+      fileName: file.name,
+      type: file.type,
+      data,
+      size: file.size,
+      duration: decoded.duration
+    });
+
+    this.bufferCache.set(sound.id, Promise.resolve(this._process(decoded, sound)));
+
+    eventBus.dispatch(EVENTS.SOUND_LIBRARY_CHANGED, { action: 'added', id: sound.id });
+
+    return this._describe(sound);
+  }
+
+  /**
+   * Rename a sound or change its trim and normalization
+   * @param {string} id - Sound ID
+   * @param {Object} changes - Any of {name, trimStart, trimEnd, peakDb}
+   * @returns {Promise<Object>} The updated sound, without its recording
+   * @throws {Error} If the sound does not exist or the settings are invalid
+   */
+  async updateSound(id, changes) {
+    await this.initialize();
+
+    const sound = await soundStore.getSound(id);
+    if (!sound) {
+      throw new Error(`Sound not found: ${id}`);
+    }
+
+    const updates = {};
+    ['name', 'trimStart', 'trimEnd', 'peakDb'].forEach(field => {
+      if (changes[field] !== undefined) {
+        updates[field] = field === 'name'
+          ? sanitizeInput(changes.name, SOUND_LIBRARY.MAX_NAME_LENGTH)
+          : changes[field];
+      }
+    });
+
+    const validation = validateSoundSettings({
+      trimStart: sound.trimStart,
+      trimEnd: sound.trimEnd,
+      peakDb: sound.peakDb,
+      ...updates
+    }, sound.duration);
+    if (!validation.valid) {
+      throw new Error(`Invalid sound settings: ${validation.errors.join(', ')}`);
+    }
+
+    const updated = await soundStore.updateSound(id, updates);
+    this.bufferCache.delete(id);
+
+    eventBus.dispatch(EVENTS.SOUND_LIBRARY_CHANGED, { action: 'updated', id });
+
+    return this._describe(updated);
+  }
+
+  /**
+   * Remove a sound; the slots it filled go back to the synthesized bell
+   * @param {string} id - Sound ID
+   * @returns {Promise<void>}
+   */
+  async removeSound(id) {
+    await this.initialize();
+
+    await soundStore.deleteSound(id);
+    this.bufferCache.delete(id);
+
+    let changed = false;
+    Object.values(this.assignments).forEach(slots => {
+      Object.keys(slots).forEach(bellType => {
+        if (slots[bellType] === id) {
+          slots[bellType] = null;
+          changed = true;
+        }
+      });
+    });
+
+    if (changed) {
+      await this._saveAssignments();
+    }
+
+    eventBus.dispatch(EVENTS.SOUND_LIBRARY_CHANGED, { action: 'removed', id });
+  }
+
+  /**
+   * Put a sound in a mode's big or small slot
+   * @param {string} mode - Timer mode
+   * @param {string} bellType - 'big' or 'small'
+   * @param {string|null} soundId - Library sound, or null for the synthesized bell
+   * @returns {Promise<void>}
+   * @throws {Error} If the mode, bell type or sound is unknown
+   */
+  async assign(mode, bellType, soundId) {
+    await this.initialize();
+
+    const modeValidation = validateTimerMode(mode);
+    if (!modeValidation.valid) {
+      throw new Error(`Invalid mode: ${modeValidation.errors.join(', ')}`);
+    }
+
+    if (bellType !== BELL_TYPES.BIG && bellType !== BELL_TYPES.SMALL) {
+      throw new Error(`Invalid bell type: ${bellType}. Must be one of: ${BELL_TYPES.BIG}, ${BELL_TYPES.SMALL}`);
+    }
+
+    if (soundId !== null && !(await soundStore.getSound(soundId))) {
+      throw new Error(`Sound not found: ${soundId}`);
+    }
+
+    this.assignments = {
+      ...this.assignments,
+      [mode]: { ...this.assignments[mode], [bellType]: soundId }
+    };
+    await this._saveAssignments();
+
+    eventBus.dispatch(EVENTS.SOUND_LIBRARY_CHANGED, { action: 'assigned', id: soundId });
+  }
+
+  /**
+   * Get the sound in a mode's slot
+   * @param {string} mode - Timer mode
+   * @param {string} bellType - 'big' or 'small'
+   * @returns {string|null} Sound ID, or null for the synthesized bell
+   */
+  getAssignment(mode, bellType) {
+    return this.assignments[mode]?.[bellType] || null;
+  }
+
+  /**
+   * Get every slot assignment
+   * @returns {Object} Sound IDs by mode and bell type
+   */
+  getAssignments() {
+    return JSON.parse(JSON.stringify(this.assignments));
+  }
+
+  /**
+   * Get a sound, trimmed and normalized, ready to play
+   * @param {string} id - Sound ID
+   * @returns {Promise<AudioBuffer>}
+   * @throws {Error} If the sound does not exist or cannot be decoded
+   */
+  async getBuffer(id) {
+    if (!this.bufferCache.has(id)) {
+      const loading = this._loadBuffer(id);
+      this.bufferCache.set(id, loading);
+      loading.catch(() => this.bufferCache.delete(id));
+    }
+
+    return this.bufferCache.get(id);
+  }
+
+  /**
+   * Get the recording to play for a mode's bell
+   * A sound that can no longer be loaded leaves the synthesized bell to ring
+   * @param {string} mode - Timer mode
+   * @param {string} bellType - 'big' or 'small'
+   * @returns {Promise<AudioBuffer|null>} Recording, or null for the synthesized bell
+   */
+  async getSlotBuffer(mode, bellType) {
+    await this.initialize();
+
+    const id = this.getAssignment(mode, bellType);
+    if (!id) {
+      return null;
+    }
+
+    try {
+      return await this.getBuffer(id);
+    } catch (error) {
+      console.warn(`Library sound for the ${mode} ${bellType} bell is unavailable:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Decode the sounds that fill slots, so the first bell doesn't wait for them
+   * @returns {Promise<void>}
+   */
+  async preloadAssigned() {
+    await this.initialize();
+
+    const ids = new Set();
+    Object.values(this.assignments).forEach(slots => {
+      Object.values(slots).forEach(id => id && ids.add(id));
+    });
+
+    await Promise.all([...ids].map(id => this.getBuffer(id).catch(error => {
+      console.warn(`Failed to preload library sound ${id}:`, error.message);
+    })));
+  }
+
+  /**
+   * Decode and process a stored sound
+   * @private
+   * @param {string} id - Sound ID
+   * @returns {Promise<AudioBuffer>}
+   */
+  async _loadBuffer(id) {
+    const sound = await soundStore.getSound(id);
+    if (!sound) {
+      throw new Error(`Sound not found: ${id}`);
+    }
+
+    const decoded = await this._decode(sound.data);
+    return this._process(decoded, sound);
+  }
+
+  /**
+   * Decode an encoded recording
+   * decodeAudioData detaches the buffer it is given, so it gets a copy
+   * @private
+   * @param {ArrayBuffer} data - Encoded recording
+   * @returns {Promise<AudioBuffer>}
+   */
+  async _decode(data) {
+    const context = audioContextManager.getContext() || await audioContextManager.initialize();
+    return context.decodeAudioData(data.slice(0));
+  }
+
+  /**
+   * Apply a sound's trim and normalization to its decoded recording
+   * @private
+   * @param {AudioBuffer} decoded - Whole recording
+   * @param {Object} sound - {trimStart, trimEnd, peakDb}
+   * @returns {AudioBuffer}
+   */
+  _process(decoded, sound) {
+    const channels = [];
+    for (let i = 0; i < decoded.numberOfChannels; i++) {
+      channels.push(decoded.getChannelData(i));
+    }
+
+    const processed = processSound(channels, decoded.sampleRate, sound);
+    const length = Math.max(1, processed.channels[0].length);
+
+    const context = audioContextManager.getContext();
+    const buffer = context.createBuffer(channels.length, length, decoded.sampleRate);
+    processed.channels.forEach((samples, i) => buffer.copyToChannel(samples, i));
+
+    return buffer;
+  }
+
+  /**
+   * Describe a sound without its recording
+   * @private
+   * @param {Object} sound - Stored sound
+   * @returns {Object}
+   */
+  _describe(sound) {
+    const { data, ...info } = sound;
+    return info;
+  }
+
+  /**
+   * Save the slot assignments to preferences
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _saveAssignments() {
+    await preferencesStore.set('audio.bellSounds', this.getAssignments());
+  }
+}
+
+// Export singleton instance
+export const bellLibrary = new BellLibrary();
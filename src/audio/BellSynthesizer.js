@@ -1,14 +1,74 @@
 /**
  * Bell Sound Synthesizer - Creates realistic meditation bell sounds
- * Uses Web Audio API to synthesize Big Bell and Small Bell sounds
+ * Uses Web Audio API to synthesize bells from modal models
+ * Bells are dry; the room they ring in is AudioContextManager's reverb
  * @module audio/BellSynthesizer
  */
 
 import { BELL_PARAMS, BELL_TYPES } from '../config/constants.js';
 
+/**
+ * How the strike excites the bell
+ * @constant
+ */
+const STRIKE = {
+  MAX_ATTACK: 0.04,             // Attack of the softest strike (seconds)
+  MIN_ATTACK: 0.001,            // Attack of the hardest strike (seconds)
+  ROLLOFF: 1.5,                 // How steeply a soft strike leaves the upper partials quiet
+  NOISE_LEVEL: 0.3,             // Level of the strike's click at full hardness
+  NOISE_LENGTH: 0.03            // Length of the click (seconds)
+};
+
+/** @type {Object<string, Object>} Bell model each bell type rings with, shared by every synthesizer */
+const models = {
+  [BELL_TYPES.BIG]: BELL_PARAMS.BIG_BELL,
+  [BELL_TYPES.SMALL]: BELL_PARAMS.SMALL_BELL
+};
+
+/**
+ * Work out what a strike on a bell model sounds
+ * Each partial rings at its ratio of the fundamental, detuned in cents; a
+ * partial that beats is split into two sines the beat apart. A soft strike
+ * attacks slowly and leaves the partials above the fundamental quieter; a
+ * hard one attacks at once and adds a click
+ * @param {Object} model - Bell model, as BELL_PARAMS.BIG_BELL
+ * @param {number} [sampleRate=Infinity] - Sines at or above half this rate are left out
+ * @returns {Object} {attack, noiseLevel, voices} - voices are {partial, frequency, level, decay}
+ *
+ * @example
+ * const { voices } = modalStrike(BELL_PARAMS.SMALL_BELL, 48000);
+ */
+export function modalStrike(model, sampleRate = Infinity) {
+  const hardness = model.hardness ?? 0.5;
+  const voices = [];
+
+  model.partials.forEach((partial, index) => {
+    const frequency = model.fundamentalFreq * partial.ratio * Math.pow(2, (partial.detune || 0) / 1200);
+    const level = partial.gain * Math.pow(Math.max(1, partial.ratio), -(1 - hardness) * STRIKE.ROLLOFF);
+    const offsets = partial.beat > 0 ? [-partial.beat / 2, partial.beat / 2] : [0];
+
+    offsets.forEach(offset => {
+      if (frequency + offset > 0 && frequency + offset < sampleRate / 2) {
+        voices.push({
+          partial: index,
+          frequency: frequency + offset,
+          level: level / offsets.length,
+          decay: partial.decay
+        });
+      }
+    });
+  });
+
+  return {
+    attack: STRIKE.MAX_ATTACK + (STRIKE.MIN_ATTACK - STRIKE.MAX_ATTACK) * hardness,
+    noiseLevel: STRIKE.NOISE_LEVEL * hardness * hardness,
+    voices
+  };
+}
+
 /**
  * Synthesizes realistic meditation bell sounds using Web Audio API
- * Creates complex tones with harmonics, ADSR envelopes, and reverb
+ * Rings each partial of a modal bell model with its own decay and beating
  */
 export class BellSynthesizer {
   /**
@@ -22,6 +82,29 @@ export class BellSynthesizer {
 
     /** @private {AudioContext} */
     this.context = audioContext;
+
+    /** @private {AudioBuffer|null} Click of a hard strike, made on first use */
+    this.noiseBuffer = null;
+  }
+
+  /**
+   * Ring a bell type with another model, or its own again
+   * Applies to every synthesizer, including ones already created
+   * @param {string} bellType - 'big' or 'small'
+   * @param {Object|null} model - Bell model, or null for the BELL_PARAMS default
+   */
+  static setModel(bellType, model) {
+    const fallback = bellType === BELL_TYPES.BIG ? BELL_PARAMS.BIG_BELL : BELL_PARAMS.SMALL_BELL;
+    models[bellType] = model || fallback;
+  }
+
+  /**
+   * Get the model a bell type rings with
+   * @param {string} bellType - 'big' or 'small'
+   * @returns {Object} Bell model
+   */
+  static getModel(bellType) {
+    return models[bellType] || models[BELL_TYPES.BIG];
   }
 
   /**
@@ -31,7 +114,7 @@ export class BellSynthesizer {
    * @returns {Object} Bell sound object with oscillators, gain, and duration
    */
   createBigBell(startTime = 0, destination = null) {
-    return this._createBell(BELL_PARAMS.BIG_BELL, startTime, destination);
+    return this._createBell(BellSynthesizer.getModel(BELL_TYPES.BIG), startTime, destination, BELL_TYPES.BIG);
   }
 
   /**
@@ -41,175 +124,164 @@ export class BellSynthesizer {
    * @returns {Object} Bell sound object with oscillators, gain, and duration
    */
   createSmallBell(startTime = 0, destination = null) {
-    return this._createBell(BELL_PARAMS.SMALL_BELL, startTime, destination);
+    return this._createBell(BellSynthesizer.getModel(BELL_TYPES.SMALL), startTime, destination, BELL_TYPES.SMALL);
+  }
+
+  /**
+   * Create a bell sound from any bell model, e.g. one being designed
+   * @param {Object} model - Bell model, as BELL_PARAMS.BIG_BELL
+   * @param {number} [startTime=0] - When to start playing (AudioContext.currentTime)
+   * @param {GainNode} [destination=null] - Destination node (defaults to context.destination)
+   * @returns {Object} Bell sound object with oscillators, gain, and duration
+   */
+  createBell(model, startTime = 0, destination = null) {
+    return this._createBell(model, startTime, destination, 'custom');
+  }
+
+  /**
+   * Create a bell sound from a recording, such as a bell library sound
+   * The returned object works with stop() and cleanup() like a synthesized bell
+   * @param {AudioBuffer} buffer - Recording to play
+   * @param {number} [startTime=0] - When to start playing (AudioContext.currentTime)
+   * @param {GainNode} [destination=null] - Destination node (defaults to context.destination)
+   * @returns {Object} Bell sound object with the buffer source, gain, and duration
+   */
+  createSampleBell(buffer, startTime = 0, destination = null) {
+    const actualStartTime = startTime || this.context.currentTime;
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+
+    const masterGain = this.context.createGain();
+    masterGain.gain.setValueAtTime(1.0, actualStartTime);
+
+    source.connect(masterGain);
+    masterGain.connect(destination || this.context.destination);
+    source.start(actualStartTime);
+
+    return {
+      type: 'sample',
+      oscillators: [source],
+      gainNodes: [],
+      filters: [],
+      masterGain,
+      duration: buffer.duration,
+      startTime: actualStartTime,
+      endTime: actualStartTime + buffer.duration
+    };
   }
 
   /**
-   * Create a bell sound with specified parameters
+   * Create a bell sound from a bell model
    * @private
-   * @param {Object} params - Bell parameters from BELL_PARAMS
+   * @param {Object} model - Bell model
    * @param {number} startTime - When to start (AudioContext.currentTime)
    * @param {GainNode|null} destination - Destination node
+   * @param {string} type - Bell type the sound is for
    * @returns {Object} Bell sound object
    */
-  _createBell(params, startTime, destination) {
-    const {
-      fundamentalFreq,
-      duration,
-      harmonics,
-      gains,
-      attack,
-      decay,
-      sustain,
-      release,
-      reverbMix,
-      reverbTime
-    } = params;
+  _createBell(model, startTime, destination, type) {
+    const { fundamentalFreq, duration, hardness = 0.5 } = model;
 
     const actualStartTime = startTime || this.context.currentTime;
     const dest = destination || this.context.destination;
+    const { attack, noiseLevel, voices } = modalStrike(model, this.context.sampleRate);
 
     // Create master gain for this bell
     const masterGain = this.context.createGain();
-    masterGain.gain.setValueAtTime(0, actualStartTime);
+    masterGain.gain.setValueAtTime(1.0, actualStartTime);
     
     // Arrays to track all audio nodes for cleanup
     const oscillators = [];
     const gainNodes = [];
     const filters = [];
 
-    // Create oscillators for each harmonic
-    harmonics.forEach((harmonic, index) => {
+    // One sine per mode, decaying on its own
+    voices.forEach(voice => {
       const osc = this.context.createOscillator();
       const gain = this.context.createGain();
-      const filter = this.context.createBiquadFilter();
 
-      // Set oscillator frequency and type
       osc.type = 'sine';
-      osc.frequency.setValueAtTime(
-        fundamentalFreq * harmonic,
-        actualStartTime
-      );
+      osc.frequency.setValueAtTime(voice.frequency, actualStartTime);
 
-      // Add subtle frequency vibrato for realism
-      const lfo = this.context.createOscillator();
-      const lfoGain = this.context.createGain();
-      lfo.frequency.setValueAtTime(4.5, actualStartTime);
-      lfoGain.gain.setValueAtTime(0.5, actualStartTime);
-      lfo.connect(lfoGain);
-      lfoGain.connect(osc.frequency);
-      lfo.start(actualStartTime);
-      lfo.stop(actualStartTime + duration);
-
-      // Configure low-pass filter for warmth
-      filter.type = 'lowpass';
-      filter.frequency.setValueAtTime(
-        fundamentalFreq * harmonic * 2,
-        actualStartTime
-      );
-      filter.Q.setValueAtTime(1.0, actualStartTime);
-
-      // ADSR envelope for this harmonic
-      const harmonicGain = gains[index] || 0.1;
-      
-      // Attack
+      // Strike, then an exponential decay reaching -60 dB after voice.decay
       gain.gain.setValueAtTime(0, actualStartTime);
-      gain.gain.linearRampToValueAtTime(
-        harmonicGain,
-        actualStartTime + attack
-      );
-
-      // Decay
-      gain.gain.exponentialRampToValueAtTime(
-        harmonicGain * sustain,
-        actualStartTime + attack + decay
-      );
-
-      // Sustain (hold at sustain level)
-      gain.gain.exponentialRampToValueAtTime(
-        harmonicGain * sustain * 0.5,
-        actualStartTime + duration * 0.5
-      );
+      gain.gain.linearRampToValueAtTime(voice.level, actualStartTime + attack);
+      gain.gain.setTargetAtTime(0, actualStartTime + attack, voice.decay / Math.log(1000));
 
-      // Release (long decay tail)
-      gain.gain.exponentialRampToValueAtTime(
-        0.0001, // exponentialRamp needs value > 0
-        actualStartTime + duration
-      );
-
-      // Connect audio graph: oscillator -> filter -> gain -> master
-      osc.connect(filter);
-      filter.connect(gain);
+      osc.connect(gain);
       gain.connect(masterGain);
 
-      // Start and stop the oscillator
       osc.start(actualStartTime);
       osc.stop(actualStartTime + duration);
 
-      // Track nodes for cleanup
       oscillators.push(osc);
       gainNodes.push(gain);
-      filters.push(filter);
     });
 
-    // Create reverb effect using delay network
-    const reverbGain = this.context.createGain();
-    reverbGain.gain.setValueAtTime(reverbMix, actualStartTime);
+    // The click of a hard striker, brighter the harder it is
+    if (noiseLevel > 0) {
+      const noise = this.context.createBufferSource();
+      const filter = this.context.createBiquadFilter();
+      const gain = this.context.createGain();
 
-    const delay1 = this.context.createDelay(5.0);
-    const delay2 = this.context.createDelay(5.0);
-    const delay3 = this.context.createDelay(5.0);
-    
-    delay1.delayTime.setValueAtTime(reverbTime, actualStartTime);
-    delay2.delayTime.setValueAtTime(reverbTime * 1.41, actualStartTime);
-    delay3.delayTime.setValueAtTime(reverbTime * 1.73, actualStartTime);
+      noise.buffer = this._strikeNoise();
+      filter.type = 'bandpass';
+      filter.frequency.setValueAtTime(
+        Math.min(fundamentalFreq * (2 + 6 * hardness), this.context.sampleRate / 2 - 1),
+        actualStartTime
+      );
+      filter.Q.setValueAtTime(1.0, actualStartTime);
+      gain.gain.setValueAtTime(noiseLevel, actualStartTime);
 
-    const feedback1 = this.context.createGain();
-    const feedback2 = this.context.createGain();
-    const feedback3 = this.context.createGain();
-    
-    feedback1.gain.setValueAtTime(0.4, actualStartTime);
-    feedback2.gain.setValueAtTime(0.37, actualStartTime);
-    feedback3.gain.setValueAtTime(0.33, actualStartTime);
-
-    // Connect reverb network
-    masterGain.connect(delay1);
-    delay1.connect(feedback1);
-    feedback1.connect(delay1); // Feedback loop
-    delay1.connect(delay2);
-    delay2.connect(feedback2);
-    feedback2.connect(delay2); // Feedback loop
-    delay2.connect(delay3);
-    delay3.connect(feedback3);
-    feedback3.connect(delay3); // Feedback loop
-    
-    // Mix reverb with dry signal
-    masterGain.connect(reverbGain);
-    delay1.connect(reverbGain);
-    delay2.connect(reverbGain);
-    delay3.connect(reverbGain);
-    
-    reverbGain.connect(dest);
+      noise.connect(filter);
+      filter.connect(gain);
+      gain.connect(masterGain);
+      noise.start(actualStartTime);
 
-    // Apply overall envelope to master gain
-    masterGain.gain.linearRampToValueAtTime(1.0, actualStartTime + attack);
-    masterGain.gain.exponentialRampToValueAtTime(0.0001, actualStartTime + duration);
+      oscillators.push(noise);
+      gainNodes.push(gain);
+      filters.push(filter);
+    }
+
+    masterGain.connect(dest);
+
+    // Fade out whatever still rings when the bell's time is up
+    const fade = Math.min(0.05, duration / 2);
+    masterGain.gain.setValueAtTime(1.0, actualStartTime + duration - fade);
+    masterGain.gain.linearRampToValueAtTime(0, actualStartTime + duration);
 
     return {
-      type: params === BELL_PARAMS.BIG_BELL ? BELL_TYPES.BIG : BELL_TYPES.SMALL,
+      type,
       oscillators,
       gainNodes,
       filters,
       masterGain,
-      reverbGain,
-      delays: [delay1, delay2, delay3],
-      feedbacks: [feedback1, feedback2, feedback3],
       duration,
       startTime: actualStartTime,
       endTime: actualStartTime + duration
     };
   }
 
+  /**
+   * Get the click of a hard strike: a short burst of decaying noise
+   * @private
+   * @returns {AudioBuffer}
+   */
+  _strikeNoise() {
+    if (!this.noiseBuffer) {
+      const length = Math.max(1, Math.round(STRIKE.NOISE_LENGTH * this.context.sampleRate));
+      this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+
+      const samples = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < length; i++) {
+        samples[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2);
+      }
+    }
+
+    return this.noiseBuffer;
+  }
+
   /**
    * Stop a bell sound immediately
    * @param {Object} bellSound - Bell sound object from createBigBell/createSmallBell
@@ -247,14 +319,12 @@ export class BellSynthesizer {
    * @returns {Promise<AudioBuffer>}
    */
   async renderToBuffer(bellType) {
-    const params = bellType === BELL_TYPES.BIG 
-      ? BELL_PARAMS.BIG_BELL 
-      : BELL_PARAMS.SMALL_BELL;
+    const model = BellSynthesizer.getModel(bellType);
 
     // Create offline context for rendering
     const offlineContext = new OfflineAudioContext(
       2, // stereo
-      params.duration * this.context.sampleRate,
+      model.duration * this.context.sampleRate,
       this.context.sampleRate
     );
 
@@ -287,10 +357,7 @@ export class BellSynthesizer {
       ...bellSound.oscillators,
       ...bellSound.gainNodes,
       ...bellSound.filters,
-      ...bellSound.delays,
-      ...bellSound.feedbacks,
-      bellSound.masterGain,
-      bellSound.reverbGain
+      bellSound.masterGain
     ].forEach(node => {
       if (node) {
         try {
@@ -0,0 +1,73 @@
+/**
+ * Reverb - Procedural impulse responses for the bells' room
+ * @module audio/Reverb
+ */
+
+import { REVERB_PRESETS } from '../config/constants.js';
+import { createSeededRandom } from '../utils/random.js';
+
+/**
+ * Generate the samples of a room's impulse response
+ * Each channel is its own run of noise, so the tail is wide rather than
+ * centred. The noise is seeded with the room's name, so a room sounds the
+ * same every time it is built
+ * @param {Object} preset - Room, as REVERB_PRESETS['zendo-hall']
+ * @param {number} sampleRate - Samples per second
+ * @param {Function} [random] - Random number generator (defaults to one seeded with the room's name)
+ * @returns {Array<Float32Array>} Left and right channels
+ *
+ * @example
+ * const [left, right] = impulseResponse(REVERB_PRESETS['small-room'], 48000);
+ */
+export function impulseResponse(preset, sampleRate, random = createSeededRandom(preset.name)) {
+  const preDelay = Math.round(preset.preDelay * sampleRate);
+  const length = preDelay + Math.max(1, Math.round(preset.decay * sampleRate));
+  const channels = [new Float32Array(length), new Float32Array(length)];
+
+  channels.forEach((samples, channel) => {
+    let lowpassed = 0;
+
+    for (let i = preDelay; i < length; i++) {
+      const progress = (i - preDelay) / (length - preDelay);
+
+      // -60 dB at the end of the tail, with the lowpass closing as it goes
+      const envelope = Math.pow(1000, -progress);
+      const cutoff = preset.startCutoff * Math.pow(preset.endCutoff / preset.startCutoff, progress);
+      const coefficient = 1 - Math.exp(-2 * Math.PI * Math.min(cutoff, sampleRate / 2) / sampleRate);
+
+      lowpassed += coefficient * ((random() * 2 - 1) - lowpassed);
+      samples[i] = lowpassed * envelope;
+    }
+
+    // Early reflections, a little apart in each ear
+    (preset.reflections || []).forEach(({ time, gain }, index) => {
+      const offset = channel === index % 2 ? 0 : 0.0007;
+      const at = Math.round((time + offset) * sampleRate);
+      if (at < length) {
+        samples[at] += channel === 0 ? gain : -gain;
+      }
+    });
+  });
+
+  return channels;
+}
+
+/**
+ * Build a room's impulse response as an AudioBuffer for a ConvolverNode
+ * @param {BaseAudioContext} context - Audio context
+ * @param {string} room - REVERB_ROOMS value
+ * @returns {AudioBuffer}
+ * @throws {Error} If the room is unknown
+ */
+export function createImpulseResponse(context, room) {
+  const preset = REVERB_PRESETS[room];
+  if (!preset) {
+    throw new Error(`Unknown reverb room: ${room}`);
+  }
+
+  const channels = impulseResponse(preset, context.sampleRate);
+  const buffer = context.createBuffer(channels.length, channels[0].length, context.sampleRate);
+  channels.forEach((samples, channel) => buffer.copyToChannel(samples, channel));
+
+  return buffer;
+}
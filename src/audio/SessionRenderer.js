@@ -0,0 +1,146 @@
+/**
+ * Session Renderer - Render a planned session offline, ready to save as WAV
+ * @module audio/SessionRenderer
+ */
+
+import { BellSynthesizer } from './BellSynthesizer.js';
+import { createImpulseResponse } from './Reverb.js';
+import { createAmbientLayer, scheduleDuck } from './Ambience.js';
+import { BELL_TYPES, REVERB_ROOMS, REVERB_PRESETS, SESSION_RENDER } from '../config/constants.js';
+import { toSequence } from '../utils/bells.js';
+import { encodeWav } from '../utils/wav.js';
+
+/**
+ * List every strike of a plan with its time in seconds
+ * @param {Object} plan - Plan from planSession()
+ * @returns {Array<Object>} Strikes {bellType, time}
+ */
+export function planStrikes(plan) {
+  return plan.bells.flatMap(bell => toSequence(bell.pattern).map(({ bellType, delayMs }) => ({
+    bellType,
+    time: (bell.offset + delayMs) / 1000
+  })));
+}
+
+/**
+ * Render a planned session
+ * The bells ring as they would live: the bell types' models or library
+ * recordings, at the given volumes, in the given room. The render runs the
+ * session's full length, and on until the last bell has rung out. An
+ * ambient bed, a recording or a generated layer, loops under the session,
+ * fading in at the start and out at the end and ducking under each bell
+ * @param {Object} plan - Plan from planSession()
+ * @param {Object} [options={}] - Render options
+ * @param {number} [options.sampleRate] - Samples per second (defaults to SESSION_RENDER.SAMPLE_RATE)
+ * @param {Object} [options.volumes={}] - Volume by bell type (defaults to 1)
+ * @param {Object} [options.buffers={}] - Recording by bell type, in place of the synthesized bell
+ * @param {string} [options.reverb] - REVERB_ROOMS value (defaults to none)
+ * @param {Object} [options.ambient=null] - Ambient bed {buffer, volume} or {layer, volume}, layer an AMBIENT_LAYERS value
+ * @returns {Promise<AudioBuffer>} Rendered session
+ */
+export async function renderSession(plan, options = {}) {
+  const {
+    sampleRate = SESSION_RENDER.SAMPLE_RATE,
+    volumes = {},
+    buffers = {},
+    reverb = REVERB_ROOMS.NONE,
+    ambient = null
+  } = options;
+
+  const strikes = planStrikes(plan);
+  const sessionLength = plan.duration / 1000;
+  const ringOut = (strike) => buffers[strike.bellType]?.duration ?? BellSynthesizer.getModel(strike.bellType).duration;
+  const length = Math.max(sessionLength, ...strikes.map(strike => strike.time + ringOut(strike)));
+
+  const context = new OfflineAudioContext(
+    SESSION_RENDER.CHANNELS,
+    Math.ceil(length * sampleRate),
+    sampleRate
+  );
+
+  // The same effects bus the bells play through live
+  const effectsInput = context.createGain();
+  effectsInput.connect(context.destination);
+
+  if (reverb !== REVERB_ROOMS.NONE) {
+    const convolver = context.createConvolver();
+    const wetGain = context.createGain();
+
+    convolver.buffer = createImpulseResponse(context, reverb);
+    wetGain.gain.setValueAtTime(REVERB_PRESETS[reverb].wet, 0);
+
+    effectsInput.connect(convolver);
+    convolver.connect(wetGain);
+    wetGain.connect(context.destination);
+  }
+
+  // One volume per bell type, as the live player and scheduler have
+  const bellGains = {};
+  Object.values(BELL_TYPES).forEach(bellType => {
+    bellGains[bellType] = context.createGain();
+    bellGains[bellType].gain.setValueAtTime(volumes[bellType] ?? 1, 0);
+    bellGains[bellType].connect(effectsInput);
+  });
+
+  const synthesizer = new BellSynthesizer(context);
+  strikes.forEach(({ bellType, time }) => {
+    const destination = bellGains[bellType] || bellGains[BELL_TYPES.BIG];
+
+    if (buffers[bellType]) {
+      synthesizer.createSampleBell(buffers[bellType], time, destination);
+    } else if (bellType === BELL_TYPES.SMALL) {
+      synthesizer.createSmallBell(time, destination);
+    } else {
+      synthesizer.createBigBell(time, destination);
+    }
+  });
+
+  if (ambient?.buffer || ambient?.layer) {
+    const gain = context.createGain();
+    const duckGain = context.createGain();
+    const volume = ambient.volume ?? SESSION_RENDER.AMBIENT_VOLUME;
+    const fade = Math.min(SESSION_RENDER.AMBIENT_FADE, sessionLength / 2);
+    let output;
+    let sources;
+
+    if (ambient.buffer) {
+      const source = context.createBufferSource();
+      source.buffer = ambient.buffer;
+      source.loop = true;
+      output = source;
+      sources = [source];
+    } else {
+      ({ output, sources } = createAmbientLayer(context, ambient.layer));
+    }
+
+    gain.gain.setValueAtTime(0, 0);
+    gain.gain.linearRampToValueAtTime(volume, fade);
+    gain.gain.setValueAtTime(volume, sessionLength - fade);
+    gain.gain.linearRampToValueAtTime(0, sessionLength);
+
+    plan.bells.forEach(bell => {
+      const sequence = toSequence(bell.pattern);
+      scheduleDuck(duckGain.gain, bell.offset / 1000, sequence[sequence.length - 1].delayMs / 1000);
+    });
+
+    output.connect(gain);
+    gain.connect(duckGain);
+    duckGain.connect(context.destination);
+    sources.forEach(source => {
+      source.start(0);
+      source.stop(sessionLength);
+    });
+  }
+
+  return context.startRendering();
+}
+
+/**
+ * Encode a rendered session as a WAV file
+ * @param {AudioBuffer} buffer - Rendered session
+ * @returns {Blob} WAV file
+ */
+export function toWavBlob(buffer) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+  return new Blob([encodeWav(channels, buffer.sampleRate, SESSION_RENDER.BIT_DEPTH)], { type: 'audio/wav' });
+}
@@ -1,11 +1,12 @@
 /**
  * Volume Controller - Manages volume with smooth transitions
- * Provides master volume, per-bell-type volume, and mute functionality
+ * Provides master volume, per-bell-type volume, the ambient layer's volume,
+ * and mute functionality
  * @module audio/VolumeController
  */
 
 import { eventBus } from '../core/EventBus.js';
-import { EVENTS, BELL_TYPES } from '../config/constants.js';
+import { EVENTS, BELL_TYPES, AMBIENT } from '../config/constants.js';
 import { audioContextManager } from './AudioContextManager.js';
 
 /**
@@ -29,6 +30,9 @@ export class VolumeController {
       [BELL_TYPES.SMALL]: 0.8
     };
 
+    /** @private {number} Ambient layer volume (0.0 to 1.0) */
+    this.ambientVolume = AMBIENT.DEFAULT_VOLUME;
+
     /** @private {boolean} Whether audio is muted */
     this.isMuted = false;
 
@@ -99,6 +103,29 @@ export class VolumeController {
     return this.bellVolumes[bellType] || 0.8;
   }
 
+  /**
+   * Set volume of the ambient layer
+   * Applied under the master volume, like the bells'
+   * @param {number} volume - Volume (0.0 to 1.0)
+   */
+  setAmbientVolume(volume) {
+    const clampedVolume = Math.max(0, Math.min(1, volume));
+    this.ambientVolume = clampedVolume;
+
+    eventBus.dispatch(EVENTS.VOLUME_CHANGE, {
+      type: 'ambient',
+      volume: clampedVolume
+    });
+  }
+
+  /**
+   * Get volume of the ambient layer
+   * @returns {number} Volume (0.0 to 1.0)
+   */
+  getAmbientVolume() {
+    return this.ambientVolume;
+  }
+
   /**
    * Get effective volume for a bell (master * bell-type * mute)
    * @param {string} bellType - 'big' or 'small'
@@ -269,6 +296,7 @@ export class VolumeController {
     this.masterVolume = defaults.master || 1.0;
     this.bellVolumes[BELL_TYPES.BIG] = defaults.bigBell || 0.8;
     this.bellVolumes[BELL_TYPES.SMALL] = defaults.smallBell || 0.8;
+    this.ambientVolume = defaults.ambient ?? AMBIENT.DEFAULT_VOLUME;
     this.isMuted = defaults.muted || false;
 
     audioContextManager.setMasterVolume(
@@ -280,6 +308,7 @@ export class VolumeController {
       type: 'reset',
       masterVolume: this.masterVolume,
       bellVolumes: { ...this.bellVolumes },
+      ambientVolume: this.ambientVolume,
       isMuted: this.isMuted
     });
   }
@@ -293,6 +322,7 @@ export class VolumeController {
       master: this.masterVolume,
       bigBell: this.bellVolumes[BELL_TYPES.BIG],
       smallBell: this.bellVolumes[BELL_TYPES.SMALL],
+      ambient: this.ambientVolume,
       isMuted: this.isMuted,
       defaultFadeDuration: this.defaultFadeDuration
     };
@@ -316,6 +346,10 @@ export class VolumeController {
       this.setBellVolume(BELL_TYPES.SMALL, settings.smallBell);
     }
 
+    if (settings.ambient !== undefined) {
+      this.setAmbientVolume(settings.ambient);
+    }
+
     if (settings.isMuted !== undefined && settings.isMuted !== this.isMuted) {
       this.toggleMute(fadeDuration);
     }
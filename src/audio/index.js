@@ -5,8 +5,13 @@
 
 export { audioContextManager, AudioContextManager } from './AudioContextManager.js';
 export { BellSynthesizer } from './BellSynthesizer.js';
+export { impulseResponse, createImpulseResponse } from './Reverb.js';
+export { renderSession, planStrikes, toWavBlob } from './SessionRenderer.js';
+export { noiseSamples, ambientLoop, createAmbientLayer, scheduleDuck } from './Ambience.js';
+export { AmbientPlayer } from './AmbientPlayer.js';
 export { AudioPlayer } from './AudioPlayer.js';
 export { AudioScheduler } from './AudioScheduler.js';
 export { VolumeController } from './VolumeController.js';
 export { audioPreloader, AudioPreloader } from './AudioPreloader.js';
+export { bellLibrary, BellLibrary, processSound } from './BellLibrary.js';
 export { audioSystem, AudioSystem } from './AudioSystem.js';
@@ -1,13 +1,16 @@
 /**
  * AudioControls Component
  * 
- * Controls for managing audio volume, muting, and bell previews.
+ * Controls for managing audio volume, muting, the room the bells ring in,
+ * the ambient layer played under sessions, and bell previews.
  * Configurable and accessible with visual feedback.
  */
 
+import { REVERB_ROOMS, REVERB_PRESETS, AMBIENT_LAYERS, AMBIENT_PRESETS } from '../config/constants.js';
+
 export class AudioControls extends HTMLElement {
   static get observedAttributes() {
-    return ['volume', 'muted'];
+    return ['volume', 'muted', 'reverb', 'ambient', 'ambient-volume'];
   }
 
   constructor() {
@@ -45,6 +48,25 @@ export class AudioControls extends HTMLElement {
         button.setAttribute('aria-pressed', String(isMuted));
         button.classList.toggle('active', isMuted);
       }
+    } else if (name === 'reverb') {
+      const select = this.shadowRoot.querySelector('#reverb-select');
+      if (select instanceof HTMLSelectElement) {
+        select.value = value || REVERB_ROOMS.NONE;
+      }
+    } else if (name === 'ambient') {
+      const select = this.shadowRoot.querySelector('#ambient-select');
+      if (select instanceof HTMLSelectElement) {
+        select.value = value || AMBIENT_LAYERS.NONE;
+      }
+    } else if (name === 'ambient-volume') {
+      const slider = this.shadowRoot.querySelector('#ambient-volume-slider');
+      const display = this.shadowRoot.querySelector('.ambient-volume-value');
+      if (slider instanceof HTMLInputElement) {
+        slider.value = value || '50';
+      }
+      if (display) {
+        display.textContent = `${value || '50'}%`;
+      }
     }
   }
 
@@ -81,6 +103,55 @@ export class AudioControls extends HTMLElement {
         }));
       });
     }
+
+    const reverbSelect = this.shadowRoot?.querySelector('#reverb-select');
+    if (reverbSelect instanceof HTMLSelectElement) {
+      reverbSelect.addEventListener('change', (e) => {
+        const target = e.target;
+        if (!(target instanceof HTMLSelectElement)) return;
+
+        this.setAttribute('reverb', target.value);
+
+        this.dispatchEvent(new CustomEvent('reverb-change', {
+          detail: { room: target.value },
+          bubbles: true,
+          composed: true
+        }));
+      });
+    }
+
+    const ambientSelect = this.shadowRoot?.querySelector('#ambient-select');
+    if (ambientSelect instanceof HTMLSelectElement) {
+      ambientSelect.addEventListener('change', (e) => {
+        const target = e.target;
+        if (!(target instanceof HTMLSelectElement)) return;
+
+        this.setAttribute('ambient', target.value);
+
+        this.dispatchEvent(new CustomEvent('ambient-change', {
+          detail: { layer: target.value },
+          bubbles: true,
+          composed: true
+        }));
+      });
+    }
+
+    const ambientSlider = this.shadowRoot?.querySelector('#ambient-volume-slider');
+    if (ambientSlider instanceof HTMLInputElement) {
+      ambientSlider.addEventListener('input', (e) => {
+        const target = e.target;
+        if (!(target instanceof HTMLInputElement)) return;
+
+        const volume = parseInt(target.value, 10);
+        this.setAttribute('ambient-volume', String(volume));
+
+        this.dispatchEvent(new CustomEvent('ambient-volume-change', {
+          detail: { volume },
+          bubbles: true,
+          composed: true
+        }));
+      });
+    }
   }
 
   render() {
@@ -88,6 +159,9 @@ export class AudioControls extends HTMLElement {
 
     const volume = parseInt(this.getAttribute('volume') || '70', 10);
     const muted = this.getAttribute('muted') === 'true';
+    const reverb = this.getAttribute('reverb') || REVERB_ROOMS.NONE;
+    const ambient = this.getAttribute('ambient') || AMBIENT_LAYERS.NONE;
+    const ambientVolume = parseInt(this.getAttribute('ambient-volume') || '50', 10);
 
     this.shadowRoot.innerHTML = `
       <style>
@@ -252,6 +326,35 @@ export class AudioControls extends HTMLElement {
           gap: var(--space-3);
         }
 
+        .reverb-control,
+        .ambient-control {
+          margin-bottom: var(--space-4);
+        }
+
+        .ambient-control .volume-slider-container {
+          margin-top: var(--space-3);
+        }
+
+        .ambient-volume-value {
+          min-width: 3em;
+          text-align: right;
+          font-size: var(--font-size-sm);
+          font-weight: var(--font-weight-semibold);
+          color: var(--color-primary);
+          font-family: var(--font-mono);
+        }
+
+        .reverb-select {
+          width: 100%;
+          padding: var(--space-2);
+          font-size: var(--font-size-sm);
+          color: var(--color-text-primary);
+          background: var(--color-bg-elevated);
+          border: 1px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+          font-family: var(--font-sans);
+        }
+
         .preview-label {
           font-size: var(--font-size-sm);
           color: var(--color-text-secondary);
@@ -329,6 +432,45 @@ export class AudioControls extends HTMLElement {
           </button>
         </div>
 
+        <!-- Reverb Room -->
+        <div class="reverb-control">
+          <label class="preview-label" for="reverb-select">Room</label>
+          <select id="reverb-select" class="reverb-select">
+            <option value="${REVERB_ROOMS.NONE}" ${reverb === REVERB_ROOMS.NONE ? 'selected' : ''}>None (dry)</option>
+            ${Object.entries(REVERB_PRESETS).map(([room, preset]) => `
+              <option value="${room}" ${room === reverb ? 'selected' : ''}>${preset.name}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <!-- Ambient Layer -->
+        <div class="ambient-control">
+          <label class="preview-label" for="ambient-select">Ambience</label>
+          <select id="ambient-select" class="reverb-select">
+            <option value="${AMBIENT_LAYERS.NONE}" ${ambient === AMBIENT_LAYERS.NONE ? 'selected' : ''}>None (silence)</option>
+            ${Object.entries(AMBIENT_PRESETS).map(([layer, preset]) => `
+              <option value="${layer}" ${layer === ambient ? 'selected' : ''}>${preset.name}</option>
+            `).join('')}
+          </select>
+          <div class="volume-slider-container">
+            <input
+              type="range"
+              id="ambient-volume-slider"
+              class="volume-slider"
+              min="0"
+              max="100"
+              value="${ambientVolume}"
+              step="5"
+              aria-label="Adjust ambience volume"
+              aria-valuemin="0"
+              aria-valuemax="100"
+              aria-valuenow="${ambientVolume}"
+              aria-valuetext="${ambientVolume} percent"
+            />
+            <span class="ambient-volume-value">${ambientVolume}%</span>
+          </div>
+        </div>
+
         <!-- Bell Preview Buttons -->
         <div>
           <div class="preview-label">Preview Bells</div>
@@ -0,0 +1,614 @@
+/**
+ * BellDesigner Component
+ *
+ * Designs bells by their modes: each partial's frequency ratio, level,
+ * decay, detune and beating, and how hard the bell is struck. Strikes the
+ * bell being designed on request or on every change, keeps named presets
+ * in preferences and puts a design in the big or small bell's place.
+ */
+
+import { audioSystem } from '../audio/AudioSystem.js';
+import { preferencesStore } from '../storage/PreferencesStore.js';
+import { validateBellModel, sanitizeInput } from '../utils/validation.js';
+import { BELL_TYPES, BELL_PARAMS, BELL_MODEL_PRESETS, BELL_MODEL_LIMITS } from '../config/constants.js';
+
+/** How long the live preview waits for edits to settle (ms) */
+const PREVIEW_DELAY = 400;
+
+/** Built-in starting points, by preset select value */
+const BUILT_IN = {
+  'builtin:BIG_BELL': { name: 'Big bell', ...BELL_PARAMS.BIG_BELL },
+  'builtin:SMALL_BELL': { name: 'Small bell', ...BELL_PARAMS.SMALL_BELL },
+  ...Object.fromEntries(Object.entries(BELL_MODEL_PRESETS).map(([key, preset]) => [`builtin:${key}`, preset]))
+};
+
+/** Fields of a partial, in table order */
+const PARTIAL_FIELDS = [
+  { field: 'ratio', label: 'Ratio', min: BELL_MODEL_LIMITS.MIN_RATIO, max: BELL_MODEL_LIMITS.MAX_RATIO, step: 0.01 },
+  { field: 'gain', label: 'Gain', min: 0, max: 1, step: 0.05 },
+  { field: 'decay', label: 'Decay (s)', min: BELL_MODEL_LIMITS.MIN_DECAY, max: BELL_MODEL_LIMITS.MAX_DECAY, step: 0.1 },
+  { field: 'detune', label: 'Detune (¢)', min: -BELL_MODEL_LIMITS.MAX_DETUNE, max: BELL_MODEL_LIMITS.MAX_DETUNE, step: 1 },
+  { field: 'beat', label: 'Beat (Hz)', min: 0, max: BELL_MODEL_LIMITS.MAX_BEAT, step: 0.1 }
+];
+
+/**
+ * Copy a preset into an editable model, without its name
+ * @param {Object} preset - Preset or bell model
+ * @returns {Object} Bell model
+ */
+function toModel(preset) {
+  const { name, ...model } = preset;
+  return {
+    ...model,
+    partials: model.partials.map(partial => ({ detune: 0, beat: 0, ...partial }))
+  };
+}
+
+export class BellDesigner extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.model = toModel(BELL_PARAMS.BIG_BELL);
+    this.presets = [];
+    this.selected = 'builtin:BIG_BELL';
+    this.livePreview = false;
+    this.previewTimeout = null;
+  }
+
+  async connectedCallback() {
+    this.render();
+    this.setupEventListeners();
+    await this.loadPresets();
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this.previewTimeout);
+  }
+
+  /**
+   * Load the saved presets
+   * @private
+   */
+  async loadPresets() {
+    try {
+      this.presets = (await preferencesStore.get('audio.bellPresets')) || [];
+      this.render();
+    } catch (error) {
+      console.error('[BellDesigner] Failed to load presets:', error);
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.shadowRoot) return;
+
+    // Delegated so listeners survive re-rendering
+    this.shadowRoot.addEventListener('click', (e) => {
+      const target = e.target;
+      if (!(target instanceof Element)) return;
+
+      const button = target.closest('button');
+      if (!(button instanceof HTMLButtonElement)) return;
+
+      switch (button.dataset.action) {
+        case 'strike':
+          this.strike();
+          break;
+        case 'add-partial':
+          this.addPartial();
+          break;
+        case 'remove-partial':
+          this.removePartial(parseInt(button.dataset.index, 10));
+          break;
+        case 'save-preset':
+          this.savePreset();
+          break;
+        case 'delete-preset':
+          this.deletePreset();
+          break;
+        case 'use':
+          this.useFor(button.dataset.bellType);
+          break;
+        case 'restore':
+          this.restore(button.dataset.bellType);
+          break;
+      }
+    });
+
+    // Edits update the model in place so the focused input is kept
+    this.shadowRoot.addEventListener('input', (e) => {
+      const target = e.target;
+      if (!(target instanceof HTMLInputElement) || !target.dataset.field) return;
+
+      const value = parseFloat(target.value);
+      if (Number.isNaN(value)) return;
+
+      if (target.dataset.index !== undefined) {
+        this.model.partials[parseInt(target.dataset.index, 10)][target.dataset.field] = value;
+      } else {
+        this.model[target.dataset.field] = value;
+      }
+
+      if (target.dataset.field === 'hardness') {
+        const output = this.shadowRoot?.querySelector('#hardness-value');
+        if (output) output.textContent = this.describeHardness(value);
+      }
+
+      this.schedulePreview();
+    });
+
+    this.shadowRoot.addEventListener('change', (e) => {
+      const target = e.target;
+
+      if (target instanceof HTMLSelectElement && target.id === 'preset-select') {
+        this.loadPreset(target.value);
+      } else if (target instanceof HTMLInputElement && target.id === 'live-preview') {
+        this.livePreview = target.checked;
+      }
+    });
+  }
+
+  /**
+   * Describe a strike hardness in words
+   * @private
+   * @param {number} hardness - 0 to 1
+   * @returns {string}
+   */
+  describeHardness(hardness) {
+    if (hardness < 0.3) return 'Soft mallet';
+    if (hardness < 0.7) return 'Wooden striker';
+    return 'Hard striker';
+  }
+
+  /**
+   * Check the model, showing what is wrong with it
+   * @private
+   * @returns {boolean} Whether the model is valid
+   */
+  checkModel() {
+    const validation = validateBellModel(this.model);
+    if (!validation.valid) {
+      this.showError(validation.errors.join('. '));
+      return false;
+    }
+
+    this.clearError();
+    return true;
+  }
+
+  schedulePreview() {
+    if (!this.livePreview) return;
+
+    clearTimeout(this.previewTimeout);
+    this.previewTimeout = setTimeout(() => this.strike(), PREVIEW_DELAY);
+  }
+
+  async strike() {
+    if (!this.checkModel()) return;
+
+    try {
+      await audioSystem.playBell(BELL_TYPES.BIG, { model: this.model });
+    } catch (error) {
+      this.showError(`Could not strike the bell: ${error.message}`);
+    }
+  }
+
+  addPartial() {
+    if (this.model.partials.length >= BELL_MODEL_LIMITS.MAX_PARTIALS) {
+      this.showError(`A bell can have at most ${BELL_MODEL_LIMITS.MAX_PARTIALS} partials`);
+      return;
+    }
+
+    const last = this.model.partials[this.model.partials.length - 1];
+    this.model.partials.push({
+      ratio: Math.min((last?.ratio || 1) * 1.5, BELL_MODEL_LIMITS.MAX_RATIO),
+      gain: 0.1,
+      decay: Math.max((last?.decay || 4) / 2, BELL_MODEL_LIMITS.MIN_DECAY),
+      detune: 0,
+      beat: 0
+    });
+    this.render();
+    this.schedulePreview();
+  }
+
+  removePartial(index) {
+    if (this.model.partials.length <= 1) return;
+
+    this.model.partials.splice(index, 1);
+    this.render();
+    this.schedulePreview();
+  }
+
+  loadPreset(value) {
+    const preset = value.startsWith('saved:')
+      ? this.presets[parseInt(value.slice('saved:'.length), 10)]?.model
+      : BUILT_IN[value];
+    if (!preset) return;
+
+    this.selected = value;
+    this.model = toModel(preset);
+    this.clearError();
+    this.render();
+    this.schedulePreview();
+  }
+
+  async savePreset() {
+    const nameInput = this.shadowRoot?.querySelector('#preset-name');
+    const name = nameInput instanceof HTMLInputElement
+      ? sanitizeInput(nameInput.value, BELL_MODEL_LIMITS.MAX_NAME_LENGTH)
+      : '';
+
+    if (!name) {
+      this.showError('Name the preset to save it');
+      return;
+    }
+    if (!this.checkModel()) return;
+
+    const presets = this.presets.filter(preset => preset.name !== name);
+    if (presets.length >= BELL_MODEL_LIMITS.MAX_PRESETS) {
+      this.showError(`At most ${BELL_MODEL_LIMITS.MAX_PRESETS} presets can be saved`);
+      return;
+    }
+
+    try {
+      presets.push({ name, model: toModel(this.model) });
+      await preferencesStore.set('audio.bellPresets', presets);
+      this.presets = presets;
+      this.selected = `saved:${presets.length - 1}`;
+      this.render();
+    } catch (error) {
+      this.showError(`Could not save the preset: ${error.message}`);
+    }
+  }
+
+  async deletePreset() {
+    if (!this.selected.startsWith('saved:')) return;
+
+    const index = parseInt(this.selected.slice('saved:'.length), 10);
+    const preset = this.presets[index];
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+
+    try {
+      const presets = this.presets.filter((_, i) => i !== index);
+      await preferencesStore.set('audio.bellPresets', presets);
+      this.presets = presets;
+      this.selected = 'builtin:BIG_BELL';
+      this.render();
+    } catch (error) {
+      this.showError(`Could not delete the preset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ring a bell type with the design from now on
+   * @private
+   * @param {string} bellType - 'big' or 'small'
+   */
+  async useFor(bellType) {
+    if (!this.checkModel()) return;
+
+    await this.setBellModel(bellType, toModel(this.model));
+  }
+
+  /**
+   * Ring a bell type with its built-in sound again
+   * @private
+   * @param {string} bellType - 'big' or 'small'
+   */
+  async restore(bellType) {
+    await this.setBellModel(bellType, null);
+  }
+
+  /**
+   * Save and apply a bell type's model
+   * @private
+   * @param {string} bellType - 'big' or 'small'
+   * @param {Object|null} model - Bell model, or null for the built-in bell
+   */
+  async setBellModel(bellType, model) {
+    try {
+      audioSystem.setBellModel(bellType, model);
+      await preferencesStore.set(`audio.bellModels.${bellType}`, model);
+      this.clearError();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  showError(message) {
+    const errorEl = this.shadowRoot?.querySelector('.error-message');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.classList.remove('hidden');
+    }
+  }
+
+  clearError() {
+    const errorEl = this.shadowRoot?.querySelector('.error-message');
+    if (errorEl) {
+      errorEl.classList.add('hidden');
+    }
+  }
+
+  renderPartial(partial, index) {
+    return `
+      <tr>
+        <td>${index + 1}</td>
+        ${PARTIAL_FIELDS.map(({ field, label, min, max, step }) => `
+          <td>
+            <input type="number" class="form-input" min="${min}" max="${max}" step="${step}"
+              value="${partial[field]}" data-index="${index}" data-field="${field}"
+              aria-label="Partial ${index + 1} ${label}" />
+          </td>
+        `).join('')}
+        <td>
+          <button type="button" class="btn btn-small btn-danger" data-action="remove-partial" data-index="${index}"
+            aria-label="Remove partial ${index + 1}" ${this.model.partials.length <= 1 ? 'disabled' : ''}>×</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  render() {
+    if (!this.shadowRoot) return;
+
+    const { fundamentalFreq, duration, hardness } = this.model;
+    const savedPreset = this.selected.startsWith('saved:')
+      ? this.presets[parseInt(this.selected.slice('saved:'.length), 10)]
+      : null;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+
+        .designer {
+          max-width: 800px;
+          margin: var(--space-8, 3rem) auto 0;
+          padding: var(--space-4, 1.5rem);
+          background: var(--color-surface, #fff);
+          border-radius: var(--radius-3, 12px);
+          box-shadow: var(--shadow-small, 0 2px 8px rgba(0,0,0,0.08));
+        }
+
+        h2 {
+          font-family: var(--font-serif, serif);
+          font-size: 1.25rem;
+          color: var(--color-text-primary, #1a1a1a);
+          margin: 0 0 var(--space-2, 0.5rem);
+        }
+
+        h3 {
+          font-size: 0.875rem;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: var(--color-text-secondary, #666);
+          margin: var(--space-4, 1.5rem) 0 var(--space-2, 0.5rem);
+        }
+
+        p {
+          font-size: 0.875rem;
+          color: var(--color-text-secondary, #666);
+          margin: 0;
+        }
+
+        .presets,
+        .strike-fields {
+          display: grid;
+          grid-template-columns: 2fr 2fr auto auto;
+          gap: var(--space-2, 0.5rem);
+          align-items: end;
+        }
+
+        .strike-fields {
+          grid-template-columns: 1fr 1fr 2fr;
+        }
+
+        .field {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-1, 0.25rem);
+        }
+
+        .field-label {
+          font-size: 0.75rem;
+          color: var(--color-text-secondary, #666);
+        }
+
+        .form-input {
+          width: 100%;
+          padding: var(--space-2, 0.5rem);
+          font-size: 0.875rem;
+          border: 1px solid var(--color-border-light, #eee);
+          border-radius: var(--radius-2, 8px);
+          box-sizing: border-box;
+        }
+
+        .hardness {
+          display: flex;
+          justify-content: space-between;
+          font-size: 0.75rem;
+          color: var(--color-text-tertiary, #999);
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.875rem;
+        }
+
+        th,
+        td {
+          text-align: left;
+          padding: var(--space-1, 0.25rem);
+          border-bottom: 1px solid var(--color-border-light, #eee);
+        }
+
+        th {
+          color: var(--color-text-secondary, #666);
+          font-weight: var(--font-weight-medium, 500);
+        }
+
+        .actions {
+          display: flex;
+          flex-wrap: wrap;
+          gap: var(--space-2, 0.5rem);
+          align-items: center;
+          margin-top: var(--space-3, 1rem);
+        }
+
+        .live {
+          display: flex;
+          gap: var(--space-1, 0.25rem);
+          align-items: center;
+          font-size: 0.875rem;
+          color: var(--color-text-secondary, #666);
+        }
+
+        .btn {
+          padding: var(--space-2, 0.5rem) var(--space-3, 1rem);
+          font-size: 0.875rem;
+          background: var(--color-background, #fafafa);
+          color: var(--color-text-primary, #1a1a1a);
+          border: 1px solid var(--color-border-light, #eee);
+          border-radius: var(--radius-2, 8px);
+          cursor: pointer;
+        }
+
+        .btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .btn-primary {
+          background: var(--color-primary, #2c5f2d);
+          border-color: var(--color-primary, #2c5f2d);
+          color: #fff;
+        }
+
+        .btn-small {
+          padding: var(--space-1, 0.25rem) var(--space-2, 0.5rem);
+        }
+
+        .btn-danger:hover {
+          color: var(--color-error, #c62828);
+        }
+
+        .error-message {
+          background: var(--color-error-light, #fdecea);
+          color: var(--color-error, #c62828);
+          padding: var(--space-2, 0.5rem) var(--space-3, 1rem);
+          border-radius: var(--radius-2, 8px);
+          font-size: 0.875rem;
+          margin-top: var(--space-3, 1rem);
+        }
+
+        .error-message.hidden {
+          display: none;
+        }
+
+        @media (max-width: 639px) {
+          .presets,
+          .strike-fields {
+            grid-template-columns: 1fr 1fr;
+          }
+
+          .partials {
+            overflow-x: auto;
+          }
+        }
+      </style>
+
+      <section class="designer" aria-labelledby="designer-title">
+        <h2 id="designer-title">Bell Designer</h2>
+        <p>Shape a bell from its partials and how it is struck, then ring it as your big or small bell.</p>
+
+        <h3>Presets</h3>
+        <div class="presets">
+          <label class="field">
+            <span class="field-label">Start from</span>
+            <select id="preset-select" class="form-input">
+              <optgroup label="Built-in">
+                ${Object.entries(BUILT_IN).map(([value, preset]) => `
+                  <option value="${value}" ${value === this.selected ? 'selected' : ''}>${preset.name}</option>
+                `).join('')}
+              </optgroup>
+              ${this.presets.length > 0 ? `
+                <optgroup label="Saved">
+                  ${this.presets.map((preset, index) => `
+                    <option value="saved:${index}" ${`saved:${index}` === this.selected ? 'selected' : ''}>${preset.name}</option>
+                  `).join('')}
+                </optgroup>
+              ` : ''}
+            </select>
+          </label>
+          <label class="field">
+            <span class="field-label">Preset name</span>
+            <input type="text" id="preset-name" class="form-input" maxlength="${BELL_MODEL_LIMITS.MAX_NAME_LENGTH}"
+              value="${savedPreset ? savedPreset.name.replace(/"/g, '&quot;') : ''}" />
+          </label>
+          <button type="button" class="btn" data-action="save-preset">Save</button>
+          <button type="button" class="btn btn-danger" data-action="delete-preset"
+            ${savedPreset ? '' : 'disabled'}>Delete</button>
+        </div>
+
+        <h3>Strike</h3>
+        <div class="strike-fields">
+          <label class="field">
+            <span class="field-label">Fundamental (Hz)</span>
+            <input type="number" class="form-input" min="${BELL_MODEL_LIMITS.MIN_FUNDAMENTAL}" max="${BELL_MODEL_LIMITS.MAX_FUNDAMENTAL}"
+              step="1" value="${fundamentalFreq}" data-field="fundamentalFreq" />
+          </label>
+          <label class="field">
+            <span class="field-label">Length (s)</span>
+            <input type="number" class="form-input" min="${BELL_MODEL_LIMITS.MIN_DURATION}" max="${BELL_MODEL_LIMITS.MAX_DURATION}"
+              step="0.1" value="${duration}" data-field="duration" />
+          </label>
+          <label class="field">
+            <span class="field-label">Hardness: <span id="hardness-value">${this.describeHardness(hardness)}</span></span>
+            <input type="range" min="0" max="1" step="0.01" value="${hardness}" data-field="hardness" />
+            <span class="hardness"><span>Singing bowl</span><span>Temple bell</span><span>Wood block</span></span>
+          </label>
+        </div>
+
+        <h3>Partials</h3>
+        <div class="partials">
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                ${PARTIAL_FIELDS.map(({ label }) => `<th>${label}</th>`).join('')}
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${this.model.partials.map((partial, index) => this.renderPartial(partial, index)).join('')}
+            </tbody>
+          </table>
+        </div>
+
+        <div class="actions">
+          <button type="button" class="btn" data-action="add-partial"
+            ${this.model.partials.length >= BELL_MODEL_LIMITS.MAX_PARTIALS ? 'disabled' : ''}>Add partial</button>
+          <button type="button" class="btn btn-primary" data-action="strike">Strike</button>
+          <label class="live">
+            <input type="checkbox" id="live-preview" ${this.livePreview ? 'checked' : ''} />
+            Strike on every change
+          </label>
+        </div>
+
+        <div class="actions">
+          <button type="button" class="btn" data-action="use" data-bell-type="${BELL_TYPES.BIG}">Use for big bell</button>
+          <button type="button" class="btn" data-action="use" data-bell-type="${BELL_TYPES.SMALL}">Use for small bell</button>
+          <button type="button" class="btn" data-action="restore" data-bell-type="${BELL_TYPES.BIG}">Built-in big bell</button>
+          <button type="button" class="btn" data-action="restore" data-bell-type="${BELL_TYPES.SMALL}">Built-in small bell</button>
+        </div>
+
+        <div class="error-message hidden" role="alert" aria-live="polite"></div>
+      </section>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('bell-designer', BellDesigner);
@@ -0,0 +1,440 @@
+/**
+ * BellLibraryPanel Component
+ *
+ * Imports the user's own bell recordings, trims and normalizes them,
+ * and puts them in the big and small bell slots of each mode.
+ */
+
+import { bellLibrary } from '../audio/BellLibrary.js';
+import { audioSystem } from '../audio/AudioSystem.js';
+import { eventBus } from '../core/EventBus.js';
+import { EVENTS, BELL_TYPES, TIMER_MODES, SOUND_LIBRARY } from '../config/constants.js';
+
+const MODE_NAMES = {
+  [TIMER_MODES.PERIODIC]: 'Periodic',
+  [TIMER_MODES.RANDOM]: 'Random',
+  [TIMER_MODES.REMINDER]: 'Reminder',
+  [TIMER_MODES.HOURLY]: 'Hourly',
+  [TIMER_MODES.PROGRAM]: 'Program'
+};
+
+export class BellLibraryPanel extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.sounds = [];
+    this.handleLibraryChanged = () => this.loadSounds();
+  }
+
+  async connectedCallback() {
+    this.render();
+    this.setupEventListeners();
+    await this.loadSounds();
+
+    eventBus.on(EVENTS.SOUND_LIBRARY_CHANGED, this.handleLibraryChanged);
+  }
+
+  disconnectedCallback() {
+    eventBus.off(EVENTS.SOUND_LIBRARY_CHANGED, this.handleLibraryChanged);
+  }
+
+  /**
+   * Load the library's sounds
+   * @private
+   */
+  async loadSounds() {
+    try {
+      this.sounds = await bellLibrary.list();
+      this.render();
+    } catch (error) {
+      console.error('[BellLibraryPanel] Failed to load sounds:', error);
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.shadowRoot) return;
+
+    // Delegated so listeners survive re-rendering
+    this.shadowRoot.addEventListener('click', (e) => {
+      const target = e.target;
+      if (!(target instanceof Element)) return;
+
+      const button = target.closest('button');
+      if (!(button instanceof HTMLButtonElement)) return;
+
+      const id = button.dataset.id;
+
+      switch (button.dataset.action) {
+        case 'import':
+          this.importSound();
+          break;
+        case 'preview':
+          this.preview(id);
+          break;
+        case 'save':
+          this.saveSound(id);
+          break;
+        case 'remove':
+          this.removeSound(id);
+          break;
+      }
+    });
+
+    this.shadowRoot.addEventListener('change', (e) => {
+      const target = e.target;
+      if (!(target instanceof HTMLSelectElement) || !target.dataset.mode) return;
+
+      bellLibrary.assign(target.dataset.mode, target.dataset.bellType, target.value || null)
+        .catch(error => this.showError(error.message));
+    });
+  }
+
+  async importSound() {
+    const fileInput = this.shadowRoot?.querySelector('#sound-file');
+    const nameInput = this.shadowRoot?.querySelector('#sound-name');
+    const file = fileInput instanceof HTMLInputElement ? fileInput.files?.[0] : null;
+
+    if (!file) {
+      this.showError('Choose a recording to import');
+      return;
+    }
+
+    try {
+      const name = nameInput instanceof HTMLInputElement && nameInput.value.trim()
+        ? nameInput.value
+        : undefined;
+      await bellLibrary.importSound(file, { name });
+      this.clearError();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Read the edited settings of a sound from its row
+   * @private
+   * @param {string} id - Sound ID
+   * @returns {Object} {name, trimStart, trimEnd, peakDb}
+   */
+  readSettings(id) {
+    const row = this.shadowRoot?.querySelector(`[data-sound="${id}"]`);
+    const value = (field) => {
+      const input = row?.querySelector(`[data-field="${field}"]`);
+      return input instanceof HTMLInputElement ? input.value : '';
+    };
+    const normalize = row?.querySelector('[data-field="normalize"]');
+
+    return {
+      name: value('name'),
+      trimStart: parseFloat(value('trimStart')) || 0,
+      trimEnd: value('trimEnd') === '' ? null : parseFloat(value('trimEnd')),
+      peakDb: normalize instanceof HTMLInputElement && normalize.checked
+        ? parseFloat(value('peakDb'))
+        : null
+    };
+  }
+
+  async saveSound(id) {
+    try {
+      await bellLibrary.updateSound(id, this.readSettings(id));
+      this.clearError();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  async removeSound(id) {
+    const sound = this.sounds.find(entry => entry.id === id);
+    if (!sound || !confirm(`Remove "${sound.name}" from the library?`)) return;
+
+    try {
+      await bellLibrary.removeSound(id);
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+
+  async preview(id) {
+    try {
+      const buffer = await bellLibrary.getBuffer(id);
+      await audioSystem.playBell(BELL_TYPES.BIG, { buffer });
+    } catch (error) {
+      this.showError(`Could not play the sound: ${error.message}`);
+    }
+  }
+
+  showError(message) {
+    const errorEl = this.shadowRoot?.querySelector('.error-message');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.classList.remove('hidden');
+    }
+  }
+
+  clearError() {
+    const errorEl = this.shadowRoot?.querySelector('.error-message');
+    if (errorEl) {
+      errorEl.classList.add('hidden');
+    }
+  }
+
+  renderSound(sound) {
+    const name = sound.name.replace(/"/g, '&quot;');
+    const normalized = sound.peakDb !== null;
+
+    return `
+      <li class="sound" data-sound="${sound.id}">
+        <div class="sound-fields">
+          <label class="field field-name">
+            <span class="field-label">Name</span>
+            <input type="text" class="form-input" maxlength="${SOUND_LIBRARY.MAX_NAME_LENGTH}" value="${name}" data-field="name" />
+          </label>
+          <label class="field">
+            <span class="field-label">Start (s)</span>
+            <input type="number" class="form-input" min="0" max="${sound.duration.toFixed(2)}" step="0.01"
+              value="${sound.trimStart}" data-field="trimStart" />
+          </label>
+          <label class="field">
+            <span class="field-label">End (s)</span>
+            <input type="number" class="form-input" min="0" max="${sound.duration.toFixed(2)}" step="0.01"
+              value="${sound.trimEnd ?? ''}" placeholder="${sound.duration.toFixed(2)}" data-field="trimEnd" />
+          </label>
+          <label class="field">
+            <span class="field-label">
+              <input type="checkbox" data-field="normalize" ${normalized ? 'checked' : ''} />
+              Peak (dBFS)
+            </span>
+            <input type="number" class="form-input" min="${SOUND_LIBRARY.MIN_PEAK_DB}" max="0" step="0.5"
+              value="${normalized ? sound.peakDb : SOUND_LIBRARY.DEFAULT_PEAK_DB}" data-field="peakDb" />
+          </label>
+        </div>
+        <div class="sound-actions">
+          <button type="button" class="btn btn-small" data-action="preview" data-id="${sound.id}">Play</button>
+          <button type="button" class="btn btn-small" data-action="save" data-id="${sound.id}">Save</button>
+          <button type="button" class="btn btn-small btn-danger" data-action="remove" data-id="${sound.id}">Remove</button>
+        </div>
+      </li>
+    `;
+  }
+
+  renderSlot(mode, bellType) {
+    const assigned = bellLibrary.getAssignment(mode, bellType);
+
+    return `
+      <select class="form-input" data-mode="${mode}" data-bell-type="${bellType}"
+        aria-label="${MODE_NAMES[mode]} ${bellType} bell">
+        <option value="">Synthesized</option>
+        ${this.sounds.map(sound => `
+          <option value="${sound.id}" ${sound.id === assigned ? 'selected' : ''}>${sound.name}</option>
+        `).join('')}
+      </select>
+    `;
+  }
+
+  render() {
+    if (!this.shadowRoot) return;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+
+        .library {
+          max-width: 800px;
+          margin: var(--space-8, 3rem) auto 0;
+          padding: var(--space-4, 1.5rem);
+          background: var(--color-surface, #fff);
+          border-radius: var(--radius-3, 12px);
+          box-shadow: var(--shadow-small, 0 2px 8px rgba(0,0,0,0.08));
+        }
+
+        h2 {
+          font-family: var(--font-serif, serif);
+          font-size: 1.25rem;
+          color: var(--color-text-primary, #1a1a1a);
+          margin: 0 0 var(--space-2, 0.5rem);
+        }
+
+        h3 {
+          font-size: 0.875rem;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: var(--color-text-secondary, #666);
+          margin: var(--space-4, 1.5rem) 0 var(--space-2, 0.5rem);
+        }
+
+        p {
+          font-size: 0.875rem;
+          color: var(--color-text-secondary, #666);
+          margin: 0;
+        }
+
+        .import,
+        .sound-fields {
+          display: grid;
+          grid-template-columns: 2fr repeat(3, 1fr);
+          gap: var(--space-2, 0.5rem);
+          align-items: end;
+        }
+
+        .import {
+          grid-template-columns: 2fr 2fr auto;
+        }
+
+        .sound-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-3, 1rem);
+        }
+
+        .sound {
+          padding: var(--space-3, 1rem);
+          background: var(--color-background, #fafafa);
+          border-radius: var(--radius-2, 8px);
+        }
+
+        .sound-actions {
+          display: flex;
+          gap: var(--space-2, 0.5rem);
+          margin-top: var(--space-2, 0.5rem);
+        }
+
+        .field {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-1, 0.25rem);
+        }
+
+        .field-label {
+          font-size: 0.75rem;
+          color: var(--color-text-secondary, #666);
+        }
+
+        .form-input {
+          width: 100%;
+          padding: var(--space-2, 0.5rem);
+          font-size: 0.875rem;
+          border: 1px solid var(--color-border-light, #eee);
+          border-radius: var(--radius-2, 8px);
+          box-sizing: border-box;
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.875rem;
+        }
+
+        th,
+        td {
+          text-align: left;
+          padding: var(--space-1, 0.25rem) var(--space-2, 0.5rem);
+          border-bottom: 1px solid var(--color-border-light, #eee);
+        }
+
+        th {
+          color: var(--color-text-secondary, #666);
+          font-weight: var(--font-weight-medium, 500);
+        }
+
+        .btn {
+          padding: var(--space-2, 0.5rem) var(--space-3, 1rem);
+          font-size: 0.875rem;
+          background: var(--color-background, #fafafa);
+          color: var(--color-text-primary, #1a1a1a);
+          border: 1px solid var(--color-border-light, #eee);
+          border-radius: var(--radius-2, 8px);
+          cursor: pointer;
+        }
+
+        .btn-small {
+          padding: var(--space-1, 0.25rem) var(--space-2, 0.5rem);
+        }
+
+        .btn-danger:hover {
+          color: var(--color-error, #c62828);
+        }
+
+        .empty {
+          color: var(--color-text-tertiary, #999);
+        }
+
+        .error-message {
+          background: var(--color-error-light, #fdecea);
+          color: var(--color-error, #c62828);
+          padding: var(--space-2, 0.5rem) var(--space-3, 1rem);
+          border-radius: var(--radius-2, 8px);
+          font-size: 0.875rem;
+          margin-top: var(--space-3, 1rem);
+        }
+
+        .error-message.hidden {
+          display: none;
+        }
+
+        @media (max-width: 639px) {
+          .import,
+          .sound-fields {
+            grid-template-columns: 1fr 1fr;
+          }
+
+          .field-name {
+            grid-column: 1 / -1;
+          }
+        }
+      </style>
+
+      <section class="library" aria-labelledby="library-title">
+        <h2 id="library-title">Bell Library</h2>
+        <p>Import your own bell recordings and choose which bells each mode rings.</p>
+
+        <h3>Import a recording</h3>
+        <div class="import">
+          <label class="field">
+            <span class="field-label">File (${SOUND_LIBRARY.EXTENSIONS.join(', ')})</span>
+            <input type="file" id="sound-file" class="form-input"
+              accept="${SOUND_LIBRARY.EXTENSIONS.map(extension => `.${extension}`).join(',')}" />
+          </label>
+          <label class="field">
+            <span class="field-label">Name</span>
+            <input type="text" id="sound-name" class="form-input" maxlength="${SOUND_LIBRARY.MAX_NAME_LENGTH}"
+              placeholder="Defaults to the file name" />
+          </label>
+          <button type="button" class="btn" data-action="import">Import</button>
+        </div>
+
+        <div class="error-message hidden" role="alert" aria-live="polite"></div>
+
+        <h3>Sounds</h3>
+        ${this.sounds.length > 0 ? `
+          <ul class="sound-list" aria-label="Library sounds">
+            ${this.sounds.map(sound => this.renderSound(sound)).join('')}
+          </ul>
+        ` : '<p class="empty">No recordings imported yet. The synthesized bells ring until you add one.</p>'}
+
+        <h3>Bells by mode</h3>
+        <table>
+          <thead>
+            <tr><th>Mode</th><th>Big bell</th><th>Small bell</th></tr>
+          </thead>
+          <tbody>
+            ${Object.values(TIMER_MODES).map(mode => `
+              <tr>
+                <td>${MODE_NAMES[mode]}</td>
+                <td>${this.renderSlot(mode, BELL_TYPES.BIG)}</td>
+                <td>${this.renderSlot(mode, BELL_TYPES.SMALL)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </section>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('bell-library-panel', BellLibraryPanel);
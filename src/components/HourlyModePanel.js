@@ -5,6 +5,8 @@
  * Simple mode that rings bells on the hour.
  */
 
+import { BELL_PATTERNS } from '../config/constants.js';
+
 export class HourlyModePanel extends HTMLElement {
   constructor() {
     super();
@@ -17,18 +19,43 @@ export class HourlyModePanel extends HTMLElement {
   }
 
   setupEventListeners() {
-    const startBtn = this.shadowRoot?.querySelector('[data-action="start-hourly"]');
-    if (startBtn) {
-      startBtn.addEventListener('click', () => {
-        this.dispatchEvent(new CustomEvent('mode-config', {
-          detail: {
-            mode: 'hourly',
-            config: {}
-          },
-          bubbles: true,
-          composed: true
-        }));
-      });
+    this.shadowRoot?.querySelector('[data-action="start-hourly"]')
+      ?.addEventListener('click', () => this.submit());
+    this.shadowRoot?.querySelector('[data-action="export-session"]')
+      ?.addEventListener('click', () => this.submit('session-export'));
+    this.shadowRoot?.querySelector('#hourly-pattern')
+      ?.addEventListener('change', () => this.submit('mode-config-change'));
+  }
+
+  /**
+   * Send the chosen pattern on
+   * @param {string} [eventName='mode-config'] - 'mode-config' to start with it, 'session-export' to render it,
+   *   'mode-config-change' to record an edit
+   */
+  submit(eventName = 'mode-config') {
+    const patternSelect = this.shadowRoot?.querySelector('#hourly-pattern');
+    const pattern = patternSelect instanceof HTMLSelectElement ? patternSelect.value : '';
+
+    this.dispatchEvent(new CustomEvent(eventName, {
+      detail: {
+        mode: 'hourly',
+        config: {
+          pattern: pattern || null
+        }
+      },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Fill the panel from a mode config, e.g. one brought back by undo
+   * @param {Object} config - Hourly mode config
+   */
+  setConfig(config) {
+    const patternSelect = this.shadowRoot?.querySelector('#hourly-pattern');
+    if (patternSelect instanceof HTMLSelectElement && config) {
+      patternSelect.value = typeof config.pattern === 'string' ? config.pattern : '';
     }
   }
 
@@ -107,6 +134,36 @@ export class HourlyModePanel extends HTMLElement {
           color: var(--color-primary);
         }
 
+        .pattern-field {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: var(--space-3);
+          margin-bottom: var(--space-6);
+        }
+
+        .pattern-label {
+          font-size: var(--font-size-sm);
+          font-weight: var(--font-weight-medium);
+          color: var(--color-text-primary);
+        }
+
+        .pattern-select {
+          min-height: var(--button-height);
+          padding: var(--space-2) var(--space-3);
+          font-size: var(--font-size-sm);
+          font-family: var(--font-sans);
+          color: var(--color-text-primary);
+          background: var(--color-bg-primary);
+          border: 2px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+        }
+
+        .pattern-select:focus-visible {
+          outline: 2px solid var(--color-focus);
+          outline-offset: 2px;
+        }
+
         .btn {
           display: inline-flex;
           align-items: center;
@@ -142,6 +199,18 @@ export class HourlyModePanel extends HTMLElement {
           outline-offset: 3px;
         }
 
+        .btn-secondary {
+          background: transparent;
+          color: var(--color-primary);
+          border: 2px solid var(--color-primary);
+          box-shadow: none;
+          margin-top: var(--space-3);
+        }
+
+        .btn-secondary:hover {
+          background: var(--color-primary-subtle);
+        }
+
         .btn-icon {
           width: 24px;
           height: 24px;
@@ -202,6 +271,16 @@ export class HourlyModePanel extends HTMLElement {
           <div class="next-time">${nextHour}</div>
         </div>
 
+        <div class="pattern-field">
+          <label for="hourly-pattern" class="pattern-label">Bell Pattern</label>
+          <select id="hourly-pattern" class="pattern-select">
+            <option value="" selected>Single big bell</option>
+            ${Object.entries(BELL_PATTERNS).map(([key, pattern]) => `
+              <option value="${key}">${pattern.label}</option>
+            `).join('')}
+          </select>
+        </div>
+
         <button
           class="btn"
           data-action="start-hourly"
@@ -213,6 +292,10 @@ export class HourlyModePanel extends HTMLElement {
           <span>Start Hourly Bells</span>
         </button>
 
+        <button class="btn btn-secondary" data-action="export-session">
+          Export as WAV
+        </button>
+
         <div class="features">
           <div class="feature">
             <svg class="feature-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
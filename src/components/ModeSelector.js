@@ -175,7 +175,7 @@ export class ModeSelector extends HTMLElement {
 
         @media (min-width: 768px) {
           .tablist {
-            grid-template-columns: repeat(4, 1fr);
+            grid-template-columns: repeat(5, 1fr);
           }
 
           .tab {
@@ -258,6 +258,25 @@ export class ModeSelector extends HTMLElement {
             </svg>
             <span class="tab-label">Hourly</span>
           </button>
+
+          <button
+            role="tab"
+            aria-selected="false"
+            aria-controls="program-panel"
+            data-mode="program"
+            tabindex="-1"
+            class="tab"
+          >
+            <svg class="tab-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+              <line x1="8" y1="6" x2="21" y2="6"/>
+              <line x1="8" y1="12" x2="21" y2="12"/>
+              <line x1="8" y1="18" x2="21" y2="18"/>
+              <circle cx="4" cy="6" r="1"/>
+              <circle cx="4" cy="12" r="1"/>
+              <circle cx="4" cy="18" r="1"/>
+            </svg>
+            <span class="tab-label">Program</span>
+          </button>
         </div>
       </nav>
     `;
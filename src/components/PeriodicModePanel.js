@@ -5,6 +5,8 @@
  * Allows setting small and big bell intervals with validation.
  */
 
+import { BELL_PATTERNS } from '../config/constants.js';
+
 export class PeriodicModePanel extends HTMLElement {
 /**
  * No code is needed at this placeholder. The class body starts here.
@@ -13,6 +15,7 @@ export class PeriodicModePanel extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this.requestedEvent = null;
   }
 
   connectedCallback() {
@@ -24,12 +27,31 @@ export class PeriodicModePanel extends HTMLElement {
     const form = this.shadowRoot?.querySelector('form');
     if (!form) return;
 
+    // Edits go through the same checks and are sent on so they can be undone;
+    // the browser's own checks are made quietly first
+    form.addEventListener('change', () => {
+      if (form.checkValidity()) {
+        this.requestedEvent = 'mode-config-change';
+        form.requestSubmit();
+      }
+    });
+
+    // Export renders the settings on show, so it goes through the same checks
+    this.shadowRoot?.querySelector('[data-action="export-session"]')?.addEventListener('click', () => {
+      this.requestedEvent = 'session-export';
+      form.requestSubmit();
+    });
+
     form.addEventListener('submit', (e) => {
       e.preventDefault();
 
+      const eventName = this.requestedEvent || 'mode-config';
+      this.requestedEvent = null;
+
       const formData = new FormData(form);
       const smallIntervalStr = formData.get('small-interval');
       const bigIntervalStr = formData.get('big-interval');
+      const durationStr = formData.get('duration');
       
       if (!smallIntervalStr || !bigIntervalStr) {
         this.showError('Please fill in all fields');
@@ -38,29 +60,64 @@ export class PeriodicModePanel extends HTMLElement {
       
       const smallInterval = parseInt(String(smallIntervalStr), 10);
       const bigInterval = parseInt(String(bigIntervalStr), 10);
+      const duration = durationStr ? parseInt(String(durationStr), 10) : 0;
 
       // Validation
-      if (isNaN(smallInterval) || smallInterval < 1 || smallInterval > 1440) {
-        this.showError('Small bell interval must be between 1 and 1440 minutes');
+      if (isNaN(smallInterval) || smallInterval < 1 || smallInterval > 120) {
+        this.showError('Small bell interval must be between 1 and 120 minutes');
+        return;
+      }
+
+      if (isNaN(bigInterval) || bigInterval < 1 || bigInterval > 120) {
+        this.showError('Big bell interval must be between 1 and 120 minutes');
+        return;
+      }
+
+      if (bigInterval <= smallInterval) {
+        this.showError('Big bell interval must be greater than small bell interval');
         return;
       }
 
-      if (isNaN(bigInterval) || bigInterval < 1 || bigInterval > 1440) {
-        this.showError('Big bell interval must be between 1 and 1440 minutes');
+      if (isNaN(duration) || duration < 0 || duration > 480) {
+        this.showError('Session length must be between 0 and 480 minutes');
         return;
       }
 
-      if (bigInterval < smallInterval) {
-        this.showError('Big bell interval must be greater than or equal to small bell interval');
+      const preparationTime = parseFloat(String(formData.get('preparation-time') || '0'));
+      const preparationBell = String(formData.get('preparation-bell') || 'none');
+
+      if (isNaN(preparationTime) || preparationTime < 0 || preparationTime > 15) {
+        this.showError('Settling-in time must be between 0 and 15 minutes');
+        return;
+      }
+
+      const openingPattern = String(formData.get('opening-pattern') || '') || null;
+      const closingPattern = String(formData.get('closing-pattern') || '') || null;
+
+      const align = formData.get('align') === 'on';
+      const alignOffset = parseInt(String(formData.get('align-offset') || '0'), 10);
+
+      if (align && (isNaN(alignOffset) || alignOffset < 0 || alignOffset >= smallInterval)) {
+        this.showError('Clock offset must be less than the small bell interval');
         return;
       }
 
       this.clearError();
 
-      this.dispatchEvent(new CustomEvent('mode-config', {
+      this.dispatchEvent(new CustomEvent(eventName, {
         detail: {
           mode: 'periodic',
-          config: { smallInterval, bigInterval }
+          config: {
+            smallBellInterval: smallInterval,
+            bigBellInterval: bigInterval,
+            duration,
+            preparationTime,
+            preparationBell,
+            align,
+            alignOffset: align ? alignOffset : 0,
+            openingPattern,
+            closingPattern
+          }
         },
         bubbles: true,
         composed: true
@@ -74,6 +131,41 @@ export class PeriodicModePanel extends HTMLElement {
     });
   }
 
+  /**
+   * Fill the form from a mode config, e.g. one brought back by undo
+   * @param {Object} config - Periodic mode config
+   */
+  setConfig(config) {
+    const form = this.shadowRoot?.querySelector('form');
+    if (!form || !config) return;
+
+    // Custom strike lists have no entry in the pattern menus
+    const values = {
+      'small-interval': config.smallBellInterval,
+      'big-interval': config.bigBellInterval,
+      'duration': config.duration,
+      'preparation-time': config.preparationTime,
+      'preparation-bell': config.preparationBell,
+      'align': config.align,
+      'align-offset': config.alignOffset,
+      'opening-pattern': typeof config.openingPattern === 'string' ? config.openingPattern : null,
+      'closing-pattern': typeof config.closingPattern === 'string' ? config.closingPattern : null
+    };
+
+    Object.entries(values).forEach(([name, value]) => {
+      const field = form.elements.namedItem(name);
+      if (value === undefined) return;
+
+      if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else if (field instanceof HTMLInputElement || field instanceof HTMLSelectElement) {
+        field.value = value === null ? '' : String(value);
+      }
+    });
+
+    this.clearError();
+  }
+
   showError(message) {
     const errorEl = this.shadowRoot?.querySelector('.error-message');
     if (errorEl) {
@@ -94,6 +186,10 @@ export class PeriodicModePanel extends HTMLElement {
   render() {
     if (!this.shadowRoot) return;
 
+    const patternOptions = Object.entries(BELL_PATTERNS)
+      .map(([key, pattern]) => `<option value="${key}">${pattern.label}</option>`)
+      .join('');
+
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -137,6 +233,15 @@ export class PeriodicModePanel extends HTMLElement {
           margin-bottom: var(--space-2);
         }
 
+        .checkbox-label {
+          display: flex;
+          align-items: center;
+          gap: var(--space-2);
+          font-size: var(--font-size-sm);
+          color: var(--color-text-primary);
+          cursor: pointer;
+        }
+
         .form-help {
           display: block;
           font-size: var(--font-size-xs);
@@ -219,6 +324,27 @@ export class PeriodicModePanel extends HTMLElement {
           animation: shake 400ms ease-in-out;
         }
 
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-top: var(--space-4);
+        }
+
+        .export-btn {
+          padding: var(--space-2) var(--space-4);
+          background: transparent;
+          border: 2px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-sm);
+          color: var(--color-text-primary);
+          cursor: pointer;
+          transition: var(--transition-base);
+        }
+
+        .export-btn:hover {
+          border-color: var(--color-primary);
+        }
+
         .example-box {
           background: var(--color-secondary-subtle);
           border-left: 3px solid var(--color-secondary);
@@ -250,6 +376,16 @@ export class PeriodicModePanel extends HTMLElement {
           .form-group {
             margin-bottom: 0;
           }
+
+          .form-group.session-length {
+            margin-top: var(--space-5);
+          }
+
+          .form-grid.patterns,
+          .form-grid.settling,
+          .form-grid.alignment {
+            margin-top: var(--space-5);
+          }
         }
 
         @media (prefers-reduced-motion: reduce) {
@@ -281,7 +417,7 @@ export class PeriodicModePanel extends HTMLElement {
                   name="small-interval"
                   class="form-input"
                   min="1"
-                  max="1440"
+                  max="120"
                   value="5"
                   required
                   aria-describedby="small-help"
@@ -289,7 +425,7 @@ export class PeriodicModePanel extends HTMLElement {
                 <span class="suffix-text">minutes</span>
               </div>
               <span id="small-help" class="form-help">
-                Frequency of gentle reminder bells (1-1440 minutes)
+                Frequency of gentle reminder bells (1-120 minutes)
               </span>
             </div>
 
@@ -304,7 +440,7 @@ export class PeriodicModePanel extends HTMLElement {
                   name="big-interval"
                   class="form-input"
                   min="1"
-                  max="1440"
+                  max="120"
                   value="15"
                   required
                   aria-describedby="big-help"
@@ -312,7 +448,130 @@ export class PeriodicModePanel extends HTMLElement {
                 <span class="suffix-text">minutes</span>
               </div>
               <span id="big-help" class="form-help">
-                Frequency of deeper meditation bells (1-1440 minutes)
+                Frequency of deeper meditation bells (1-120 minutes)
+              </span>
+            </div>
+          </div>
+
+          <div class="form-group session-length">
+            <label for="duration" class="form-label">
+              Session Length
+            </label>
+            <div class="input-suffix">
+              <input
+                type="number"
+                id="duration"
+                name="duration"
+                class="form-input"
+                min="0"
+                max="480"
+                value="0"
+                aria-describedby="duration-help"
+              />
+              <span class="suffix-text">minutes</span>
+            </div>
+            <span id="duration-help" class="form-help">
+              Opens with a bell, closes with three and ends by itself. 0 rings until you stop.
+            </span>
+          </div>
+
+          <div class="form-grid settling">
+            <div class="form-group">
+              <label for="preparation-time" class="form-label">
+                Settling In
+              </label>
+              <div class="input-suffix">
+                <input
+                  type="number"
+                  id="preparation-time"
+                  name="preparation-time"
+                  class="form-input"
+                  min="0"
+                  max="15"
+                  step="0.5"
+                  value="0"
+                  aria-describedby="preparation-help"
+                />
+                <span class="suffix-text">minutes</span>
+              </div>
+              <span id="preparation-help" class="form-help">
+                Quiet time before intervals start counting (0-15 minutes)
+              </span>
+            </div>
+
+            <div class="form-group">
+              <label for="preparation-bell" class="form-label">
+                Settling Bell
+              </label>
+              <select id="preparation-bell" name="preparation-bell" class="form-input">
+                <option value="none" selected>Silence</option>
+                <option value="triple">Three bells</option>
+              </select>
+              <span class="form-help">
+                Rung as the settling-in period begins
+              </span>
+            </div>
+          </div>
+
+          <div class="form-grid patterns">
+            <div class="form-group">
+              <label for="opening-pattern" class="form-label">
+                Opening Bells
+              </label>
+              <select id="opening-pattern" name="opening-pattern" class="form-input">
+                <option value="" selected>One big bell</option>
+                ${patternOptions}
+              </select>
+              <span class="form-help">
+                Rung when a sit with a set length begins
+              </span>
+            </div>
+
+            <div class="form-group">
+              <label for="closing-pattern" class="form-label">
+                Closing Bells
+              </label>
+              <select id="closing-pattern" name="closing-pattern" class="form-input">
+                <option value="" selected>Three big bells</option>
+                ${patternOptions}
+              </select>
+              <span class="form-help">
+                Rung as the sit ends
+              </span>
+            </div>
+          </div>
+
+          <div class="form-grid alignment">
+            <div class="form-group">
+              <label class="checkbox-label">
+                <input type="checkbox" id="align" name="align" aria-describedby="align-help" />
+                Align to clock
+              </label>
+              <span id="align-help" class="form-help">
+                Ring on the clock (:00, :15, :30...) instead of counting from the start
+              </span>
+            </div>
+
+            <div class="form-group">
+              <label for="align-offset" class="form-label">
+                Clock Offset
+              </label>
+              <div class="input-suffix">
+                <input
+                  type="number"
+                  id="align-offset"
+                  name="align-offset"
+                  class="form-input"
+                  min="0"
+                  max="119"
+                  step="1"
+                  value="0"
+                  aria-describedby="align-offset-help"
+                />
+                <span class="suffix-text">minutes</span>
+              </div>
+              <span id="align-offset-help" class="form-help">
+                Shift every bell, e.g. 5 rings at :05, :20, :35, :50
               </span>
             </div>
           </div>
@@ -326,6 +585,12 @@ export class PeriodicModePanel extends HTMLElement {
             <span>Error message placeholder</span>
           </div>
 
+          <div class="form-actions">
+            <button type="button" class="export-btn" data-action="export-session">
+              Export as WAV
+            </button>
+          </div>
+
           <div class="example-box">
             <div class="example-title">Example</div>
             <p class="example-text">
@@ -0,0 +1,420 @@
+/**
+ * ProgramModePanel Component
+ *
+ * Configuration panel for program mode.
+ * Builds a list of segments (e.g. sitting / walking / sitting), each with
+ * its own length, opening bell pattern and optional interval bells.
+ */
+
+import { DEFAULT_TIMER_CONFIG } from '../config/defaults.js';
+import { TIMER_MODES } from '../config/constants.js';
+import { sanitizeInput, validateProgramSegments } from '../utils/validation.js';
+
+export class ProgramModePanel extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.segments = DEFAULT_TIMER_CONFIG[TIMER_MODES.PROGRAM].segments.map(segment => ({ ...segment }));
+  }
+
+  connectedCallback() {
+    this.render();
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    if (!this.shadowRoot) return;
+
+    // Delegated so listeners survive re-rendering the segment list
+    this.shadowRoot.addEventListener('change', (e) => {
+      const target = e.target;
+      if (!(target instanceof HTMLInputElement || target instanceof HTMLSelectElement)) return;
+
+      const index = parseInt(target.dataset.index || '', 10);
+      const field = target.dataset.field;
+      if (isNaN(index) || !field || !this.segments[index]) return;
+
+      this.segments[index][field] = field === 'label' || field === 'bellType'
+        ? target.value
+        : parseInt(target.value, 10);
+
+      this.clearError();
+      this.updateTotal();
+      this.submit('mode-config-change');
+    });
+
+    this.shadowRoot.addEventListener('click', (e) => {
+      const target = e.target;
+      if (!(target instanceof Element)) return;
+
+      const button = target.closest('button');
+      if (!(button instanceof HTMLButtonElement)) return;
+
+      switch (button.dataset.action) {
+        case 'add-segment':
+          this.segments.push({ label: 'Sitting', duration: 20, bellType: 'big', strikes: 1, interval: 0 });
+          this.render();
+          this.submit('mode-config-change');
+          break;
+        case 'remove-segment': {
+          const index = parseInt(button.dataset.index || '', 10);
+          if (!isNaN(index) && this.segments.length > 1) {
+            this.segments.splice(index, 1);
+            this.render();
+            this.submit('mode-config-change');
+          }
+          break;
+        }
+        case 'start-program':
+          this.submit();
+          break;
+        case 'export-session':
+          this.submit('session-export');
+          break;
+      }
+    });
+  }
+
+  /**
+   * Check the segments and send them on
+   * @param {string} [eventName='mode-config'] - 'mode-config' to start with them, 'session-export' to render them,
+   *   'mode-config-change' to record an edit
+   */
+  submit(eventName = 'mode-config') {
+    const segments = this.segments.map(segment => ({
+      ...segment,
+      label: sanitizeInput(segment.label, 40)
+    }));
+
+    const validation = validateProgramSegments(segments);
+    if (!validation.valid) {
+      this.showError(validation.errors[0]);
+      return;
+    }
+
+    this.clearError();
+
+    this.dispatchEvent(new CustomEvent(eventName, {
+      detail: {
+        mode: 'program',
+        config: { segments }
+      },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Fill the panel from a mode config, e.g. one brought back by undo
+   * @param {Object} config - Program mode config
+   */
+  setConfig(config) {
+    if (!Array.isArray(config?.segments) || config.segments.length === 0) return;
+
+    this.segments = config.segments.map(segment => ({ ...segment }));
+    this.render();
+    this.clearError();
+  }
+
+  getTotalMinutes() {
+    return this.segments.reduce((sum, segment) => sum + (segment.duration || 0), 0);
+  }
+
+  updateTotal() {
+    const totalEl = this.shadowRoot?.querySelector('.total-value');
+    if (totalEl) {
+      totalEl.textContent = `${this.getTotalMinutes()} minutes`;
+    }
+  }
+
+  showError(message) {
+    const errorEl = this.shadowRoot?.querySelector('.error-message');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.classList.remove('hidden');
+    }
+  }
+
+  clearError() {
+    const errorEl = this.shadowRoot?.querySelector('.error-message');
+    if (errorEl) {
+      errorEl.classList.add('hidden');
+    }
+  }
+
+  renderSegment(segment, index) {
+    const label = sanitizeInput(segment.label, 40).replace(/"/g, '&quot;');
+
+    return `
+      <li class="segment">
+        <span class="segment-number" aria-hidden="true">${index + 1}</span>
+        <div class="segment-fields">
+          <label class="field field-label">
+            <span class="field-name">Label</span>
+            <input type="text" class="form-input" maxlength="40" value="${label}"
+              data-index="${index}" data-field="label" />
+          </label>
+          <label class="field">
+            <span class="field-name">Minutes</span>
+            <input type="number" class="form-input" min="1" max="480" value="${segment.duration}"
+              data-index="${index}" data-field="duration" />
+          </label>
+          <label class="field">
+            <span class="field-name">Bell</span>
+            <select class="form-input" data-index="${index}" data-field="bellType">
+              <option value="big" ${segment.bellType === 'big' ? 'selected' : ''}>Big</option>
+              <option value="small" ${segment.bellType === 'small' ? 'selected' : ''}>Small</option>
+            </select>
+          </label>
+          <label class="field">
+            <span class="field-name">Strikes</span>
+            <input type="number" class="form-input" min="1" max="5" value="${segment.strikes || 1}"
+              data-index="${index}" data-field="strikes" />
+          </label>
+          <label class="field">
+            <span class="field-name">Interval</span>
+            <input type="number" class="form-input" min="0" max="120" value="${segment.interval || 0}"
+              data-index="${index}" data-field="interval" aria-label="Interval bells every N minutes, 0 for none" />
+          </label>
+        </div>
+        <button
+          type="button"
+          class="remove-btn"
+          data-action="remove-segment"
+          data-index="${index}"
+          aria-label="Remove segment ${index + 1}"
+          ${this.segments.length === 1 ? 'disabled' : ''}
+        >×</button>
+      </li>
+    `;
+  }
+
+  render() {
+    if (!this.shadowRoot) return;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+
+        .mode-panel {
+          background: var(--color-bg-elevated);
+          border-radius: var(--radius-lg);
+          padding: var(--space-6);
+          box-shadow: var(--shadow-sm);
+        }
+
+        .panel-header {
+          margin-bottom: var(--space-6);
+        }
+
+        .panel-title {
+          font-family: var(--font-serif);
+          font-size: var(--font-size-xl);
+          font-weight: var(--font-weight-medium);
+          color: var(--color-text-primary);
+          margin-bottom: var(--space-2);
+        }
+
+        .panel-description {
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+          line-height: var(--line-height-relaxed);
+        }
+
+        .segment-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-3);
+        }
+
+        .segment {
+          display: flex;
+          align-items: flex-end;
+          gap: var(--space-3);
+          padding: var(--space-3);
+          background: var(--color-bg-primary);
+          border-radius: var(--radius-base);
+        }
+
+        .segment-number {
+          font-family: var(--font-mono);
+          font-size: var(--font-size-lg);
+          color: var(--color-text-tertiary);
+          min-width: 1.5rem;
+          padding-bottom: var(--space-3);
+        }
+
+        .segment-fields {
+          flex: 1;
+          display: grid;
+          grid-template-columns: 2fr repeat(4, 1fr);
+          gap: var(--space-2);
+        }
+
+        .field {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-1);
+        }
+
+        .field-name {
+          font-size: var(--font-size-xs);
+          color: var(--color-text-tertiary);
+        }
+
+        .form-input {
+          width: 100%;
+          min-height: var(--button-height);
+          padding: var(--space-2) var(--space-3);
+          background: var(--color-bg-elevated);
+          border: 2px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-sm);
+          font-family: var(--font-mono);
+          color: var(--color-text-primary);
+          transition: var(--transition-base);
+          box-sizing: border-box;
+        }
+
+        .form-input:focus {
+          outline: none;
+          border-color: var(--color-primary);
+          box-shadow: var(--shadow-focus);
+        }
+
+        .remove-btn {
+          min-width: var(--touch-target-min);
+          min-height: var(--button-height);
+          background: transparent;
+          border: none;
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-xl);
+          color: var(--color-text-secondary);
+          cursor: pointer;
+        }
+
+        .remove-btn:hover:not(:disabled) {
+          color: var(--color-error);
+        }
+
+        .remove-btn:disabled {
+          opacity: 0.3;
+          cursor: not-allowed;
+        }
+
+        .panel-actions {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          flex-wrap: wrap;
+          gap: var(--space-4);
+          margin-top: var(--space-5);
+        }
+
+        .total {
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+        }
+
+        .total-value {
+          font-family: var(--font-mono);
+          color: var(--color-text-primary);
+        }
+
+        .btn {
+          min-height: var(--button-height);
+          padding: var(--space-3) var(--space-6);
+          font-family: var(--font-sans);
+          font-size: var(--font-size-base);
+          font-weight: var(--font-weight-semibold);
+          border-radius: var(--radius-lg);
+          cursor: pointer;
+          transition: var(--transition-base);
+        }
+
+        .btn-secondary {
+          background: transparent;
+          color: var(--color-primary);
+          border: 2px solid var(--color-primary);
+        }
+
+        .btn-primary {
+          background: var(--color-primary);
+          color: var(--color-text-inverse);
+          border: none;
+          box-shadow: var(--shadow-base);
+        }
+
+        .btn-primary:hover {
+          background: var(--color-primary-dark);
+        }
+
+        .btn:focus-visible,
+        .remove-btn:focus-visible {
+          outline: 2px solid var(--color-focus);
+          outline-offset: 2px;
+        }
+
+        .error-message {
+          background: var(--color-error-light);
+          color: var(--color-error);
+          padding: var(--space-3) var(--space-4);
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-sm);
+          margin-top: var(--space-4);
+        }
+
+        .error-message.hidden {
+          display: none;
+        }
+
+        @media (max-width: 639px) {
+          .segment-fields {
+            grid-template-columns: 1fr 1fr;
+          }
+
+          .field-label {
+            grid-column: 1 / -1;
+          }
+        }
+      </style>
+
+      <div class="mode-panel" role="tabpanel" id="program-panel" aria-labelledby="program-tab">
+        <div class="panel-header">
+          <h2 class="panel-title">Program</h2>
+          <p class="panel-description">
+            Chain blocks of practice into one session, such as sitting, walking and
+            sitting again. Each block opens with its own bell pattern.
+          </p>
+        </div>
+
+        <ol class="segment-list" aria-label="Program segments">
+          ${this.segments.map((segment, index) => this.renderSegment(segment, index)).join('')}
+        </ol>
+
+        <div class="error-message hidden" role="alert" aria-live="polite"></div>
+
+        <div class="panel-actions">
+          <button type="button" class="btn btn-secondary" data-action="add-segment">
+            Add Segment
+          </button>
+          <span class="total">Total: <span class="total-value">${this.getTotalMinutes()} minutes</span></span>
+          <button type="button" class="btn btn-secondary" data-action="export-session">
+            Export as WAV
+          </button>
+          <button type="button" class="btn btn-primary" data-action="start-program">
+            Start Program
+          </button>
+        </div>
+      </div>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('program-mode-panel', ProgramModePanel);
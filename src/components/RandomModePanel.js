@@ -3,29 +3,188 @@
  * 
  * Configuration panel for random timer mode.
  * Allows setting min/max intervals for unpredictable bell timing.
+ * A planned sit shows its drawn bells on a timeline, hidden while the
+ * session runs so the bells stay a surprise.
  */
 
+import { eventBus } from '../core/EventBus.js';
+import { BELL_PATTERNS, EVENTS, LIMITS } from '../config/constants.js';
+import { planRandomSchedule } from '../utils/random.js';
+
 export class RandomModePanel extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this.schedule = null;
+    this.scheduleKey = null;
+    this.sessionActive = false;
+    this.requestedEvent = null;
+    this.handleStateChange = this.handleStateChange.bind(this);
   }
 
   connectedCallback() {
     this.render();
     this.setupEventListeners();
+    eventBus.on(EVENTS.STATE_CHANGED, this.handleStateChange);
+  }
+
+  disconnectedCallback() {
+    eventBus.off(EVENTS.STATE_CHANGED, this.handleStateChange);
+  }
+
+  handleStateChange(payload) {
+    const timer = payload.state?.timer;
+    const status = (timer?.remote || timer)?.status;
+    const sessionActive = status === 'running' || status === 'paused';
+
+    if (sessionActive !== this.sessionActive) {
+      this.sessionActive = sessionActive;
+      this.renderSchedule();
+    }
+  }
+
+  /**
+   * Read the settings a plan is drawn from
+   * @private
+   * @returns {Object|null} Plan settings, or null while the form is incomplete
+   */
+  readPlanConfig() {
+    const form = this.shadowRoot?.querySelector('form');
+    if (!form) return null;
+
+    const formData = new FormData(form);
+    const config = {
+      minInterval: parseInt(String(formData.get('min-interval')), 10),
+      maxInterval: parseInt(String(formData.get('max-interval')), 10),
+      duration: parseInt(String(formData.get('duration') || '0'), 10),
+      distribution: String(formData.get('distribution') || 'triangular'),
+      bellType: 'random',
+      bigBellProbability: parseInt(String(formData.get('big-bell-chance') || '50'), 10) / 100,
+      noConsecutiveBig: formData.get('no-consecutive-big') === 'on',
+      seed: String(formData.get('seed') || '').trim() || null
+    };
+
+    const complete = config.minInterval >= 1 && config.maxInterval > config.minInterval &&
+      config.duration > 0 && config.bigBellProbability >= 0 && config.bigBellProbability <= 1;
+
+    return complete ? config : null;
+  }
+
+  /**
+   * Draw a new plan from the current settings
+   * @private
+   * @param {boolean} force - Draw again even if the settings are unchanged
+   */
+  updateSchedule(force = false) {
+    const preplanned = this.shadowRoot?.querySelector('#preplanned')?.checked;
+    const config = preplanned ? this.readPlanConfig() : null;
+    const key = config ? JSON.stringify(config) : null;
+
+    if (!config) {
+      this.schedule = null;
+      this.scheduleKey = null;
+    } else if (force || key !== this.scheduleKey) {
+      this.schedule = planRandomSchedule(config);
+      this.scheduleKey = key;
+    }
+
+    this.renderSchedule();
+  }
+
+  /**
+   * Format minutes into the sit as m:ss
+   * @private
+   * @param {number} minutes - Minutes
+   * @returns {string} Formatted offset
+   */
+  formatOffset(minutes) {
+    const totalSeconds = Math.round(minutes * 60);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Show the planned bells on the timeline
+   * @private
+   */
+  renderSchedule() {
+    const preview = this.shadowRoot?.querySelector('.schedule-preview');
+    if (!preview) return;
+
+    const preplanned = this.shadowRoot.querySelector('#preplanned')?.checked;
+    const seeded = Boolean(this.shadowRoot.querySelector('#seed')?.value.trim());
+    preview.classList.toggle('hidden', !preplanned);
+
+    if (this.sessionActive) {
+      preview.innerHTML = '<p class="schedule-summary">The plan is hidden while you sit.</p>';
+      return;
+    }
+
+    if (!this.schedule) {
+      preview.innerHTML = '<p class="schedule-summary">Set a session length to plan the sit.</p>';
+      return;
+    }
+
+    const config = JSON.parse(this.scheduleKey);
+    const bigCount = this.schedule.filter(bell => bell.bellType === 'big').length;
+    const markers = this.schedule.map(bell => `
+      <span
+        class="marker ${bell.bellType}"
+        style="left: ${(bell.at / config.duration) * 100}%"
+        title="${this.formatOffset(bell.at)} · ${bell.bellType} bell"
+      ></span>
+    `).join('');
+
+    preview.innerHTML = `
+      <div class="timeline" role="img" aria-label="${this.schedule.length} bells planned over ${config.duration} minutes">
+        ${markers}
+      </div>
+      <div class="timeline-scale">
+        <span>0:00</span>
+        <span>${config.duration}:00</span>
+      </div>
+      <p class="schedule-summary">
+        ${this.schedule.length} bells: ${bigCount} big, ${this.schedule.length - bigCount} small
+      </p>
+      <button type="button" class="redraw-btn" ${seeded ? 'disabled title="A seed always draws the same plan"' : ''}>
+        Draw again
+      </button>
+    `;
+
+    preview.querySelector('.redraw-btn')?.addEventListener('click', () => this.updateSchedule(true));
   }
 
   setupEventListeners() {
     const form = this.shadowRoot?.querySelector('form');
     if (!form) return;
 
+    // Edits go through the same checks and are sent on so they can be undone;
+    // the browser's own checks are made quietly first
+    form.addEventListener('change', () => {
+      if (this.sessionActive) return;
+
+      this.updateSchedule();
+      if (form.checkValidity()) {
+        this.requestedEvent = 'mode-config-change';
+        form.requestSubmit();
+      }
+    });
+
+    // Export renders the settings on show, so it goes through the same checks
+    this.shadowRoot?.querySelector('[data-action="export-session"]')?.addEventListener('click', () => {
+      this.requestedEvent = 'session-export';
+      form.requestSubmit();
+    });
+
     form.addEventListener('submit', (e) => {
       e.preventDefault();
 
+      const eventName = this.requestedEvent || 'mode-config';
+      this.requestedEvent = null;
+
       const formData = new FormData(form);
       const minIntervalStr = formData.get('min-interval');
       const maxIntervalStr = formData.get('max-interval');
+      const durationStr = formData.get('duration');
       
       if (!minIntervalStr || !maxIntervalStr) {
         this.showError('Please fill in all fields');
@@ -34,6 +193,7 @@ export class RandomModePanel extends HTMLElement {
       
       const minInterval = parseInt(String(minIntervalStr), 10);
       const maxInterval = parseInt(String(maxIntervalStr), 10);
+      const duration = durationStr ? parseInt(String(durationStr), 10) : 0;
 
       // Validation
       if (isNaN(minInterval) || minInterval < 1 || minInterval > 1440) {
@@ -51,12 +211,69 @@ export class RandomModePanel extends HTMLElement {
         return;
       }
 
+      if (isNaN(duration) || duration < 0 || duration > 480) {
+        this.showError('Session length must be between 0 and 480 minutes');
+        return;
+      }
+
+      const preparationTime = parseFloat(String(formData.get('preparation-time') || '0'));
+      const preparationBell = String(formData.get('preparation-bell') || 'none');
+
+      if (isNaN(preparationTime) || preparationTime < 0 || preparationTime > 15) {
+        this.showError('Settling-in time must be between 0 and 15 minutes');
+        return;
+      }
+
+      const openingPattern = String(formData.get('opening-pattern') || '') || null;
+      const closingPattern = String(formData.get('closing-pattern') || '') || null;
+
+      const distribution = String(formData.get('distribution') || 'triangular');
+      const bigBellChance = parseInt(String(formData.get('big-bell-chance') || '50'), 10);
+      const noConsecutiveBig = formData.get('no-consecutive-big') === 'on';
+      const seed = String(formData.get('seed') || '').trim() || null;
+
+      if (isNaN(bigBellChance) || bigBellChance < 0 || bigBellChance > 100) {
+        this.showError('Big bell chance must be between 0 and 100%');
+        return;
+      }
+
+      if (seed !== null && seed.length > LIMITS.MAX_SEED_LENGTH) {
+        this.showError(`Seed must be at most ${LIMITS.MAX_SEED_LENGTH} characters`);
+        return;
+      }
+
+      const preplanned = formData.get('preplanned') === 'on';
+
+      if (preplanned && duration === 0) {
+        this.showError('Planning the sit needs a session length');
+        return;
+      }
+
+      // Start with the plan on show; it is only drawn again if the settings changed since
+      if (preplanned) {
+        this.updateSchedule();
+      }
+
       this.clearError();
 
-      this.dispatchEvent(new CustomEvent('mode-config', {
+      this.dispatchEvent(new CustomEvent(eventName, {
         detail: {
           mode: 'random',
-          config: { minInterval, maxInterval }
+          config: {
+            minInterval,
+            maxInterval,
+            distribution,
+            bigBellProbability: bigBellChance / 100,
+            noConsecutiveBig,
+            seed,
+            preplanned,
+            plannedSchedule: preplanned ? this.schedule : null,
+            duration,
+            preparationTime,
+            preparationBell,
+            openingPattern,
+            closingPattern
+          }
         },
         bubbles: true,
         composed: true
@@ -64,6 +281,46 @@ export class RandomModePanel extends HTMLElement {
     });
   }
 
+  /**
+   * Fill the form from a mode config, e.g. one brought back by undo
+   * @param {Object} config - Random mode config
+   */
+  setConfig(config) {
+    const form = this.shadowRoot?.querySelector('form');
+    if (!form || !config) return;
+
+    // Custom strike lists have no entry in the pattern menus
+    const values = {
+      'min-interval': config.minInterval,
+      'max-interval': config.maxInterval,
+      'distribution': config.distribution,
+      'big-bell-chance': config.bigBellProbability !== undefined ? Math.round(config.bigBellProbability * 100) : undefined,
+      'no-consecutive-big': config.noConsecutiveBig,
+      'seed': config.seed,
+      'duration': config.duration,
+      'preplanned': config.preplanned,
+      'preparation-time': config.preparationTime,
+      'preparation-bell': config.preparationBell,
+      'opening-pattern': typeof config.openingPattern === 'string' ? config.openingPattern : null,
+      'closing-pattern': typeof config.closingPattern === 'string' ? config.closingPattern : null
+    };
+
+    Object.entries(values).forEach(([name, value]) => {
+      const field = form.elements.namedItem(name);
+      if (value === undefined) return;
+
+      if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else if (field instanceof HTMLInputElement || field instanceof HTMLSelectElement) {
+        field.value = value === null ? '' : String(value);
+      }
+    });
+
+    this.updateSchedule();
+
+    this.clearError();
+  }
+
   showError(message) {
     const errorEl = this.shadowRoot?.querySelector('.error-message');
     if (errorEl) {
@@ -82,6 +339,10 @@ export class RandomModePanel extends HTMLElement {
   render() {
     if (!this.shadowRoot) return;
 
+    const patternOptions = Object.entries(BELL_PATTERNS)
+      .map(([key, pattern]) => `<option value="${key}">${pattern.label}</option>`)
+      .join('');
+
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -171,6 +432,86 @@ export class RandomModePanel extends HTMLElement {
           white-space: nowrap;
         }
 
+        .checkbox-label {
+          display: flex;
+          align-items: center;
+          gap: var(--space-2);
+          font-size: var(--font-size-sm);
+          color: var(--color-text-primary);
+          cursor: pointer;
+        }
+
+        .planning {
+          margin-top: var(--space-5);
+        }
+
+        .schedule-preview {
+          margin-top: var(--space-3);
+        }
+
+        .schedule-preview.hidden {
+          display: none;
+        }
+
+        .timeline {
+          position: relative;
+          height: 24px;
+          background: var(--color-bg-primary);
+          border: 1px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+        }
+
+        .marker {
+          position: absolute;
+          top: 50%;
+          width: 8px;
+          height: 8px;
+          border-radius: 50%;
+          background: var(--color-accent);
+          transform: translate(-50%, -50%);
+        }
+
+        .marker.big {
+          width: 14px;
+          height: 14px;
+          background: var(--color-primary);
+        }
+
+        .timeline-scale {
+          display: flex;
+          justify-content: space-between;
+          font-size: var(--font-size-xs);
+          font-family: var(--font-mono);
+          color: var(--color-text-tertiary);
+          margin-top: var(--space-1);
+        }
+
+        .schedule-summary {
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+          margin: var(--space-2) 0;
+        }
+
+        .redraw-btn {
+          padding: var(--space-2) var(--space-4);
+          background: transparent;
+          border: 2px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-sm);
+          color: var(--color-text-primary);
+          cursor: pointer;
+          transition: var(--transition-base);
+        }
+
+        .redraw-btn:hover:not(:disabled) {
+          border-color: var(--color-primary);
+        }
+
+        .redraw-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
         .error-message {
           background: var(--color-error-light);
           color: var(--color-error);
@@ -184,6 +525,27 @@ export class RandomModePanel extends HTMLElement {
           display: none;
         }
 
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-top: var(--space-4);
+        }
+
+        .export-btn {
+          padding: var(--space-2) var(--space-4);
+          background: transparent;
+          border: 2px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-sm);
+          color: var(--color-text-primary);
+          cursor: pointer;
+          transition: var(--transition-base);
+        }
+
+        .export-btn:hover {
+          border-color: var(--color-primary);
+        }
+
         .example-box {
           background: var(--color-accent-subtle);
           border-left: 3px solid var(--color-accent);
@@ -215,6 +577,16 @@ export class RandomModePanel extends HTMLElement {
           .form-group {
             margin-bottom: 0;
           }
+
+          .form-group.session-length {
+            margin-top: var(--space-5);
+          }
+
+          .form-grid.patterns,
+          .form-grid.settling,
+          .form-grid.randomness {
+            margin-top: var(--space-5);
+          }
         }
       </style>
 
@@ -276,8 +648,181 @@ export class RandomModePanel extends HTMLElement {
             </div>
           </div>
 
+          <div class="form-grid randomness">
+            <div class="form-group">
+              <label for="distribution" class="form-label">
+                Spread
+              </label>
+              <select id="distribution" name="distribution" class="form-input" aria-describedby="distribution-help">
+                <option value="triangular" selected>Mostly mid-range</option>
+                <option value="uniform">Even</option>
+                <option value="normal">Close to the middle</option>
+                <option value="exponential">Mostly short gaps</option>
+              </select>
+              <span id="distribution-help" class="form-help">
+                How intervals fall between the minimum and maximum
+              </span>
+            </div>
+
+            <div class="form-group">
+              <label for="big-bell-chance" class="form-label">
+                Big Bell Chance
+              </label>
+              <div class="input-suffix">
+                <input
+                  type="number"
+                  id="big-bell-chance"
+                  name="big-bell-chance"
+                  class="form-input"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value="50"
+                  aria-describedby="big-bell-help"
+                />
+                <span class="suffix-text">%</span>
+              </div>
+              <span id="big-bell-help" class="form-help">
+                Share of bells that are big; the rest are small
+              </span>
+            </div>
+
+            <div class="form-group">
+              <label class="checkbox-label">
+                <input type="checkbox" id="no-consecutive-big" name="no-consecutive-big" aria-describedby="no-consecutive-help" />
+                Never two big bells in a row
+              </label>
+              <span id="no-consecutive-help" class="form-help">
+                A big bell is always followed by a small one
+              </span>
+            </div>
+
+            <div class="form-group">
+              <label for="seed" class="form-label">
+                Seed
+              </label>
+              <input
+                type="text"
+                id="seed"
+                name="seed"
+                class="form-input"
+                maxlength="${LIMITS.MAX_SEED_LENGTH}"
+                placeholder="Optional"
+                aria-describedby="seed-help"
+              />
+              <span id="seed-help" class="form-help">
+                Any word or number; the same seed rings the same sequence every sit
+              </span>
+            </div>
+          </div>
+
+          <div class="form-group session-length">
+            <label for="duration" class="form-label">
+              Session Length
+            </label>
+            <div class="input-suffix">
+              <input
+                type="number"
+                id="duration"
+                name="duration"
+                class="form-input"
+                min="0"
+                max="480"
+                value="0"
+                aria-describedby="duration-help"
+              />
+              <span class="suffix-text">minutes</span>
+            </div>
+            <span id="duration-help" class="form-help">
+              Opens with a bell, closes with three and ends by itself. 0 rings until you stop.
+            </span>
+          </div>
+
+          <div class="form-group planning">
+            <label class="checkbox-label">
+              <input type="checkbox" id="preplanned" name="preplanned" aria-describedby="preplanned-help" />
+              Plan the whole sit up front
+            </label>
+            <span id="preplanned-help" class="form-help">
+              Draws every bell before you start, so you can check the spread. The plan is saved with the session.
+            </span>
+            <div class="schedule-preview hidden" aria-live="polite"></div>
+          </div>
+
+          <div class="form-grid settling">
+            <div class="form-group">
+              <label for="preparation-time" class="form-label">
+                Settling In
+              </label>
+              <div class="input-suffix">
+                <input
+                  type="number"
+                  id="preparation-time"
+                  name="preparation-time"
+                  class="form-input"
+                  min="0"
+                  max="15"
+                  step="0.5"
+                  value="0"
+                  aria-describedby="preparation-help"
+                />
+                <span class="suffix-text">minutes</span>
+              </div>
+              <span id="preparation-help" class="form-help">
+                Quiet time before intervals start counting (0-15 minutes)
+              </span>
+            </div>
+
+            <div class="form-group">
+              <label for="preparation-bell" class="form-label">
+                Settling Bell
+              </label>
+              <select id="preparation-bell" name="preparation-bell" class="form-input">
+                <option value="none" selected>Silence</option>
+                <option value="triple">Three bells</option>
+              </select>
+              <span class="form-help">
+                Rung as the settling-in period begins
+              </span>
+            </div>
+          </div>
+
+          <div class="form-grid patterns">
+            <div class="form-group">
+              <label for="opening-pattern" class="form-label">
+                Opening Bells
+              </label>
+              <select id="opening-pattern" name="opening-pattern" class="form-input">
+                <option value="" selected>One big bell</option>
+                ${patternOptions}
+              </select>
+              <span class="form-help">
+                Rung when a sit with a set length begins
+              </span>
+            </div>
+
+            <div class="form-group">
+              <label for="closing-pattern" class="form-label">
+                Closing Bells
+              </label>
+              <select id="closing-pattern" name="closing-pattern" class="form-input">
+                <option value="" selected>Three big bells</option>
+                ${patternOptions}
+              </select>
+              <span class="form-help">
+                Rung as the sit ends
+              </span>
+            </div>
+          </div>
+
           <div class="error-message hidden" role="alert" aria-live="polite"></div>
 
+          <div class="form-actions">
+            <button type="button" class="export-btn" data-action="export-session">
+              Export as WAV
+            </button>
+          </div>
+
           <div class="example-box">
             <div class="example-title">Why Random?</div>
             <p class="example-text">
@@ -0,0 +1,607 @@
+/**
+ * ReminderModePanel Component
+ *
+ * Configuration panel for reminder mode.
+ * Manages a list of HH:MM reminder times and the days they apply to,
+ * saved to preferences so the list survives reloads.
+ */
+
+import { preferencesStore } from '../storage/PreferencesStore.js';
+import { BELL_TYPES, BELL_PATTERNS, LIMITS, WEEKDAYS, DAY_MASKS } from '../config/constants.js';
+import { validateReminderTimes } from '../utils/validation.js';
+
+export class ReminderModePanel extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.times = [];
+    this.bellType = BELL_TYPES.BIG;
+    this.pattern = '';
+    this.recurring = true;
+    this.days = DAY_MASKS.EVERY_DAY;
+  }
+
+  async connectedCallback() {
+    await this.loadPreferences();
+    this.render();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Load saved reminder settings
+   * @private
+   */
+  async loadPreferences() {
+    try {
+      const timerPrefs = await preferencesStore.get('timer');
+      this.times = Array.isArray(timerPrefs?.reminderTimes) ? [...timerPrefs.reminderTimes] : [];
+      this.bellType = timerPrefs?.reminderBellType || BELL_TYPES.BIG;
+      this.pattern = timerPrefs?.reminderPattern || '';
+      this.recurring = timerPrefs?.reminderRecurring !== false;
+      this.days = timerPrefs?.reminderDays || DAY_MASKS.EVERY_DAY;
+    } catch (error) {
+      console.error('[ReminderModePanel] Failed to load preferences:', error);
+    }
+  }
+
+  /**
+   * Persist reminder settings
+   * @private
+   */
+  async savePreferences() {
+    try {
+      await preferencesStore.update({
+        timer: {
+          reminderTimes: [...this.times],
+          reminderBellType: this.bellType,
+          reminderPattern: this.pattern || null,
+          reminderRecurring: this.recurring,
+          reminderDays: this.days
+        }
+      });
+    } catch (error) {
+      console.error('[ReminderModePanel] Failed to save preferences:', error);
+      this.showError('Failed to save reminder times');
+    }
+  }
+
+  setupEventListeners() {
+    if (!this.shadowRoot) return;
+
+    // Delegated so listeners survive re-rendering the time list
+    this.shadowRoot.addEventListener('change', (e) => {
+      const target = e.target;
+      if (!(target instanceof HTMLInputElement || target instanceof HTMLSelectElement)) return;
+
+      switch (target.dataset.field) {
+        case 'time': {
+          const index = parseInt(target.dataset.index || '', 10);
+          if (isNaN(index) || !target.value) return;
+          this.times[index] = target.value;
+          break;
+        }
+        case 'bellType':
+          this.bellType = target.value;
+          break;
+        case 'pattern':
+          this.pattern = target.value;
+          break;
+        case 'recurring':
+          if (target instanceof HTMLInputElement) {
+            this.recurring = target.checked;
+          }
+          break;
+        case 'day': {
+          const day = parseInt(target.dataset.day || '', 10);
+          if (isNaN(day) || !(target instanceof HTMLInputElement)) return;
+          this.days = target.checked ? this.days | (1 << day) : this.days & ~(1 << day);
+          break;
+        }
+        default:
+          return;
+      }
+
+      this.clearError();
+      this.savePreferences();
+      this.submit('mode-config-change');
+    });
+
+    this.shadowRoot.addEventListener('click', (e) => {
+      const target = e.target;
+      if (!(target instanceof Element)) return;
+
+      const button = target.closest('button');
+      if (!(button instanceof HTMLButtonElement)) return;
+
+      const index = parseInt(button.dataset.index || '', 10);
+
+      switch (button.dataset.action) {
+        case 'add-time':
+          this.addTime();
+          break;
+        case 'remove-time':
+          this.times.splice(index, 1);
+          this.updateList();
+          break;
+        case 'move-up':
+          this.moveTime(index, index - 1);
+          break;
+        case 'move-down':
+          this.moveTime(index, index + 1);
+          break;
+        case 'start-reminder':
+          this.submit();
+          break;
+        case 'export-session':
+          this.submit('session-export');
+          break;
+      }
+    });
+  }
+
+  /**
+   * Add a reminder one hour from now
+   * @private
+   */
+  addTime() {
+    if (this.times.length >= LIMITS.MAX_REMINDER_TIMES) {
+      this.showError(`Maximum ${LIMITS.MAX_REMINDER_TIMES} reminder times allowed`);
+      return;
+    }
+
+    const next = new Date();
+    next.setHours(next.getHours() + 1, 0, 0, 0);
+    this.times.push(`${String(next.getHours()).padStart(2, '0')}:00`);
+    this.updateList();
+  }
+
+  /**
+   * Swap a reminder with its neighbour
+   * @private
+   * @param {number} from - Current index
+   * @param {number} to - Target index
+   */
+  moveTime(from, to) {
+    if (isNaN(from) || to < 0 || to >= this.times.length) return;
+
+    [this.times[from], this.times[to]] = [this.times[to], this.times[from]];
+    this.updateList();
+
+    const focusTarget = this.shadowRoot?.querySelector(
+      `[data-action="${to < from ? 'move-up' : 'move-down'}"][data-index="${to}"]`
+    );
+    if (focusTarget instanceof HTMLElement && !focusTarget.hasAttribute('disabled')) {
+      focusTarget.focus();
+    }
+  }
+
+  /**
+   * Re-render the time list and persist the change
+   * @private
+   */
+  updateList() {
+    const list = this.shadowRoot?.querySelector('.time-list');
+    if (list) {
+      list.innerHTML = this.renderTimes();
+    }
+
+    const addBtn = this.shadowRoot?.querySelector('[data-action="add-time"]');
+    if (addBtn instanceof HTMLButtonElement) {
+      addBtn.disabled = this.times.length >= LIMITS.MAX_REMINDER_TIMES;
+    }
+
+    this.clearError();
+    this.savePreferences();
+    this.submit('mode-config-change');
+  }
+
+  /**
+   * Check the reminder times and send them on
+   * @param {string} [eventName='mode-config'] - 'mode-config' to start with them, 'session-export' to render them,
+   *   'mode-config-change' to record an edit
+   */
+  submit(eventName = 'mode-config') {
+    if (this.times.length === 0) {
+      this.showError('Add at least one reminder time');
+      return;
+    }
+
+    const validation = validateReminderTimes(this.times);
+    if (!validation.valid) {
+      this.showError(validation.errors[0]);
+      return;
+    }
+
+    if (new Set(this.times).size !== this.times.length) {
+      this.showError('Each reminder time can only be listed once');
+      return;
+    }
+
+    if (this.days === 0) {
+      this.showError('Choose at least one day');
+      return;
+    }
+
+    this.clearError();
+
+    this.dispatchEvent(new CustomEvent(eventName, {
+      detail: {
+        mode: 'reminder',
+        config: {
+          times: [...this.times],
+          recurring: this.recurring,
+          bellType: this.bellType,
+          pattern: this.pattern || null,
+          schedule: this.days === DAY_MASKS.EVERY_DAY ? null : { days: this.days, perDay: {} }
+        }
+      },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Fill the panel from a mode config, e.g. one brought back by undo
+   * @param {Object} config - Reminder mode config
+   */
+  setConfig(config) {
+    if (!config) return;
+
+    this.times = Array.isArray(config.times) ? [...config.times] : [];
+    this.recurring = config.recurring !== false;
+    this.bellType = config.bellType || BELL_TYPES.BIG;
+    this.pattern = typeof config.pattern === 'string' ? config.pattern : '';
+    this.days = config.schedule?.days ?? DAY_MASKS.EVERY_DAY;
+
+    this.render();
+    this.clearError();
+    this.savePreferences();
+  }
+
+  showError(message) {
+    const errorEl = this.shadowRoot?.querySelector('.error-message');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.classList.remove('hidden');
+    }
+  }
+
+  clearError() {
+    const errorEl = this.shadowRoot?.querySelector('.error-message');
+    if (errorEl) {
+      errorEl.classList.add('hidden');
+    }
+  }
+
+  renderTimes() {
+    if (this.times.length === 0) {
+      return '<li class="empty-state">No reminders yet. Add a time to get started.</li>';
+    }
+
+    return this.times.map((time, index) => `
+      <li class="time-row">
+        <input
+          type="time"
+          class="form-input"
+          value="${time}"
+          data-index="${index}"
+          data-field="time"
+          aria-label="Reminder ${index + 1}"
+          required
+        />
+        <button type="button" class="icon-btn" data-action="move-up" data-index="${index}"
+          aria-label="Move reminder ${index + 1} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" class="icon-btn" data-action="move-down" data-index="${index}"
+          aria-label="Move reminder ${index + 1} down" ${index === this.times.length - 1 ? 'disabled' : ''}>↓</button>
+        <button type="button" class="icon-btn remove-btn" data-action="remove-time" data-index="${index}"
+          aria-label="Remove reminder ${index + 1}">×</button>
+      </li>
+    `).join('');
+  }
+
+  render() {
+    if (!this.shadowRoot) return;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+
+        .mode-panel {
+          background: var(--color-bg-elevated);
+          border-radius: var(--radius-lg);
+          padding: var(--space-6);
+          box-shadow: var(--shadow-sm);
+        }
+
+        .panel-header {
+          margin-bottom: var(--space-6);
+        }
+
+        .panel-title {
+          font-family: var(--font-serif);
+          font-size: var(--font-size-xl);
+          font-weight: var(--font-weight-medium);
+          color: var(--color-text-primary);
+          margin-bottom: var(--space-2);
+        }
+
+        .panel-description {
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+          line-height: var(--line-height-relaxed);
+        }
+
+        .time-list {
+          list-style: none;
+          margin: 0 0 var(--space-4);
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-2);
+        }
+
+        .time-row {
+          display: flex;
+          align-items: center;
+          gap: var(--space-2);
+        }
+
+        .empty-state {
+          font-size: var(--font-size-sm);
+          color: var(--color-text-tertiary);
+          padding: var(--space-4);
+          text-align: center;
+          background: var(--color-bg-primary);
+          border-radius: var(--radius-base);
+        }
+
+        .form-group {
+          margin-bottom: var(--space-5);
+        }
+
+        .form-label {
+          display: block;
+          font-size: var(--font-size-sm);
+          font-weight: var(--font-weight-medium);
+          color: var(--color-text-primary);
+          margin-bottom: var(--space-2);
+        }
+
+        .form-input {
+          flex: 1;
+          width: 100%;
+          min-height: var(--button-height);
+          padding: var(--space-3) var(--space-4);
+          background: var(--color-bg-primary);
+          border: 2px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-base);
+          font-family: var(--font-mono);
+          color: var(--color-text-primary);
+          transition: var(--transition-base);
+          box-sizing: border-box;
+        }
+
+        .form-input:focus {
+          outline: none;
+          border-color: var(--color-primary);
+          box-shadow: var(--shadow-focus);
+        }
+
+        .day-picker {
+          display: grid;
+          grid-template-columns: repeat(7, 1fr);
+          gap: var(--space-1);
+          border: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .day-toggle {
+          position: relative;
+        }
+
+        .day-toggle input {
+          position: absolute;
+          opacity: 0;
+          width: 100%;
+          height: 100%;
+          margin: 0;
+          cursor: pointer;
+        }
+
+        .day-toggle span {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          min-height: var(--touch-target-min);
+          border: 2px solid var(--color-border-medium);
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-sm);
+          color: var(--color-text-secondary);
+          transition: var(--transition-base);
+        }
+
+        .day-toggle input:checked + span {
+          background: var(--color-primary);
+          border-color: var(--color-primary);
+          color: var(--color-text-inverse);
+        }
+
+        .day-toggle input:focus-visible + span {
+          outline: 2px solid var(--color-focus);
+          outline-offset: 2px;
+        }
+
+        .checkbox-label {
+          display: flex;
+          align-items: center;
+          gap: var(--space-3);
+          font-size: var(--font-size-sm);
+          color: var(--color-text-primary);
+          min-height: var(--touch-target-min);
+          cursor: pointer;
+        }
+
+        .checkbox-label input {
+          width: 20px;
+          height: 20px;
+          accent-color: var(--color-primary);
+        }
+
+        .icon-btn {
+          min-width: var(--touch-target-min);
+          min-height: var(--button-height);
+          background: transparent;
+          border: none;
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-lg);
+          color: var(--color-text-secondary);
+          cursor: pointer;
+          transition: var(--transition-base);
+        }
+
+        .icon-btn:hover:not(:disabled) {
+          background: var(--color-neutral-100);
+          color: var(--color-text-primary);
+        }
+
+        .remove-btn:hover:not(:disabled) {
+          color: var(--color-error);
+        }
+
+        .icon-btn:disabled {
+          opacity: 0.3;
+          cursor: not-allowed;
+        }
+
+        .btn {
+          min-height: var(--button-height);
+          padding: var(--space-3) var(--space-6);
+          font-family: var(--font-sans);
+          font-size: var(--font-size-base);
+          font-weight: var(--font-weight-semibold);
+          border-radius: var(--radius-lg);
+          cursor: pointer;
+          transition: var(--transition-base);
+        }
+
+        .btn-secondary {
+          background: transparent;
+          color: var(--color-primary);
+          border: 2px solid var(--color-primary);
+          margin-bottom: var(--space-6);
+        }
+
+        .btn-secondary:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .btn-primary {
+          width: 100%;
+          background: var(--color-primary);
+          color: var(--color-text-inverse);
+          border: none;
+          box-shadow: var(--shadow-base);
+        }
+
+        .btn-primary:hover {
+          background: var(--color-primary-dark);
+        }
+
+        .btn:focus-visible,
+        .icon-btn:focus-visible {
+          outline: 2px solid var(--color-focus);
+          outline-offset: 2px;
+        }
+
+        .error-message {
+          background: var(--color-error-light);
+          color: var(--color-error);
+          padding: var(--space-3) var(--space-4);
+          border-radius: var(--radius-base);
+          font-size: var(--font-size-sm);
+          margin-bottom: var(--space-4);
+        }
+
+        .error-message.hidden {
+          display: none;
+        }
+      </style>
+
+      <div class="mode-panel" role="tabpanel" id="reminder-panel" aria-labelledby="reminder-tab">
+        <div class="panel-header">
+          <h2 class="panel-title">Reminders</h2>
+          <p class="panel-description">
+            Ring a bell at set times of day, as a gentle call back to the present moment.
+          </p>
+        </div>
+
+        <ul class="time-list" aria-label="Reminder times">
+          ${this.renderTimes()}
+        </ul>
+
+        <button
+          type="button"
+          class="btn btn-secondary"
+          data-action="add-time"
+          ${this.times.length >= LIMITS.MAX_REMINDER_TIMES ? 'disabled' : ''}
+        >
+          Add Time
+        </button>
+
+        <div class="form-group">
+          <label for="reminder-bell-type" class="form-label">Bell</label>
+          <select id="reminder-bell-type" class="form-input" data-field="bellType">
+            <option value="${BELL_TYPES.BIG}" ${this.bellType === BELL_TYPES.BIG ? 'selected' : ''}>Big bell</option>
+            <option value="${BELL_TYPES.SMALL}" ${this.bellType === BELL_TYPES.SMALL ? 'selected' : ''}>Small bell</option>
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label for="reminder-pattern" class="form-label">Pattern</label>
+          <select id="reminder-pattern" class="form-input" data-field="pattern">
+            <option value="" ${this.pattern ? '' : 'selected'}>Single strike of the bell above</option>
+            ${Object.entries(BELL_PATTERNS).map(([key, pattern]) => `
+              <option value="${key}" ${this.pattern === key ? 'selected' : ''}>${pattern.label}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <fieldset class="form-group day-picker">
+          <legend class="form-label">Days</legend>
+          ${WEEKDAYS.map((day, index) => `
+            <label class="day-toggle">
+              <input type="checkbox" data-field="day" data-day="${index}"
+                ${this.days & (1 << index) ? 'checked' : ''} aria-label="${day}" />
+              <span aria-hidden="true">${day.charAt(0).toUpperCase()}${day.slice(1, 2)}</span>
+            </label>
+          `).join('')}
+        </fieldset>
+
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" data-field="recurring" ${this.recurring ? 'checked' : ''} />
+            Repeat every day
+          </label>
+        </div>
+
+        <div class="error-message hidden" role="alert" aria-live="polite"></div>
+
+        <button type="button" class="btn btn-secondary" data-action="export-session">
+          Export as WAV
+        </button>
+
+        <button type="button" class="btn btn-primary" data-action="start-reminder">
+          Start Reminders
+        </button>
+      </div>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('reminder-mode-panel', ReminderModePanel);
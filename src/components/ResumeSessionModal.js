@@ -0,0 +1,192 @@
+/**
+ * ResumeSessionModal Component
+ *
+ * Shown on startup when a session was still running when the page went away.
+ * Offers to resume it, or to save it as interrupted.
+ */
+
+import { formatDateTime, formatDuration } from '../utils/time.js';
+
+export class ResumeSessionModal extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isClosed = false;
+  }
+
+  static get observedAttributes() {
+    return ['mode', 'started', 'elapsed', 'resumable'];
+  }
+
+  connectedCallback() {
+    this.render();
+    this.setupEventListeners();
+
+    setTimeout(() => {
+      this.shadowRoot.querySelector('button')?.focus();
+    }, 100);
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  setupEventListeners() {
+    this.shadowRoot.querySelector('.resume-btn')?.addEventListener('click', () => {
+      this.choose('session-resume');
+    });
+
+    this.shadowRoot.querySelector('.save-btn')?.addEventListener('click', () => {
+      this.choose('session-save-interrupted');
+    });
+  }
+
+  /**
+   * Report the choice and close
+   * @private
+   * @param {string} eventName - 'session-resume' or 'session-save-interrupted'
+   */
+  choose(eventName) {
+    if (this.isClosed) return;
+
+    this.dispatchEvent(new CustomEvent(eventName, {
+      bubbles: true,
+      composed: true
+    }));
+
+    this.close();
+  }
+
+  /**
+   * Close modal
+   */
+  close() {
+    if (this.isClosed) return;
+    this.isClosed = true;
+
+    const modal = this.shadowRoot.querySelector('.modal');
+    if (modal) {
+      modal.style.animation = 'fadeOut 0.2s ease-in forwards';
+    }
+
+    setTimeout(() => {
+      this.remove();
+    }, 200);
+  }
+
+  render() {
+    const mode = this.getAttribute('mode') || 'meditation';
+    const started = parseInt(this.getAttribute('started'), 10);
+    const elapsed = parseInt(this.getAttribute('elapsed'), 10) || 0;
+    const resumable = this.getAttribute('resumable') !== 'false';
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          z-index: 1000;
+        }
+
+        .backdrop {
+          position: absolute;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.6);
+          backdrop-filter: blur(4px);
+        }
+
+        .modal {
+          position: absolute;
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          background: var(--color-surface, #fff);
+          border-radius: var(--radius-3, 12px);
+          padding: var(--space-6, 2rem);
+          max-width: 460px;
+          width: 90%;
+          box-shadow: var(--shadow-large, 0 20px 40px rgba(0,0,0,0.3));
+          text-align: center;
+        }
+
+        h2 {
+          font-size: 1.5rem;
+          margin: 0 0 var(--space-3, 1rem);
+          color: var(--color-text-primary, #1a1a1a);
+          font-family: var(--font-serif, serif);
+        }
+
+        p {
+          margin: 0 0 var(--space-4, 1.5rem);
+          color: var(--color-text-secondary, #666);
+          line-height: 1.5;
+        }
+
+        .button-group {
+          display: flex;
+          justify-content: center;
+          gap: var(--space-3, 1rem);
+          flex-wrap: wrap;
+        }
+
+        button {
+          padding: var(--space-2, 0.5rem) var(--space-4, 1.5rem);
+          border: none;
+          border-radius: var(--radius-2, 8px);
+          cursor: pointer;
+          font-size: 1rem;
+          font-weight: var(--font-weight-medium, 500);
+          color: white;
+          transition: all 0.2s ease;
+        }
+
+        button:focus {
+          outline: 2px solid var(--color-focus, #2C5F7C);
+          outline-offset: 2px;
+        }
+
+        .resume-btn {
+          background: var(--color-primary, #2C5F7C);
+        }
+
+        .save-btn {
+          background: var(--color-text-tertiary, #999);
+        }
+
+        .save-btn:hover {
+          background: var(--color-text-secondary, #666);
+        }
+
+        @keyframes fadeOut {
+          from {
+            opacity: 1;
+          }
+          to {
+            opacity: 0;
+          }
+        }
+      </style>
+
+      <div class="backdrop">
+        <div class="modal" role="dialog" aria-labelledby="resume-title" aria-modal="true">
+          <h2 id="resume-title">Unfinished session</h2>
+          <p>
+            A ${mode} session${Number.isFinite(started) ? ` started ${formatDateTime(started)}` : ''}
+            was still running when the app closed (${formatDuration(elapsed)} recorded).
+            ${resumable ? '' : 'Its planned end has passed, so it can only be saved.'}
+          </p>
+          <div class="button-group">
+            ${resumable ? '<button class="resume-btn">Resume</button>' : ''}
+            <button class="save-btn">Save as interrupted</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('resume-session-modal', ResumeSessionModal);
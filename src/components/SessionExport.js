@@ -0,0 +1,334 @@
+/**
+ * SessionExport Component
+ *
+ * Renders a whole sit of a mode to a WAV file, to play on a device
+ * without the app. Asks for the length and an optional ambient bed, a
+ * generated ambient layer or a bell library sound, then renders and
+ * downloads.
+ */
+
+import { audioSystem } from '../audio/AudioSystem.js';
+import { bellLibrary } from '../audio/BellLibrary.js';
+import { SESSION_RENDER, AMBIENT_LAYERS, AMBIENT_PRESETS } from '../config/constants.js';
+
+export class SessionExport extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isClosed = false;
+    this.isRendering = false;
+    this.sounds = [];
+
+    /** @type {Object} Mode config to render, set before the element is added */
+    this.config = {};
+  }
+
+  static get observedAttributes() {
+    return ['mode', 'duration', 'ambient'];
+  }
+
+  async connectedCallback() {
+    this.render();
+    this.renderAmbientOptions();
+    this.setupEventListeners();
+
+    try {
+      this.sounds = await bellLibrary.list();
+      this.renderAmbientOptions();
+    } catch (error) {
+      console.error('[SessionExport] Failed to load library sounds:', error);
+    }
+
+    setTimeout(() => {
+      this.shadowRoot.querySelector('#export-duration')?.focus();
+    }, 100);
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  setupEventListeners() {
+    this.shadowRoot.querySelector('.render-btn')?.addEventListener('click', () => this.export());
+    this.shadowRoot.querySelector('.cancel-btn')?.addEventListener('click', () => this.close());
+  }
+
+  /**
+   * Render the session and download it
+   * @private
+   */
+  async export() {
+    if (this.isRendering) return;
+
+    const mode = this.getAttribute('mode') || 'periodic';
+    const durationInput = this.shadowRoot.querySelector('#export-duration');
+    const ambientSelect = this.shadowRoot.querySelector('#export-ambient');
+    const duration = durationInput instanceof HTMLInputElement ? parseFloat(durationInput.value) : NaN;
+    const [source, ambientId] = (ambientSelect instanceof HTMLSelectElement ? ambientSelect.value : '').split(':');
+
+    if (isNaN(duration) || duration < 1 || duration > SESSION_RENDER.MAX_DURATION) {
+      this.setStatus(`Length must be between 1 and ${SESSION_RENDER.MAX_DURATION} minutes`, true);
+      return;
+    }
+
+    this.setRendering(true);
+    this.setStatus(`Rendering ${duration} minutes… this can take a while`);
+
+    try {
+      const ambient = source === 'layer' ? { layer: ambientId }
+        : source === 'sound' ? { buffer: await bellLibrary.getBuffer(ambientId) }
+        : null;
+      const blob = await audioSystem.exportSession(mode, this.config, duration, { ambient });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `awakening-bell-${mode}-${duration}min.wav`;
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      URL.revokeObjectURL(url);
+      this.close();
+    } catch (error) {
+      console.error('[SessionExport] Render failed:', error);
+      this.setStatus(`Could not render the session: ${error.message}`, true);
+      this.setRendering(false);
+    }
+  }
+
+  /**
+   * Show progress or an error
+   * @private
+   * @param {string} message - Message
+   * @param {boolean} [isError=false] - Whether it is an error
+   */
+  setStatus(message, isError = false) {
+    const status = this.shadowRoot.querySelector('.status');
+    if (status) {
+      status.textContent = message;
+      status.classList.toggle('error', isError);
+    }
+  }
+
+  /**
+   * Disable the form while rendering
+   * @private
+   * @param {boolean} isRendering - Whether a render is running
+   */
+  setRendering(isRendering) {
+    this.isRendering = isRendering;
+    this.shadowRoot.querySelectorAll('input, select, button').forEach(element => {
+      element.disabled = isRendering;
+    });
+  }
+
+  /**
+   * Close modal
+   */
+  close() {
+    if (this.isClosed || this.isRendering) return;
+    this.isClosed = true;
+
+    const modal = this.shadowRoot.querySelector('.modal');
+    if (modal) {
+      modal.style.animation = 'fadeOut 0.2s ease-in forwards';
+    }
+
+    setTimeout(() => {
+      this.remove();
+    }, 200);
+  }
+
+  /**
+   * Fill the ambient bed menu with the generated layers and the library's sounds
+   * The layer played under live sessions is chosen to start with
+   * @private
+   */
+  renderAmbientOptions() {
+    const select = this.shadowRoot.querySelector('#export-ambient');
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    const selected = select.options.length > 1
+      ? select.value
+      : `layer:${this.getAttribute('ambient') || AMBIENT_LAYERS.NONE}`;
+
+    select.innerHTML = `
+      <option value="">None</option>
+      <optgroup label="Ambience">
+        ${Object.entries(AMBIENT_PRESETS).map(([layer, preset]) => `
+          <option value="layer:${layer}">${preset.name}</option>
+        `).join('')}
+      </optgroup>
+      ${this.sounds.length > 0 ? `
+        <optgroup label="Library">
+          ${this.sounds.map(sound => `<option value="sound:${sound.id}">${sound.name}</option>`).join('')}
+        </optgroup>
+      ` : ''}
+    `;
+    select.value = selected;
+    if (select.selectedIndex === -1) {
+      select.value = '';
+    }
+  }
+
+  render() {
+    const mode = this.getAttribute('mode') || 'periodic';
+    const duration = parseFloat(this.getAttribute('duration')) || SESSION_RENDER.DEFAULT_DURATION;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          z-index: 1000;
+        }
+
+        .backdrop {
+          position: absolute;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.6);
+          backdrop-filter: blur(4px);
+        }
+
+        .modal {
+          position: absolute;
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          background: var(--color-surface, #fff);
+          border-radius: var(--radius-3, 12px);
+          padding: var(--space-6, 2rem);
+          max-width: 460px;
+          width: 90%;
+          box-shadow: var(--shadow-large, 0 20px 40px rgba(0,0,0,0.3));
+        }
+
+        h2 {
+          font-size: 1.5rem;
+          margin: 0 0 var(--space-3, 1rem);
+          color: var(--color-text-primary, #1a1a1a);
+          font-family: var(--font-serif, serif);
+          text-align: center;
+        }
+
+        p {
+          margin: 0 0 var(--space-4, 1.5rem);
+          color: var(--color-text-secondary, #666);
+          line-height: 1.5;
+        }
+
+        .field {
+          display: flex;
+          flex-direction: column;
+          gap: var(--space-1, 0.25rem);
+          margin-bottom: var(--space-3, 1rem);
+        }
+
+        .field-label {
+          font-size: 0.875rem;
+          color: var(--color-text-secondary, #666);
+        }
+
+        .form-input {
+          padding: var(--space-2, 0.5rem);
+          font-size: 1rem;
+          border: 1px solid var(--color-border-light, #eee);
+          border-radius: var(--radius-2, 8px);
+        }
+
+        .status {
+          min-height: 1.5em;
+          font-size: 0.875rem;
+          color: var(--color-text-secondary, #666);
+          margin-bottom: var(--space-3, 1rem);
+        }
+
+        .status.error {
+          color: var(--color-error, #c62828);
+        }
+
+        .button-group {
+          display: flex;
+          justify-content: center;
+          gap: var(--space-3, 1rem);
+          flex-wrap: wrap;
+        }
+
+        button {
+          padding: var(--space-2, 0.5rem) var(--space-4, 1.5rem);
+          border: none;
+          border-radius: var(--radius-2, 8px);
+          cursor: pointer;
+          font-size: 1rem;
+          font-weight: var(--font-weight-medium, 500);
+          color: white;
+          transition: all 0.2s ease;
+        }
+
+        button:focus {
+          outline: 2px solid var(--color-focus, #2C5F7C);
+          outline-offset: 2px;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: wait;
+        }
+
+        .render-btn {
+          background: var(--color-primary, #2C5F7C);
+        }
+
+        .cancel-btn {
+          background: var(--color-text-tertiary, #999);
+        }
+
+        .cancel-btn:hover {
+          background: var(--color-text-secondary, #666);
+        }
+
+        @keyframes fadeOut {
+          from {
+            opacity: 1;
+          }
+          to {
+            opacity: 0;
+          }
+        }
+      </style>
+
+      <div class="backdrop">
+        <div class="modal" role="dialog" aria-labelledby="export-title" aria-modal="true">
+          <h2 id="export-title">Export session</h2>
+          <p>
+            Render the ${mode} sit to a WAV file, bells and all, to play without the app.
+          </p>
+          <label class="field">
+            <span class="field-label">Length (minutes)</span>
+            <input type="number" id="export-duration" class="form-input" min="1" max="${SESSION_RENDER.MAX_DURATION}"
+              step="1" value="${Math.min(duration, SESSION_RENDER.MAX_DURATION)}" />
+          </label>
+          <label class="field">
+            <span class="field-label">Ambient bed</span>
+            <select id="export-ambient" class="form-input">
+              <option value="">None</option>
+            </select>
+          </label>
+          <div class="status" role="status" aria-live="polite"></div>
+          <div class="button-group">
+            <button class="render-btn">Render WAV</button>
+            <button class="cancel-btn">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('session-export', SessionExport);
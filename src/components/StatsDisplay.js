@@ -528,6 +528,13 @@ export class StatsDisplay extends HTMLElement {
             </div>
             <div class="metric-label">Avg Mood Boost</div>
           </div>
+          
+          <div class="metric-card">
+            <div class="metric-value">
+              ${this.stats.suppressedBells || 0}
+            </div>
+            <div class="metric-label">Bells Silenced</div>
+          </div>
         </div>
         
         <div class="charts-grid">
@@ -3,11 +3,15 @@
  * 
  * Large timer display with breathing animation during active meditation.
  * Shows elapsed time, session status, and next bell countdown.
+ * During a settling-in period it counts down to the first interval instead.
  */
 
+import { eventBus } from '../core/EventBus.js';
+import { EVENTS } from '../config/constants.js';
+
 export class TimerDisplay extends HTMLElement {
   static get observedAttributes() {
-    return ['elapsed', 'status', 'next-bell', 'mode'];
+    return ['elapsed', 'status', 'next-bell', 'mode', 'phase', 'preparation-remaining', 'segment', 'next-segment'];
   }
 
   constructor() {
@@ -22,18 +26,16 @@ export class TimerDisplay extends HTMLElement {
   }
 
   disconnectedCallback() {
-    if (window.eventBus && this.handleStateChange) {
-      window.eventBus.off('STATE_CHANGED', this.handleStateChange);
-    }
+    eventBus.off(EVENTS.STATE_CHANGED, this.handleStateChange);
   }
 
-  handleStateChange(state) {
-    this.updateFromState(state);
+  handleStateChange(payload) {
+    this.updateFromState(payload.state);
   }
 
   setupEventListeners() {
     // Listen to state changes via EventBus
-    window.eventBus?.on('STATE_CHANGED', this.handleStateChange);
+    eventBus.on(EVENTS.STATE_CHANGED, this.handleStateChange);
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -45,10 +47,17 @@ export class TimerDisplay extends HTMLElement {
   updateFromState(state) {
     if (!state?.timer) return;
     
-    this.setAttribute('elapsed', String(state.timer.elapsed || 0));
-    this.setAttribute('status', state.timer.status || 'idle');
-    this.setAttribute('next-bell', String(state.timer.nextBellIn || 0));
-    this.setAttribute('mode', state.timer.mode || '');
+    // A session running in another tab is shown in place of this tab's timer
+    const timer = state.timer.remote || state.timer;
+    
+    this.setAttribute('elapsed', String(timer.elapsed || 0));
+    this.setAttribute('status', timer.status || 'idle');
+    this.setAttribute('next-bell', String(timer.nextBellIn || 0));
+    this.setAttribute('mode', timer.mode || '');
+    this.setAttribute('phase', timer.phase || '');
+    this.setAttribute('preparation-remaining', String(timer.preparationRemaining || 0));
+    this.setAttribute('segment', timer.segment || '');
+    this.setAttribute('next-segment', timer.nextSegment || '');
   }
 
   formatTime(seconds) {
@@ -62,7 +71,11 @@ export class TimerDisplay extends HTMLElement {
     return `${m}:${s.toString().padStart(2, '0')}`;
   }
 
-  getStatusLabel(status) {
+  getStatusLabel(status, phase) {
+    if (status === 'running' && phase === 'preparing') {
+      return 'Preparing…';
+    }
+    
     const labels = {
       idle: 'Ready to Begin',
       running: 'Meditating',
@@ -89,9 +102,14 @@ export class TimerDisplay extends HTMLElement {
     const status = this.getAttribute('status') || 'idle';
     const nextBell = parseInt(this.getAttribute('next-bell') || '0', 10);
     const mode = this.getAttribute('mode') || '';
+    const phase = this.getAttribute('phase') || '';
+    const preparationRemaining = parseInt(this.getAttribute('preparation-remaining') || '0', 10);
+    const segment = this.getAttribute('segment') || '';
+    const nextSegment = this.getAttribute('next-segment') || '';
     
-    const isActive = status === 'running';
-    const statusLabel = this.getStatusLabel(status);
+    const isPreparing = (status === 'running' || status === 'paused') && phase === 'preparing';
+    const isActive = status === 'running' && !isPreparing;
+    const statusLabel = this.getStatusLabel(status, phase);
     const statusColor = this.getStatusColor(status);
     
     this.shadowRoot.innerHTML = `
@@ -254,11 +272,17 @@ export class TimerDisplay extends HTMLElement {
           role="timer"
           aria-live="polite"
           aria-atomic="true"
-          aria-label="Session elapsed time"
+          aria-label="${isPreparing ? 'Time until practice begins' : 'Session elapsed time'}"
         >
-          ${this.formatTime(elapsed)}
+          ${this.formatTime(isPreparing ? preparationRemaining : elapsed)}
         </div>
 
+        ${isPreparing ? `
+          <div class="next-bell" role="status" aria-live="polite">
+            Settling in — intervals begin in ${this.formatTime(preparationRemaining)}
+          </div>
+        ` : ''}
+
         ${isActive && nextBell > 0 ? `
           <div class="next-bell" role="status" aria-live="polite">
             <svg class="bell-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
@@ -281,6 +305,16 @@ export class TimerDisplay extends HTMLElement {
                 <span class="info-value">${mode}</span>
               </div>
             ` : ''}
+            ${segment ? `
+              <div class="info-item">
+                <span class="info-label">Segment</span>
+                <span class="info-value">${segment}</span>
+              </div>
+              <div class="info-item">
+                <span class="info-label">Up Next</span>
+                <span class="info-value">${nextSegment || 'Closing bells'}</span>
+              </div>
+            ` : ''}
           </div>
         ` : ''}
       </div>
@@ -0,0 +1,261 @@
+/**
+ * TimingDiagnostics Component
+ *
+ * Shows how accurately bells ring: the timer's current lead time,
+ * the lateness of the latest bells, and the timing of recent sessions.
+ */
+
+import { sessionStore } from '../storage/SessionStore.js';
+import { driftMonitor } from '../core/DriftMonitor.js';
+import { eventBus } from '../core/EventBus.js';
+import { eventRecorder } from '../core/EventRecorder.js';
+import { stateManager } from '../core/StateManager.js';
+import { EVENTS, TIMING } from '../config/constants.js';
+import { formatDateTime } from '../utils/time.js';
+
+const RECENT_BELLS = 10;
+const RECENT_SESSIONS = 5;
+
+export class TimingDiagnostics extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.sessions = [];
+    this.handleUpdate = () => this.render();
+    this.handleSessionSaved = () => this.loadSessions();
+  }
+
+  async connectedCallback() {
+    this.render();
+    await this.loadSessions();
+
+    eventBus.on(EVENTS.BELL_TIMING, this.handleUpdate);
+    eventBus.on(EVENTS.TIMER_LEAD_CHANGED, this.handleUpdate);
+    eventBus.on(EVENTS.SESSION_SAVED, this.handleSessionSaved);
+  }
+
+  disconnectedCallback() {
+    eventBus.off(EVENTS.BELL_TIMING, this.handleUpdate);
+    eventBus.off(EVENTS.TIMER_LEAD_CHANGED, this.handleUpdate);
+    eventBus.off(EVENTS.SESSION_SAVED, this.handleSessionSaved);
+  }
+
+  /**
+   * Load recent sessions that have a timing record
+   * @private
+   */
+  async loadSessions() {
+    try {
+      const sessions = await sessionStore.getAllSessions();
+      this.sessions = sessions
+        .filter(session => session.timing && session.timing.bellCount > 0)
+        .sort((a, b) => b.startTime - a.startTime)
+        .slice(0, RECENT_SESSIONS);
+      this.render();
+    } catch (error) {
+      console.error('[TimingDiagnostics] Failed to load sessions:', error);
+    }
+  }
+
+  /**
+   * Format a lateness for display
+   * @private
+   * @param {number} ms - Milliseconds
+   * @returns {string} Formatted lateness
+   */
+  formatLateness(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms)} ms`;
+  }
+
+  /**
+   * Download the event recording with what a replay needs to rebuild the mode
+   * @private
+   */
+  downloadRecording() {
+    try {
+      const { currentMode, config } = stateManager.getState().timer;
+      eventRecorder.download({ mode: currentMode, config });
+    } catch (error) {
+      console.error('[TimingDiagnostics] Failed to download recording:', error);
+    }
+  }
+
+  render() {
+    const summary = driftMonitor.getSessionSummary();
+    const bells = summary.bells.slice(-RECENT_BELLS).reverse();
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+        }
+
+        .diagnostics {
+          max-width: 800px;
+          margin: var(--space-8, 3rem) auto 0;
+          padding: var(--space-4, 1.5rem);
+          background: var(--color-surface, #fff);
+          border-radius: var(--radius-3, 12px);
+          box-shadow: var(--shadow-small, 0 2px 8px rgba(0,0,0,0.08));
+        }
+
+        h2 {
+          font-family: var(--font-serif, serif);
+          font-size: 1.25rem;
+          color: var(--color-text-primary, #1a1a1a);
+          margin: 0 0 var(--space-4, 1.5rem);
+        }
+
+        h3 {
+          font-size: 0.875rem;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: var(--color-text-secondary, #666);
+          margin: var(--space-4, 1.5rem) 0 var(--space-2, 0.5rem);
+        }
+
+        .metrics {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+          gap: var(--space-3, 1rem);
+        }
+
+        .metric {
+          padding: var(--space-3, 1rem);
+          background: var(--color-background, #fafafa);
+          border-radius: var(--radius-2, 8px);
+        }
+
+        .metric-value {
+          font-size: 1.25rem;
+          font-weight: var(--font-weight-medium, 500);
+          color: var(--color-text-primary, #1a1a1a);
+        }
+
+        .metric-label {
+          font-size: 0.75rem;
+          color: var(--color-text-secondary, #666);
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.875rem;
+        }
+
+        th,
+        td {
+          text-align: left;
+          padding: var(--space-1, 0.25rem) var(--space-2, 0.5rem);
+          border-bottom: 1px solid var(--color-border-light, #eee);
+        }
+
+        th {
+          color: var(--color-text-secondary, #666);
+          font-weight: var(--font-weight-medium, 500);
+        }
+
+        .late {
+          color: var(--color-warning, #b26a00);
+        }
+
+        .empty {
+          color: var(--color-text-tertiary, #999);
+          font-size: 0.875rem;
+        }
+
+        .actions {
+          margin-top: var(--space-4, 1.5rem);
+        }
+
+        .actions button {
+          padding: var(--space-2, 0.5rem) var(--space-3, 1rem);
+          font-size: 0.875rem;
+          background: var(--color-background, #fafafa);
+          color: var(--color-text-primary, #1a1a1a);
+          border: 1px solid var(--color-border-light, #eee);
+          border-radius: var(--radius-2, 8px);
+          cursor: pointer;
+        }
+
+        .actions p {
+          margin: var(--space-2, 0.5rem) 0 0;
+          font-size: 0.75rem;
+          color: var(--color-text-secondary, #666);
+        }
+      </style>
+
+      <section class="diagnostics" aria-labelledby="diagnostics-title">
+        <h2 id="diagnostics-title">Timing Diagnostics</h2>
+
+        <div class="metrics">
+          <div class="metric">
+            <div class="metric-value">${summary.leadTime} ms</div>
+            <div class="metric-label">Scheduling lead time</div>
+          </div>
+          <div class="metric">
+            <div class="metric-value">${this.formatLateness(summary.averageLateness)}</div>
+            <div class="metric-label">Average lateness</div>
+          </div>
+          <div class="metric">
+            <div class="metric-value">${this.formatLateness(summary.maxLateness)}</div>
+            <div class="metric-label">Latest bell</div>
+          </div>
+          <div class="metric">
+            <div class="metric-value">${Math.round(summary.onTimeRate * 100)}%</div>
+            <div class="metric-label">Within ${TIMING.DRIFT_THRESHOLD} ms</div>
+          </div>
+        </div>
+
+        <h3>Latest bells</h3>
+        ${bells.length > 0 ? `
+          <table>
+            <thead>
+              <tr><th>Due</th><th>Bell</th><th>Lateness</th></tr>
+            </thead>
+            <tbody>
+              ${bells.map(bell => `
+                <tr>
+                  <td>${formatDateTime(bell.scheduledAt, { second: '2-digit' })}</td>
+                  <td>${bell.bellType}</td>
+                  <td class="${bell.lateness > TIMING.DRIFT_THRESHOLD ? 'late' : ''}">${this.formatLateness(bell.lateness)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p class="empty">No scheduled bells have rung in this session yet.</p>'}
+
+        <h3>Recent sessions</h3>
+        ${this.sessions.length > 0 ? `
+          <table>
+            <thead>
+              <tr><th>Started</th><th>Bells</th><th>Average</th><th>Latest</th><th>On time</th></tr>
+            </thead>
+            <tbody>
+              ${this.sessions.map(session => `
+                <tr>
+                  <td>${formatDateTime(session.startTime)}</td>
+                  <td>${session.timing.bellCount}</td>
+                  <td>${this.formatLateness(session.timing.averageLateness)}</td>
+                  <td>${this.formatLateness(session.timing.maxLateness)}</td>
+                  <td>${Math.round(session.timing.onTimeRate * 100)}%</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : '<p class="empty">No timing has been recorded with a session yet.</p>'}
+
+        <div class="actions">
+          <button type="button" id="download-recording">Download event recording</button>
+          <p>Attach this file to a bug report about bells ringing at the wrong time.</p>
+        </div>
+      </section>
+    `;
+
+    this.shadowRoot.getElementById('download-recording')
+      .addEventListener('click', () => this.downloadRecording());
+  }
+}
+
+// Register the custom element
+customElements.define('timing-diagnostics', TimingDiagnostics);
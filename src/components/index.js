@@ -18,6 +18,9 @@ export { ControlButtons } from './ControlButtons.js';
 
 // Audio Components
 export { AudioControls } from './AudioControls.js';
+export { BellLibraryPanel } from './BellLibraryPanel.js';
+export { BellDesigner } from './BellDesigner.js';
+export { SessionExport } from './SessionExport.js';
 
 // Mode Selection
 export { ModeSelector } from './ModeSelector.js';
@@ -25,11 +28,15 @@ export { ModeSelector } from './ModeSelector.js';
 // Mode Panels
 export { PeriodicModePanel } from './PeriodicModePanel.js';
 export { RandomModePanel } from './RandomModePanel.js';
+export { ReminderModePanel } from './ReminderModePanel.js';
 export { HourlyModePanel } from './HourlyModePanel.js';
+export { ProgramModePanel } from './ProgramModePanel.js';
 
 // AI & Analytics Components
 export { MoodCheckModal } from './MoodCheckModal.js';
+export { ResumeSessionModal } from './ResumeSessionModal.js';
 export { InsightsDashboard } from './InsightsDashboard.js';
 export { StatsDisplay } from './StatsDisplay.js';
 export { SessionHistory } from './SessionHistory.js';
 export { PrivacySettings } from './PrivacySettings.js';
+export { TimingDiagnostics } from './TimingDiagnostics.js';
@@ -15,12 +15,27 @@ export const EVENTS = {
   TIMER_STOP: 'timer:stop',
   TIMER_TICK: 'timer:tick',
   TIMER_COMPLETE: 'timer:complete',
+  TIMER_PREPARATION_START: 'timer:preparation-start',
+  TIMER_PREPARATION_END: 'timer:preparation-end',
+  TIMER_LEAD_CHANGED: 'timer:lead-changed',
+  TIMER_CLOCK_CHANGED: 'timer:clock-changed',
   
   // Bell events
   BELL_RING: 'bell:ring',
   BELL_START: 'bell:start',
   BELL_END: 'bell:end',
   BELL_SCHEDULED: 'bell:scheduled',
+  BELL_SUPPRESSED: 'bell:suppressed',
+  BELL_UPCOMING: 'bell:upcoming',
+  BELL_TIMING: 'bell:timing',
+  
+  // Program events
+  PROGRAM_SEGMENT_START: 'program:segment-start',
+  
+  // Cross-tab events
+  TAB_LEADER_CHANGED: 'tab:leader-changed',
+  TAB_STATE: 'tab:state',
+  TAB_COMMAND: 'tab:command',
   
   // Audio events
   AUDIO_STARTED: 'audio:started',
@@ -36,6 +51,8 @@ export const EVENTS = {
   AUDIO_CONTEXT_SUSPENDED: 'audio:context-suspended',
   VOLUME_CHANGE: 'audio:volume-change',
   MUTE_CHANGE: 'audio:mute-change',
+  SOUND_LIBRARY_CHANGED: 'audio:library-changed',
+  AMBIENT_CHANGE: 'audio:ambient-change',
   
   // State events
   STATE_CHANGED: 'state:changed',
@@ -73,7 +90,8 @@ export const TIMER_MODES = {
   PERIODIC: 'periodic',
   RANDOM: 'random',
   REMINDER: 'reminder',
-  HOURLY: 'hourly'
+  HOURLY: 'hourly',
+  PROGRAM: 'program'
 };
 
 /**
@@ -87,6 +105,15 @@ export const TIMER_STATES = {
   STOPPED: 'stopped'
 };
 
+/**
+ * Timer phases within a running session
+ * @constant
+ */
+export const TIMER_PHASES = {
+  PREPARING: 'preparing',       // Settling-in countdown before intervals are counted
+  PRACTICE: 'practice'
+};
+
 /**
  * Bell types
  * @constant
@@ -96,6 +123,101 @@ export const BELL_TYPES = {
   SMALL: 'small'
 };
 
+/**
+ * Session phase a BELL_RING belongs to
+ * @constant
+ */
+export const BELL_PHASES = {
+  PREPARATION: 'preparation',
+  OPENING: 'opening',
+  SEGMENT: 'segment',
+  INTERVAL: 'interval',
+  CLOSING: 'closing'
+};
+
+/**
+ * Bells that open and close a fixed-length sit
+ * @constant
+ */
+export const SESSION_BELLS = {
+  OPENING: { bellType: BELL_TYPES.BIG, strikes: 1, gap: 0 },
+  CLOSING: { bellType: BELL_TYPES.BIG, strikes: 3, gap: 6000 }   // gap between strikes (ms)
+};
+
+/**
+ * Bells that can mark the start of the settling-in period
+ * @constant
+ */
+export const PREPARATION_BELLS = {
+  none: null,
+  triple: { bellType: BELL_TYPES.SMALL, strikes: 3, gap: 4000 }
+};
+
+/**
+ * Named bell patterns: strikes in order, each with the gap (ms) since the
+ * previous strike. Modes ring a pattern in place of a single bell
+ * @constant
+ */
+export const BELL_PATTERNS = {
+  'three-to-open': {
+    label: 'Three strikes',
+    strikes: [
+      { bellType: BELL_TYPES.BIG, gap: 0 },
+      { bellType: BELL_TYPES.BIG, gap: 5000 },
+      { bellType: BELL_TYPES.BIG, gap: 5000 }
+    ]
+  },
+  invitation: {
+    label: 'Invitation (wake, then full bell)',
+    strikes: [
+      { bellType: BELL_TYPES.SMALL, gap: 0 },
+      { bellType: BELL_TYPES.BIG, gap: 3000 }
+    ]
+  },
+  'two-to-close': {
+    label: 'Two strikes',
+    strikes: [
+      { bellType: BELL_TYPES.BIG, gap: 0 },
+      { bellType: BELL_TYPES.BIG, gap: 6000 }
+    ]
+  },
+  'three-small': {
+    label: 'Three small bells',
+    strikes: [
+      { bellType: BELL_TYPES.SMALL, gap: 0 },
+      { bellType: BELL_TYPES.SMALL, gap: 4000 },
+      { bellType: BELL_TYPES.SMALL, gap: 4000 }
+    ]
+  }
+};
+
+/**
+ * Interval distributions for random mode
+ * @constant
+ */
+export const RANDOM_DISTRIBUTIONS = {
+  UNIFORM: 'uniform',
+  TRIANGULAR: 'triangular',
+  EXPONENTIAL: 'exponential',
+  NORMAL: 'normal'
+};
+
+/**
+ * Weekday keys, indexed like Date#getDay (0 = Sunday)
+ * @constant
+ */
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Day-of-week masks for weekly schedules (bit n = WEEKDAYS[n])
+ * @constant
+ */
+export const DAY_MASKS = {
+  EVERY_DAY: 0b1111111,
+  WEEKDAYS: 0b0111110,
+  WEEKENDS: 0b1000001
+};
+
 /**
  * Audio file paths
  * @constant
@@ -114,42 +236,261 @@ export const TIMING = {
   MIN_INTERVAL: 1,              // Minimum timer interval (minutes)
   MAX_INTERVAL: 120,            // Maximum timer interval (minutes)
   DRIFT_THRESHOLD: 10,          // Acceptable drift threshold (ms)
+  DRIFT_OUTLIER: 500,           // Lateness this large is throttling or sleep, not drift (ms)
+  MAX_SCHEDULE_LEAD: 50,        // Most the timer wakes ahead of a due bell to absorb drift (ms)
   RAF_FALLBACK_INTERVAL: 16,    // Fallback if RAF not available (ms)
   AUDIO_LOOKAHEAD: 100,         // Audio scheduling lookahead (ms)
-  AUDIO_SCHEDULE_INTERVAL: 25   // How often to check scheduling (ms)
+  AUDIO_SCHEDULE_INTERVAL: 25,  // How often to check scheduling (ms)
+  BELL_PRESCHEDULE_WINDOW: 300000, // Queue a bell on the audio clock once it is this close (ms)
+  BELL_MATCH_TOLERANCE: 1000,   // A ring this early still counts as the queued bell (ms)
+  PRESCHEDULE_EXPIRY: 300000,   // Forget a queued bell whose ring never arrives after this (ms)
+  CHECKPOINT_INTERVAL: 15000,   // How often a running session is written to storage (ms)
+  STATE_PERSIST_THROTTLE: 1000, // Most often persisted state is written to storage (ms)
+  TAB_HEARTBEAT: 1000,          // How often each tab announces itself to the others (ms)
+  TAB_LEADER_TIMEOUT: 5000,     // A leader silent this long is presumed closed (ms)
+  TAB_ELECTION_DELAY: 300,      // How long a new tab listens for a leader before claiming (ms)
+  CLOCK_CHECK_INTERVAL: 1000,   // How often a running timer checks the wall clock and time zone (ms)
+  CLOCK_JUMP_THRESHOLD: 2000    // Wall clock moving this far against the monotonic clock is a jump (ms)
 };
 
 /**
  * Bell sound synthesis parameters
+ * Each bell is a modal model: a set of partials, each a multiple of the
+ * fundamental with its own level, decay time (to -60 dB), detune in cents
+ * and beating (Hz between the two halves of a split mode), struck with a
+ * hardness from 0 (soft felt mallet) to 1 (hard striker)
  * @constant
  */
 export const BELL_PARAMS = {
   BIG_BELL: {
     fundamentalFreq: 220,        // A3 in Hz
     duration: 47,                // seconds
-    harmonics: [1, 2.76, 4.83, 6.59],  // Bell-like harmonic ratios
-    gains: [1.0, 0.5, 0.25, 0.15],
-    attack: 0.01,                // ADSR envelope (seconds)
-    decay: 0.5,
-    sustain: 0.3,
-    release: 47,
-    reverbMix: 0.3,
-    reverbTime: 0.03
+    hardness: 0.4,
+    partials: [
+      { ratio: 1, gain: 1.0, decay: 45, detune: 0, beat: 0.6 },
+      { ratio: 2.76, gain: 0.5, decay: 28, detune: 0, beat: 1.1 },
+      { ratio: 4.83, gain: 0.25, decay: 14, detune: 0, beat: 0 },
+      { ratio: 6.59, gain: 0.15, decay: 8, detune: 0, beat: 0 }
+    ]
   },
   SMALL_BELL: {
     fundamentalFreq: 880,        // A5 in Hz
     duration: 32,                // seconds
-    harmonics: [1, 2.76, 4.83, 6.59],
-    gains: [1.0, 0.4, 0.2, 0.1],
-    attack: 0.005,
-    decay: 0.3,
-    sustain: 0.25,
-    release: 32,
-    reverbMix: 0.2,
-    reverbTime: 0.02
+    hardness: 0.6,
+    partials: [
+      { ratio: 1, gain: 1.0, decay: 30, detune: 0, beat: 0.8 },
+      { ratio: 2.76, gain: 0.4, decay: 16, detune: 0, beat: 0 },
+      { ratio: 4.83, gain: 0.2, decay: 7, detune: 0, beat: 0 },
+      { ratio: 6.59, gain: 0.1, decay: 4, detune: 0, beat: 0 }
+    ]
   }
 };
 
+/**
+ * Starting points for designing a bell, in the shape of BELL_PARAMS
+ * @constant
+ */
+export const BELL_MODEL_PRESETS = {
+  SINGING_BOWL: {
+    name: 'Tibetan singing bowl',
+    fundamentalFreq: 196,
+    duration: 40,
+    hardness: 0.15,
+    partials: [
+      { ratio: 1, gain: 1.0, decay: 38, detune: 0, beat: 0.9 },
+      { ratio: 2.71, gain: 0.6, decay: 24, detune: 0, beat: 1.7 },
+      { ratio: 5.02, gain: 0.3, decay: 12, detune: -4, beat: 2.4 },
+      { ratio: 7.91, gain: 0.12, decay: 6, detune: 3, beat: 0 }
+    ]
+  },
+  TEMPLE_BELL: {
+    name: 'Temple bell',
+    fundamentalFreq: 98,
+    duration: 50,
+    hardness: 0.35,
+    partials: [
+      { ratio: 0.5, gain: 0.7, decay: 48, detune: 0, beat: 0.3 },
+      { ratio: 1, gain: 1.0, decay: 30, detune: 0, beat: 0.5 },
+      { ratio: 1.19, gain: 0.6, decay: 22, detune: 0, beat: 0 },
+      { ratio: 1.5, gain: 0.35, decay: 16, detune: 0, beat: 0 },
+      { ratio: 2, gain: 0.5, decay: 12, detune: 0, beat: 0.8 },
+      { ratio: 2.66, gain: 0.2, decay: 6, detune: 0, beat: 0 },
+      { ratio: 3.32, gain: 0.12, decay: 3, detune: 0, beat: 0 }
+    ]
+  },
+  WOOD_BLOCK: {
+    name: 'Wood block',
+    fundamentalFreq: 720,
+    duration: 1,
+    hardness: 0.95,
+    partials: [
+      { ratio: 1, gain: 1.0, decay: 0.25, detune: 0, beat: 0 },
+      { ratio: 2.57, gain: 0.45, decay: 0.1, detune: 0, beat: 0 },
+      { ratio: 4.21, gain: 0.2, decay: 0.05, detune: 0, beat: 0 }
+    ]
+  }
+};
+
+/**
+ * Ranges of a bell model's parameters
+ * @constant
+ */
+export const BELL_MODEL_LIMITS = {
+  MIN_FUNDAMENTAL: 40,          // Hz
+  MAX_FUNDAMENTAL: 4000,        // Hz
+  MIN_DURATION: 0.1,            // seconds
+  MAX_DURATION: 60,             // seconds
+  MAX_PARTIALS: 12,
+  MIN_RATIO: 0.25,
+  MAX_RATIO: 20,
+  MIN_DECAY: 0.01,              // seconds to -60 dB
+  MAX_DECAY: 60,                // seconds to -60 dB
+  MAX_DETUNE: 100,              // cents either way
+  MAX_BEAT: 10,                 // Hz
+  MAX_PRESETS: 20,
+  MAX_NAME_LENGTH: 40           // characters
+};
+
+/**
+ * Rooms the bells can ring in
+ * @constant
+ */
+export const REVERB_ROOMS = {
+  NONE: 'none',
+  SMALL_ROOM: 'small-room',
+  ZENDO_HALL: 'zendo-hall',
+  OPEN_AIR: 'open-air'
+};
+
+/**
+ * Impulse responses of the rooms, generated rather than recorded
+ * The tail is noise decaying to -60 dB over decay seconds, with a lowpass
+ * closing from startCutoff to endCutoff so the highs die away first;
+ * reflections are discrete echoes ahead of the tail
+ * @constant
+ */
+export const REVERB_PRESETS = {
+  [REVERB_ROOMS.SMALL_ROOM]: {
+    name: 'Small room',
+    preDelay: 0.005,             // seconds before the tail
+    decay: 0.8,                  // seconds to -60 dB
+    startCutoff: 8000,           // Hz
+    endCutoff: 2500,             // Hz
+    reflections: [
+      { time: 0.007, gain: 0.5 },
+      { time: 0.013, gain: 0.35 },
+      { time: 0.019, gain: 0.25 }
+    ],
+    wet: 0.25                    // Level of the reverb against the dry bell
+  },
+  [REVERB_ROOMS.ZENDO_HALL]: {
+    name: 'Zendo hall',
+    preDelay: 0.03,
+    decay: 4,
+    startCutoff: 6000,
+    endCutoff: 1200,
+    reflections: [
+      { time: 0.021, gain: 0.3 },
+      { time: 0.043, gain: 0.25 },
+      { time: 0.067, gain: 0.2 }
+    ],
+    wet: 0.4
+  },
+  [REVERB_ROOMS.OPEN_AIR]: {
+    name: 'Open air',
+    preDelay: 0.01,
+    decay: 1.5,
+    startCutoff: 4000,
+    endCutoff: 800,
+    reflections: [
+      { time: 0.012, gain: 0.6 }   // The ground
+    ],
+    wet: 0.12
+  }
+};
+
+/**
+ * Ambient layers that can play under a session
+ * @constant
+ */
+export const AMBIENT_LAYERS = {
+  NONE: 'none',
+  WHITE_NOISE: 'white-noise',
+  PINK_NOISE: 'pink-noise',
+  BROWN_NOISE: 'brown-noise',
+  RAIN: 'rain',
+  DRONE: 'drone'
+};
+
+/**
+ * Ambient layers, generated rather than recorded
+ * Noise layers loop a few seconds of noise of their color through a
+ * lowpass (and highpass, where set); rain scatters drops over the noise;
+ * the drone is a chord of detuned oscillator pairs under a slowly swept
+ * lowpass. Level evens out how loud the layers sound against each other
+ * @constant
+ */
+export const AMBIENT_PRESETS = {
+  [AMBIENT_LAYERS.WHITE_NOISE]: {
+    name: 'White noise',
+    noise: 'white',
+    cutoff: 12000,               // Hz
+    level: 0.2
+  },
+  [AMBIENT_LAYERS.PINK_NOISE]: {
+    name: 'Pink noise',
+    noise: 'pink',
+    cutoff: 10000,
+    level: 0.35
+  },
+  [AMBIENT_LAYERS.BROWN_NOISE]: {
+    name: 'Brown noise',
+    noise: 'brown',
+    cutoff: 1500,
+    level: 0.7
+  },
+  [AMBIENT_LAYERS.RAIN]: {
+    name: 'Rain',
+    noise: 'pink',
+    highpass: 400,               // Hz
+    cutoff: 7000,
+    drops: {
+      rate: 60,                  // Drops per second
+      length: 0.015,             // seconds for a drop to die away
+      gain: 2                    // Loudest drop against the noise
+    },
+    level: 0.35
+  },
+  [AMBIENT_LAYERS.DRONE]: {
+    name: 'Drone',
+    frequencies: [55, 82.5, 110, 165],  // Hz, a low open fifth
+    detune: 6,                   // cents each oscillator of a pair is pulled apart
+    cutoff: 500,
+    sweep: {
+      rate: 0.05,                // Hz
+      depth: 250                 // Hz either side of the cutoff
+    },
+    level: 0.15
+  }
+};
+
+/**
+ * Ambient layer playback
+ * @constant
+ */
+export const AMBIENT = {
+  DEFAULT_VOLUME: 0.5,
+  LOOP_LENGTH: 10,               // seconds of generated noise, looped
+  LOOP_FADE: 0.5,                // seconds of the loop's end blended into its start
+  FADE_IN: 8,                    // seconds to fade in as a session starts
+  FADE_OUT: 6,                   // seconds to fade out as it stops
+  CROSSFADE: 3,                  // seconds to swap one layer for another
+  DUCK_LEVEL: 0.3,               // Level of the layer under a bell
+  DUCK_ATTACK: 0.15,             // seconds to duck
+  DUCK_HOLD: 6,                  // seconds held down after the last strike
+  DUCK_RELEASE: 4                // seconds to come back up
+};
+
 /**
  * Audio context states
  * @constant
@@ -176,11 +517,62 @@ export const LIMITS = {
   MIN_RANDOM_INTERVAL: 1,       // minutes
   MAX_RANDOM_INTERVAL: 120,     // minutes
   MAX_REMINDER_TIMES: 24,
+  MAX_QUIET_WINDOWS: 6,
+  MIN_SESSION_DURATION: 1,      // minutes
+  MAX_SESSION_DURATION: 480,    // minutes
+  MAX_PREPARATION_TIME: 15,     // minutes
+  MAX_PROGRAM_SEGMENTS: 12,
+  MAX_BELL_STRIKES: 5,
+  MAX_PATTERN_GAP: 30000,       // ms between strikes of a bell pattern
+  MAX_SEED_LENGTH: 64,          // characters of a random mode seed
+  MAX_SEGMENT_LABEL_LENGTH: 40, // characters
   MAX_NOTE_LENGTH: 5000,        // characters
   MAX_TAG_LENGTH: 50,           // characters
   MAX_TAGS_PER_SESSION: 10
 };
 
+/**
+ * Bell library of the user's own recordings
+ * @constant
+ */
+export const SOUND_LIBRARY = {
+  EXTENSIONS: ['wav', 'mp3', 'ogg'],
+  MIME_TYPES: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/mpeg', 'audio/mp3', 'audio/ogg'],
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // bytes
+  MAX_DURATION: 120,            // seconds of sound kept after trimming
+  MAX_NAME_LENGTH: 40,          // characters
+  DEFAULT_PEAK_DB: -1,          // dBFS the loudest sample is brought to (null = leave as recorded)
+  MIN_PEAK_DB: -30,             // dBFS
+  TRIM_FADE: 0.005              // Fade at a cut so it doesn't click (seconds)
+};
+
+/**
+ * Whole sessions rendered offline to WAV
+ * The render is held in memory as float samples while it is made, so its
+ * length and sample rate are kept modest
+ * @constant
+ */
+export const SESSION_RENDER = {
+  SAMPLE_RATE: 22050,           // Hz
+  CHANNELS: 2,
+  BIT_DEPTH: 16,
+  DEFAULT_DURATION: 30,         // minutes, for modes without a set length
+  MAX_DURATION: 90,             // minutes
+  AMBIENT_VOLUME: 0.3,
+  AMBIENT_FADE: 5               // seconds the ambient bed fades in and out
+};
+
+/**
+ * Event recordings for reproducing timing bugs
+ * @constant
+ */
+export const RECORDING = {
+  FORMAT: 'awakening-bell-recording',
+  VERSION: 1,
+  CAPACITY: 2000,               // Events kept before the oldest are dropped
+  BELL_TOLERANCE: 5             // A replayed bell this close to its recorded time matches (ms)
+};
+
 /**
  * Local storage keys
  * @constant
@@ -188,7 +580,8 @@ export const LIMITS = {
 export const STORAGE_KEYS = {
   PREFERENCES: 'awakening-bell:preferences',
   VERSION: 'awakening-bell:version',
-  ONBOARDING_COMPLETE: 'awakening-bell:onboarding-complete'
+  ONBOARDING_COMPLETE: 'awakening-bell:onboarding-complete',
+  SESSION_CHECKPOINT: 'awakening-bell:session-checkpoint'
 };
 
 /**
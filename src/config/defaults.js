@@ -3,7 +3,7 @@
  * @module config/defaults
  */
 
-import { TIMER_MODES, BELL_TYPES, THEMES } from './constants.js';
+import { TIMER_MODES, BELL_TYPES, THEMES, DAY_MASKS, STORAGE_KEYS, REVERB_ROOMS, AMBIENT_LAYERS, AMBIENT } from './constants.js';
 
 /**
  * Default user preferences
@@ -30,6 +30,15 @@ export const DEFAULT_PREFERENCES = {
     fadeDuration: 200,
     preloadAudio: true,
     useSynthesis: true,          // Use synthesized bells vs audio files
+    bellSounds: {},              // Library sounds in each mode's slots { periodic: { big: id, small: null } } (unset = synthesized)
+    bellModels: {                // Designed bell models the bells ring with (null = built-in)
+      big: null,
+      small: null
+    },
+    bellPresets: [],             // Bell designer presets [{ name, model }]
+    reverb: REVERB_ROOMS.ZENDO_HALL,  // Room the bells ring in (REVERB_ROOMS)
+    ambientLayer: AMBIENT_LAYERS.NONE,  // Layer played under sessions (AMBIENT_LAYERS)
+    ambientVolume: AMBIENT.DEFAULT_VOLUME,
     audioQuality: 'high'          // 'low' | 'medium' | 'high'
   },
   
@@ -40,7 +49,15 @@ export const DEFAULT_PREFERENCES = {
     randomMinInterval: 2,          // minutes
     randomMaxInterval: 10,         // minutes
     reminderTimes: [],             // HH:MM format
+    reminderBellType: BELL_TYPES.BIG,
+    reminderPattern: null,         // Key of BELL_PATTERNS (null = single strike)
+    reminderRecurring: true,       // Repeat daily
+    reminderDays: DAY_MASKS.EVERY_DAY,
     hourlyEnabled: false,
+    doNotDisturb: {
+      enabled: false,
+      windows: [{ start: '22:00', end: '07:00' }]  // May wrap past midnight
+    },
     autoStart: false,
     endNotification: true
   },
@@ -88,17 +105,34 @@ export const DEFAULT_TIMER_CONFIG = {
   [TIMER_MODES.RANDOM]: {
     minInterval: 2,                // minutes
     maxInterval: 10,               // minutes
-    bellType: 'random'             // 'big' | 'small' | 'random'
+    distribution: 'triangular',    // 'uniform' | 'triangular' | 'exponential' | 'normal'
+    bellType: 'random',            // 'big' | 'small' | 'random'
+    bigBellProbability: 0.5,       // chance of a big bell when bellType is 'random'
+    noConsecutiveBig: false,       // never two big bells in a row
+    seed: null,                    // string | number for a repeatable sequence
+    preplanned: false              // draw every bell of a fixed-length sit at the start
   },
   [TIMER_MODES.REMINDER]: {
     times: [],                     // Array of HH:MM strings
     recurring: true,               // Repeat daily
-    bellType: BELL_TYPES.BIG
+    bellType: BELL_TYPES.BIG,
+    schedule: null,                // { days: day mask, perDay: { sat: ['08:00'] } } or null (every day)
+    pattern: null                  // Key of BELL_PATTERNS or strikes (null = single strike)
   },
   [TIMER_MODES.HOURLY]: {
     enabled: true,
     bellType: BELL_TYPES.BIG,
-    onlyDuringHours: null          // { start: '09:00', end: '21:00' } or null
+    onlyDuringHours: null,         // { start: '09:00', end: '21:00' } or null; may wrap past midnight
+    quietHours: [],                // Windows { start, end } in which no bell rings
+    schedule: null,                // { days: day mask, perDay: { sun: null } } or null (every day)
+    pattern: null                  // Key of BELL_PATTERNS or strikes (null = single strike)
+  },
+  [TIMER_MODES.PROGRAM]: {
+    segments: [                    // { label, duration (min), bellType, strikes, interval (min, 0 = none) }
+      { label: 'Sitting', duration: 25, bellType: BELL_TYPES.BIG, strikes: 3, interval: 0 },
+      { label: 'Walking', duration: 10, bellType: BELL_TYPES.SMALL, strikes: 1, interval: 0 },
+      { label: 'Sitting', duration: 25, bellType: BELL_TYPES.BIG, strikes: 1, interval: 0 }
+    ]
   }
 };
 
@@ -114,7 +148,8 @@ export const DEFAULT_STATE = {
     currentMode: TIMER_MODES.PERIODIC,
     elapsedSeconds: 0,
     nextBellAt: null,
-    config: DEFAULT_TIMER_CONFIG[TIMER_MODES.PERIODIC]
+    config: DEFAULT_TIMER_CONFIG[TIMER_MODES.PERIODIC],
+    remote: null                   // Timer of a session running in another tab
   },
   
   // Audio state
@@ -150,3 +185,28 @@ export const DEFAULT_STATE = {
     modelLoadStatus: 'not-loaded' // 'not-loaded' | 'loading' | 'ready' | 'error'
   }
 };
+
+/**
+ * Parts of the state kept across page loads
+ * storage: 'local' (localStorage, written synchronously, so it also
+ * survives the page being closed) or 'indexeddb' (the storage manager's
+ * state store). key defaults to the path
+ * @constant
+ */
+export const PERSISTED_STATE = [
+  { path: 'user.preferences', storage: 'local', key: STORAGE_KEYS.PREFERENCES },
+  { path: 'ui.theme', storage: 'local' },
+  { path: 'timer.currentMode', storage: 'indexeddb' },
+  { path: 'timer.config', storage: 'indexeddb' }
+];
+
+/**
+ * Migrations of persisted state, run in version order when the stored
+ * APP_VERSION is older than their version. Each receives the stored values
+ * by path and returns the values to keep
+ * @constant
+ *
+ * @example
+ * { version: '1.1.0', migrate: (values) => ({ ...values, 'ui.theme': values['ui.theme'] || 'auto' }) }
+ */
+export const STATE_MIGRATIONS = [];
@@ -0,0 +1,122 @@
+/**
+ * Do Not Disturb - Global quiet schedule for every mode
+ * @module core/DoNotDisturb
+ */
+
+import { eventBus as defaultEventBus, CANCEL_EVENT } from './EventBus.js';
+import { EVENTS } from '../config/constants.js';
+import { validateQuietWindows } from '../utils/validation.js';
+import { isWithinWindow, toTimeOfDay } from '../utils/schedule.js';
+
+/**
+ * DoNotDisturb holds back BELL_RING events that fall inside any of its
+ * windows, whichever mode rang them. Each held-back bell is re-announced
+ * as BELL_SUPPRESSED so it can still be counted
+ *
+ * @example
+ * doNotDisturb.configure({ enabled: true, windows: [{ start: '22:00', end: '07:00' }] });
+ * doNotDisturb.install(eventBus);
+ */
+export class DoNotDisturb {
+  constructor() {
+    /** @private {boolean} Whether the schedule is in effect */
+    this.enabled = false;
+
+    /** @private {Array<Object>} Quiet windows {start, end} */
+    this.windows = [];
+
+    /** @private {EventBus|null} Bus the middleware is installed on */
+    this.eventBus = null;
+  }
+
+  /**
+   * Update the schedule
+   * @param {Object} config - Do not disturb settings
+   * @param {boolean} config.enabled - Whether the schedule is in effect
+   * @param {Array<Object>} config.windows - Quiet windows {start, end}, may wrap past midnight
+   */
+  configure(config = {}) {
+    const { enabled = false, windows = [] } = config;
+
+    const validation = validateQuietWindows(windows);
+    if (!validation.valid) {
+      throw new Error(`Invalid do not disturb windows: ${validation.errors.join(', ')}`);
+    }
+
+    this.enabled = Boolean(enabled);
+    this.windows = windows.map(window => ({ ...window }));
+  }
+
+  /**
+   * Check whether bells are held back at a given time
+   * @param {Date} date - Time to check
+   * @returns {boolean} True if inside a quiet window
+   */
+  isActive(date = new Date()) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const time = toTimeOfDay(date);
+    return this.windows.some(window => isWithinWindow(time, window));
+  }
+
+  /**
+   * Install the suppression middleware on an event bus
+   * @param {EventBus} bus - Event bus to guard
+   */
+  install(bus = defaultEventBus) {
+    if (this.eventBus) {
+      return;
+    }
+
+    this.eventBus = bus;
+    bus.use((eventType, payload) => this.#filter(eventType, payload));
+  }
+
+  /**
+   * Middleware: cancel bells inside a quiet window
+   * An upcoming bell due inside a window is dropped quietly, so the audio
+   * never queues it; the ring itself is then suppressed and counted
+   * @private
+   * @param {string} eventType - Event type
+   * @param {*} payload - Event payload
+   * @returns {*} Payload, or CANCEL_EVENT for a suppressed bell
+   */
+  #filter(eventType, payload) {
+    if (eventType === EVENTS.BELL_UPCOMING) {
+      return this.isActive(new Date(payload.time)) ? CANCEL_EVENT : payload;
+    }
+
+    if (eventType !== EVENTS.BELL_RING) {
+      return payload;
+    }
+
+    const timestamp = payload?.timestamp || Date.now();
+    if (!this.isActive(new Date(timestamp))) {
+      return payload;
+    }
+
+    this.eventBus.dispatch(EVENTS.BELL_SUPPRESSED, {
+      ...payload,
+      timestamp,
+      reason: 'do-not-disturb'
+    });
+
+    return CANCEL_EVENT;
+  }
+
+  /**
+   * Get current settings
+   * @returns {Object} {enabled, windows}
+   */
+  getConfig() {
+    return {
+      enabled: this.enabled,
+      windows: this.windows.map(window => ({ ...window }))
+    };
+  }
+}
+
+// Export singleton instance
+export const doNotDisturb = new DoNotDisturb();
@@ -0,0 +1,217 @@
+/**
+ * Drift Monitor - Timing accuracy of scheduled bells
+ * @module core/DriftMonitor
+ */
+
+import { eventBus as defaultEventBus } from './EventBus.js';
+import { EVENTS, TIMING } from '../config/constants.js';
+
+/**
+ * Number of recent completions the lead time is judged on
+ * @constant
+ */
+const SAMPLE_SIZE = 5;
+
+/**
+ * Most bells kept in a session's timing record
+ * @constant
+ */
+const MAX_RECORDED_BELLS = 200;
+
+/**
+ * Timing of one scheduled bell
+ * @typedef {Object} BellTiming
+ * @property {number} timestamp - When the bell rang (ms)
+ * @property {number} scheduledAt - When it was due (ms)
+ * @property {number} lateness - Milliseconds after its due time the timer fired
+ * @property {string} bellType - 'big' or 'small'
+ * @property {string|null} phase - Bell phase, if the mode gave one
+ */
+
+/**
+ * DriftMonitor measures how late each scheduled bell rang against its due
+ * time and keeps the per-session record that is saved with the session.
+ * When the typical lateness grows past TIMING.DRIFT_THRESHOLD the timer's
+ * lead time is raised so it wakes earlier for the next bell
+ *
+ * Only bells rung from a TIMER_COMPLETE are measured; opening and
+ * preparation bells ring on demand and have no schedule to be late against
+ *
+ * @fires BELL_TIMING - With the BellTiming of each measured bell
+ * @fires TIMER_LEAD_CHANGED - With {leadTime} when the lead time changes
+ *
+ * @example
+ * driftMonitor.install(eventBus);
+ * const timer = new TimerEngine({ mode, leadTime: driftMonitor.getLeadTime() });
+ */
+export class DriftMonitor {
+  constructor() {
+    /** @private {EventBus|null} Bus the monitor listens on */
+    this.eventBus = null;
+
+    /** @private {number} Current lead time (ms) */
+    this.leadTime = 0;
+
+    /** @private {Array<number>} Recent lateness samples (ms) */
+    this.samples = [];
+
+    /** @private {Array<BellTiming>} Bells measured this session */
+    this.bells = [];
+
+    /** @private {Object|null} Completion waiting for the bell it rings */
+    this.pending = null;
+  }
+
+  /**
+   * Start listening for timer and bell events
+   * @param {EventBus} bus - Event bus to listen on
+   */
+  install(bus = defaultEventBus) {
+    if (this.eventBus) {
+      return;
+    }
+
+    this.eventBus = bus;
+
+    bus.on(EVENTS.TIMER_START, (data) => {
+      // A restored session carries its earlier bells over via restoreSession()
+      if (!data?.restored) {
+        this.bells = [];
+      }
+      this.pending = null;
+    });
+
+    bus.on(EVENTS.TIMER_COMPLETE, (data) => this.#onComplete(data));
+    bus.on(EVENTS.BELL_RING, (data) => this.#onBellRing(data));
+  }
+
+  /**
+   * Record a completion and adapt the lead time
+   * @private
+   * @param {Object} data - TIMER_COMPLETE payload
+   */
+  #onComplete(data) {
+    const lateness = Math.max(0, Math.round(data.drift || 0));
+
+    // The mode rings its bell, if any, synchronously from the completion
+    const pending = { scheduledAt: data.scheduledAt ?? Date.now() - lateness, lateness };
+    this.pending = pending;
+    queueMicrotask(() => {
+      if (this.pending === pending) {
+        this.pending = null;
+      }
+    });
+
+    if (lateness >= TIMING.DRIFT_OUTLIER) {
+      return;
+    }
+
+    this.samples.push(lateness);
+    if (this.samples.length > SAMPLE_SIZE) {
+      this.samples.shift();
+    }
+
+    this.#adaptLeadTime();
+  }
+
+  /**
+   * Pair a bell with the completion that rang it
+   * @private
+   * @param {Object} data - BELL_RING payload
+   */
+  #onBellRing(data) {
+    if (!this.pending) {
+      return;
+    }
+
+    const timing = {
+      timestamp: data.timestamp || Date.now(),
+      scheduledAt: this.pending.scheduledAt,
+      lateness: this.pending.lateness,
+      bellType: data.bellType,
+      phase: data.phase || null
+    };
+    this.pending = null;
+
+    this.bells.push(timing);
+    if (this.bells.length > MAX_RECORDED_BELLS) {
+      this.bells.shift();
+    }
+
+    this.eventBus.dispatch(EVENTS.BELL_TIMING, timing);
+  }
+
+  /**
+   * Raise the lead time when the typical lateness is past the threshold
+   * The residual lateness is added on, so a lead that works is kept
+   * @private
+   */
+  #adaptLeadTime() {
+    if (this.samples.length < SAMPLE_SIZE) {
+      return;
+    }
+
+    const typical = median(this.samples);
+    if (typical <= TIMING.DRIFT_THRESHOLD || this.leadTime >= TIMING.MAX_SCHEDULE_LEAD) {
+      return;
+    }
+
+    this.leadTime = Math.min(TIMING.MAX_SCHEDULE_LEAD, this.leadTime + typical);
+    this.samples = [];
+
+    this.eventBus.dispatch(EVENTS.TIMER_LEAD_CHANGED, { leadTime: this.leadTime });
+  }
+
+  /**
+   * Get the lead time new timers should use
+   * @returns {number} Milliseconds
+   */
+  getLeadTime() {
+    return this.leadTime;
+  }
+
+  /**
+   * Summarise the timing of the current session
+   * @returns {Object} {bellCount, averageLateness, maxLateness, onTimeRate, leadTime, bells}
+   */
+  getSessionSummary() {
+    const latenesses = this.bells.map(bell => bell.lateness);
+    const total = latenesses.reduce((sum, lateness) => sum + lateness, 0);
+    const onTime = latenesses.filter(lateness => lateness <= TIMING.DRIFT_THRESHOLD).length;
+
+    return {
+      bellCount: this.bells.length,
+      averageLateness: latenesses.length > 0 ? Math.round(total / latenesses.length) : 0,
+      maxLateness: latenesses.length > 0 ? Math.max(...latenesses) : 0,
+      onTimeRate: latenesses.length > 0 ? onTime / latenesses.length : 1,
+      leadTime: this.leadTime,
+      bells: this.bells.map(bell => ({ ...bell }))
+    };
+  }
+
+  /**
+   * Carry on the record of a session restored after a page reload
+   * @param {Object|null} summary - Result of getSessionSummary() from the checkpoint
+   */
+  restoreSession(summary) {
+    this.bells = (summary?.bells || []).map(bell => ({ ...bell }));
+    this.pending = null;
+  }
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+// Export singleton instance
+export const driftMonitor = new DriftMonitor();
@@ -4,6 +4,18 @@
  * @module core/EventBus
  */
 
+/**
+ * Returned by a middleware to stop an event from reaching any listener
+ * @constant
+ */
+export const CANCEL_EVENT = Symbol('EventBus.cancel');
+
+/**
+ * Subscribes to every event
+ * @constant
+ */
+export const ANY_EVENT = '*';
+
 /**
  * EventBus class provides a centralized event system
  * for component communication throughout the application
@@ -25,7 +37,10 @@ export class EventBus {
 
   /**
    * Subscribe to an event
-   * @param {string} eventType - The event type to listen for
+   * Besides an exact event type, a namespace pattern ('audio:*') receives
+   * every event in that namespace and '*' receives every event. Pattern
+   * listeners are called with the event type as a second argument
+   * @param {string} eventType - The event type or pattern to listen for
    * @param {Function} callback - Function to call when event is dispatched
    * @returns {Function} Unsubscribe function
    * @throws {TypeError} If eventType is not a string or callback is not a function
@@ -35,6 +50,10 @@ export class EventBus {
    *   console.log('Timer started:', data);
    * });
    * // Later: unsubscribe();
+   *
+   * eventBus.on('audio:*', (data, eventType) => {
+   *   console.log('Audio event:', eventType, data);
+   * });
    */
   on(eventType, callback) {
     if (typeof eventType !== 'string') {
@@ -85,8 +104,8 @@ export class EventBus {
    * });
    */
   once(eventType, callback) {
-    const onceCallback = (payload) => {
-      callback(payload);
+    const onceCallback = (...args) => {
+      callback(...args);
       this.off(eventType, onceCallback);
     };
     
@@ -114,6 +133,13 @@ export class EventBus {
       } catch (error) {
         console.error(`[EventBus] Middleware error for ${eventType}:`, error);
       }
+      
+      if (processedPayload === CANCEL_EVENT) {
+        if (this.devMode) {
+          console.log(`[EventBus] ${eventType} cancelled by middleware`);
+        }
+        return;
+      }
     }
     
     // Log in development mode
@@ -121,23 +147,39 @@ export class EventBus {
       console.log(`[EventBus] ${eventType}`, processedPayload);
     }
     
-    // Notify all listeners
-    if (this.listeners.has(eventType)) {
-      const listeners = this.listeners.get(eventType);
-      
-      listeners.forEach(callback => {
-        try {
-          callback(processedPayload);
-        } catch (error) {
-          console.error(`[EventBus] Error in listener for ${eventType}:`, error);
-        }
-      });
+    // Notify all listeners, then those of the event's namespaces
+    this.#notify(eventType, [processedPayload]);
+    
+    for (const pattern of namespacePatterns(eventType)) {
+      this.#notify(pattern, [processedPayload, eventType], eventType);
     }
   }
 
+  /**
+   * Call the listeners registered under a key
+   * @private
+   * @param {string} key - Event type or pattern
+   * @param {Array} args - Arguments to call listeners with
+   * @param {string} [eventType] - Event being dispatched, for error reports
+   */
+  #notify(key, args, eventType = key) {
+    if (!this.listeners.has(key)) {
+      return;
+    }
+    
+    this.listeners.get(key).forEach(callback => {
+      try {
+        callback(...args);
+      } catch (error) {
+        console.error(`[EventBus] Error in listener for ${eventType}:`, error);
+      }
+    });
+  }
+
   /**
    * Add middleware function to process events
-   * Middleware receives (eventType, payload) and must return processed payload
+   * Middleware receives (eventType, payload) and must return processed payload,
+   * or CANCEL_EVENT to drop the event before any listener sees it
    * @param {Function} middleware - Middleware function
    * @throws {TypeError} If middleware is not a function
    * 
@@ -205,5 +247,22 @@ export class EventBus {
   }
 }
 
+/**
+ * Patterns whose listeners also receive an event, most specific first
+ * @param {string} eventType - Event type, e.g. 'audio:volume-change'
+ * @returns {string[]} Patterns, e.g. ['audio:*', '*']
+ */
+function namespacePatterns(eventType) {
+  const parts = eventType.split(':');
+  const patterns = [];
+
+  for (let i = parts.length - 1; i > 0; i--) {
+    patterns.push(`${parts.slice(0, i).join(':')}:*`);
+  }
+  patterns.push(ANY_EVENT);
+
+  return patterns;
+}
+
 // Export singleton instance
 export const eventBus = new EventBus();
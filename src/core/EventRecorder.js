@@ -0,0 +1,200 @@
+/**
+ * Event Recorder - Rolling record of dispatched events for bug reports
+ * @module core/EventRecorder
+ */
+
+import { eventBus as defaultEventBus } from './EventBus.js';
+import { EVENTS, RECORDING, APP_VERSION } from '../config/constants.js';
+import { clock } from '../utils/clock.js';
+
+/**
+ * Events left out by default: ticks and progress arrive many times a
+ * second, and state changes repeat what the other events already say
+ * @constant
+ */
+const DEFAULT_IGNORED = [EVENTS.TIMER_TICK, EVENTS.AUDIO_PROGRESS, EVENTS.STATE_CHANGED];
+
+/**
+ * A recorded event
+ * @typedef {Object} RecordedEvent
+ * @property {number} seq - Position in the whole recording, counting dropped events
+ * @property {string} type - Event type
+ * @property {*} payload - Copy of the payload listeners received
+ * @property {number} time - Wall-clock time of the dispatch (ms)
+ * @property {number} at - Monotonic time of the dispatch (ms)
+ */
+
+/**
+ * EventRecorder keeps the latest events dispatched on a bus, with the
+ * wall-clock and monotonic time of each, in a ring buffer. An exported
+ * recording can be fed back with replayRecording() to reproduce the bells
+ * of a session
+ *
+ * Install it after any middleware that cancels events, so the recording
+ * holds what listeners saw
+ *
+ * @example
+ * eventRecorder.install(eventBus);
+ * const recording = eventRecorder.export({ mode: 'periodic', config });
+ */
+export class EventRecorder {
+  /**
+   * Create a recorder
+   * @param {Object} [options] - Options
+   * @param {number} [options.capacity] - Events kept before the oldest are dropped
+   * @param {Array<string>} [options.ignore] - Event types not recorded
+   * @throws {RangeError} If the capacity is not a positive whole number
+   */
+  constructor({ capacity = RECORDING.CAPACITY, ignore = DEFAULT_IGNORED } = {}) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new RangeError('Recorder capacity must be a positive whole number');
+    }
+
+    /** @private {number} Events kept */
+    this.capacity = capacity;
+
+    /** @private {Set<string>} Event types not recorded */
+    this.ignored = new Set(ignore);
+
+    /** @private {Array<RecordedEvent>} Ring buffer */
+    this.buffer = [];
+
+    /** @private {number} Index of the oldest event once the buffer is full */
+    this.head = 0;
+
+    /** @private {number} Events recorded since the last clear */
+    this.count = 0;
+
+    /** @private {boolean} Whether events are being recorded */
+    this.enabled = true;
+
+    /** @private {EventBus|null} Bus the middleware is installed on */
+    this.eventBus = null;
+  }
+
+  /**
+   * Install the recording middleware on an event bus
+   * @param {EventBus} bus - Event bus to record
+   */
+  install(bus = defaultEventBus) {
+    if (this.eventBus) {
+      return;
+    }
+
+    this.eventBus = bus;
+    bus.use((eventType, payload) => {
+      if (this.enabled && !this.ignored.has(eventType)) {
+        this.record(eventType, payload);
+      }
+      return payload;
+    });
+  }
+
+  /**
+   * Record an event
+   * @param {string} type - Event type
+   * @param {*} payload - Event payload
+   */
+  record(type, payload) {
+    const event = {
+      seq: this.count,
+      type,
+      payload: copyPayload(payload),
+      time: clock.now(),
+      at: clock.performanceNow()
+    };
+
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(event);
+    } else {
+      this.buffer[this.head] = event;
+      this.head = (this.head + 1) % this.capacity;
+    }
+
+    this.count++;
+  }
+
+  /**
+   * Pause or resume recording
+   * @param {boolean} enabled - Whether to record
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+  }
+
+  /**
+   * Get the recorded events, oldest first
+   * @returns {Array<RecordedEvent>} Events
+   */
+  getEvents() {
+    return [...this.buffer.slice(this.head), ...this.buffer.slice(0, this.head)];
+  }
+
+  /**
+   * Forget every recorded event
+   */
+  clear() {
+    this.buffer = [];
+    this.head = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Export the recording
+   * @param {Object} [metadata] - What a replay needs to know, e.g. {mode, config}
+   * @returns {Object} Recording {format, version, appVersion, exportedAt, timezoneOffset, metadata, dropped, events}
+   */
+  export(metadata = {}) {
+    return {
+      format: RECORDING.FORMAT,
+      version: RECORDING.VERSION,
+      appVersion: APP_VERSION,
+      exportedAt: clock.now(),
+      timezoneOffset: clock.date().getTimezoneOffset(),
+      metadata: copyPayload(metadata),
+      dropped: this.count - this.buffer.length,
+      events: this.getEvents()
+    };
+  }
+
+  /**
+   * Download the recording as a JSON file
+   * @param {Object} [metadata] - What a replay needs to know, e.g. {mode, config}
+   */
+  download(metadata = {}) {
+    const jsonString = JSON.stringify(this.export(metadata), null, 2);
+    const blob = new Blob([jsonString], { type: 'application/json' });
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `awakening-bell-recording-${Date.now()}.json`;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Copy a payload so later changes to it don't alter the recording
+ * Values JSON can't hold (functions, DOM nodes) are left out
+ * @param {*} payload - Event payload
+ * @returns {*} Copy
+ */
+function copyPayload(payload) {
+  if (payload === undefined) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(payload));
+  } catch (error) {
+    return { unrecorded: String(error.message || error) };
+  }
+}
+
+// Export singleton instance
+export const eventRecorder = new EventRecorder();
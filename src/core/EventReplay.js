@@ -0,0 +1,259 @@
+/**
+ * Event Replay - Feed a recorded session back through its mode
+ * @module core/EventReplay
+ */
+
+import { EventBus } from './EventBus.js';
+import { MODES } from './modes/index.js';
+import { EVENTS, TIMER_PHASES, RECORDING } from '../config/constants.js';
+import { FakeClock } from '../utils/clock.js';
+
+/**
+ * Stand-in for TimerEngine during a replay
+ * The recording says when the real timer completed, resumed and so on;
+ * this only notes what the mode asked of it
+ */
+class ReplayTimer {
+  /**
+   * @param {FakeClock} clock - Replay clock
+   */
+  constructor(clock) {
+    /** @private {FakeClock} Replay clock */
+    this.clock = clock;
+
+    /** @private {string|null} Timer phase */
+    this.phase = null;
+
+    /** @private {Array<Object>} Intervals the mode scheduled {time, interval} */
+    this.scheduled = [];
+
+    /** @private {string|null} Reason the mode stopped the timer */
+    this.stopReason = null;
+  }
+
+  start(interval = null) {
+    this.phase = TIMER_PHASES.PRACTICE;
+    if (interval !== null) {
+      this.scheduled.push({ time: this.clock.now(), interval });
+    }
+  }
+
+  startPreparation(duration) {
+    this.phase = TIMER_PHASES.PREPARING;
+    this.scheduled.push({ time: this.clock.now(), interval: duration });
+  }
+
+  scheduleNext(interval) {
+    if (this.phase === null) {
+      this.phase = TIMER_PHASES.PRACTICE;
+    }
+    this.scheduled.push({ time: this.clock.now(), interval });
+  }
+
+  isPreparing() {
+    return this.phase === TIMER_PHASES.PREPARING;
+  }
+
+  stop(reason = 'user') {
+    this.stopReason = reason;
+  }
+}
+
+/**
+ * Validate a recording
+ * @param {Object} recording - Recording to check
+ * @returns {Object} Validation result {valid, errors}
+ */
+export function validateRecording(recording) {
+  const errors = [];
+
+  if (!recording || typeof recording !== 'object') {
+    errors.push('Recording must be an object');
+    return { valid: false, errors };
+  }
+
+  if (recording.format !== RECORDING.FORMAT) {
+    errors.push(`Format must be ${RECORDING.FORMAT}`);
+  }
+
+  if (recording.version > RECORDING.VERSION) {
+    errors.push(`Version ${recording.version} is newer than this app reads`);
+  }
+
+  if (!Array.isArray(recording.events)) {
+    errors.push('Events must be an array');
+  } else if (recording.events.some(event => typeof event?.type !== 'string' ||
+      typeof event.time !== 'number' || typeof event.at !== 'number')) {
+    errors.push('Each event needs a type, time and at');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Reduce a bell to what a replay has to reproduce
+ * @param {Object} payload - BELL_RING or BELL_SUPPRESSED payload
+ * @returns {Object} {timestamp, bellType, phase, strikes}
+ */
+function describeBell(payload) {
+  return {
+    timestamp: payload.timestamp,
+    bellType: payload.bellType,
+    phase: payload.phase || null,
+    strikes: payload.pattern?.length || payload.strikes || 1
+  };
+}
+
+/**
+ * List where two bell sequences part
+ * @param {Array<Object>} recorded - Bells of the recording
+ * @param {Array<Object>} replayed - Bells of the replay
+ * @param {number} [tolerance] - Largest timestamp difference that still matches (ms)
+ * @returns {Array<string>} Differences; empty when the sequences match
+ */
+export function compareBells(recorded, replayed, tolerance = RECORDING.BELL_TOLERANCE) {
+  const differences = [];
+  const length = Math.max(recorded.length, replayed.length);
+
+  for (let i = 0; i < length; i++) {
+    const expected = recorded[i];
+    const actual = replayed[i];
+
+    if (!expected || !actual) {
+      differences.push(`Bell ${i + 1}: ${expected ? 'recorded but not replayed' : 'replayed but not recorded'}`);
+      continue;
+    }
+
+    ['bellType', 'phase', 'strikes'].forEach(field => {
+      if (expected[field] !== actual[field]) {
+        differences.push(`Bell ${i + 1}: ${field} was ${expected[field]}, replayed ${actual[field]}`);
+      }
+    });
+
+    const offset = actual.timestamp - expected.timestamp;
+    if (Math.abs(offset) > tolerance) {
+      differences.push(`Bell ${i + 1}: rang ${offset} ms from its recorded time`);
+    }
+  }
+
+  return differences;
+}
+
+/**
+ * Replay a recorded session
+ * Builds the session's mode on a fresh event bus and a fake clock, and
+ * drives it the way TimerEngine did, at the recorded times: the clock is set
+ * to each event's wall-clock and monotonic time in turn. The bells the mode
+ * rings can then be compared with the recorded ones
+ *
+ * Random sits replay exactly when seeded or planned up front; otherwise
+ * their draws differ from the recording
+ *
+ * @param {Object} recording - Recording from EventRecorder.export()
+ * @param {Object} [options] - Options
+ * @param {string} [options.mode] - Mode name (defaults to the recording's metadata)
+ * @param {Object} [options.config] - Mode config (defaults to the recording's metadata)
+ * @param {number} [options.session] - Which of the recorded sessions to replay, from 0 (defaults to the last)
+ * @param {EventBus} [options.eventBus] - Bus the mode dispatches on
+ * @returns {Object} {bells, recordedBells, differences, matches, scheduled, stopReason, events}
+ * @throws {Error} If the recording is invalid or holds no such session
+ *
+ * @example
+ * const result = replayRecording(recording);
+ * expect(result.differences).toEqual([]);
+ */
+export function replayRecording(recording, options = {}) {
+  const validation = validateRecording(recording);
+  if (!validation.valid) {
+    throw new Error(`Invalid recording: ${validation.errors.join(', ')}`);
+  }
+
+  const events = [...recording.events].sort((a, b) => a.seq - b.seq);
+  const starts = events
+    .map((event, index) => (event.type === EVENTS.TIMER_START && !event.payload?.restored ? index : -1))
+    .filter(index => index !== -1);
+
+  const session = options.session ?? starts.length - 1;
+  if (starts[session] === undefined) {
+    throw new Error(`Invalid recording: no session ${session} (found ${starts.length})`);
+  }
+
+  const stopIndex = events.findIndex((event, index) => index > starts[session] && event.type === EVENTS.TIMER_STOP);
+  const sessionEvents = events.slice(starts[session], stopIndex === -1 ? events.length : stopIndex + 1);
+
+  const modeName = options.mode || recording.metadata?.mode || sessionEvents[0].payload?.mode;
+  const ModeClass = MODES[modeName];
+  if (!ModeClass) {
+    throw new Error(`Invalid recording: unknown mode ${modeName}`);
+  }
+
+  const bus = options.eventBus || new EventBus();
+  const replayed = [];
+  const dispatched = [];
+  const collect = (payload) => replayed.push(describeBell(payload));
+  const unsubscribe = [
+    bus.on(EVENTS.BELL_RING, collect),
+    bus.on(EVENTS.BELL_SUPPRESSED, collect),
+    bus.on('*', (payload, type) => dispatched.push({ type, payload }))
+  ];
+
+  const clock = new FakeClock({ time: sessionEvents[0].time, performanceTime: sessionEvents[0].at });
+
+  let timer;
+  try {
+    const mode = new ModeClass({ ...(options.config || recording.metadata?.config || {}), eventBus: bus, clock });
+    timer = new ReplayTimer(clock);
+
+    for (const event of sessionEvents) {
+      clock.set({ time: event.time, performanceTime: event.at });
+
+      switch (event.type) {
+        case EVENTS.TIMER_START:
+          if (timer.phase === null) {
+            mode.onStart(timer);
+          }
+          break;
+
+        case EVENTS.TIMER_PREPARATION_END:
+          timer.phase = TIMER_PHASES.PRACTICE;
+          mode.onPrepared?.(timer);
+          break;
+
+        case EVENTS.TIMER_COMPLETE:
+          if (timer.phase === TIMER_PHASES.PRACTICE) {
+            mode.onComplete?.(timer);
+          }
+          break;
+
+        case EVENTS.TIMER_RESUME:
+          if (timer.phase === TIMER_PHASES.PRACTICE) {
+            mode.onResume?.(timer, event.payload?.pauseDuration || 0);
+          }
+          break;
+
+        case EVENTS.TIMER_CLOCK_CHANGED:
+          if (timer.phase === TIMER_PHASES.PRACTICE) {
+            mode.onClockChange?.(timer, event.payload);
+          }
+          break;
+      }
+    }
+  } finally {
+    unsubscribe.forEach(off => off());
+  }
+
+  const recordedBells = sessionEvents
+    .filter(event => event.type === EVENTS.BELL_RING || event.type === EVENTS.BELL_SUPPRESSED)
+    .map(event => describeBell(event.payload));
+  const differences = compareBells(recordedBells, replayed);
+
+  return {
+    bells: replayed,
+    recordedBells,
+    differences,
+    matches: differences.length === 0,
+    scheduled: timer.scheduled,
+    stopReason: timer.stopReason,
+    events: dispatched
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Event Schema - Payload shapes of the application's events
+ * @module core/EventSchema
+ */
+
+import { eventBus as defaultEventBus } from './EventBus.js';
+import { EVENTS, BELL_TYPES } from '../config/constants.js';
+
+/**
+ * Field rule accepting one of a fixed set of values
+ * @param {...*} values - Allowed values
+ * @returns {Function} Rule returning an error message, or null
+ *
+ * @example
+ * { bellType: oneOf('big', 'small') }
+ */
+export function oneOf(...values) {
+  return (value) => values.includes(value) ? null : `must be one of ${values.join(', ')}`;
+}
+
+/**
+ * Check a value against a type descriptor
+ * Descriptors are a type name ('string', 'number', 'boolean', 'object',
+ * 'array', 'function', 'null' or 'any'), alternatives joined by '|'
+ * ('string|null'), and a trailing '?' for a field that may be left out
+ * @param {*} value - Value to check
+ * @param {string} descriptor - Type descriptor
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, descriptor) {
+  return descriptor.split('|').some(type => {
+    switch (type) {
+      case 'any':
+        return true;
+      case 'null':
+        return value === null;
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'number':
+        return typeof value === 'number' && !Number.isNaN(value);
+      default:
+        return typeof value === type;
+    }
+  });
+}
+
+/**
+ * Payload shape of every event the application dispatches
+ * Each schema maps field names to a type descriptor or a rule function
+ * returning an error message (or null). Fields not listed are allowed,
+ * so payloads can carry mode-specific extras
+ * @constant
+ */
+export const EVENT_SCHEMAS = {
+  // Timer events
+  [EVENTS.TIMER_START]: {
+    interval: 'number|null',
+    startTime: 'number',
+    mode: 'string',
+    phase: 'string',
+    restored: 'boolean?'
+  },
+  [EVENTS.TIMER_PAUSE]: { elapsedTime: 'number', pausedAt: 'number', restored: 'boolean?' },
+  [EVENTS.TIMER_RESUME]: { pauseDuration: 'number', resumedAt: 'number' },
+  [EVENTS.TIMER_STOP]: { elapsedTime: 'number', totalDrift: 'number', tickCount: 'number', reason: 'string' },
+  [EVENTS.TIMER_TICK]: {
+    elapsedTime: 'number',
+    remainingTime: 'number',
+    drift: 'number',
+    totalDrift: 'number',
+    tickCount: 'number',
+    phase: 'string'
+  },
+  [EVENTS.TIMER_COMPLETE]: { completedAt: 'number', scheduledAt: 'number', drift: 'number', totalDrift: 'number' },
+  [EVENTS.TIMER_PREPARATION_START]: { duration: 'number', startTime: 'number' },
+  [EVENTS.TIMER_PREPARATION_END]: { endedAt: 'number', preparationTime: 'number' },
+  [EVENTS.TIMER_LEAD_CHANGED]: { leadTime: 'number' },
+  [EVENTS.TIMER_CLOCK_CHANGED]: {
+    reason: oneOf('jump', 'dst', 'timezone'),
+    jump: 'number',
+    timezoneOffset: 'number',
+    previousTimezoneOffset: 'number',
+    timeZone: 'string'
+  },
+
+  // Bell events
+  [EVENTS.BELL_RING]: {
+    bellType: oneOf(...Object.values(BELL_TYPES)),
+    pattern: 'array',
+    strikes: 'number?',
+    timestamp: 'number',
+    mode: 'string?',
+    phase: 'string?'
+  },
+  [EVENTS.BELL_SUPPRESSED]: {
+    bellType: oneOf(...Object.values(BELL_TYPES)),
+    timestamp: 'number',
+    reason: 'string'
+  },
+  [EVENTS.BELL_UPCOMING]: {
+    time: 'number',
+    bellType: oneOf(...Object.values(BELL_TYPES)),
+    pattern: 'array?',
+    mode: 'string'
+  },
+  [EVENTS.BELL_TIMING]: {
+    timestamp: 'number',
+    scheduledAt: 'number',
+    lateness: 'number',
+    bellType: 'string',
+    phase: 'string|null'
+  },
+  [EVENTS.BELL_SCHEDULED]: { id: 'string|number', bellType: 'string', scheduleTime: 'number', delayMs: 'number' },
+  [EVENTS.BELL_START]: { id: 'string|number', bellType: 'string' },
+
+  // Program events
+  [EVENTS.PROGRAM_SEGMENT_START]: {
+    index: 'number',
+    total: 'number',
+    label: 'string',
+    duration: 'number',
+    next: 'string|null',
+    timestamp: 'number'
+  },
+
+  // Cross-tab events
+  [EVENTS.TAB_LEADER_CHANGED]: { isLeader: 'boolean', leaderId: 'string|null' },
+  [EVENTS.TAB_STATE]: { leaderId: 'string', timer: 'object' },
+  [EVENTS.TAB_COMMAND]: { action: oneOf('pause', 'resume', 'stop'), from: 'string' },
+
+  // Audio events
+  [EVENTS.AUDIO_STARTED]: { bellType: 'string', duration: 'number', startTime: 'number' },
+  [EVENTS.AUDIO_PROGRESS]: { bellType: 'string|null' },
+  [EVENTS.AUDIO_ENDED]: { bellType: 'string|null', duration: 'number' },
+  [EVENTS.AUDIO_PAUSED]: { bellType: 'string|null', pausedAt: 'number', duration: 'number' },
+  [EVENTS.AUDIO_RESUMED]: { bellType: 'string|null', resumedAt: 'number' },
+  [EVENTS.AUDIO_STOPPED]: { bellType: 'string|null' },
+  [EVENTS.AUDIO_ERROR]: { message: 'string', error: 'string?' },
+  [EVENTS.AUDIO_LOADED]: { message: 'string?', state: 'string?' },
+  [EVENTS.AUDIO_LOADING]: { total: 'number', loaded: 'number', percentage: 'number' },
+  [EVENTS.AUDIO_CONTEXT_READY]: { state: 'string?', currentTime: 'number?' },
+  [EVENTS.AUDIO_CONTEXT_SUSPENDED]: { state: 'string?' },
+  [EVENTS.VOLUME_CHANGE]: {
+    type: 'string?',
+    volume: (value, payload) => payload.type === 'reset' || typeof value === 'number' ? null : 'must be a number'
+  },
+  [EVENTS.MUTE_CHANGE]: { isMuted: 'boolean' },
+  [EVENTS.SOUND_LIBRARY_CHANGED]: {
+    action: oneOf('added', 'updated', 'removed', 'assigned'),
+    id: 'string|null'
+  },
+  [EVENTS.AMBIENT_CHANGE]: { layer: 'string|null', fadeTime: 'number' },
+
+  // State events
+  [EVENTS.STATE_CHANGED]: { state: 'object', previousState: 'object|null' },
+  [EVENTS.PREFERENCES_CHANGED]: { preferences: 'object' },
+
+  // Storage events
+  [EVENTS.SESSION_SAVED]: { session: 'object' },
+  [EVENTS.SESSION_LOADED]: {},
+  [EVENTS.DATA_EXPORTED]: { recordCount: 'number' },
+  [EVENTS.DATA_DELETED]: { type: 'string', id: 'string?' },
+
+  // AI events
+  [EVENTS.MOOD_TRACKED]: { type: oneOf('pre', 'post'), mood: 'any', sessionId: 'string|null' },
+  [EVENTS.INSIGHT_GENERATED]: { insight: 'object' },
+
+  // Error events
+  [EVENTS.ERROR]: { type: 'string', message: 'string' }
+};
+
+/**
+ * EventSchemaRegistry holds the expected payload shape of each event and
+ * checks payloads against it. Installed on a bus, it reports payloads that
+ * don't match while the bus is in development mode; events are always
+ * passed on unchanged
+ *
+ * @example
+ * eventSchemas.register('sync:completed', { syncedAt: 'number', count: 'number?' });
+ * eventSchemas.validate('sync:completed', { syncedAt: Date.now() }); // { valid: true, errors: [] }
+ * eventSchemas.install(eventBus);
+ */
+export class EventSchemaRegistry {
+  /**
+   * Create a registry
+   * @param {Object} [schemas] - Initial schemas keyed by event type
+   */
+  constructor(schemas = {}) {
+    /** @private {Map<string, Object>} Schemas by event type */
+    this.schemas = new Map();
+
+    /** @private {EventBus|null} Bus the middleware is installed on */
+    this.eventBus = null;
+
+    /** @private {Set<string>} Mismatches already reported */
+    this.reported = new Set();
+
+    Object.entries(schemas).forEach(([eventType, schema]) => this.register(eventType, schema));
+  }
+
+  /**
+   * Register or replace the schema of an event
+   * @param {string} eventType - Event type
+   * @param {Object} schema - Field names mapped to type descriptors or rule functions
+   * @throws {TypeError} If the event type or schema is malformed
+   */
+  register(eventType, schema) {
+    if (typeof eventType !== 'string') {
+      throw new TypeError('Event type must be a string');
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new TypeError('Schema must be an object of fields');
+    }
+
+    Object.entries(schema).forEach(([field, rule]) => {
+      if (typeof rule !== 'string' && typeof rule !== 'function') {
+        throw new TypeError(`Rule for ${eventType}.${field} must be a type descriptor or function`);
+      }
+    });
+
+    this.schemas.set(eventType, { ...schema });
+  }
+
+  /**
+   * Check whether an event has a schema
+   * @param {string} eventType - Event type
+   * @returns {boolean} True if registered
+   */
+  has(eventType) {
+    return this.schemas.has(eventType);
+  }
+
+  /**
+   * Get the schema of an event
+   * @param {string} eventType - Event type
+   * @returns {Object|null} Schema, or null if none is registered
+   */
+  get(eventType) {
+    const schema = this.schemas.get(eventType);
+    return schema ? { ...schema } : null;
+  }
+
+  /**
+   * Validate a payload against its event's schema
+   * Events without a schema are always valid
+   * @param {string} eventType - Event type
+   * @param {*} payload - Event payload
+   * @returns {Object} Validation result {valid, errors}
+   */
+  validate(eventType, payload) {
+    const schema = this.schemas.get(eventType);
+    const errors = [];
+
+    if (!schema) {
+      return { valid: true, errors };
+    }
+
+    if (!matchesType(payload, 'object')) {
+      errors.push('Payload must be an object');
+      return { valid: false, errors };
+    }
+
+    Object.entries(schema).forEach(([field, rule]) => {
+      const value = payload[field];
+
+      if (typeof rule === 'function') {
+        const error = rule(value, payload);
+        if (error) {
+          errors.push(`${field} ${error}`);
+        }
+        return;
+      }
+
+      const optional = rule.endsWith('?');
+      const descriptor = optional ? rule.slice(0, -1) : rule;
+
+      if (value === undefined) {
+        if (!optional) {
+          errors.push(`${field} is required`);
+        }
+      } else if (!matchesType(value, descriptor)) {
+        errors.push(`${field} must be ${descriptor.split('|').join(' or ')}`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Install the validation middleware on an event bus
+   * @param {EventBus} bus - Event bus to check
+   */
+  install(bus = defaultEventBus) {
+    if (this.eventBus) {
+      return;
+    }
+
+    this.eventBus = bus;
+    bus.use((eventType, payload) => this.#check(eventType, payload));
+  }
+
+  /**
+   * Middleware: report a payload that doesn't match its schema
+   * Each distinct mismatch is reported once, so a malformed tick doesn't
+   * flood the console
+   * @private
+   * @param {string} eventType - Event type
+   * @param {*} payload - Event payload
+   * @returns {*} Payload, unchanged
+   */
+  #check(eventType, payload) {
+    if (!this.eventBus.devMode) {
+      return payload;
+    }
+
+    const validation = this.validate(eventType, payload);
+    if (!validation.valid) {
+      const key = `${eventType}: ${validation.errors.join(', ')}`;
+      if (!this.reported.has(key)) {
+        this.reported.add(key);
+        console.warn(`[EventSchema] Payload of ${eventType} does not match its schema: ${validation.errors.join(', ')}`, payload);
+      }
+    }
+
+    return payload;
+  }
+}
+
+// Export singleton instance
+export const eventSchemas = new EventSchemaRegistry(EVENT_SCHEMAS);
@@ -0,0 +1,181 @@
+/**
+ * Session Checkpoint - Keeps a running session recoverable across page reloads
+ * @module core/SessionCheckpoint
+ */
+
+import { STORAGE_KEYS, TIMER_STATES, TIMING } from '../config/constants.js';
+
+/**
+ * Checkpoint format version; checkpoints of another version are discarded
+ * @constant
+ */
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * SessionCheckpoint writes the state of a running session to localStorage
+ * at intervals and when the page is hidden for good (pagehide), so a session
+ * survives a reload or the PWA being killed. localStorage is used because
+ * pagehide leaves no time for an asynchronous IndexedDB write
+ *
+ * @example
+ * sessionCheckpoint.start(() => ({ mode, config, timer: timer.getCheckpoint(), ... }));
+ * // On the next page load
+ * const checkpoint = sessionCheckpoint.load();
+ */
+export class SessionCheckpoint {
+  /**
+   * @param {Object} options - Checkpoint options
+   * @param {Storage} options.storage - Storage to write to (defaults to localStorage)
+   * @param {number} options.interval - Milliseconds between checkpoints
+   */
+  constructor(options = {}) {
+    const { storage = null, interval = TIMING.CHECKPOINT_INTERVAL } = options;
+
+    /** @private {Storage|null} Storage override */
+    this.storage = storage;
+
+    /** @private {number} Milliseconds between checkpoints */
+    this.interval = interval;
+
+    /** @private {Function|null} Collects the running state */
+    this.collect = null;
+
+    /** @private {number|null} setInterval ID */
+    this.intervalId = null;
+
+    /** @private {Function|null} pagehide listener while running */
+    this.pageHideHandler = null;
+  }
+
+  /**
+   * Start checkpointing a session
+   * @param {Function} collect - Returns {mode, config, timer, modeState, session}, or null to skip
+   */
+  start(collect) {
+    this.stop();
+
+    this.collect = collect;
+    this.save();
+
+    this.intervalId = setInterval(() => this.save(), this.interval);
+
+    if (typeof window !== 'undefined') {
+      this.pageHideHandler = () => this.save();
+      window.addEventListener('pagehide', this.pageHideHandler);
+    }
+  }
+
+  /**
+   * Stop checkpointing; the last checkpoint stays until clear()
+   */
+  stop() {
+    if (this.intervalId !== null) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    if (this.pageHideHandler && typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.pageHideHandler);
+    }
+    this.pageHideHandler = null;
+    this.collect = null;
+  }
+
+  /**
+   * Write a checkpoint now
+   * @returns {Object|null} The checkpoint written, or null
+   */
+  save() {
+    if (!this.collect) {
+      return null;
+    }
+
+    try {
+      const state = this.collect();
+      if (!state || !state.timer || !state.session) {
+        return null;
+      }
+
+      const checkpoint = {
+        version: CHECKPOINT_VERSION,
+        savedAt: Date.now(),
+        ...state
+      };
+
+      this.#getStorage()?.setItem(STORAGE_KEYS.SESSION_CHECKPOINT, JSON.stringify(checkpoint));
+      return checkpoint;
+    } catch (error) {
+      console.error('[SessionCheckpoint] Failed to save checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the checkpoint left by an earlier page load
+   * @returns {Object|null} Checkpoint, or null when there is none or it is unreadable
+   */
+  load() {
+    try {
+      const stored = this.#getStorage()?.getItem(STORAGE_KEYS.SESSION_CHECKPOINT);
+      if (!stored) {
+        return null;
+      }
+
+      const checkpoint = JSON.parse(stored);
+      if (checkpoint?.version !== CHECKPOINT_VERSION || !checkpoint.timer || !checkpoint.session || !checkpoint.mode) {
+        this.clear();
+        return null;
+      }
+
+      return checkpoint;
+    } catch (error) {
+      console.error('[SessionCheckpoint] Failed to read checkpoint:', error);
+      this.clear();
+      return null;
+    }
+  }
+
+  /**
+   * Remove the stored checkpoint
+   */
+  clear() {
+    try {
+      this.#getStorage()?.removeItem(STORAGE_KEYS.SESSION_CHECKPOINT);
+    } catch (error) {
+      console.error('[SessionCheckpoint] Failed to clear checkpoint:', error);
+    }
+  }
+
+  /**
+   * Check whether a checkpointed session can still be resumed
+   * A fixed-length sit whose planned end passed while the page was gone
+   * can only be saved; a paused one is extended by its pause when resumed
+   * @param {Object} checkpoint - Result of load()
+   * @param {number} now - Current timestamp
+   * @returns {boolean} True if resumable
+   */
+  canResume(checkpoint, now = Date.now()) {
+    if (checkpoint.timer.state === TIMER_STATES.PAUSED) {
+      return true;
+    }
+
+    const endsAt = checkpoint.modeState?.endsAt ?? null;
+    return endsAt === null || now < endsAt;
+  }
+
+  /**
+   * Storage to use
+   * @private
+   * @returns {Storage|null} Storage, or null when unavailable
+   */
+  #getStorage() {
+    if (this.storage) {
+      return this.storage;
+    }
+
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  }
+}
+
+// Export singleton instance
+export const sessionCheckpoint = new SessionCheckpoint();
@@ -8,15 +8,27 @@
 import { sessionStore, insightsStore, preferencesStore } from '../storage/index.js';
 import { moodTracker, ambientDetector, patternDetector, insightGenerator } from '../ai/index.js';
 import { eventBus } from './EventBus.js';
-import { EVENTS } from '../config/constants.js';
+import { driftMonitor } from './DriftMonitor.js';
+import { clock as defaultClock } from '../utils/clock.js';
 
 export class SessionManager {
-  constructor() {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Clock} [options.clock] - Source of session start and end times (defaults to the app's clock)
+   */
+  constructor({ clock = defaultClock } = {}) {
+    this.clock = clock;
     this.currentSessionId = null;
     this.sessionStartTime = null;
     this.sessionMode = null;
     this.sessionConfig = null;
+    this.sessionEndTime = null;
+    this.plannedDuration = null;
+    this.completed = false;
+    this.interrupted = false;
     this.bellsRung = 0;
+    this.suppressedBells = [];
+    this.timing = null;
     this.sessionCount = 0;
   }
 
@@ -27,11 +39,17 @@ export class SessionManager {
    * @returns {Promise<void>}
    */
   async startSession(mode, config) {
-    this.currentSessionId = `session-${Date.now()}`;
-    this.sessionStartTime = Date.now();
+    this.sessionStartTime = this.clock.now();
+    this.currentSessionId = `session-${this.sessionStartTime}`;
     this.sessionMode = mode;
     this.sessionConfig = config;
+    this.sessionEndTime = null;
+    this.plannedDuration = config?.duration > 0 ? config.duration * 60 : null;
+    this.completed = false;
+    this.interrupted = false;
     this.bellsRung = 0;
+    this.suppressedBells = [];
+    this.timing = null;
 
     console.log('[SessionManager] Session started:', this.currentSessionId);
 
@@ -46,21 +64,94 @@ export class SessionManager {
   }
 
   /**
-   * End current session
+   * Snapshot the current session for a session checkpoint
+   * @returns {Object|null} Session state, or null when no session is running
+   */
+  getCheckpoint() {
+    if (!this.currentSessionId) return null;
+
+    return {
+      id: this.currentSessionId,
+      startTime: this.sessionStartTime,
+      mode: this.sessionMode,
+      config: this.sessionConfig,
+      plannedDuration: this.plannedDuration,
+      bellsRung: this.bellsRung,
+      suppressedBells: this.suppressedBells.map(bell => ({ ...bell })),
+      timing: driftMonitor.getSessionSummary(),
+      preMood: moodTracker.currentSession === this.currentSessionId ? moodTracker.preMood : null
+    };
+  }
+
+  /**
+   * Carry on a session from a checkpoint after a page reload
+   * No mood check is shown; a pre-session mood given before the reload is kept
+   * @param {Object} checkpoint - Result of getCheckpoint()
+   */
+  restoreSession(checkpoint) {
+    this.currentSessionId = checkpoint.id;
+    this.sessionStartTime = checkpoint.startTime;
+    this.sessionMode = checkpoint.mode;
+    this.sessionConfig = checkpoint.config;
+    this.sessionEndTime = null;
+    this.plannedDuration = checkpoint.plannedDuration ?? null;
+    this.completed = false;
+    this.interrupted = false;
+    this.bellsRung = checkpoint.bellsRung || 0;
+    this.suppressedBells = (checkpoint.suppressedBells || []).map(bell => ({ ...bell }));
+    this.timing = null;
+
+    moodTracker.restoreSession(checkpoint.id, checkpoint.preMood || null);
+    driftMonitor.restoreSession(checkpoint.timing || null);
+
+    console.log('[SessionManager] Session restored:', this.currentSessionId);
+  }
+
+  /**
+   * Save a session from a checkpoint that will not be resumed
+   * It ends at the last checkpoint, the last moment it was known to be running
+   * @param {Object} checkpoint - Result of getCheckpoint()
+   * @param {number} endTime - When the session was last checkpointed
    * @returns {Promise<void>}
    */
-  async endSession() {
+  async saveInterrupted(checkpoint, endTime) {
+    this.restoreSession(checkpoint);
+    this.sessionEndTime = Math.max(endTime, checkpoint.startTime);
+    this.interrupted = true;
+    this.timing = checkpoint.timing || null;
+
+    await this.saveSession();
+  }
+
+  /**
+   * End current session
+   * The end time is captured here so the post-session mood check
+   * does not count towards the recorded duration
+   * @param {Object} [details={}] - Stop details
+   * @param {string} [details.reason] - Stop reason from TIMER_STOP ('completed' when a fixed-length sit ran out)
+   * @param {Array<Object>} [details.breakdown] - Actual per-segment timing of a program
+   * @returns {Promise<void>} Resolves once the session is saved, after the mood check
+   */
+  async endSession(details = {}) {
     if (!this.currentSessionId) return;
 
     console.log('[SessionManager] Session ending:', this.currentSessionId);
 
+    this.sessionEndTime = this.clock.now();
+    this.completed = details.reason === 'completed';
+    this.timing = driftMonitor.getSessionSummary();
+
+    if (details.breakdown) {
+      this.sessionConfig = { ...this.sessionConfig, breakdown: details.breakdown };
+    }
+
     // Check if tracking is enabled
     const prefs = await preferencesStore.getAll();
     const trackingEnabled = prefs?.privacy?.trackingEnabled !== false;
 
     if (trackingEnabled) {
       // Show post-session mood modal
-      this.showMoodModal('How do you feel after your meditation?', false);
+      await this.showMoodModal('How do you feel after your meditation?', false);
     } else {
       // Save session without mood tracking
       await this.saveSession();
@@ -71,11 +162,14 @@ export class SessionManager {
    * Show mood check modal
    * @param {string} question - Question to ask
    * @param {boolean} isPreSession - Is this before the session?
+   * @returns {Promise<void>} Resolves once the answer is handled
    * @private
    */
   showMoodModal(question, isPreSession) {
     const modal = document.createElement('mood-check-modal');
     modal.setAttribute('question', question);
+    let resolveAnswer;
+    const answered = new Promise(resolve => { resolveAnswer = resolve; });
 
     modal.addEventListener('mood-selected', async (e) => {
       const { mood, emoji, label } = e.detail;
@@ -90,6 +184,7 @@ export class SessionManager {
         moodTracker.recordPostMood(mood);
         await this.saveSession();
       }
+      resolveAnswer();
     });
 
     modal.addEventListener('mood-skipped', async () => {
@@ -99,9 +194,11 @@ export class SessionManager {
         // If skipped post-session, still save without mood
         await this.saveSession();
       }
+      resolveAnswer();
     });
 
     document.body.appendChild(modal);
+    return answered;
   }
 
   /**
@@ -112,17 +209,23 @@ export class SessionManager {
     if (!this.currentSessionId) return;
 
     try {
-      const duration = Math.floor((Date.now() - this.sessionStartTime) / 1000);
+      const endTime = this.sessionEndTime || this.clock.now();
+      const duration = Math.floor((endTime - this.sessionStartTime) / 1000);
       const context = ambientDetector.getCurrentContext();
       const moodData = moodTracker.getCurrentMoodData();
 
       const session = await sessionStore.createSession({
         startTime: this.sessionStartTime,
-        endTime: Date.now(),
+        endTime,
         duration,
+        plannedDuration: this.plannedDuration,
+        completed: this.completed,
+        interrupted: this.interrupted,
         mode: this.sessionMode,
         modeConfig: this.sessionConfig,
         bellsRung: this.bellsRung,
+        suppressedBells: this.suppressedBells,
+        timing: this.timing,
         ...moodData,
         context
       });
@@ -140,10 +243,13 @@ export class SessionManager {
       this.sessionStartTime = null;
       this.sessionMode = null;
       this.sessionConfig = null;
+      this.sessionEndTime = null;
+      this.plannedDuration = null;
+      this.completed = false;
+      this.interrupted = false;
       this.bellsRung = 0;
-
-      // Dispatch event
-      eventBus.dispatch(EVENTS.SESSION_SAVED, session);
+      this.suppressedBells = [];
+      this.timing = null;
     } catch (error) {
       console.error('[SessionManager] Failed to save session:', error);
     }
@@ -168,7 +274,6 @@ export class SessionManager {
         try {
           await insightsStore.createInsight(insight);
           console.log('[SessionManager] Insight created:', insight.title);
-          eventBus.dispatch(EVENTS.INSIGHT_GENERATED, insight);
         } catch (error) {
           // Insight might already exist (duplicate), continue
           console.log('[SessionManager] Insight skipped (duplicate):', insight.title);
@@ -237,6 +342,21 @@ export class SessionManager {
   recordBellRing() {
     this.bellsRung++;
   }
+
+  /**
+   * Record a bell held back by do not disturb
+   * @param {Object} bell - BELL_SUPPRESSED payload
+   */
+  recordSuppressedBell(bell) {
+    if (!this.currentSessionId) return;
+
+    this.suppressedBells.push({
+      timestamp: bell.timestamp,
+      bellType: bell.bellType,
+      phase: bell.phase || null,
+      reason: bell.reason
+    });
+  }
 }
 
 // Export singleton instance
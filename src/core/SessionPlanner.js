@@ -0,0 +1,140 @@
+/**
+ * Session Planner - Work out when a session's bells ring, without waiting
+ * @module core/SessionPlanner
+ */
+
+import { EventBus } from './EventBus.js';
+import { MODES } from './modes/index.js';
+import { EVENTS, TIMER_PHASES } from '../config/constants.js';
+import { FakeClock } from '../utils/clock.js';
+
+/**
+ * Stand-in for TimerEngine while planning
+ * Keeps only the completion a mode has scheduled, so planning jumps from
+ * one completion to the next rather than ticking through the session
+ * @private
+ */
+class PlanTimer {
+  /**
+   * @param {FakeClock} clock - Planning clock
+   */
+  constructor(clock) {
+    /** @private {FakeClock} Planning clock */
+    this.clock = clock;
+
+    /** @private {string|null} Timer phase */
+    this.phase = null;
+
+    /** @private {number|null} Wall-clock time of the next completion */
+    this.dueAt = null;
+
+    /** @private {string|null} Reason the mode stopped the timer */
+    this.stopReason = null;
+  }
+
+  startPreparation(duration) {
+    this.phase = TIMER_PHASES.PREPARING;
+    this.dueAt = this.clock.now() + duration;
+  }
+
+  scheduleNext(interval) {
+    if (this.phase === null) {
+      this.phase = TIMER_PHASES.PRACTICE;
+    }
+    this.dueAt = this.clock.now() + interval;
+  }
+
+  isPreparing() {
+    return this.phase === TIMER_PHASES.PREPARING;
+  }
+
+  stop(reason = 'user') {
+    this.stopReason = reason;
+    this.dueAt = null;
+  }
+}
+
+/**
+ * A bell of a planned session
+ * @typedef {Object} PlannedBell
+ * @property {number} offset - Milliseconds from the start of the session
+ * @property {string} bellType - 'big' or 'small'
+ * @property {Array<Object>} pattern - Strikes {bellType, gap}
+ * @property {string|null} phase - BELL_PHASES value, when the mode sets one
+ */
+
+/**
+ * Plan a session
+ * Runs the mode on a stand-in timer reading a fake clock, on a bus of its
+ * own, and notes the bells it rings in the given length. The clock jumps
+ * straight to each completion the mode schedules, so an all-day sit plans
+ * as quickly as a short one. The mode decides the bells
+ * exactly as it would in a real sit: settling-in, opening and closing bells,
+ * clock-aligned and hourly bells by the start time
+ *
+ * Random sits plan exactly when seeded or planned up front; otherwise each
+ * plan draws afresh
+ *
+ * @param {string} modeName - Mode name, as TIMER_MODES
+ * @param {Object} config - Mode config
+ * @param {number} duration - Length of the session in milliseconds
+ * @param {Object} [options] - Options
+ * @param {number} [options.startTime] - Wall-clock time the session starts at (defaults to now)
+ * @returns {Object} {mode, duration, startTime, bells, stopReason} - bells are PlannedBell, in order;
+ *   stopReason is why the mode ended the session, or null if it was still running at the end
+ * @throws {Error} If the mode is unknown or the length is not positive
+ *
+ * @example
+ * const plan = planSession('periodic', { smallBellInterval: 5, duration: 20 }, 20 * 60 * 1000);
+ * plan.bells.map(bell => bell.offset); // [0, 300000, 600000, 900000, 1200000]
+ */
+export function planSession(modeName, config, duration, options = {}) {
+  const ModeClass = MODES[modeName];
+  if (!ModeClass) {
+    throw new Error(`Invalid session plan: unknown mode ${modeName}`);
+  }
+  if (!(duration > 0) || !Number.isFinite(duration)) {
+    throw new Error('Invalid session plan: duration must be a positive number of milliseconds');
+  }
+
+  const startTime = options.startTime ?? Date.now();
+  const clock = new FakeClock({ time: startTime });
+  const bus = new EventBus();
+  const bells = [];
+
+  bus.on(EVENTS.BELL_RING, (payload) => {
+    bells.push({
+      offset: payload.timestamp - startTime,
+      bellType: payload.bellType,
+      pattern: payload.pattern || [{ bellType: payload.bellType, gap: 0 }],
+      phase: payload.phase || null
+    });
+  });
+
+  const mode = new ModeClass({ ...config, eventBus: bus, clock });
+  const timer = new PlanTimer(clock);
+  const endTime = startTime + duration;
+
+  mode.onStart(timer);
+
+  // Each completion runs as TimerEngine would run it, until the mode stops
+  while (timer.dueAt !== null && timer.dueAt <= endTime) {
+    clock.advance(Math.max(0, timer.dueAt - clock.now()));
+    timer.dueAt = null;
+
+    if (timer.phase === TIMER_PHASES.PREPARING) {
+      timer.phase = TIMER_PHASES.PRACTICE;
+      mode.onPrepared?.(timer);
+    } else {
+      mode.onComplete?.(timer);
+    }
+  }
+
+  return {
+    mode: modeName,
+    duration,
+    startTime,
+    bells: bells.filter(bell => bell.offset <= duration),
+    stopReason: timer.stopReason
+  };
+}
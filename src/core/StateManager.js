@@ -5,18 +5,79 @@
  */
 
 import { eventBus } from './EventBus.js';
-import { EVENTS } from '../config/constants.js';
-import { DEFAULT_STATE } from '../config/defaults.js';
+import { storageManager } from '../storage/StorageManager.js';
+import { EVENTS, STORAGE_KEYS, TIMING, APP_VERSION } from '../config/constants.js';
+import { DEFAULT_STATE, PERSISTED_STATE, STATE_MIGRATIONS } from '../config/defaults.js';
+
+/**
+ * Storage key prefix of persisted paths without a key of their own
+ * @constant
+ */
+const STATE_KEY_PREFIX = 'awakening-bell:state:';
+
+/**
+ * Storage backends for persisted state, each with read(key) and write(key, value)
+ * Reads give undefined for a missing key
+ * @constant
+ */
+export const PERSISTENCE_ADAPTERS = {
+  local: {
+    read(key) {
+      const stored = localStorage.getItem(key);
+      return stored === null ? undefined : JSON.parse(stored);
+    },
+    write(key, value) {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  },
+  indexeddb: {
+    async read(key) {
+      const record = await storageManager.get('state', key);
+      return record ? record.value : undefined;
+    },
+    write(key, value) {
+      return storageManager.set('state', { key, value });
+    }
+  }
+};
+
+/**
+ * Which parts of each state slice undo, redo and restore may change
+ * A rule is true (the whole slice), false (never), an array of keys, or a
+ * function of the current state returning one of those. Slices without a
+ * rule are never undone
+ * @constant
+ */
+export const DEFAULT_UNDO_RULES = {
+  // The selected mode and its settings, but not while a session runs on them;
+  // the running clock itself is never rewound
+  timer: (state) => (
+    state.timer?.status === 'running' || state.timer?.status === 'paused'
+      ? false
+      : ['currentMode', 'mode', 'config']
+  ),
+  // What is on screen; menus and notifications are transient
+  ui: ['currentView', 'theme'],
+  // Preferences are saved to storage as they change, and the rest follows
+  // from recorded sessions, so rewinding them here would hide what is stored
+  user: false,
+  audio: false,
+  ai: false
+};
 
 /**
  * StateManager class manages application state and notifies subscribers of changes
+ * Changes to the undoable parts of the state (see DEFAULT_UNDO_RULES) are
+ * kept on their own undo stack, so a running timer's ticks never push
+ * settings out of reach
  */
 export class StateManager {
   /**
    * Creates a StateManager instance
    * @param {Object} initialState - Initial state object
+   * @param {Object} undoRules - Undo rules per slice (defaults to DEFAULT_UNDO_RULES)
    */
-  constructor(initialState = DEFAULT_STATE) {
+  constructor(initialState = DEFAULT_STATE, undoRules = DEFAULT_UNDO_RULES) {
     /** @private {Object} Current application state */
     this.state = this.#deepClone(initialState);
     
@@ -31,6 +92,39 @@ export class StateManager {
     
     /** @private {number} Maximum history entries */
     this.maxHistory = 50;
+    
+    /** @private {Object} Undo rules per slice */
+    this.undoRules = { ...undoRules };
+    
+    /** @private {Array<Object>} Undoable changes {timestamp, changes: {slice: {previous, next}}} */
+    this.undoStack = [];
+    
+    /** @private {Array<Object>} Undone changes that can be redone */
+    this.redoStack = [];
+    
+    /** @private {boolean} Whether an undo, redo or restore is being applied */
+    this.travelling = false;
+    
+    /** @private {boolean} Whether stored state is being loaded */
+    this.hydrating = false;
+    
+    /** @private {Array<Object>} Persisted paths {path, storage, key} */
+    this.persisted = [];
+    
+    /** @private {Object} Storage backends by name */
+    this.adapters = PERSISTENCE_ADAPTERS;
+    
+    /** @private {Object} Last value written or read per persisted path */
+    this.lastPersisted = {};
+    
+    /** @private {number} Milliseconds writes are held back to batch changes */
+    this.persistThrottle = TIMING.STATE_PERSIST_THROTTLE;
+    
+    /** @private {number|null} Pending write timeout ID */
+    this.persistTimer = null;
+    
+    /** @private {Function|null} pagehide listener while persisting */
+    this.pageHideHandler = null;
   }
 
   /**
@@ -107,6 +201,13 @@ export class StateManager {
     // Add to history
     this.#addToHistory(previousState, newState);
     
+    // A new change starts a new branch; undo and redo keep their own stacks
+    if (!this.travelling && !this.hydrating) {
+      this.#recordUndoable(previousState, newState);
+    }
+    
+    this.#schedulePersist(previousState, newState);
+    
     // Emit state changed event
     this.eventBus.dispatch(EVENTS.STATE_CHANGED, {
       state: this.#deepClone(newState),
@@ -223,9 +324,224 @@ export class StateManager {
 
   /**
    * Clear state history
+   * The undo and redo stacks are cleared with it
    */
   clearHistory() {
     this.history = [];
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Load the persisted parts of the state and keep them stored from now on
+   * Stored objects are merged over the current ones, so keys added since
+   * they were saved keep their defaults. When the stored app version differs
+   * from the current one, the migrations in between run on the stored values
+   * first. Writes are throttled, and flushed when the page is hidden
+   * @param {Object} options - Persistence options
+   * @param {Array<Object>} options.paths - Persisted paths {path, storage: 'local'|'indexeddb', key} (defaults to PERSISTED_STATE)
+   * @param {Array<Object>} options.migrations - Migrations {version, migrate(values)} (defaults to STATE_MIGRATIONS)
+   * @param {string} options.version - Current app version (defaults to APP_VERSION)
+   * @param {number} options.throttle - Milliseconds to batch writes over
+   * @param {Object} options.adapters - Storage backends (defaults to PERSISTENCE_ADAPTERS)
+   * @returns {Promise<Object>} {restored: paths loaded, migratedFrom: version migrated from or null}
+   * 
+   * @example
+   * await stateManager.enablePersistence();
+   */
+  async enablePersistence(options = {}) {
+    const {
+      paths = PERSISTED_STATE,
+      migrations = STATE_MIGRATIONS,
+      version = APP_VERSION,
+      throttle = TIMING.STATE_PERSIST_THROTTLE,
+      adapters = PERSISTENCE_ADAPTERS
+    } = options;
+    
+    this.adapters = adapters;
+    this.persistThrottle = throttle;
+    this.persisted = paths.map(entry => ({ ...entry, key: entry.key || `${STATE_KEY_PREFIX}${entry.path}` }));
+    
+    let values = {};
+    for (const entry of this.persisted) {
+      const value = await this.#readPersisted(entry.storage, entry.key);
+      if (value !== undefined) {
+        values[entry.path] = value;
+      }
+    }
+    const stored = this.#deepClone(values);
+    
+    // Values saved before the version was recorded count as the oldest version
+    let migratedFrom = null;
+    const storedVersion = await this.#readPersisted('local', STORAGE_KEYS.VERSION);
+    if (storedVersion !== version) {
+      const from = typeof storedVersion === 'string' ? storedVersion : '0.0.0';
+      const pending = migrations
+        .filter(migration => compareVersions(migration.version, from) > 0 && compareVersions(migration.version, version) <= 0)
+        .sort((a, b) => compareVersions(a.version, b.version));
+      
+      if (pending.length > 0 && Object.keys(values).length > 0) {
+        for (const migration of pending) {
+          values = migration.migrate(this.#deepClone(values)) || values;
+        }
+        migratedFrom = from;
+        console.log(`[StateManager] Migrated stored state from ${from} to ${version}`);
+      }
+      
+      await this.#writePersisted('local', STORAGE_KEYS.VERSION, version);
+    }
+    
+    this.hydrating = true;
+    try {
+      this.setState((state) => {
+        const result = this.#deepClone(state);
+        Object.entries(values).forEach(([path, value]) => {
+          const current = this.#getPath(result, path);
+          this.#setPath(result, path, isPlainObject(current) && isPlainObject(value) ? { ...current, ...value } : value);
+        });
+        return result;
+      });
+    } finally {
+      this.hydrating = false;
+    }
+    
+    // What is in the state now counts as written, except values a migration changed
+    this.lastPersisted = {};
+    this.persisted.forEach(entry => {
+      this.lastPersisted[entry.path] = migratedFrom !== null && entry.path in stored
+        ? stored[entry.path]
+        : this.#deepClone(this.#getPath(this.state, entry.path));
+    });
+    
+    if (typeof window !== 'undefined' && !this.pageHideHandler) {
+      this.pageHideHandler = () => this.flush();
+      window.addEventListener('pagehide', this.pageHideHandler);
+    }
+    
+    // Migrated values are written back straight away
+    if (migratedFrom !== null) {
+      await this.flush();
+    }
+    
+    return { restored: Object.keys(values), migratedFrom };
+  }
+
+  /**
+   * Write every persisted path that changed since it was last written
+   * @returns {Promise<void>} Resolves when the writes are done
+   * 
+   * @example
+   * window.addEventListener('beforeunload', () => stateManager.flush());
+   */
+  async flush() {
+    if (this.persistTimer !== null) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    
+    const writes = this.persisted
+      .filter(entry => !this.#deepEqual(this.#getPath(this.state, entry.path), this.lastPersisted[entry.path]))
+      .map(entry => {
+        const value = this.#deepClone(this.#getPath(this.state, entry.path));
+        this.lastPersisted[entry.path] = value;
+        return this.#writePersisted(entry.storage, entry.key, value);
+      });
+    
+    await Promise.all(writes);
+  }
+
+  /**
+   * Set the undo rule of a slice
+   * @param {string} slice - Top-level state key
+   * @param {boolean|Array<string>|Function} rule - See DEFAULT_UNDO_RULES
+   * 
+   * @example
+   * stateManager.setUndoRule('audio', ['volume', 'isMuted']);
+   */
+  setUndoRule(slice, rule) {
+    this.undoRules[slice] = rule;
+  }
+
+  /**
+   * Check whether there is a change that can be undone now
+   * @param {string|null} slice - Only consider this slice
+   * @returns {boolean} True if undo() would change the state
+   */
+  canUndo(slice = null) {
+    return this.#findEntry(this.undoStack, slice) !== -1;
+  }
+
+  /**
+   * Check whether there is an undone change that can be redone now
+   * @param {string|null} slice - Only consider this slice
+   * @returns {boolean} True if redo() would change the state
+   */
+  canRedo(slice = null) {
+    return this.#findEntry(this.redoStack, slice) !== -1;
+  }
+
+  /**
+   * Undo the latest change the rules allow
+   * Changes to slices that cannot be undone right now are skipped and kept
+   * @param {string|null} slice - Only undo changes to this slice
+   * @returns {boolean} False if there was nothing to undo
+   * 
+   * @example
+   * stateManager.undo();        // Latest undoable change
+   * stateManager.undo('timer'); // Latest change to the timer settings
+   */
+  undo(slice = null) {
+    return this.#travel(this.undoStack, this.redoStack, 'previous', slice);
+  }
+
+  /**
+   * Redo the latest undone change the rules allow
+   * @param {string|null} slice - Only redo changes to this slice
+   * @returns {boolean} False if there was nothing to redo
+   * 
+   * @example
+   * stateManager.redo();
+   */
+  redo(slice = null) {
+    return this.#travel(this.redoStack, this.undoStack, 'next', slice);
+  }
+
+  /**
+   * Go back to the state after a history entry
+   * Only the undoable parts of the state are restored; the rest stays as it
+   * is. The restore is itself a change that can be undone
+   * @param {number} index - Index into getHistory()
+   * @returns {boolean} False if the entry is missing or nothing could be restored
+   * @throws {RangeError} If the index is not a whole number
+   * 
+   * @example
+   * const history = stateManager.getHistory();
+   * stateManager.restore(history.length - 3);
+   */
+  restore(index) {
+    if (!Number.isInteger(index)) {
+      throw new RangeError(`History index must be a whole number: ${index}`);
+    }
+    
+    const entry = this.history[index];
+    if (!entry) {
+      return false;
+    }
+    
+    const changes = this.#diffUndoable(this.state, entry.newState);
+    if (!changes) {
+      return false;
+    }
+    
+    this.#applyUndoable(changes, 'next');
+    
+    this.undoStack.push({ timestamp: Date.now(), changes });
+    if (this.undoStack.length > this.maxHistory) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    
+    return true;
   }
 
   /**
@@ -322,6 +638,261 @@ export class StateManager {
     };
   }
 
+  /**
+   * Value at a dot-notation path
+   * @private
+   * @param {Object} obj - Object to read
+   * @param {string} path - Dot-notation path
+   * @returns {*} Value, or undefined
+   */
+  #getPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+  }
+
+  /**
+   * Set the value at a dot-notation path, creating objects on the way
+   * @private
+   * @param {Object} obj - Object to change in place
+   * @param {string} path - Dot-notation path
+   * @param {*} value - Value to set
+   */
+  #setPath(obj, path, value) {
+    const keys = path.split('.');
+    let current = obj;
+    
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (!isPlainObject(current[keys[i]])) {
+        current[keys[i]] = {};
+      }
+      current = current[keys[i]];
+    }
+    
+    current[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * Schedule a write if a persisted path changed
+   * Later changes join the pending write, so storage is written at most
+   * once per throttle period
+   * @private
+   * @param {Object} previousState - Previous state
+   * @param {Object} newState - New state
+   */
+  #schedulePersist(previousState, newState) {
+    if (this.persistTimer !== null || this.hydrating || this.persisted.length === 0) {
+      return;
+    }
+    
+    const changed = this.persisted.some(entry => (
+      !this.#deepEqual(this.#getPath(previousState, entry.path), this.#getPath(newState, entry.path))
+    ));
+    
+    if (changed) {
+      this.persistTimer = setTimeout(() => {
+        this.persistTimer = null;
+        this.flush();
+      }, this.persistThrottle);
+    }
+  }
+
+  /**
+   * Read a value from a storage backend
+   * @private
+   * @param {string} storage - Backend name
+   * @param {string} key - Storage key
+   * @returns {Promise<*>} Value, or undefined when missing or unreadable
+   */
+  async #readPersisted(storage, key) {
+    try {
+      return await this.adapters[storage].read(key);
+    } catch (error) {
+      console.warn(`[StateManager] Could not read ${key} from ${storage}:`, error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Write a value to a storage backend
+   * @private
+   * @param {string} storage - Backend name
+   * @param {string} key - Storage key
+   * @param {*} value - Value to write
+   * @returns {Promise<void>}
+   */
+  async #writePersisted(storage, key, value) {
+    try {
+      await this.adapters[storage].write(key, value);
+    } catch (error) {
+      console.error(`[StateManager] Failed to write ${key} to ${storage}:`, error);
+    }
+  }
+
+  /**
+   * Keys of a slice that may be undone in a state
+   * @private
+   * @param {string} slice - Top-level state key
+   * @param {Object} state - State the rule is judged on
+   * @param {Object} other - State compared against, for whole-slice rules
+   * @returns {Array<string>|null} Keys, or null if the slice cannot be undone
+   */
+  #undoableKeys(slice, state, other = state) {
+    let rule = this.undoRules[slice];
+    if (typeof rule === 'function') {
+      rule = rule(state);
+    }
+    
+    if (rule === true) {
+      return [...new Set([...Object.keys(state[slice] || {}), ...Object.keys(other[slice] || {})])];
+    }
+    
+    return Array.isArray(rule) && rule.length > 0 ? rule : null;
+  }
+
+  /**
+   * Pick keys from a slice
+   * @private
+   * @param {Object} value - Slice value
+   * @param {Array<string>} keys - Keys to pick
+   * @returns {Object} Cloned values of the keys
+   */
+  #pick(value, keys) {
+    const picked = {};
+    keys.forEach(key => {
+      picked[key] = this.#deepClone(value?.[key]);
+    });
+    return picked;
+  }
+
+  /**
+   * Undoable differences between two states
+   * The rules are judged on the first state
+   * @private
+   * @param {Object} from - State before
+   * @param {Object} to - State after
+   * @returns {Object|null} {slice: {previous, next}}, or null if there are none
+   */
+  #diffUndoable(from, to) {
+    const changes = {};
+    
+    Object.keys(this.undoRules).forEach(slice => {
+      const keys = this.#undoableKeys(slice, from, to);
+      if (!keys) {
+        return;
+      }
+      
+      const previous = this.#pick(from[slice], keys);
+      const next = this.#pick(to[slice], keys);
+      if (!this.#deepEqual(previous, next)) {
+        changes[slice] = { previous, next };
+      }
+    });
+    
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Put an undoable change on the undo stack
+   * @private
+   * @param {Object} previousState - Previous state
+   * @param {Object} newState - New state
+   */
+  #recordUndoable(previousState, newState) {
+    const changes = this.#diffUndoable(previousState, newState);
+    if (!changes) {
+      return;
+    }
+    
+    this.undoStack.push({ timestamp: Date.now(), changes });
+    if (this.undoStack.length > this.maxHistory) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Slices of a stack entry that may be applied now
+   * @private
+   * @param {Object} entry - Stack entry
+   * @param {string|null} slice - Only this slice
+   * @returns {Array<string>} Slices
+   */
+  #applicableSlices(entry, slice) {
+    return Object.keys(entry.changes).filter(name => (
+      (slice === null || name === slice) && this.#undoableKeys(name, this.state) !== null
+    ));
+  }
+
+  /**
+   * Index of the latest stack entry that may be applied now
+   * @private
+   * @param {Array<Object>} stack - Undo or redo stack
+   * @param {string|null} slice - Only this slice
+   * @returns {number} Index, or -1
+   */
+  #findEntry(stack, slice) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (this.#applicableSlices(stack[i], slice).length > 0) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Move the latest applicable change from one stack to the other
+   * Parts of the entry that may not be applied now stay where they are
+   * @private
+   * @param {Array<Object>} from - Stack to take from
+   * @param {Array<Object>} to - Stack to put on
+   * @param {string} side - 'previous' to undo, 'next' to redo
+   * @param {string|null} slice - Only this slice
+   * @returns {boolean} False if there was nothing to apply
+   */
+  #travel(from, to, side, slice) {
+    const index = this.#findEntry(from, slice);
+    if (index === -1) {
+      return false;
+    }
+    
+    const entry = from[index];
+    const applied = {};
+    this.#applicableSlices(entry, slice).forEach(name => {
+      applied[name] = entry.changes[name];
+      delete entry.changes[name];
+    });
+    
+    if (Object.keys(entry.changes).length === 0) {
+      from.splice(index, 1);
+    }
+    
+    this.#applyUndoable(applied, side);
+    to.push({ timestamp: entry.timestamp, changes: applied });
+    
+    return true;
+  }
+
+  /**
+   * Write one side of some undoable changes into the state
+   * @private
+   * @param {Object} changes - {slice: {previous, next}}
+   * @param {string} side - 'previous' or 'next'
+   */
+  #applyUndoable(changes, side) {
+    this.travelling = true;
+    
+    try {
+      this.setState((state) => {
+        const result = { ...state };
+        Object.entries(changes).forEach(([slice, change]) => {
+          result[slice] = { ...state[slice], ...this.#deepClone(change[side]) };
+        });
+        return result;
+      });
+    } finally {
+      this.travelling = false;
+    }
+  }
+
   /**
    * Add state change to history
    * @private
@@ -342,5 +913,34 @@ export class StateManager {
   }
 }
 
+/**
+ * Check for a plain object (not an array, date or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Compare two dotted version numbers
+ * @param {string} a - First version, e.g. '1.2.0'
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  
+  return 0;
+}
+
 // Export singleton instance
 export const stateManager = new StateManager();
@@ -0,0 +1,437 @@
+/**
+ * Tab Coordinator - One tab owns the timer when the app is open in several
+ * @module core/TabCoordinator
+ */
+
+import { eventBus as defaultEventBus } from './EventBus.js';
+import { EVENTS, TIMING } from '../config/constants.js';
+
+/**
+ * Name of the channel the app's tabs talk over
+ * @constant
+ */
+const CHANNEL_NAME = 'awakening-bell';
+
+/**
+ * Timer state fields mirrored into the other tabs
+ * @constant
+ */
+const MIRRORED_FIELDS = ['status', 'mode', 'phase', 'elapsed', 'preparationRemaining', 'segment', 'nextSegment', 'nextBellIn'];
+
+/**
+ * Actions other tabs may send to the leader
+ * @constant
+ */
+const REMOTE_ACTIONS = ['pause', 'resume', 'stop'];
+
+/**
+ * TabCoordinator bridges the EventBus of each open tab over a
+ * BroadcastChannel. The tabs elect a leader that owns the timer and audio;
+ * only the leader runs sessions, so only one tab rings bells. The leader
+ * mirrors its timer state to the others, and any tab can send it pause,
+ * resume and stop
+ *
+ * Every tab announces itself each TIMING.TAB_HEARTBEAT. When no leader has
+ * been heard for TIMING.TAB_LEADER_TIMEOUT, the longest-open tab takes
+ * over. Of two leaders, one with a session running wins, then the older
+ * tab. A tab starting a session claims the lead outright
+ *
+ * Without BroadcastChannel the tab simply leads itself
+ *
+ * @fires TAB_LEADER_CHANGED - With {isLeader, leaderId} when the leader changes
+ * @fires TAB_STATE - On followers, with {leaderId, timer} when the leader's timer changes
+ * @fires TAB_COMMAND - On the leader, with {action, from} when another tab sends a command
+ *
+ * @example
+ * tabCoordinator.install(eventBus);
+ * if (!tabCoordinator.isLeader) tabCoordinator.sendCommand('pause');
+ */
+export class TabCoordinator {
+  constructor() {
+    /** @private {string} This tab's id; older tabs sort first */
+    this.tabId = createTabId();
+
+    /** @private {BroadcastChannel|null} Channel to the other tabs */
+    this.channel = null;
+
+    /** @private {EventBus|null} Bus the coordinator is installed on */
+    this.eventBus = null;
+
+    /** @private {boolean} Whether this tab owns the timer */
+    this.isLeader = false;
+
+    /** @private {string|null} Id of the leading tab */
+    this.leaderId = null;
+
+    /** @private {number} When the leader was last heard from (ms) */
+    this.leaderSeen = 0;
+
+    /** @private {Map<string, number>} Other tabs by id, with when each was last heard from */
+    this.peers = new Map();
+
+    /** @private {boolean} Whether this tab has a session running */
+    this.active = false;
+
+    /** @private {Object|null} Timer state last mirrored to the other tabs */
+    this.mirrored = null;
+
+    /** @private {number|null} Heartbeat interval */
+    this.heartbeatTimer = null;
+
+    /** @private {number|null} First election, once the other tabs have answered */
+    this.electionTimer = null;
+
+    /** @private {Function|null} Unsubscribe from STATE_CHANGED */
+    this.unsubscribe = null;
+
+    /** @private {Function|null} pagehide listener */
+    this.pageHideHandler = null;
+  }
+
+  /**
+   * Join the other tabs and start the election
+   * @param {EventBus} bus - Event bus to bridge
+   * @param {Object} [options] - Options
+   * @param {Function} [options.createChannel] - Creates the channel for a name (defaults to BroadcastChannel)
+   */
+  install(bus = defaultEventBus, options = {}) {
+    if (this.eventBus) {
+      return;
+    }
+
+    const {
+      createChannel = typeof BroadcastChannel !== 'undefined' ? (name) => new BroadcastChannel(name) : null
+    } = options;
+
+    this.eventBus = bus;
+    this.unsubscribe = bus.on(EVENTS.STATE_CHANGED, ({ state }) => this.#onStateChanged(state?.timer));
+
+    if (!createChannel) {
+      this.#becomeLeader();
+      return;
+    }
+
+    this.channel = createChannel(CHANNEL_NAME);
+    this.channel.onmessage = (event) => this.#onMessage(event.data);
+
+    this.heartbeatTimer = setInterval(() => this.#heartbeat(), TIMING.TAB_HEARTBEAT);
+    this.electionTimer = setTimeout(() => {
+      this.electionTimer = null;
+      this.#elect();
+    }, TIMING.TAB_ELECTION_DELAY);
+
+    if (typeof window !== 'undefined') {
+      this.pageHideHandler = () => this.resign();
+      window.addEventListener('pagehide', this.pageHideHandler);
+    }
+
+    this.#post({ type: 'hello' });
+  }
+
+  /**
+   * Leave the other tabs, handing the lead on
+   */
+  uninstall() {
+    if (!this.eventBus) {
+      return;
+    }
+
+    this.resign();
+
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.electionTimer);
+    this.unsubscribe?.();
+    this.channel?.close();
+
+    if (this.pageHideHandler) {
+      window.removeEventListener('pagehide', this.pageHideHandler);
+    }
+
+    this.heartbeatTimer = null;
+    this.electionTimer = null;
+    this.unsubscribe = null;
+    this.pageHideHandler = null;
+    this.channel = null;
+    this.eventBus = null;
+    this.isLeader = false;
+    this.leaderId = null;
+    this.peers.clear();
+  }
+
+  /**
+   * Take the lead, e.g. because this tab is starting a session
+   * A leader running a session elsewhere stops it
+   */
+  claim() {
+    if (!this.isLeader) {
+      this.#becomeLeader();
+    }
+    this.#post({ type: 'takeover' });
+  }
+
+  /**
+   * Tell the other tabs this one is going, handing the lead on if it has it
+   */
+  resign() {
+    this.#post({ type: 'resign' });
+
+    if (!this.isLeader) {
+      return;
+    }
+
+    this.isLeader = false;
+    this.leaderId = null;
+    this.leaderSeen = 0;
+  }
+
+  /**
+   * Send a timer command to the leader
+   * @param {string} action - 'pause', 'resume' or 'stop'
+   * @returns {boolean} True if sent; false if this tab leads or has no channel
+   * @throws {Error} If the action can't be sent to another tab
+   */
+  sendCommand(action) {
+    if (!REMOTE_ACTIONS.includes(action)) {
+      throw new Error(`Invalid tab command: ${action}`);
+    }
+
+    if (this.isLeader || !this.channel || !this.leaderId) {
+      return false;
+    }
+
+    this.#post({ type: 'command', action, to: this.leaderId });
+    return true;
+  }
+
+  /**
+   * Get the coordinator's view of the tabs
+   * @returns {Object} {tabId, isLeader, leaderId, peers}
+   */
+  getStatus() {
+    return {
+      tabId: this.tabId,
+      isLeader: this.isLeader,
+      leaderId: this.leaderId,
+      peers: Array.from(this.peers.keys())
+    };
+  }
+
+  /**
+   * Handle a message from another tab
+   * @private
+   * @param {Object} message - {type, id, ...}
+   */
+  #onMessage(message) {
+    if (!message || message.id === this.tabId) {
+      return;
+    }
+
+    this.peers.set(message.id, Date.now());
+
+    switch (message.type) {
+      case 'hello':
+        // Answer so the new tab knows who is open, and show it the session
+        this.#post({ type: 'heartbeat', leader: this.isLeader, active: this.active });
+        if (this.isLeader && this.mirrored) {
+          this.#post({ type: 'state', timer: this.mirrored });
+        }
+        break;
+
+      case 'heartbeat':
+        if (message.leader) {
+          this.#onLeaderHeartbeat(message);
+        } else if (message.id === this.leaderId) {
+          this.#leaderLost();
+        }
+        break;
+
+      case 'takeover':
+        this.#follow(message.id);
+        break;
+
+      case 'resign':
+        this.peers.delete(message.id);
+        if (message.id === this.leaderId) {
+          this.#leaderLost();
+        }
+        break;
+
+      case 'state':
+        if (!this.isLeader && message.id === this.leaderId) {
+          this.eventBus.dispatch(EVENTS.TAB_STATE, { leaderId: message.id, timer: message.timer });
+        }
+        break;
+
+      case 'command':
+        if (this.isLeader && message.to === this.tabId && REMOTE_ACTIONS.includes(message.action)) {
+          this.eventBus.dispatch(EVENTS.TAB_COMMAND, { action: message.action, from: message.id });
+        }
+        break;
+    }
+  }
+
+  /**
+   * Settle which of two leaders keeps the lead
+   * @private
+   * @param {Object} message - Heartbeat of the other leader
+   */
+  #onLeaderHeartbeat(message) {
+    if (this.isLeader) {
+      const yields = message.active === this.active
+        ? message.id < this.tabId
+        : message.active;
+
+      // Otherwise the other tab yields on our next heartbeat
+      if (!yields) {
+        return;
+      }
+    }
+
+    this.#follow(message.id);
+  }
+
+  /**
+   * Follow another tab's lead
+   * @private
+   * @param {string} leaderId - Leading tab
+   */
+  #follow(leaderId) {
+    const changed = this.isLeader || this.leaderId !== leaderId;
+
+    this.isLeader = false;
+    this.leaderId = leaderId;
+    this.leaderSeen = Date.now();
+    this.mirrored = null;
+
+    if (changed) {
+      this.eventBus.dispatch(EVENTS.TAB_LEADER_CHANGED, { isLeader: false, leaderId });
+    }
+  }
+
+  /**
+   * Take the lead
+   * @private
+   */
+  #becomeLeader() {
+    this.isLeader = true;
+    this.leaderId = this.tabId;
+    this.leaderSeen = Date.now();
+    this.mirrored = null;
+
+    this.eventBus.dispatch(EVENTS.TAB_LEADER_CHANGED, { isLeader: true, leaderId: this.tabId });
+    this.#post({ type: 'heartbeat', leader: true, active: this.active });
+  }
+
+  /**
+   * Forget a leader that closed or stepped down, and elect another
+   * @private
+   */
+  #leaderLost() {
+    this.leaderId = null;
+    this.leaderSeen = 0;
+    this.eventBus.dispatch(EVENTS.TAB_LEADER_CHANGED, { isLeader: false, leaderId: null });
+    this.#elect();
+  }
+
+  /**
+   * Take the lead if there is none and this is the longest-open tab
+   * Every tab sees the same tabs, so only one of them claims
+   * @private
+   */
+  #elect() {
+    if (this.isLeader || this.electionTimer) {
+      return;
+    }
+
+    if (this.leaderId && Date.now() - this.leaderSeen <= TIMING.TAB_LEADER_TIMEOUT) {
+      return;
+    }
+
+    if (this.leaderId) {
+      this.peers.delete(this.leaderId);
+      this.leaderId = null;
+      this.eventBus.dispatch(EVENTS.TAB_LEADER_CHANGED, { isLeader: false, leaderId: null });
+    }
+
+    const oldest = [this.tabId, ...this.peers.keys()].sort()[0];
+    if (oldest === this.tabId) {
+      this.#becomeLeader();
+    }
+  }
+
+  /**
+   * Announce this tab, drop tabs gone quiet and check the leader is alive
+   * @private
+   */
+  #heartbeat() {
+    const now = Date.now();
+
+    this.peers.forEach((seen, id) => {
+      if (id !== this.leaderId && now - seen > TIMING.TAB_LEADER_TIMEOUT) {
+        this.peers.delete(id);
+      }
+    });
+
+    this.#elect();
+    this.#post({ type: 'heartbeat', leader: this.isLeader, active: this.active });
+  }
+
+  /**
+   * Track this tab's session and mirror the leader's timer to the others
+   * @private
+   * @param {Object} timer - Timer slice of the state
+   */
+  #onStateChanged(timer) {
+    if (!timer) {
+      return;
+    }
+
+    this.active = timer.status === 'running' || timer.status === 'paused';
+
+    if (!this.isLeader || !this.channel) {
+      return;
+    }
+
+    const mirrored = {};
+    MIRRORED_FIELDS.forEach(field => {
+      mirrored[field] = timer[field] ?? null;
+    });
+
+    if (this.mirrored && MIRRORED_FIELDS.every(field => this.mirrored[field] === mirrored[field])) {
+      return;
+    }
+
+    this.mirrored = mirrored;
+    this.#post({ type: 'state', timer: mirrored });
+  }
+
+  /**
+   * Send a message to the other tabs
+   * @private
+   * @param {Object} message - Message without the sender id
+   */
+  #post(message) {
+    if (!this.channel) {
+      return;
+    }
+
+    try {
+      this.channel.postMessage({ ...message, id: this.tabId });
+    } catch (error) {
+      console.error('[TabCoordinator] Failed to reach other tabs:', error);
+    }
+  }
+}
+
+/**
+ * Create a tab id that sorts by when the tab opened
+ * @returns {string} Tab id
+ */
+function createTabId() {
+  const opened = Date.now().toString(36).padStart(10, '0');
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${opened}-${random}`;
+}
+
+// Export singleton instance
+export const tabCoordinator = new TabCoordinator();
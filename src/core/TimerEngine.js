@@ -4,12 +4,21 @@
  */
 
 import { eventBus } from './EventBus.js';
-import { EVENTS, TIMER_STATES, TIMING } from '../config/constants.js';
-import { performanceNow } from '../utils/time.js';
+import { EVENTS, TIMER_STATES, TIMER_PHASES, TIMING } from '../config/constants.js';
+import { clock } from '../utils/clock.js';
+import { getTimezone } from '../utils/time.js';
 
 /**
  * TimerEngine class provides high-precision timing with drift compensation
- * Uses requestAnimationFrame for smooth, accurate timing
+ * Runs on a setTimeout clock rather than requestAnimationFrame, which stops
+ * in background tabs and on a locked screen. Timeouts still fire there, if
+ * throttled, so the mode's upcoming bell is announced ahead of time for the
+ * audio to queue on the AudioContext clock, and the due time is re-read from
+ * wall time whenever the page becomes visible again
+ * 
+ * While running it also watches the wall clock: when the device's clock is
+ * set, its time zone changes or daylight saving starts or ends, a mode with
+ * an onClockChange(timer, change) hook can re-arm for its next bell
  * 
  * @fires TIMER_START - When timer starts
  * @fires TIMER_TICK - On each tick (configurable interval)
@@ -17,6 +26,10 @@ import { performanceNow } from '../utils/time.js';
  * @fires TIMER_RESUME - When timer resumes
  * @fires TIMER_STOP - When timer stops
  * @fires TIMER_COMPLETE - When timer completes an interval
+ * @fires TIMER_PREPARATION_START - When a settling-in period begins
+ * @fires TIMER_PREPARATION_END - When the settling-in period is over
+ * @fires BELL_UPCOMING - When the mode's next bell is close enough to queue
+ * @fires TIMER_CLOCK_CHANGED - When the wall clock jumps or the local UTC offset changes
  */
 export class TimerEngine {
   /**
@@ -25,9 +38,17 @@ export class TimerEngine {
    * @param {number} options.interval - Timer interval in milliseconds
    * @param {Object} options.mode - Timer mode strategy (optional for base timer)
    * @param {EventBus} options.eventBus - Event bus instance (optional, uses global)
+   * @param {number} options.leadTime - Milliseconds to wake ahead of the interval end (optional)
+   * @param {Clock} options.clock - Source of time and timeouts (optional, uses the app's clock)
    */
   constructor(options = {}) {
-    const { interval = 5000, mode = null, eventBus: customEventBus = null } = options;
+    const {
+      interval = 5000,
+      mode = null,
+      eventBus: customEventBus = null,
+      leadTime = 0,
+      clock: customClock = null
+    } = options;
     
     /** @private {number} Timer interval in milliseconds */
     this.interval = interval;
@@ -38,23 +59,38 @@ export class TimerEngine {
     /** @private {EventBus} Event bus reference */
     this.eventBus = customEventBus || eventBus;
     
+    /** @private {Clock} Source of time and timeouts */
+    this.clock = customClock || clock;
+    
     /** @private {string} Current timer state */
     this.state = TIMER_STATES.IDLE;
     
+    /** @private {string} Phase of the running session */
+    this.phase = TIMER_PHASES.PRACTICE;
+    
     /** @private {number} Time when timer started (performance.now()) */
     this.startTime = null;
     
     /** @private {number} Expected time for next tick */
     this.expectedTime = null;
     
+    /** @private {number} Wall-clock time (Date.now()) the interval ends at */
+    this.expectedWallTime = null;
+    
+    /** @private {boolean} Whether the bell ending this interval was announced */
+    this.upcomingAnnounced = false;
+    
     /** @private {number} Accumulated elapsed time (for pause/resume) */
     this.elapsedTime = 0;
     
     /** @private {number} Time when timer was paused */
     this.pausedTime = null;
     
-    /** @private {number} requestAnimationFrame ID */
-    this.rafId = null;
+    /** @private {number} setTimeout ID of the next tick */
+    this.timeoutId = null;
+    
+    /** @private {Function|null} visibilitychange listener while running */
+    this.visibilityHandler = null;
     
     /** @private {number} Cumulative drift in milliseconds */
     this.totalDrift = 0;
@@ -67,6 +103,12 @@ export class TimerEngine {
     
     /** @private {number} Tick emission interval in ms */
     this.tickInterval = TIMING.TICK_INTERVAL;
+    
+    /** @private {Object|null} Last wall clock check {at, offset, timezoneOffset, timeZone} */
+    this.clockReading = null;
+    
+    /** @private {number} How far ahead of the interval end the timer wakes (ms) */
+    this.leadTime = leadTime;
   }
 
   /**
@@ -78,9 +120,46 @@ export class TimerEngine {
    * timer.start(10000); // Start with 10 second interval
    */
   start(customInterval = null) {
+    this.#begin(customInterval, TIMER_PHASES.PRACTICE);
+  }
+
+  /**
+   * Start the timer with a settling-in period
+   * No interval is counted until the period is over; the mode's
+   * onPrepared() hook is then called to schedule the first bell.
+   * @param {number} duration - Preparation length in milliseconds
+   * 
+   * @example
+   * timer.startPreparation(minutesToMs(2));
+   */
+  startPreparation(duration) {
+    if (this.#begin(duration, TIMER_PHASES.PREPARING)) {
+      this.eventBus.dispatch(EVENTS.TIMER_PREPARATION_START, {
+        duration,
+        startTime: this.startTime
+      });
+    }
+  }
+
+  /**
+   * Check if the timer is in its settling-in period
+   * @returns {boolean} True while preparing
+   */
+  isPreparing() {
+    return this.state !== TIMER_STATES.IDLE && this.phase === TIMER_PHASES.PREPARING;
+  }
+
+  /**
+   * Shared start logic for practice and preparation
+   * @private
+   * @param {number|null} customInterval - Interval override in milliseconds
+   * @param {string} phase - Initial phase from TIMER_PHASES
+   * @returns {boolean} False if the timer was already running
+   */
+  #begin(customInterval, phase) {
     if (this.state === TIMER_STATES.RUNNING) {
       console.warn('[TimerEngine] Timer is already running');
-      return;
+      return false;
     }
     
     if (customInterval !== null) {
@@ -89,22 +168,29 @@ export class TimerEngine {
     
     // Reset state
     this.state = TIMER_STATES.RUNNING;
-    this.startTime = performanceNow();
-    this.expectedTime = this.startTime + this.interval;
+    this.phase = phase;
+    this.startTime = this.clock.performanceNow();
+    this.#setExpectedTime(this.startTime + this.interval);
     this.elapsedTime = 0;
     this.totalDrift = 0;
     this.tickCount = 0;
     this.lastTickTime = this.startTime;
+    this.clockReading = this.#readClock();
     
     // Emit start event
     this.eventBus.dispatch(EVENTS.TIMER_START, {
       interval: this.interval,
       startTime: this.startTime,
-      mode: this.mode?.name || 'basic'
+      mode: this.mode?.name || 'basic',
+      phase: this.phase
     });
     
+    this.#watchVisibility();
+    
     // Begin tick loop
     this.#tick();
+    
+    return true;
   }
 
   /**
@@ -120,13 +206,9 @@ export class TimerEngine {
     }
     
     this.state = TIMER_STATES.PAUSED;
-    this.pausedTime = performanceNow();
+    this.pausedTime = this.clock.performanceNow();
     
-    // Cancel animation frame
-    if (this.rafId) {
-      cancelAnimationFrame(this.rafId);
-      this.rafId = null;
-    }
+    this.#cancelTick();
     
     // Emit pause event
     this.eventBus.dispatch(EVENTS.TIMER_PAUSE, {
@@ -137,6 +219,8 @@ export class TimerEngine {
 
   /**
    * Resume the timer
+   * Every scheduled time is pushed back by the pause length; a mode with an
+   * onResume(timer, pauseDuration) hook may then reschedule its next bell
    * 
    * @example
    * timer.resume();
@@ -147,66 +231,108 @@ export class TimerEngine {
       return;
     }
     
-    const now = performanceNow();
+    const now = this.clock.performanceNow();
     const pauseDuration = now - this.pausedTime;
     
     // Adjust times to account for pause
     this.startTime += pauseDuration;
-    this.expectedTime += pauseDuration;
+    this.#setExpectedTime(this.expectedTime + pauseDuration);
     this.lastTickTime += pauseDuration;
     
     this.state = TIMER_STATES.RUNNING;
     this.pausedTime = null;
     
+    if (this.phase === TIMER_PHASES.PRACTICE && this.mode && typeof this.mode.onResume === 'function') {
+      this.mode.onResume(this, pauseDuration);
+    }
+    
     // Emit resume event
     this.eventBus.dispatch(EVENTS.TIMER_RESUME, {
       pauseDuration,
       resumedAt: now
     });
     
+    // The clock may have been set or the time zone changed during the pause
+    this.#checkClock();
+    if (this.state !== TIMER_STATES.RUNNING) {
+      return;
+    }
+    
     // Resume tick loop
     this.#tick();
   }
 
+  /**
+   * Arm the timer for its next interval
+   * Starts the timer when idle. When it is already running (e.g. from a
+   * mode's onComplete) the next interval is scheduled in place without
+   * emitting TIMER_STOP/TIMER_START, so one sit stays one session.
+   * @param {number} interval - Milliseconds until the next completion
+   * 
+   * @example
+   * timer.scheduleNext(minutesToMs(5));
+   */
+  scheduleNext(interval) {
+    if (this.state === TIMER_STATES.IDLE || this.state === TIMER_STATES.STOPPED) {
+      this.start(interval);
+      return;
+    }
+    
+    this.interval = interval;
+    
+    if (this.state === TIMER_STATES.PAUSED) {
+      // Resume shifts expectedTime by the pause length
+      this.expectedTime = this.pausedTime + interval;
+      this.upcomingAnnounced = false;
+    } else {
+      this.#setExpectedTime(this.clock.performanceNow() + interval);
+      this.#announceUpcoming();
+    }
+  }
+
   /**
    * Stop the timer
+   * @param {string} [reason='user'] - Why the timer stopped ('user', 'completed', ...)
    * 
    * @example
    * timer.stop();
+   * timer.stop('completed'); // A fixed-length sit reached its end
    */
-  stop() {
+  stop(reason = 'user') {
     if (this.state === TIMER_STATES.IDLE) {
       console.warn('[TimerEngine] Timer is already stopped');
       return;
     }
     
     const finalElapsed = this.state === TIMER_STATES.RUNNING
-      ? performanceNow() - this.startTime
+      ? this.clock.performanceNow() - this.startTime
       : this.elapsedTime;
     
     this.state = TIMER_STATES.STOPPED;
     
-    // Cancel animation frame
-    if (this.rafId) {
-      cancelAnimationFrame(this.rafId);
-      this.rafId = null;
-    }
+    this.#cancelTick();
+    this.#unwatchVisibility();
     
     // Emit stop event
     this.eventBus.dispatch(EVENTS.TIMER_STOP, {
       elapsedTime: finalElapsed,
       totalDrift: this.totalDrift,
-      tickCount: this.tickCount
+      tickCount: this.tickCount,
+      reason
     });
     
     // Reset to idle
     this.state = TIMER_STATES.IDLE;
+    this.phase = TIMER_PHASES.PRACTICE;
     this.startTime = null;
     this.expectedTime = null;
+    this.expectedWallTime = null;
+    this.upcomingAnnounced = false;
     this.elapsedTime = 0;
     this.pausedTime = null;
     this.totalDrift = 0;
     this.tickCount = 0;
+    this.clockReading = null;
   }
 
   /**
@@ -239,7 +365,7 @@ export class TimerEngine {
    * console.log(status.elapsedTime, status.drift);
    */
   getStatus() {
-    const now = performanceNow();
+    const now = this.clock.performanceNow();
     
     let currentElapsed = this.elapsedTime;
     if (this.state === TIMER_STATES.RUNNING && this.startTime !== null) {
@@ -248,11 +374,15 @@ export class TimerEngine {
     
     return {
       state: this.state,
+      phase: this.phase,
       interval: this.interval,
       elapsedTime: currentElapsed,
-      remainingTime: Math.max(0, this.interval - currentElapsed),
+      remainingTime: this.expectedTime !== null
+        ? Math.max(0, this.expectedTime - (this.state === TIMER_STATES.PAUSED ? this.pausedTime : now))
+        : this.interval,
       totalDrift: this.totalDrift,
       averageDrift: this.tickCount > 0 ? this.totalDrift / this.tickCount : 0,
+      leadTime: this.leadTime,
       tickCount: this.tickCount,
       isRunning: this.state === TIMER_STATES.RUNNING,
       isPaused: this.state === TIMER_STATES.PAUSED
@@ -260,7 +390,106 @@ export class TimerEngine {
   }
 
   /**
-   * Main tick loop using requestAnimationFrame
+   * Snapshot the timer for a session checkpoint
+   * Times are stored as wall-clock timestamps, since performance.now()
+   * starts again from zero on the next page load
+   * @returns {Object|null} Checkpoint {state, phase, interval, startedAt, dueAt, pausedAt}, or null when idle
+   * 
+   * @example
+   * localStorage.setItem('timer', JSON.stringify(timer.getCheckpoint()));
+   */
+  getCheckpoint() {
+    if (this.state !== TIMER_STATES.RUNNING && this.state !== TIMER_STATES.PAUSED) {
+      return null;
+    }
+    
+    const offset = this.clock.now() - this.clock.performanceNow();
+    
+    return {
+      state: this.state,
+      phase: this.phase,
+      interval: this.interval,
+      startedAt: this.startTime + offset,
+      dueAt: this.expectedTime + offset,
+      pausedAt: this.pausedTime !== null ? this.pausedTime + offset : null
+    };
+  }
+
+  /**
+   * Pick up a session from a checkpoint taken before the page went away
+   * The time in between counts as part of the session: an interval that
+   * ended meanwhile completes on the first tick. A paused session comes back
+   * paused, and its pause runs from when it was originally paused.
+   * The mode's state should be restored before calling this; a running
+   * practice then calls the mode's onRestore(timer) hook, if it has one,
+   * so a clock-driven mode can re-arm for its next bell.
+   * @param {Object} checkpoint - Result of getCheckpoint()
+   * @returns {boolean} False if the timer was not idle
+   * 
+   * @fires TIMER_START - With restored: true
+   * @fires TIMER_PAUSE - With restored: true, when the checkpoint was paused
+   * 
+   * @example
+   * timer.restore(JSON.parse(localStorage.getItem('timer')));
+   */
+  restore(checkpoint) {
+    if (this.state !== TIMER_STATES.IDLE) {
+      console.warn('[TimerEngine] Only an idle timer can be restored');
+      return false;
+    }
+    
+    const now = this.clock.performanceNow();
+    const offset = this.clock.now() - now;
+    
+    this.interval = checkpoint.interval;
+    this.phase = checkpoint.phase;
+    this.startTime = checkpoint.startedAt - offset;
+    this.#setExpectedTime(checkpoint.dueAt - offset);
+    this.totalDrift = 0;
+    this.tickCount = 0;
+    this.lastTickTime = now;
+    this.clockReading = this.#readClock();
+    
+    if (checkpoint.state === TIMER_STATES.PAUSED) {
+      this.state = TIMER_STATES.PAUSED;
+      this.pausedTime = checkpoint.pausedAt - offset;
+      this.elapsedTime = this.pausedTime - this.startTime;
+    } else {
+      this.state = TIMER_STATES.RUNNING;
+      this.pausedTime = null;
+      this.elapsedTime = now - this.startTime;
+    }
+    
+    this.eventBus.dispatch(EVENTS.TIMER_START, {
+      interval: this.interval,
+      startTime: this.startTime,
+      mode: this.mode?.name || 'basic',
+      phase: this.phase,
+      restored: true
+    });
+    
+    this.#watchVisibility();
+    
+    if (this.state === TIMER_STATES.PAUSED) {
+      this.eventBus.dispatch(EVENTS.TIMER_PAUSE, {
+        elapsedTime: this.elapsedTime,
+        pausedAt: this.pausedTime,
+        restored: true
+      });
+      return true;
+    }
+    
+    if (this.phase === TIMER_PHASES.PRACTICE && this.mode && typeof this.mode.onRestore === 'function') {
+      this.mode.onRestore(this);
+    }
+    
+    this.#tick();
+    
+    return true;
+  }
+
+  /**
+   * Main tick loop on a setTimeout clock
    * Implements drift compensation for accuracy
    * @private
    */
@@ -269,7 +498,7 @@ export class TimerEngine {
       return;
     }
     
-    const now = performanceNow();
+    const now = this.clock.performanceNow();
     this.elapsedTime = now - this.startTime;
     
     // Calculate drift (positive = ahead of schedule, negative = behind)
@@ -283,18 +512,22 @@ export class TimerEngine {
       
       this.eventBus.dispatch(EVENTS.TIMER_TICK, {
         elapsedTime: this.elapsedTime,
-        remainingTime: Math.max(0, this.interval - this.elapsedTime),
+        remainingTime: Math.max(0, this.expectedTime - now),
         drift,
         totalDrift: this.totalDrift,
-        tickCount: this.tickCount
+        tickCount: this.tickCount,
+        phase: this.phase
       });
     }
     
-    // Check if interval is complete
-    if (now >= this.expectedTime) {
+    // End of the settling-in period: practice time starts counting from here
+    if (this.phase === TIMER_PHASES.PREPARING && now >= this.expectedTime) {
+      this.#endPreparation(now);
+    } else if (now >= this.expectedTime) {
       // Emit complete event
       this.eventBus.dispatch(EVENTS.TIMER_COMPLETE, {
         completedAt: now,
+        scheduledAt: this.expectedWallTime,
         drift,
         totalDrift: this.totalDrift
       });
@@ -304,14 +537,251 @@ export class TimerEngine {
         this.mode.onComplete(this);
       } else {
         // Default behavior: restart with drift compensation
-        this.expectedTime = now + this.interval - drift;
+        this.#setExpectedTime(now + this.interval - drift);
         this.startTime = now;
         this.elapsedTime = 0;
       }
     }
     
-    // Schedule next tick
-    this.rafId = requestAnimationFrame(() => this.#tick());
+    if (this.state !== TIMER_STATES.RUNNING) {
+      return;
+    }
+    
+    // After any completion, so a bell due as the clocks change still rings
+    if (now - this.clockReading.at >= TIMING.CLOCK_CHECK_INTERVAL) {
+      this.#checkClock();
+      if (this.state !== TIMER_STATES.RUNNING) {
+        return;
+      }
+    }
+    
+    this.#announceUpcoming();
+    
+    // Next tick at the tick cadence, or sooner when the interval ends first.
+    // Timeouts only ever fire late, so the end of the interval is approached
+    // from leadTime ahead in zero-delay steps
+    const untilDue = this.expectedTime - this.clock.performanceNow();
+    const delay = untilDue > this.leadTime
+      ? Math.min(this.tickInterval, untilDue - this.leadTime)
+      : 0;
+    
+    this.#cancelTick();
+    this.timeoutId = this.clock.setTimeout(() => {
+      this.timeoutId = null;
+      this.#tick();
+    }, delay);
+  }
+
+  /**
+   * Set how far ahead of the interval end the timer wakes
+   * @param {number} leadTime - Milliseconds, up to TIMING.MAX_SCHEDULE_LEAD
+   * 
+   * @example
+   * timer.setLeadTime(20); // Timeouts have been firing ~20ms late
+   */
+  setLeadTime(leadTime) {
+    this.leadTime = Math.min(TIMING.MAX_SCHEDULE_LEAD, Math.max(0, leadTime));
+  }
+
+  /**
+   * Cancel the pending tick
+   * @private
+   */
+  #cancelTick() {
+    if (this.timeoutId !== null) {
+      this.clock.clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+  }
+
+  /**
+   * Set when the current interval ends, keeping its wall-clock twin in step
+   * @private
+   * @param {number} time - High-precision end time
+   */
+  #setExpectedTime(time) {
+    this.expectedTime = time;
+    this.expectedWallTime = this.clock.now() + (time - this.clock.performanceNow());
+    this.upcomingAnnounced = false;
+  }
+
+  /**
+   * Tell the audio which bell ends the current interval
+   * Announced once per interval when it is within the preschedule window,
+   * or at once when forced (the page is being hidden). The bell is announced
+   * for when this engine will ring it; a mode's bell that is not due then
+   * (its times are stale, or it rings after a later wake-up) is not announced
+   * @private
+   * @param {boolean} force - Announce regardless of how far off the bell is
+   */
+  #announceUpcoming(force = false) {
+    if (this.upcomingAnnounced || this.phase !== TIMER_PHASES.PRACTICE) {
+      return;
+    }
+    
+    if (!this.mode || typeof this.mode.getUpcomingBell !== 'function') {
+      return;
+    }
+    
+    if (!force && this.expectedTime - this.clock.performanceNow() > TIMING.BELL_PRESCHEDULE_WINDOW) {
+      return;
+    }
+    
+    this.upcomingAnnounced = true;
+    
+    const bell = this.mode.getUpcomingBell();
+    if (bell && Math.abs(bell.time - this.expectedWallTime) <= TIMING.BELL_MATCH_TOLERANCE) {
+      this.eventBus.dispatch(EVENTS.BELL_UPCOMING, {
+        ...bell,
+        time: this.expectedWallTime,
+        mode: this.mode.name
+      });
+    }
+  }
+
+  /**
+   * Follow page visibility while the timer runs
+   * @private
+   */
+  #watchVisibility() {
+    if (this.visibilityHandler || typeof document === 'undefined') {
+      return;
+    }
+    
+    this.visibilityHandler = () => {
+      if (this.state !== TIMER_STATES.RUNNING) {
+        return;
+      }
+      
+      if (document.hidden) {
+        // Timers are about to be throttled: hand the next bell to the audio clock now
+        this.#announceUpcoming(true);
+      } else {
+        this.#resync();
+      }
+    };
+    
+    document.addEventListener('visibilitychange', this.visibilityHandler);
+  }
+
+  /**
+   * Stop following page visibility
+   * @private
+   */
+  #unwatchVisibility() {
+    if (this.visibilityHandler && typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.visibilityHandler);
+    }
+    this.visibilityHandler = null;
+  }
+
+  /**
+   * Re-read the interval end from wall time and catch up at once
+   * performance.now() may stand still while the device sleeps; Date.now() does not
+   * @private
+   */
+  #resync() {
+    if (this.expectedWallTime !== null) {
+      this.expectedTime = this.clock.performanceNow() + (this.expectedWallTime - this.clock.now());
+    }
+    
+    this.#tick();
+  }
+
+  /**
+   * Read the wall clock against the monotonic clock, and the time zone
+   * The zone's name is only looked up again when the UTC offset changes,
+   * since a move to a zone with the same offset doesn't move any bell yet
+   * @private
+   * @param {Object} [previous] - Previous reading
+   * @returns {Object} Reading {at, offset, timezoneOffset, timeZone}
+   */
+  #readClock(previous = null) {
+    const at = this.clock.performanceNow();
+    const now = this.clock.now();
+    const timezoneOffset = new Date(now).getTimezoneOffset();
+    
+    return {
+      at,
+      offset: now - at,
+      timezoneOffset,
+      timeZone: previous?.timezoneOffset === timezoneOffset ? previous.timeZone : getTimezone()
+    };
+  }
+
+  /**
+   * Notice the wall clock being set, the time zone changing or daylight
+   * saving starting or ending, and let the mode re-arm
+   * A jump seen while the page is visible moves the interval's wall-clock
+   * twin with it, since the monotonic end time still holds. While hidden the
+   * jump may be the device sleeping, which #resync() corrects from wall time
+   * @private
+   * @fires TIMER_CLOCK_CHANGED
+   */
+  #checkClock() {
+    const previous = this.clockReading;
+    const reading = this.#readClock(previous);
+    const jump = reading.offset - previous.offset;
+    
+    this.clockReading = reading;
+    
+    let reason = null;
+    if (reading.timeZone !== previous.timeZone) {
+      reason = 'timezone';
+    } else if (reading.timezoneOffset !== previous.timezoneOffset) {
+      reason = 'dst';
+    } else if (Math.abs(jump) >= TIMING.CLOCK_JUMP_THRESHOLD) {
+      reason = 'jump';
+    }
+    
+    if (!reason) {
+      return;
+    }
+    
+    if (Math.abs(jump) >= TIMING.CLOCK_JUMP_THRESHOLD && this.expectedWallTime !== null &&
+        (typeof document === 'undefined' || !document.hidden)) {
+      this.expectedWallTime += jump;
+    }
+    
+    const change = {
+      reason,
+      jump: Math.round(jump),
+      timezoneOffset: reading.timezoneOffset,
+      previousTimezoneOffset: previous.timezoneOffset,
+      timeZone: reading.timeZone
+    };
+    
+    // The audio drops the bell it queued; announce it again, re-armed or not
+    this.upcomingAnnounced = false;
+    this.eventBus.dispatch(EVENTS.TIMER_CLOCK_CHANGED, change);
+    
+    if (this.phase === TIMER_PHASES.PRACTICE && this.mode && typeof this.mode.onClockChange === 'function') {
+      this.mode.onClockChange(this, change);
+    }
+  }
+
+  /**
+   * Switch from the settling-in period to practice
+   * @private
+   * @param {number} now - Current high-precision time
+   */
+  #endPreparation(now) {
+    const preparationTime = now - this.startTime;
+    
+    this.phase = TIMER_PHASES.PRACTICE;
+    this.startTime = now;
+    this.elapsedTime = 0;
+    
+    this.eventBus.dispatch(EVENTS.TIMER_PREPARATION_END, {
+      endedAt: now,
+      preparationTime
+    });
+    
+    if (this.mode && typeof this.mode.onPrepared === 'function') {
+      this.mode.onPrepared(this);
+    } else {
+      this.#setExpectedTime(now + this.interval);
+    }
   }
 
   /**
@@ -4,18 +4,38 @@
  */
 
 import { eventBus } from '../EventBus.js';
+import { clock } from '../../utils/clock.js';
 import { EVENTS, BELL_TYPES, TIMER_MODES } from '../../config/constants.js';
-import { timeUntilHour, isValidTimeString } from '../../utils/time.js';
-import { validateBellType } from '../../utils/validation.js';
+import { isValidTimeString } from '../../utils/time.js';
+import { validateBellType, validateWeeklySchedule, validateQuietWindows, validateBellPattern } from '../../utils/validation.js';
+import { repeatBell, resolveBellPattern } from '../../utils/bells.js';
+import {
+  normalizeSchedule,
+  isDayEnabled,
+  getDayValue,
+  isWithinWindow,
+  toTimeOfDay,
+  LOOKAHEAD_DAYS
+} from '../../utils/schedule.js';
 
 /**
  * HourlyMode rings a bell every hour on the hour
- * Optionally restricts to specific hours (e.g., 9 AM to 9 PM)
+ * Optionally restricts to specific hours (e.g., 9 AM to 9 PM) and to
+ * some days of the week, with different hours per day, and skips any
+ * number of quiet windows; windows may wrap past midnight
+ * 
+ * Hours follow the local clock: when the clocks go forward the skipped hour
+ * is not struck, and when they go back the repeated hour is struck once
  * 
  * @example
  * const mode = new HourlyMode({
  *   bellType: 'big',
- *   onlyDuringHours: { start: '09:00', end: '21:00' } // Only ring 9 AM - 9 PM
+ *   onlyDuringHours: { start: '09:00', end: '21:00' }, // Only ring 9 AM - 9 PM
+ *   quietHours: [{ start: '12:00', end: '13:00' }],     // Skip lunch
+ *   schedule: {
+ *     days: DAY_MASKS.EVERY_DAY,
+ *     perDay: { sat: { start: '10:00', end: '18:00' }, sun: null } // null = all day
+ *   }
  * });
  */
 export class HourlyMode {
@@ -24,13 +44,21 @@ export class HourlyMode {
    * @param {Object} config - Mode configuration
    * @param {string} config.bellType - Bell type ('big' or 'small')
    * @param {Object} config.onlyDuringHours - Optional time restriction {start, end} in HH:MM
+   * @param {Array<Object>} config.quietHours - Windows {start, end} in which no bell rings
+   * @param {Object|null} config.schedule - Weekly schedule {days, perDay} (null = every day)
+   * @param {string|Array<Object>|null} config.pattern - Bell pattern to ring instead of a single bell
    * @param {EventBus} config.eventBus - Event bus instance (optional)
+   * @param {Clock} config.clock - Source of time (optional, uses the app's clock)
    */
   constructor(config = {}) {
     const {
       bellType = BELL_TYPES.BIG,
       onlyDuringHours = null,
-      eventBus: customEventBus = null
+      quietHours = [],
+      schedule = null,
+      pattern = null,
+      eventBus: customEventBus = null,
+      clock: customClock = null
     } = config;
     
     // Validate bell type
@@ -50,6 +78,24 @@ export class HourlyMode {
       }
     }
     
+    // Validate quiet windows
+    const quietValidation = validateQuietWindows(quietHours);
+    if (!quietValidation.valid) {
+      throw new Error(`Invalid quiet hours: ${quietValidation.errors.join(', ')}`);
+    }
+    
+    // Validate weekly schedule
+    const scheduleValidation = validateWeeklySchedule(schedule, TIMER_MODES.HOURLY);
+    if (!scheduleValidation.valid) {
+      throw new Error(`Invalid schedule: ${scheduleValidation.errors.join(', ')}`);
+    }
+    
+    // Validate bell pattern
+    const patternValidation = validateBellPattern(pattern);
+    if (!patternValidation.valid) {
+      throw new Error(`Invalid bell pattern: ${patternValidation.errors.join(', ')}`);
+    }
+    
     /** @public {string} Mode name */
     this.name = TIMER_MODES.HOURLY;
     
@@ -59,9 +105,21 @@ export class HourlyMode {
     /** @private {Object|null} Time restrictions */
     this.onlyDuringHours = onlyDuringHours;
     
+    /** @private {Array<Object>} Quiet windows */
+    this.quietHours = quietHours.map(window => ({ ...window }));
+    
+    /** @private {Object|null} Weekly schedule */
+    this.schedule = normalizeSchedule(schedule);
+    
+    /** @private {string|Array<Object>|null} Bell pattern (null = single bell) */
+    this.pattern = pattern;
+    
     /** @private {EventBus} Event bus reference */
     this.eventBus = customEventBus || eventBus;
     
+    /** @private {Clock} Source of time */
+    this.clock = customClock || clock;
+    
     /** @private {number} Bell counter */
     this.bellCount = 0;
     
@@ -83,12 +141,31 @@ export class HourlyMode {
     this.#scheduleNextHour(timer);
   }
 
+  /**
+   * Called after the timer is restored from a checkpoint
+   * Hours that struck while the page was gone are not rung late
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  onRestore(timer) {
+    this.#scheduleNextHour(timer);
+  }
+
+  /**
+   * Called when the wall clock jumps or the local UTC offset changes
+   * The next hour is found again on the new local clock
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {Object} change - Clock change {reason, jump, timezoneOffset, ...}
+   */
+  onClockChange(timer, change) {
+    this.#scheduleNextHour(timer);
+  }
+
   /**
    * Called when timer completes an interval
    * @param {TimerEngine} timer - Timer engine instance
    */
   onComplete(timer) {
-    const now = new Date();
+    const now = this.clock.date();
     
     // Ring the bell if we're within allowed hours
     if (this.#isWithinAllowedHours(now)) {
@@ -106,79 +183,82 @@ export class HourlyMode {
    * @param {TimerEngine} timer - Timer engine instance
    */
   #scheduleNextHour(timer) {
-    const now = new Date();
-    let nextHour = now.getHours() + 1;
-    
-    // Handle day rollover
-    if (nextHour >= 24) {
-      nextHour = 0;
-    }
+    const next = this.#findNextAllowedHour(this.clock.date());
     
-    // If we have hour restrictions, find the next allowed hour
-    if (this.onlyDuringHours) {
-      nextHour = this.#findNextAllowedHour(nextHour);
-      if (nextHour === null) {
-        // No more allowed hours today, schedule for start time tomorrow
-        const [startHour] = this.onlyDuringHours.start.split(':').map(Number);
-        nextHour = startHour;
-      }
+    if (!next) {
+      // Schedule allows no hour at all
+      this.nextBellHour = null;
+      this.nextBellTime = null;
+      timer.stop('completed');
+      return;
     }
     
-    this.nextBellHour = nextHour;
-    const msUntilNextHour = timeUntilHour(nextHour);
-    this.nextBellTime = Date.now() + msUntilNextHour;
+    this.nextBellHour = next.getHours();
+    this.nextBellTime = next.getTime();
     
-    // Reset timer with interval to next hour
-    timer.reset(msUntilNextHour);
-    timer.start();
+    timer.scheduleNext(this.nextBellTime - this.clock.now());
   }
 
   /**
-   * Check if current time is within allowed hours
+   * Check if a time is within allowed hours
+   * The time must fall outside every quiet window and inside the window of
+   * an enabled day (its override or onlyDuringHours). An overnight window
+   * belongs to the day it starts on, so 21:00-06:00 on Friday also allows
+   * early Saturday, whatever Saturday's own setting
    * @private
    * @param {Date} date - Date to check
    * @returns {boolean} True if within allowed hours
    */
   #isWithinAllowedHours(date) {
-    if (!this.onlyDuringHours) {
-      return true; // No restrictions
+    const currentTime = toTimeOfDay(date);
+    
+    if (this.quietHours.some(window => isWithinWindow(currentTime, window))) {
+      return false;
     }
     
-    const currentTime = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
-    const { start, end } = this.onlyDuringHours;
+    if (isDayEnabled(this.schedule, date)) {
+      const window = getDayValue(this.schedule, date, this.onlyDuringHours);
+      if (!window) {
+        return true; // No restrictions
+      }
+      
+      // The part of the day's window before midnight
+      if (window.start <= window.end ? isWithinWindow(currentTime, window) : currentTime >= window.start) {
+        return true;
+      }
+    }
+    
+    // The part after midnight of an overnight window opened the day before
+    const dayBefore = new Date(date);
+    dayBefore.setDate(dayBefore.getDate() - 1);
+    
+    if (!isDayEnabled(this.schedule, dayBefore)) {
+      return false;
+    }
     
-    return currentTime >= start && currentTime <= end;
+    const overnight = getDayValue(this.schedule, dayBefore, this.onlyDuringHours);
+    return Boolean(overnight) && overnight.start > overnight.end && currentTime < overnight.end;
   }
 
   /**
-   * Find the next allowed hour
+   * Find the next allowed full hour, looking ahead across days
    * @private
-   * @param {number} startHour - Hour to start searching from
-   * @returns {number|null} Next allowed hour or null if none today
+   * @param {Date} from - Time to search from
+   * @returns {Date|null} Next allowed hour or null if the schedule allows none
    */
-  #findNextAllowedHour(startHour) {
-    if (!this.onlyDuringHours) {
-      return startHour;
-    }
-    
-    const [startAllowed, startMinutes] = this.onlyDuringHours.start.split(':').map(Number);
-    const [endAllowed, endMinutes] = this.onlyDuringHours.end.split(':').map(Number);
+  #findNextAllowedHour(from) {
+    const candidate = new Date(from);
+    candidate.setMinutes(0, 0, 0);
     
-    // Check each hour from startHour to 23
-    for (let hour = startHour; hour <= 23; hour++) {
-      if (hour >= startAllowed && hour <= endAllowed) {
-        // Check if this hour is valid considering minutes
-        if (hour === startAllowed && startMinutes > 0 && hour === startHour) {
-          continue; // Skip if we've already passed the start time
-        }
-        if (hour === endAllowed && endMinutes === 0) {
-          continue; // Skip if end is exactly on the hour (no ring)
-        }
-        return hour;
+    for (let i = 0; i < LOOKAHEAD_DAYS * 24; i++) {
+      candidate.setHours(candidate.getHours() + 1);
+      
+      if (this.#isWithinAllowedHours(candidate)) {
+        return candidate;
       }
     }
     
-    return null; // No more allowed hours today
+    return null;
   }
 
   /**
@@ -189,8 +269,11 @@ export class HourlyMode {
    * @param {number} hour - Current hour
    */
   #ringBell(bellType, timestamp, hour) {
+    const strikes = this.#strikes(bellType);
+    
     this.eventBus.dispatch(EVENTS.BELL_RING, {
-      bellType,
+      bellType: strikes[0].bellType,
+      pattern: strikes,
       timestamp,
       mode: this.name,
       hour,
@@ -198,6 +281,30 @@ export class HourlyMode {
     });
   }
 
+  /**
+   * Describe the bell the next completion will ring, so the audio can
+   * queue it ahead of time
+   * @returns {Object|null} {time, bellType, pattern} or null when nothing is scheduled
+   */
+  getUpcomingBell() {
+    if (!this.nextBellTime) {
+      return null;
+    }
+    
+    const pattern = this.#strikes(this.bellType);
+    return { time: this.nextBellTime, bellType: pattern[0].bellType, pattern };
+  }
+
+  /**
+   * Strikes of a bell, or of the pattern configured in its place
+   * @private
+   * @param {string} bellType - Bell type
+   * @returns {Array<Object>} Strikes {bellType, gap}
+   */
+  #strikes(bellType) {
+    return resolveBellPattern(this.pattern, repeatBell(bellType));
+  }
+
   /**
    * Get the next scheduled bell time
    * @returns {Object} Next bell info {time, hour, interval}
@@ -210,7 +317,7 @@ export class HourlyMode {
     return {
       time: this.nextBellTime,
       hour: this.nextBellHour,
-      interval: this.nextBellTime - Date.now()
+      interval: this.nextBellTime - this.clock.now()
     };
   }
 
@@ -223,11 +330,32 @@ export class HourlyMode {
       mode: this.name,
       bellType: this.bellType,
       onlyDuringHours: this.onlyDuringHours,
+      quietHours: this.quietHours,
+      schedule: this.schedule,
       bellCount: this.bellCount,
       nextBell: this.getNextBell()
     };
   }
 
+  /**
+   * Snapshot the running state for a session checkpoint
+   * @returns {Object} Checkpoint state; hourly bells have no planned end
+   */
+  getCheckpoint() {
+    return {
+      bellCount: this.bellCount,
+      endsAt: null
+    };
+  }
+
+  /**
+   * Restore the running state from a checkpoint, before the timer is restored
+   * @param {Object} state - Result of getCheckpoint()
+   */
+  restoreCheckpoint(state) {
+    this.bellCount = state.bellCount || 0;
+  }
+
   /**
    * Reset mode state
    */
@@ -244,7 +372,10 @@ export class HourlyMode {
   getConfig() {
     return {
       bellType: this.bellType,
-      onlyDuringHours: this.onlyDuringHours ? { ...this.onlyDuringHours } : null
+      onlyDuringHours: this.onlyDuringHours ? { ...this.onlyDuringHours } : null,
+      quietHours: this.quietHours.map(window => ({ ...window })),
+      schedule: normalizeSchedule(this.schedule),
+      pattern: this.pattern
     };
   }
 
@@ -253,6 +384,9 @@ export class HourlyMode {
    * @param {Object} config - New configuration
    * @param {string} config.bellType - Bell type
    * @param {Object} config.onlyDuringHours - Time restrictions
+   * @param {Array<Object>} config.quietHours - Quiet windows
+   * @param {Object|null} config.schedule - Weekly schedule
+   * @param {string|Array<Object>|null} config.pattern - Bell pattern
    */
   updateConfig(config) {
     if (config.bellType !== undefined) {
@@ -263,6 +397,14 @@ export class HourlyMode {
       this.bellType = config.bellType;
     }
     
+    if (config.pattern !== undefined) {
+      const validation = validateBellPattern(config.pattern);
+      if (!validation.valid) {
+        throw new Error(`Invalid bell pattern: ${validation.errors.join(', ')}`);
+      }
+      this.pattern = config.pattern;
+    }
+    
     if (config.onlyDuringHours !== undefined) {
       if (config.onlyDuringHours === null) {
         this.onlyDuringHours = null;
@@ -279,5 +421,21 @@ export class HourlyMode {
         this.onlyDuringHours = { ...config.onlyDuringHours };
       }
     }
+    
+    if (config.quietHours !== undefined) {
+      const validation = validateQuietWindows(config.quietHours);
+      if (!validation.valid) {
+        throw new Error(`Invalid quiet hours: ${validation.errors.join(', ')}`);
+      }
+      this.quietHours = config.quietHours.map(window => ({ ...window }));
+    }
+    
+    if (config.schedule !== undefined) {
+      const validation = validateWeeklySchedule(config.schedule, TIMER_MODES.HOURLY);
+      if (!validation.valid) {
+        throw new Error(`Invalid schedule: ${validation.errors.join(', ')}`);
+      }
+      this.schedule = normalizeSchedule(config.schedule);
+    }
   }
 }
@@ -4,18 +4,34 @@
  */
 
 import { eventBus } from '../EventBus.js';
-import { EVENTS, BELL_TYPES, TIMER_MODES } from '../../config/constants.js';
-import { minutesToMs } from '../../utils/time.js';
-import { validateInterval } from '../../utils/validation.js';
+import { clock } from '../../utils/clock.js';
+import { EVENTS, BELL_TYPES, BELL_PHASES, SESSION_BELLS, PREPARATION_BELLS, TIMER_MODES } from '../../config/constants.js';
+import { repeatBell, sessionBellRing, upcomingBell } from '../../utils/bells.js';
+import { minutesToMs, nextAlignedTime } from '../../utils/time.js';
+import { validateInterval, validateDuration, validatePreparation, validateAlignOffset, validateBellPattern } from '../../utils/validation.js';
 
 /**
  * PeriodicMode rings small bells at regular intervals
  * and optionally rings a big bell every N intervals
  * 
+ * Intervals count from the moment the sit starts, or, with `align`, fall on
+ * wall-clock boundaries (every 15 minutes → :00/:15/:30/:45, shifted by
+ * `alignOffset`), the way HourlyMode follows the hour
+ * 
  * @example
  * const mode = new PeriodicMode({
  *   smallBellInterval: 5,  // Ring small bell every 5 minutes
- *   bigBellInterval: 15    // Ring big bell every 15 minutes
+ *   bigBellInterval: 15,   // Ring big bell every 15 minutes
+ *   duration: 25,          // Open and close with bells, stop after 25 minutes
+ *   preparationTime: 2     // Settle in for 2 minutes before counting intervals
+ * });
+ * 
+ * // Office chime at :05/:20/:35/:50, big bell at five past the hour
+ * const office = new PeriodicMode({
+ *   smallBellInterval: 15,
+ *   bigBellInterval: 60,
+ *   align: true,
+ *   alignOffset: 5
  * });
  */
 export class PeriodicMode {
@@ -24,13 +40,29 @@ export class PeriodicMode {
    * @param {Object} config - Mode configuration
    * @param {number} config.smallBellInterval - Small bell interval in minutes
    * @param {number} config.bigBellInterval - Big bell interval in minutes (0 = disabled)
+   * @param {number} config.duration - Session length in minutes (0 = run until stopped)
+   * @param {number} config.preparationTime - Settling-in period in minutes (0 = none)
+   * @param {string} config.preparationBell - Bell that starts the settling-in period ('none' or 'triple')
+   * @param {string|Array<Object>|null} config.openingPattern - Pattern for the opening bell (null = SESSION_BELLS)
+   * @param {string|Array<Object>|null} config.closingPattern - Pattern for the closing bells (null = SESSION_BELLS)
+   * @param {boolean} config.align - Ring on wall-clock boundaries instead of counting from start
+   * @param {number} config.alignOffset - Minutes to shift every aligned boundary by
    * @param {EventBus} config.eventBus - Event bus instance (optional)
+   * @param {Clock} config.clock - Source of time (optional, uses the app's clock)
    */
   constructor(config = {}) {
     const {
       smallBellInterval = 5,
       bigBellInterval = 0,
-      eventBus: customEventBus = null
+      duration = 0,
+      preparationTime = 0,
+      preparationBell = 'none',
+      openingPattern = null,
+      closingPattern = null,
+      align = false,
+      alignOffset = 0,
+      eventBus: customEventBus = null,
+      clock: customClock = null
     } = config;
     
     // Validate intervals
@@ -50,6 +82,30 @@ export class PeriodicMode {
       }
     }
     
+    const durationValidation = validateDuration(duration);
+    if (!durationValidation.valid) {
+      throw new Error(`Invalid duration: ${durationValidation.errors.join(', ')}`);
+    }
+    
+    const preparationValidation = validatePreparation(preparationTime, preparationBell);
+    if (!preparationValidation.valid) {
+      throw new Error(`Invalid preparation: ${preparationValidation.errors.join(', ')}`);
+    }
+    
+    [openingPattern, closingPattern].forEach(pattern => {
+      const patternValidation = validateBellPattern(pattern);
+      if (!patternValidation.valid) {
+        throw new Error(`Invalid bell pattern: ${patternValidation.errors.join(', ')}`);
+      }
+    });
+    
+    if (align) {
+      const alignValidation = validateAlignOffset(alignOffset, smallBellInterval);
+      if (!alignValidation.valid) {
+        throw new Error(`Invalid alignment: ${alignValidation.errors.join(', ')}`);
+      }
+    }
+    
     /** @public {string} Mode name */
     this.name = TIMER_MODES.PERIODIC;
     
@@ -59,9 +115,33 @@ export class PeriodicMode {
     /** @private {number} Big bell interval in minutes */
     this.bigBellInterval = bigBellInterval;
     
+    /** @private {number} Session length in minutes (0 = open-ended) */
+    this.duration = duration;
+    
+    /** @private {number} Settling-in period in minutes (0 = none) */
+    this.preparationTime = preparationTime;
+    
+    /** @private {string} Key of PREPARATION_BELLS */
+    this.preparationBell = preparationBell;
+    
+    /** @private {boolean} Ring on wall-clock boundaries */
+    this.align = align;
+    
+    /** @private {number} Shift of aligned boundaries in minutes */
+    this.alignOffset = alignOffset;
+    
+    /** @private {string|Array<Object>|null} Opening bell pattern */
+    this.openingPattern = openingPattern;
+    
+    /** @private {string|Array<Object>|null} Closing bell pattern */
+    this.closingPattern = closingPattern;
+    
     /** @private {EventBus} Event bus reference */
     this.eventBus = customEventBus || eventBus;
     
+    /** @private {Clock} Source of time */
+    this.clock = customClock || clock;
+    
     /** @private {number} Small bell counter */
     this.smallBellCount = 0;
     
@@ -76,6 +156,9 @@ export class PeriodicMode {
     
     /** @private {number} Start time reference */
     this.startTime = null;
+    
+    /** @private {number|null} Planned end of a fixed-length sit (ms) */
+    this.endTime = null;
   }
 
   /**
@@ -83,19 +166,100 @@ export class PeriodicMode {
    * @param {TimerEngine} timer - Timer engine instance
    */
   onStart(timer) {
-    this.startTime = Date.now();
     this.smallBellCount = 0;
     this.bigBellCount = 0;
+    this.nextSmallBellTime = null;
+    this.nextBigBellTime = null;
+    this.endTime = null;
+    
+    // Settle in before any interval is counted
+    if (this.preparationTime > 0) {
+      timer.startPreparation(minutesToMs(this.preparationTime));
+      
+      const bell = PREPARATION_BELLS[this.preparationBell];
+      if (bell) {
+        this.#ringSessionBell(bell, BELL_PHASES.PREPARATION, this.clock.now());
+      }
+      return;
+    }
+    
+    this.#beginPractice(timer);
+  }
+
+  /**
+   * Called when the settling-in period is over
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  onPrepared(timer) {
+    this.#beginPractice(timer);
+  }
+
+  /**
+   * Called after the timer resumes from a pause
+   * A paused sit is extended by the pause; aligned bells go back to the
+   * clock, unaligned bells keep their spacing
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {number} pauseDuration - Length of the pause in milliseconds
+   */
+  onResume(timer, pauseDuration) {
+    if (this.nextSmallBellTime === null) {
+      return;
+    }
+    
+    if (this.endTime !== null) {
+      this.endTime += pauseDuration;
+    }
+    
+    if (this.align) {
+      this.#setNextBellTimes(this.clock.now());
+    } else {
+      this.nextSmallBellTime += pauseDuration;
+      if (this.nextBigBellTime !== null) {
+        this.nextBigBellTime += pauseDuration;
+      }
+    }
+    
+    this.#scheduleNextCheck(timer);
+  }
+
+  /**
+   * Called when the wall clock jumps or the local UTC offset changes
+   * Aligned bells go back to the new local clock; unaligned bells keep
+   * their spacing
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {Object} change - Clock change {reason, jump, timezoneOffset, ...}
+   */
+  onClockChange(timer, change) {
+    if (!this.align || this.nextSmallBellTime === null) {
+      return;
+    }
+    
+    this.#setNextBellTimes(this.clock.now());
+    this.#scheduleNextCheck(timer);
+  }
+
+  /**
+   * Start counting intervals from now
+   * @private
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  #beginPractice(timer) {
+    this.startTime = this.clock.now();
     
     // Calculate next bell times
-    this.nextSmallBellTime = this.startTime + minutesToMs(this.smallBellInterval);
+    this.#setNextBellTimes(this.startTime);
     
-    if (this.bigBellInterval > 0) {
-      this.nextBigBellTime = this.startTime + minutesToMs(this.bigBellInterval);
+    if (this.duration > 0) {
+      this.endTime = this.startTime + minutesToMs(this.duration);
     }
     
     // Schedule the first bell check
     this.#scheduleNextCheck(timer);
+    
+    // A fixed-length sit opens with its own bell once the session is running
+    if (this.endTime !== null) {
+      this.#ringSessionBell(SESSION_BELLS.OPENING, BELL_PHASES.OPENING, this.startTime, this.openingPattern);
+    }
   }
 
   /**
@@ -103,7 +267,13 @@ export class PeriodicMode {
    * @param {TimerEngine} timer - Timer engine instance
    */
   onComplete(timer) {
-    const now = Date.now();
+    const now = this.clock.now();
+    
+    // The closing sequence takes precedence over an interval bell due at the same moment
+    if (this.endTime !== null && now >= this.endTime) {
+      this.#finish(timer, now);
+      return;
+    }
     
     // Determine which bell(s) to ring
     const shouldRingBig = this.bigBellInterval > 0 && now >= this.nextBigBellTime;
@@ -113,23 +283,47 @@ export class PeriodicMode {
       this.#ringBell(BELL_TYPES.BIG, now);
       this.bigBellCount++;
       
-      // Update next big bell time
-      this.nextBigBellTime = now + minutesToMs(this.bigBellInterval);
-      
-      // Also update small bell time to sync with big bell
-      this.nextSmallBellTime = now + minutesToMs(this.smallBellInterval);
+      // Update both bell times so the small bell syncs with the big bell
+      this.#setNextBellTimes(now);
     } else if (shouldRingSmall) {
       this.#ringBell(BELL_TYPES.SMALL, now);
       this.smallBellCount++;
       
       // Update next small bell time
-      this.nextSmallBellTime = now + minutesToMs(this.smallBellInterval);
+      this.nextSmallBellTime = this.#nextTime(this.smallBellInterval, now);
     }
     
     // Schedule next check
     this.#scheduleNextCheck(timer);
   }
 
+  /**
+   * Set both next bell times counting from a timestamp
+   * @private
+   * @param {number} from - Timestamp to count from
+   */
+  #setNextBellTimes(from) {
+    this.nextSmallBellTime = this.#nextTime(this.smallBellInterval, from);
+    this.nextBigBellTime = this.bigBellInterval > 0
+      ? this.#nextTime(this.bigBellInterval, from)
+      : null;
+  }
+
+  /**
+   * Next time an interval comes round, on the clock grid when aligned
+   * @private
+   * @param {number} intervalMinutes - Interval in minutes
+   * @param {number} from - Timestamp to count from
+   * @returns {number} Timestamp of the next bell
+   */
+  #nextTime(intervalMinutes, from) {
+    if (this.align) {
+      return nextAlignedTime(intervalMinutes, this.alignOffset, from);
+    }
+    
+    return from + minutesToMs(intervalMinutes);
+  }
+
   /**
    * Schedule the next bell check
    * @private
@@ -143,12 +337,30 @@ export class PeriodicMode {
       nextBellTime = this.nextBigBellTime;
     }
     
-    const now = Date.now();
+    if (this.endTime !== null && this.endTime < nextBellTime) {
+      nextBellTime = this.endTime;
+    }
+    
+    const now = this.clock.now();
     const interval = Math.max(0, nextBellTime - now);
     
-    // Reset timer with new interval
-    timer.reset(interval);
-    timer.start();
+    timer.scheduleNext(interval);
+  }
+
+  /**
+   * Ring the closing sequence and stop the timer at the end of a fixed-length sit
+   * @private
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {number} timestamp - Current timestamp
+   */
+  #finish(timer, timestamp) {
+    this.#ringSessionBell(SESSION_BELLS.CLOSING, BELL_PHASES.CLOSING, timestamp, this.closingPattern);
+    
+    this.endTime = null;
+    this.nextSmallBellTime = null;
+    this.nextBigBellTime = null;
+    
+    timer.stop('completed');
   }
 
   /**
@@ -160,13 +372,37 @@ export class PeriodicMode {
   #ringBell(bellType, timestamp) {
     this.eventBus.dispatch(EVENTS.BELL_RING, {
       bellType,
+      pattern: repeatBell(bellType),
       timestamp,
       mode: this.name,
+      phase: BELL_PHASES.INTERVAL,
       smallBellCount: this.smallBellCount,
       bigBellCount: this.bigBellCount
     });
   }
 
+  /**
+   * Ring a preparation, opening or closing bell
+   * @private
+   * @param {Object} bell - Entry from SESSION_BELLS or PREPARATION_BELLS {bellType, strikes, gap}
+   * @param {string} phase - Session phase from BELL_PHASES
+   * @param {number} timestamp - Current timestamp
+   * @param {string|Array<Object>|null} pattern - Configured pattern replacing the bell
+   */
+  #ringSessionBell(bell, phase, timestamp, pattern = null) {
+    this.eventBus.dispatch(EVENTS.BELL_RING, sessionBellRing(bell, { phase, timestamp, mode: this.name, pattern }));
+  }
+
+  /**
+   * Describe the bell the next completion will ring, so the audio can
+   * queue it ahead of time
+   * @returns {Object|null} {time, bellType, pattern, phase} or null when nothing is scheduled
+   */
+  getUpcomingBell() {
+    const next = this.getNextBell();
+    return upcomingBell(next, next?.type, this.closingPattern);
+  }
+
   /**
    * Get the next scheduled bell time
    * @returns {Object} Next bell info {time, type, interval}
@@ -179,15 +415,22 @@ export class PeriodicMode {
     let nextTime = this.nextSmallBellTime;
     let nextType = BELL_TYPES.SMALL;
     
-    if (this.bigBellInterval > 0 && this.nextBigBellTime < nextTime) {
+    // A big bell due with a small one rings in its place
+    if (this.bigBellInterval > 0 && this.nextBigBellTime <= nextTime) {
       nextTime = this.nextBigBellTime;
       nextType = BELL_TYPES.BIG;
     }
     
+    if (this.endTime !== null && this.endTime <= nextTime) {
+      nextTime = this.endTime;
+      nextType = SESSION_BELLS.CLOSING.bellType;
+    }
+    
     return {
       time: nextTime,
       type: nextType,
-      interval: nextTime - Date.now()
+      interval: nextTime - this.clock.now(),
+      closing: nextTime === this.endTime
     };
   }
 
@@ -200,6 +443,11 @@ export class PeriodicMode {
       mode: this.name,
       smallBellInterval: this.smallBellInterval,
       bigBellInterval: this.bigBellInterval,
+      duration: this.duration,
+      preparationTime: this.preparationTime,
+      align: this.align,
+      alignOffset: this.alignOffset,
+      remainingTime: this.endTime !== null ? Math.max(0, this.endTime - this.clock.now()) : null,
       smallBellCount: this.smallBellCount,
       bigBellCount: this.bigBellCount,
       totalBells: this.smallBellCount + this.bigBellCount,
@@ -207,6 +455,34 @@ export class PeriodicMode {
     };
   }
 
+  /**
+   * Snapshot the running state for a session checkpoint
+   * @returns {Object} Checkpoint state; endsAt is the planned end of a fixed-length sit
+   */
+  getCheckpoint() {
+    return {
+      smallBellCount: this.smallBellCount,
+      bigBellCount: this.bigBellCount,
+      nextSmallBellTime: this.nextSmallBellTime,
+      nextBigBellTime: this.nextBigBellTime,
+      startTime: this.startTime,
+      endsAt: this.endTime
+    };
+  }
+
+  /**
+   * Restore the running state from a checkpoint, before the timer is restored
+   * @param {Object} state - Result of getCheckpoint()
+   */
+  restoreCheckpoint(state) {
+    this.smallBellCount = state.smallBellCount || 0;
+    this.bigBellCount = state.bigBellCount || 0;
+    this.nextSmallBellTime = state.nextSmallBellTime ?? null;
+    this.nextBigBellTime = state.nextBigBellTime ?? null;
+    this.startTime = state.startTime ?? null;
+    this.endTime = state.endsAt ?? null;
+  }
+
   /**
    * Reset mode state
    */
@@ -216,6 +492,7 @@ export class PeriodicMode {
     this.nextSmallBellTime = null;
     this.nextBigBellTime = null;
     this.startTime = null;
+    this.endTime = null;
   }
 
   /**
@@ -225,7 +502,14 @@ export class PeriodicMode {
   getConfig() {
     return {
       smallBellInterval: this.smallBellInterval,
-      bigBellInterval: this.bigBellInterval
+      bigBellInterval: this.bigBellInterval,
+      duration: this.duration,
+      preparationTime: this.preparationTime,
+      preparationBell: this.preparationBell,
+      align: this.align,
+      alignOffset: this.alignOffset,
+      openingPattern: this.openingPattern,
+      closingPattern: this.closingPattern
     };
   }
 
@@ -234,6 +518,13 @@ export class PeriodicMode {
    * @param {Object} config - New configuration
    * @param {number} config.smallBellInterval - Small bell interval in minutes
    * @param {number} config.bigBellInterval - Big bell interval in minutes
+   * @param {number} config.duration - Session length in minutes (0 = open-ended)
+   * @param {number} config.preparationTime - Settling-in period in minutes
+   * @param {string} config.preparationBell - Bell that starts the settling-in period
+   * @param {boolean} config.align - Ring on wall-clock boundaries
+   * @param {number} config.alignOffset - Shift of aligned boundaries in minutes
+   * @param {string|Array<Object>|null} config.openingPattern - Pattern for the opening bell
+   * @param {string|Array<Object>|null} config.closingPattern - Pattern for the closing bells
    */
   updateConfig(config) {
     if (config.smallBellInterval !== undefined) {
@@ -254,9 +545,53 @@ export class PeriodicMode {
       this.bigBellInterval = config.bigBellInterval;
     }
     
+    if (config.duration !== undefined) {
+      const validation = validateDuration(config.duration);
+      if (!validation.valid) {
+        throw new Error(`Invalid duration: ${validation.errors.join(', ')}`);
+      }
+      this.duration = config.duration;
+    }
+    
+    if (config.preparationTime !== undefined || config.preparationBell !== undefined) {
+      const preparationTime = config.preparationTime ?? this.preparationTime;
+      const preparationBell = config.preparationBell ?? this.preparationBell;
+      const validation = validatePreparation(preparationTime, preparationBell);
+      if (!validation.valid) {
+        throw new Error(`Invalid preparation: ${validation.errors.join(', ')}`);
+      }
+      this.preparationTime = preparationTime;
+      this.preparationBell = preparationBell;
+    }
+    
+    if (config.align !== undefined) {
+      this.align = Boolean(config.align);
+    }
+    
+    if (config.alignOffset !== undefined) {
+      this.alignOffset = config.alignOffset;
+    }
+    
+    ['openingPattern', 'closingPattern'].forEach(field => {
+      if (config[field] !== undefined) {
+        const validation = validateBellPattern(config[field]);
+        if (!validation.valid) {
+          throw new Error(`Invalid bell pattern: ${validation.errors.join(', ')}`);
+        }
+        this[field] = config[field];
+      }
+    });
+    
     // Validate big > small if both are set
     if (this.bigBellInterval > 0 && this.bigBellInterval <= this.smallBellInterval) {
       throw new Error('Big bell interval must be greater than small bell interval');
     }
+    
+    if (this.align) {
+      const validation = validateAlignOffset(this.alignOffset, this.smallBellInterval);
+      if (!validation.valid) {
+        throw new Error(`Invalid alignment: ${validation.errors.join(', ')}`);
+      }
+    }
   }
 }
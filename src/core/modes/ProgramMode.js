@@ -0,0 +1,424 @@
+/**
+ * Program Mode - Chains timed segments into one session
+ * @module core/modes/ProgramMode
+ */
+
+import { eventBus } from '../EventBus.js';
+import { clock } from '../../utils/clock.js';
+import { EVENTS, BELL_TYPES, BELL_PHASES, SESSION_BELLS, TIMER_MODES } from '../../config/constants.js';
+import { repeatBell } from '../../utils/bells.js';
+import { minutesToMs } from '../../utils/time.js';
+import { validateProgramSegments } from '../../utils/validation.js';
+
+/**
+ * ProgramMode runs a sequence of segments (e.g. sitting / walking / sitting)
+ * Each segment opens with its own bell pattern and may ring small
+ * interval bells; the program closes with the session closing bells
+ *
+ * @example
+ * const mode = new ProgramMode({
+ *   segments: [
+ *     { label: 'Sitting', duration: 25, bellType: 'big', strikes: 3, interval: 0 },
+ *     { label: 'Walking', duration: 10, bellType: 'small', strikes: 1, interval: 0 },
+ *     { label: 'Sitting', duration: 25, bellType: 'big', strikes: 1, interval: 5 }
+ *   ]
+ * });
+ */
+export class ProgramMode {
+  /**
+   * Creates a ProgramMode instance
+   * @param {Object} config - Mode configuration
+   * @param {Array<Object>} config.segments - Segments {label, duration, bellType, strikes, gap (ms between strikes), interval}
+   * @param {EventBus} config.eventBus - Event bus instance (optional)
+   * @param {Clock} config.clock - Source of time (optional, uses the app's clock)
+   */
+  constructor(config = {}) {
+    const {
+      segments = [],
+      eventBus: customEventBus = null,
+      clock: customClock = null
+    } = config;
+
+    const validation = validateProgramSegments(segments);
+    if (!validation.valid) {
+      throw new Error(`Invalid program: ${validation.errors.join(', ')}`);
+    }
+
+    /** @public {string} Mode name */
+    this.name = TIMER_MODES.PROGRAM;
+
+    /** @private {Array<Object>} Planned segments */
+    this.segments = segments.map(segment => this.#normalizeSegment(segment));
+
+    /** @private {EventBus} Event bus reference */
+    this.eventBus = customEventBus || eventBus;
+
+    /** @private {Clock} Source of time */
+    this.clock = customClock || clock;
+
+    /** @private {number} Index of the running segment (-1 = not started) */
+    this.segmentIndex = -1;
+
+    /** @private {number|null} End of the running segment (ms) */
+    this.segmentEndTime = null;
+
+    /** @private {number|null} Next interval bell within the segment (ms) */
+    this.nextIntervalTime = null;
+
+    /** @private {number} Bell counter */
+    this.bellCount = 0;
+
+    /** @private {Array<Object>} Actual start/end of each segment run so far */
+    this.breakdown = [];
+  }
+
+  /**
+   * Initialize the mode when timer starts
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  onStart(timer) {
+    this.bellCount = 0;
+    this.breakdown = [];
+    this.segmentIndex = -1;
+
+    this.#startSegment(0, timer, this.clock.now());
+  }
+
+  /**
+   * Called when timer completes an interval
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  onComplete(timer) {
+    const now = this.clock.now();
+
+    if (this.segmentEndTime !== null && now >= this.segmentEndTime) {
+      this.#endSegment(now);
+
+      if (this.segmentIndex + 1 < this.segments.length) {
+        this.#startSegment(this.segmentIndex + 1, timer, now);
+      } else {
+        this.#finish(timer, now);
+      }
+      return;
+    }
+
+    if (this.nextIntervalTime !== null && now >= this.nextIntervalTime) {
+      const segment = this.segments[this.segmentIndex];
+      this.#ringBell({ bellType: BELL_TYPES.SMALL, strikes: 1, gap: 0 }, BELL_PHASES.INTERVAL, now);
+      this.nextIntervalTime = now + minutesToMs(segment.interval);
+    }
+
+    this.#scheduleNextCheck(timer);
+  }
+
+  /**
+   * Called when the timer resumes from a pause
+   * The running segment, its next interval bell and its recorded start are
+   * pushed back by the length of the pause
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {number} pauseDuration - Milliseconds spent paused
+   */
+  onResume(timer, pauseDuration) {
+    if (this.segmentEndTime === null) {
+      return;
+    }
+
+    this.segmentEndTime += pauseDuration;
+
+    if (this.nextIntervalTime !== null) {
+      this.nextIntervalTime += pauseDuration;
+    }
+
+    const entry = this.breakdown[this.breakdown.length - 1];
+    if (entry && entry.endedAt === null) {
+      entry.startedAt += pauseDuration;
+    }
+
+    this.#scheduleNextCheck(timer);
+  }
+
+  /**
+   * Begin a segment: ring its bell pattern and schedule its first wake-up
+   * @private
+   * @param {number} index - Segment index
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {number} timestamp - Current timestamp
+   */
+  #startSegment(index, timer, timestamp) {
+    const segment = this.segments[index];
+
+    this.segmentIndex = index;
+    this.segmentEndTime = timestamp + minutesToMs(segment.duration);
+    this.nextIntervalTime = segment.interval > 0
+      ? timestamp + minutesToMs(segment.interval)
+      : null;
+
+    this.breakdown.push({
+      label: segment.label,
+      plannedDuration: segment.duration,
+      startedAt: timestamp,
+      endedAt: null
+    });
+
+    this.#scheduleNextCheck(timer);
+
+    this.eventBus.dispatch(EVENTS.PROGRAM_SEGMENT_START, {
+      index,
+      total: this.segments.length,
+      label: segment.label,
+      duration: segment.duration,
+      next: this.segments[index + 1]?.label || null,
+      timestamp
+    });
+
+    this.#ringBell(segment, BELL_PHASES.SEGMENT, timestamp);
+  }
+
+  /**
+   * Record the end of the running segment
+   * @private
+   * @param {number} timestamp - Current timestamp
+   */
+  #endSegment(timestamp) {
+    const entry = this.breakdown[this.breakdown.length - 1];
+    if (entry && entry.endedAt === null) {
+      entry.endedAt = timestamp;
+    }
+  }
+
+  /**
+   * Schedule the next wake-up: an interval bell or the end of the segment
+   * @private
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  #scheduleNextCheck(timer) {
+    let nextTime = this.segmentEndTime;
+
+    if (this.nextIntervalTime !== null && this.nextIntervalTime < nextTime) {
+      nextTime = this.nextIntervalTime;
+    }
+
+    timer.scheduleNext(Math.max(0, nextTime - this.clock.now()));
+  }
+
+  /**
+   * Ring the closing sequence and stop the timer after the last segment
+   * @private
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {number} timestamp - Current timestamp
+   */
+  #finish(timer, timestamp) {
+    this.#ringBell(SESSION_BELLS.CLOSING, BELL_PHASES.CLOSING, timestamp);
+
+    this.segmentEndTime = null;
+    this.nextIntervalTime = null;
+
+    timer.stop('completed');
+  }
+
+  /**
+   * Ring a bell
+   * @private
+   * @param {Object} bell - Repeated bell {bellType, strikes, gap}
+   * @param {string} phase - Session phase from BELL_PHASES
+   * @param {number} timestamp - Current timestamp
+   */
+  #ringBell(bell, phase, timestamp) {
+    this.eventBus.dispatch(EVENTS.BELL_RING, {
+      bellType: bell.bellType,
+      pattern: repeatBell(bell.bellType, bell.strikes, bell.gap),
+      strikes: bell.strikes,
+      timestamp,
+      mode: this.name,
+      phase,
+      segment: this.segments[this.segmentIndex]?.label || null,
+      bellCount: this.bellCount
+    });
+    this.bellCount++;
+  }
+
+  /**
+   * Fill in optional segment fields
+   * @private
+   * @param {Object} segment - Segment as configured
+   * @returns {Object} Segment with defaults applied
+   */
+  #normalizeSegment(segment) {
+    return {
+      label: segment.label,
+      duration: segment.duration,
+      bellType: segment.bellType || BELL_TYPES.BIG,
+      strikes: segment.strikes ?? 1,
+      gap: segment.gap ?? SESSION_BELLS.CLOSING.gap,
+      interval: segment.interval || 0
+    };
+  }
+
+  /**
+   * Describe the bell the next completion will ring, so the audio can
+   * queue it ahead of time
+   * @returns {Object|null} {time, bellType, pattern, phase} or null when idle
+   */
+  getUpcomingBell() {
+    const next = this.getNextBell();
+    if (!next) {
+      return null;
+    }
+
+    if (!next.segmentChange) {
+      return {
+        time: next.time,
+        bellType: BELL_TYPES.SMALL,
+        pattern: repeatBell(BELL_TYPES.SMALL),
+        phase: BELL_PHASES.INTERVAL
+      };
+    }
+
+    const following = this.segments[this.segmentIndex + 1];
+    const bell = following || SESSION_BELLS.CLOSING;
+
+    return {
+      time: next.time,
+      bellType: bell.bellType,
+      pattern: repeatBell(bell.bellType, bell.strikes, bell.gap),
+      phase: following ? BELL_PHASES.SEGMENT : BELL_PHASES.CLOSING
+    };
+  }
+
+  /**
+   * Get the running segment and the one after it
+   * @returns {Object|null} {index, total, current, next, remaining} or null when idle
+   */
+  getCurrentSegment() {
+    if (this.segmentIndex < 0 || this.segmentEndTime === null) {
+      return null;
+    }
+
+    return {
+      index: this.segmentIndex,
+      total: this.segments.length,
+      current: { ...this.segments[this.segmentIndex] },
+      next: this.segments[this.segmentIndex + 1] ? { ...this.segments[this.segmentIndex + 1] } : null,
+      remaining: Math.max(0, this.segmentEndTime - this.clock.now())
+    };
+  }
+
+  /**
+   * Get the actual timing of each segment run so far
+   * @returns {Array<Object>} Entries {label, plannedDuration, startedAt, endedAt}
+   */
+  getBreakdown() {
+    return this.breakdown.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Get the next scheduled bell time
+   * @returns {Object} Next bell info {time, interval, segmentChange}
+   */
+  getNextBell() {
+    if (this.segmentEndTime === null) {
+      return null;
+    }
+
+    const segmentChange = this.nextIntervalTime === null || this.segmentEndTime <= this.nextIntervalTime;
+    const time = segmentChange ? this.segmentEndTime : this.nextIntervalTime;
+
+    return {
+      time,
+      interval: time - this.clock.now(),
+      segmentChange
+    };
+  }
+
+  /**
+   * Get mode statistics
+   * @returns {Object} Mode statistics
+   */
+  getStats() {
+    return {
+      mode: this.name,
+      segments: this.segments.map(segment => ({ ...segment })),
+      totalDuration: this.getTotalDuration(),
+      currentSegment: this.getCurrentSegment(),
+      breakdown: this.getBreakdown(),
+      bellCount: this.bellCount,
+      nextBell: this.getNextBell()
+    };
+  }
+
+  /**
+   * Get the planned length of the whole program
+   * @returns {number} Minutes
+   */
+  getTotalDuration() {
+    return this.segments.reduce((sum, segment) => sum + segment.duration, 0);
+  }
+
+  /**
+   * Snapshot the running state for a session checkpoint
+   * @returns {Object} Checkpoint state; endsAt is when the last segment is due to end
+   */
+  getCheckpoint() {
+    const remaining = this.segments
+      .slice(this.segmentIndex + 1)
+      .reduce((sum, segment) => sum + minutesToMs(segment.duration), 0);
+
+    return {
+      segmentIndex: this.segmentIndex,
+      segmentEndTime: this.segmentEndTime,
+      nextIntervalTime: this.nextIntervalTime,
+      bellCount: this.bellCount,
+      breakdown: this.getBreakdown(),
+      endsAt: this.segmentEndTime !== null ? this.segmentEndTime + remaining : null
+    };
+  }
+
+  /**
+   * Restore the running state from a checkpoint, before the timer is restored
+   * @param {Object} state - Result of getCheckpoint()
+   */
+  restoreCheckpoint(state) {
+    this.segmentIndex = state.segmentIndex ?? -1;
+    this.segmentEndTime = state.segmentEndTime ?? null;
+    this.nextIntervalTime = state.nextIntervalTime ?? null;
+    this.bellCount = state.bellCount || 0;
+    this.breakdown = (state.breakdown || []).map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Reset mode state
+   */
+  reset() {
+    this.segmentIndex = -1;
+    this.segmentEndTime = null;
+    this.nextIntervalTime = null;
+    this.bellCount = 0;
+    this.breakdown = [];
+  }
+
+  /**
+   * Get mode configuration
+   * @returns {Object} Mode configuration
+   */
+  getConfig() {
+    return {
+      segments: this.segments.map(segment => ({ ...segment })),
+      duration: this.getTotalDuration()
+    };
+  }
+
+  /**
+   * Update mode configuration
+   * @param {Object} config - New configuration
+   * @param {Array<Object>} config.segments - New segments
+   */
+  updateConfig(config) {
+    if (config.segments !== undefined) {
+      const validation = validateProgramSegments(config.segments);
+      if (!validation.valid) {
+        throw new Error(`Invalid program: ${validation.errors.join(', ')}`);
+      }
+      this.segments = config.segments.map(segment => this.#normalizeSegment(segment));
+    }
+  }
+}
@@ -4,19 +4,32 @@
  */
 
 import { eventBus } from '../EventBus.js';
-import { EVENTS, BELL_TYPES, TIMER_MODES } from '../../config/constants.js';
+import { clock } from '../../utils/clock.js';
+import { EVENTS, BELL_PHASES, SESSION_BELLS, PREPARATION_BELLS, TIMER_MODES, RANDOM_DISTRIBUTIONS } from '../../config/constants.js';
+import { repeatBell, sessionBellRing, upcomingBell } from '../../utils/bells.js';
+import { createSeededRandom, sampleDistribution, drawBellType, planRandomSchedule } from '../../utils/random.js';
 import { minutesToMs } from '../../utils/time.js';
-import { validateRandomConfig, validateBellType } from '../../utils/validation.js';
+import { validateRandomConfig, validateRandomOptions, validateRandomSchedule, validateBellType, validateDuration, validatePreparation, validateBellPattern } from '../../utils/validation.js';
 
 /**
  * RandomMode rings bells at unpredictable intervals within a specified range
- * Uses weighted randomness for more natural unpredictability
+ * Intervals are drawn from a choice of distributions (triangular by default,
+ * favouring the middle of the range). A seed makes the whole sequence of
+ * intervals and bells repeat from one sit to the next. A fixed-length sit
+ * can be planned up front, drawing every bell before the first one rings
+ * so the schedule can be previewed and saved with the session
  * 
  * @example
  * const mode = new RandomMode({
  *   minInterval: 2,   // Minimum 2 minutes between bells
  *   maxInterval: 10,  // Maximum 10 minutes between bells
- *   bellType: 'random' // Randomly choose big or small bell
+ *   distribution: 'exponential', // Short gaps most likely, like a Poisson process
+ *   bellType: 'random', // Randomly choose big or small bell
+ *   bigBellProbability: 0.25, // One bell in four is big
+ *   noConsecutiveBig: true,   // Never two big bells in a row
+ *   duration: 30,       // Open and close with bells, stop after 30 minutes
+ *   preplanned: true,   // Draw all 30 minutes of bells at the start
+ *   preparationTime: 2  // Settle in for 2 minutes before the first interval
  * });
  */
 export class RandomMode {
@@ -25,15 +38,39 @@ export class RandomMode {
    * @param {Object} config - Mode configuration
    * @param {number} config.minInterval - Minimum interval in minutes
    * @param {number} config.maxInterval - Maximum interval in minutes
+   * @param {string} config.distribution - Interval distribution from RANDOM_DISTRIBUTIONS
    * @param {string} config.bellType - Bell type ('big', 'small', or 'random')
+   * @param {number} config.bigBellProbability - Chance of a big bell when bellType is 'random' (0-1)
+   * @param {boolean} config.noConsecutiveBig - Never ring two big bells in a row
+   * @param {string|number|null} config.seed - Seed for a reproducible sequence (null = unseeded)
+   * @param {boolean} config.preplanned - Plan every bell of a fixed-length sit when it starts
+   * @param {Array<Object>|null} config.plannedSchedule - Plan to follow {at (minutes), bellType}, e.g. a previewed one (null = draw a new plan)
+   * @param {number} config.duration - Session length in minutes (0 = run until stopped)
+   * @param {number} config.preparationTime - Settling-in period in minutes (0 = none)
+   * @param {string} config.preparationBell - Bell that starts the settling-in period ('none' or 'triple')
+   * @param {string|Array<Object>|null} config.openingPattern - Pattern for the opening bell (null = SESSION_BELLS)
+   * @param {string|Array<Object>|null} config.closingPattern - Pattern for the closing bells (null = SESSION_BELLS)
    * @param {EventBus} config.eventBus - Event bus instance (optional)
+   * @param {Clock} config.clock - Source of time (optional, uses the app's clock)
    */
   constructor(config = {}) {
     const {
       minInterval = 2,
       maxInterval = 10,
+      distribution = RANDOM_DISTRIBUTIONS.TRIANGULAR,
       bellType = 'random',
-      eventBus: customEventBus = null
+      bigBellProbability = 0.5,
+      noConsecutiveBig = false,
+      seed = null,
+      preplanned = false,
+      plannedSchedule = null,
+      duration = 0,
+      preparationTime = 0,
+      preparationBell = 'none',
+      openingPattern = null,
+      closingPattern = null,
+      eventBus: customEventBus = null,
+      clock: customClock = null
     } = config;
     
     // Validate configuration
@@ -42,6 +79,11 @@ export class RandomMode {
       throw new Error(`Invalid random mode config: ${validation.errors.join(', ')}`);
     }
     
+    const optionsValidation = validateRandomOptions({ distribution, bigBellProbability, seed });
+    if (!optionsValidation.valid) {
+      throw new Error(`Invalid random mode config: ${optionsValidation.errors.join(', ')}`);
+    }
+    
     if (bellType !== 'random') {
       const bellValidation = validateBellType(bellType);
       if (!bellValidation.valid) {
@@ -49,6 +91,28 @@ export class RandomMode {
       }
     }
     
+    const durationValidation = validateDuration(duration);
+    if (!durationValidation.valid) {
+      throw new Error(`Invalid duration: ${durationValidation.errors.join(', ')}`);
+    }
+    
+    const scheduleValidation = validateRandomSchedule(plannedSchedule, duration);
+    if (!scheduleValidation.valid) {
+      throw new Error(`Invalid planned schedule: ${scheduleValidation.errors.join(', ')}`);
+    }
+    
+    const preparationValidation = validatePreparation(preparationTime, preparationBell);
+    if (!preparationValidation.valid) {
+      throw new Error(`Invalid preparation: ${preparationValidation.errors.join(', ')}`);
+    }
+    
+    [openingPattern, closingPattern].forEach(pattern => {
+      const patternValidation = validateBellPattern(pattern);
+      if (!patternValidation.valid) {
+        throw new Error(`Invalid bell pattern: ${patternValidation.errors.join(', ')}`);
+      }
+    });
+    
     /** @public {string} Mode name */
     this.name = TIMER_MODES.RANDOM;
     
@@ -58,23 +122,74 @@ export class RandomMode {
     /** @private {number} Maximum interval in minutes */
     this.maxInterval = maxInterval;
     
+    /** @private {string} Interval distribution from RANDOM_DISTRIBUTIONS */
+    this.distribution = distribution;
+    
     /** @private {string} Bell type preference */
     this.bellType = bellType;
     
+    /** @private {number} Chance of a big bell when the type is random (0-1) */
+    this.bigBellProbability = bigBellProbability;
+    
+    /** @private {boolean} Whether a big bell is always followed by a small one */
+    this.noConsecutiveBig = Boolean(noConsecutiveBig);
+    
+    /** @private {string|number|null} Seed of a reproducible sequence */
+    this.seed = seed;
+    
+    /** @private {Function} Random number generator for the current sit */
+    this.random = Math.random;
+    
+    /** @private {boolean} Whether a fixed-length sit is planned up front */
+    this.preplanned = Boolean(preplanned);
+    
+    /** @private {Array<Object>|null} Plan given to follow, instead of drawing one */
+    this.plannedSchedule = plannedSchedule;
+    
+    /** @private {Array<Object>|null} Plan of the current sit {at (minutes), bellType} */
+    this.schedule = null;
+    
+    /** @private {number} Index in the plan of the next bell */
+    this.scheduleIndex = 0;
+    
+    /** @private {number} Session length in minutes (0 = open-ended) */
+    this.duration = duration;
+    
+    /** @private {number} Settling-in period in minutes (0 = none) */
+    this.preparationTime = preparationTime;
+    
+    /** @private {string} Key of PREPARATION_BELLS */
+    this.preparationBell = preparationBell;
+    
+    /** @private {string|Array<Object>|null} Opening bell pattern */
+    this.openingPattern = openingPattern;
+    
+    /** @private {string|Array<Object>|null} Closing bell pattern */
+    this.closingPattern = closingPattern;
+    
     /** @private {EventBus} Event bus reference */
     this.eventBus = customEventBus || eventBus;
     
+    /** @private {Clock} Source of time */
+    this.clock = customClock || clock;
+    
     /** @private {number} Bell counter */
     this.bellCount = 0;
     
     /** @private {number} Next bell time (ms) */
     this.nextBellTime = null;
     
+    /** @private {string|null} Bell drawn for the next ring, so it can be announced ahead */
+    this.nextBellType = null;
+    
     /** @private {number} Start time reference */
     this.startTime = null;
     
     /** @private {Array<number>} History of intervals for stats */
     this.intervalHistory = [];
+    
+    /** @private {number|null} Planned end of a fixed-length sit (ms) */
+    this.endTime = null;
   }
 
   /**
@@ -82,17 +197,75 @@ export class RandomMode {
    * @param {TimerEngine} timer - Timer engine instance
    */
   onStart(timer) {
-    this.startTime = Date.now();
     this.bellCount = 0;
     this.intervalHistory = [];
+    this.nextBellTime = null;
+    this.endTime = null;
+    
+    // A seeded sit replays the same sequence from the start
+    this.random = this.seed !== null ? createSeededRandom(this.seed) : Math.random;
+    
+    // Plan the whole sit now, before the session is recorded with it. A given
+    // plan is for this start only; a later start draws its own
+    this.schedule = null;
+    this.scheduleIndex = 0;
+    if (this.preplanned && this.duration > 0) {
+      this.schedule = this.plannedSchedule
+        ? this.plannedSchedule.map(bell => ({ ...bell }))
+        : planRandomSchedule(this.getConfig(), this.random);
+    }
+    this.plannedSchedule = null;
+    
+    // Settle in before the first interval is counted
+    if (this.preparationTime > 0) {
+      timer.startPreparation(minutesToMs(this.preparationTime));
+      
+      const bell = PREPARATION_BELLS[this.preparationBell];
+      if (bell) {
+        this.#ringSessionBell(bell, BELL_PHASES.PREPARATION, this.clock.now());
+      }
+      return;
+    }
+    
+    this.#beginPractice(timer);
+  }
+
+  /**
+   * Called when the settling-in period is over
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  onPrepared(timer) {
+    this.#beginPractice(timer);
+  }
+
+  /**
+   * Start counting random intervals from now
+   * @private
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  #beginPractice(timer) {
+    this.startTime = this.clock.now();
+    
+    if (this.duration > 0) {
+      this.endTime = this.startTime + minutesToMs(this.duration);
+    }
+    
+    if (this.schedule) {
+      this.scheduleIndex = 0;
+      this.#loadPlannedBell();
+    } else {
+      // Calculate first random interval
+      const firstInterval = this.#generateRandomInterval();
+      this.nextBellTime = this.startTime + firstInterval;
+      this.nextBellType = this.#selectBellType(null);
+    }
     
-    // Calculate first random interval
-    const firstInterval = this.#generateRandomInterval();
-    this.nextBellTime = this.startTime + firstInterval;
+    this.#scheduleNextCheck(timer);
     
-    // Start timer with first interval
-    timer.reset(firstInterval);
-    timer.start();
+    // A fixed-length sit opens with its own bell once the session is running
+    if (this.endTime !== null) {
+      this.#ringSessionBell(SESSION_BELLS.OPENING, BELL_PHASES.OPENING, this.startTime, this.openingPattern);
+    }
   }
 
   /**
@@ -100,64 +273,139 @@ export class RandomMode {
    * @param {TimerEngine} timer - Timer engine instance
    */
   onComplete(timer) {
-    const now = Date.now();
+    const now = this.clock.now();
     
-    // Ring the bell
-    const bellType = this.#selectBellType();
+    // The closing sequence takes precedence over a random bell due at the same moment
+    if (this.endTime !== null && now >= this.endTime) {
+      this.#finish(timer, now);
+      return;
+    }
+    
+    // Ring the bell drawn when it was scheduled
+    const bellType = this.nextBellType || this.#selectBellType(null);
     this.#ringBell(bellType, now);
     this.bellCount++;
     
-    // Generate next random interval
-    const nextInterval = this.#generateRandomInterval();
-    this.nextBellTime = now + nextInterval;
+    if (this.schedule) {
+      this.scheduleIndex++;
+      this.#loadPlannedBell();
+    } else {
+      // Generate next random interval
+      const nextInterval = this.#generateRandomInterval();
+      this.nextBellTime = now + nextInterval;
+      this.nextBellType = this.#selectBellType(bellType);
+    }
+    
+    this.#scheduleNextCheck(timer);
+  }
+
+  /**
+   * Called when the timer resumes from a pause
+   * The sit, and any plan, is pushed back by the length of the pause
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {number} pauseDuration - Milliseconds spent paused
+   */
+  onResume(timer, pauseDuration) {
+    if (this.startTime === null) {
+      return;
+    }
+    
+    this.startTime += pauseDuration;
+    
+    if (this.nextBellTime !== null) {
+      this.nextBellTime += pauseDuration;
+    }
+    
+    if (this.endTime !== null) {
+      this.endTime += pauseDuration;
+    }
+    
+    this.#scheduleNextCheck(timer);
+  }
+
+  /**
+   * Take the next bell from the plan; after the last one only the close is left
+   * @private
+   */
+  #loadPlannedBell() {
+    const bell = this.schedule[this.scheduleIndex];
+    
+    if (!bell) {
+      this.nextBellTime = null;
+      this.nextBellType = null;
+      return;
+    }
+    
+    const previousAt = this.scheduleIndex > 0 ? this.schedule[this.scheduleIndex - 1].at : 0;
+    this.#recordInterval(bell.at - previousAt);
     
-    // Reset timer with new interval
-    timer.reset(nextInterval);
-    timer.start();
+    this.nextBellTime = this.startTime + minutesToMs(bell.at);
+    this.nextBellType = bell.bellType;
   }
 
   /**
-   * Generate a random interval using weighted distribution
-   * Favors middle values for more natural randomness
+   * Schedule the next wake-up: the next random bell or the end of the sit
+   * @private
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  #scheduleNextCheck(timer) {
+    let nextTime = this.nextBellTime ?? this.endTime;
+    
+    if (this.endTime !== null && this.endTime < nextTime) {
+      nextTime = this.endTime;
+    }
+    
+    timer.scheduleNext(Math.max(0, nextTime - this.clock.now()));
+  }
+
+  /**
+   * Ring the closing sequence and stop the timer at the end of a fixed-length sit
+   * @private
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {number} timestamp - Current timestamp
+   */
+  #finish(timer, timestamp) {
+    this.#ringSessionBell(SESSION_BELLS.CLOSING, BELL_PHASES.CLOSING, timestamp, this.closingPattern);
+    
+    this.endTime = null;
+    this.nextBellTime = null;
+    this.nextBellType = null;
+    
+    timer.stop('completed');
+  }
+
+  /**
+   * Generate a random interval from the configured distribution
    * @private
    * @returns {number} Random interval in milliseconds
    */
   #generateRandomInterval() {
-    // Use triangular distribution for more natural randomness
-    // This creates a bell-curve-like distribution favoring middle values
-    const min = this.minInterval;
-    const max = this.maxInterval;
-    const mid = (min + max) / 2;
-    
-    // Generate two random numbers and average them (simple triangular distribution)
-    const r1 = Math.random();
-    const r2 = Math.random();
-    const avg = (r1 + r2) / 2;
-    
-    // Map to interval range
-    const intervalMinutes = min + (avg * (max - min));
-    const intervalMs = minutesToMs(intervalMinutes);
-    
-    // Store in history
+    const intervalMinutes = sampleDistribution(this.distribution, this.minInterval, this.maxInterval, this.random);
+    this.#recordInterval(intervalMinutes);
+    
+    return minutesToMs(intervalMinutes);
+  }
+
+  /**
+   * Store an interval in the history
+   * @private
+   * @param {number} intervalMinutes - Interval in minutes
+   */
+  #recordInterval(intervalMinutes) {
     this.intervalHistory.push(intervalMinutes);
     if (this.intervalHistory.length > 100) {
       this.intervalHistory.shift(); // Keep last 100
     }
-    
-    return intervalMs;
   }
 
   /**
    * Select which bell type to ring
    * @private
+   * @param {string|null} previous - Bell rung before this one, if any
    * @returns {string} Bell type to ring
    */
-  #selectBellType() {
-    if (this.bellType === 'random') {
-      // 50/50 chance between big and small
-      return Math.random() < 0.5 ? BELL_TYPES.BIG : BELL_TYPES.SMALL;
-    }
-    return this.bellType;
+  #selectBellType(previous) {
+    return drawBellType(this, previous, this.random);
   }
 
   /**
@@ -169,24 +417,56 @@ export class RandomMode {
   #ringBell(bellType, timestamp) {
     this.eventBus.dispatch(EVENTS.BELL_RING, {
       bellType,
+      pattern: repeatBell(bellType),
       timestamp,
       mode: this.name,
+      phase: BELL_PHASES.INTERVAL,
       bellCount: this.bellCount
     });
   }
 
+  /**
+   * Ring a preparation, opening or closing bell
+   * @private
+   * @param {Object} bell - Entry from SESSION_BELLS or PREPARATION_BELLS {bellType, strikes, gap}
+   * @param {string} phase - Session phase from BELL_PHASES
+   * @param {number} timestamp - Current timestamp
+   * @param {string|Array<Object>|null} pattern - Configured pattern replacing the bell
+   */
+  #ringSessionBell(bell, phase, timestamp, pattern = null) {
+    this.eventBus.dispatch(EVENTS.BELL_RING, sessionBellRing(bell, { phase, timestamp, mode: this.name, pattern }));
+  }
+
+  /**
+   * Describe the bell the next completion will ring, so the audio can
+   * queue it ahead of time
+   * @returns {Object|null} {time, bellType, pattern, phase} or null when nothing is scheduled
+   */
+  getUpcomingBell() {
+    return upcomingBell(this.getNextBell(), this.nextBellType, this.closingPattern);
+  }
+
   /**
    * Get the next scheduled bell time
    * @returns {Object} Next bell info {time, interval}
    */
   getNextBell() {
-    if (!this.nextBellTime) {
+    if (this.nextBellTime === null && this.endTime === null) {
       return null;
     }
     
+    // Past the last planned bell only the close is left
+    if (this.endTime !== null && (this.nextBellTime === null || this.endTime <= this.nextBellTime)) {
+      return {
+        time: this.endTime,
+        interval: this.endTime - this.clock.now(),
+        closing: true
+      };
+    }
+    
     return {
       time: this.nextBellTime,
-      interval: this.nextBellTime - Date.now(),
+      interval: this.nextBellTime - this.clock.now(),
       estimated: true // Flag that this is unpredictable
     };
   }
@@ -204,7 +484,16 @@ export class RandomMode {
       mode: this.name,
       minInterval: this.minInterval,
       maxInterval: this.maxInterval,
+      distribution: this.distribution,
       bellType: this.bellType,
+      bigBellProbability: this.bigBellProbability,
+      noConsecutiveBig: this.noConsecutiveBig,
+      seed: this.seed,
+      preplanned: this.preplanned,
+      plannedBells: this.schedule ? this.schedule.length : null,
+      duration: this.duration,
+      preparationTime: this.preparationTime,
+      remainingTime: this.endTime !== null ? Math.max(0, this.endTime - this.clock.now()) : null,
       bellCount: this.bellCount,
       averageInterval: avgInterval,
       intervalHistory: [...this.intervalHistory],
@@ -212,25 +501,87 @@ export class RandomMode {
     };
   }
 
+  /**
+   * Get the bells planned for the running sit
+   * @returns {Array<Object>|null} Bells {at (minutes), bellType}, or null when the sit is not planned
+   */
+  getSchedule() {
+    return this.schedule ? this.schedule.map(bell => ({ ...bell })) : null;
+  }
+
+  /**
+   * Snapshot the running state for a session checkpoint
+   * The drawn next bell is kept, so a restored sit rings the bell it would have
+   * @returns {Object} Checkpoint state; endsAt is the planned end of a fixed-length sit
+   */
+  getCheckpoint() {
+    return {
+      bellCount: this.bellCount,
+      nextBellTime: this.nextBellTime,
+      nextBellType: this.nextBellType,
+      randomState: this.random.getState?.() ?? null,
+      intervalHistory: [...this.intervalHistory],
+      schedule: this.schedule ? this.schedule.map(bell => ({ ...bell })) : null,
+      scheduleIndex: this.scheduleIndex,
+      startTime: this.startTime,
+      endsAt: this.endTime
+    };
+  }
+
+  /**
+   * Restore the running state from a checkpoint, before the timer is restored
+   * @param {Object} state - Result of getCheckpoint()
+   */
+  restoreCheckpoint(state) {
+    this.bellCount = state.bellCount || 0;
+    this.nextBellTime = state.nextBellTime ?? null;
+    this.nextBellType = state.nextBellType ?? null;
+    if (this.seed !== null) {
+      this.random = createSeededRandom(state.randomState ?? this.seed);
+    }
+    this.intervalHistory = [...(state.intervalHistory || [])];
+    this.schedule = state.schedule ? state.schedule.map(bell => ({ ...bell })) : null;
+    this.scheduleIndex = state.scheduleIndex || 0;
+    this.startTime = state.startTime ?? null;
+    this.endTime = state.endsAt ?? null;
+  }
+
   /**
    * Reset mode state
    */
   reset() {
     this.bellCount = 0;
     this.nextBellTime = null;
+    this.nextBellType = null;
     this.startTime = null;
     this.intervalHistory = [];
+    this.schedule = null;
+    this.scheduleIndex = 0;
+    this.endTime = null;
   }
 
   /**
    * Get mode configuration
+   * A drawn plan is not part of it (see getSchedule), so reusing the config
+   * draws a new one
    * @returns {Object} Mode configuration
    */
   getConfig() {
     return {
       minInterval: this.minInterval,
       maxInterval: this.maxInterval,
-      bellType: this.bellType
+      distribution: this.distribution,
+      bellType: this.bellType,
+      bigBellProbability: this.bigBellProbability,
+      noConsecutiveBig: this.noConsecutiveBig,
+      seed: this.seed,
+      preplanned: this.preplanned,
+      plannedSchedule: this.plannedSchedule,
+      duration: this.duration,
+      preparationTime: this.preparationTime,
+      preparationBell: this.preparationBell,
+      openingPattern: this.openingPattern,
+      closingPattern: this.closingPattern
     };
   }
 
@@ -239,7 +590,18 @@ export class RandomMode {
    * @param {Object} config - New configuration
    * @param {number} config.minInterval - Minimum interval in minutes
    * @param {number} config.maxInterval - Maximum interval in minutes
+   * @param {string} config.distribution - Interval distribution from RANDOM_DISTRIBUTIONS
    * @param {string} config.bellType - Bell type preference
+   * @param {number} config.bigBellProbability - Chance of a big bell when the type is random (0-1)
+   * @param {boolean} config.noConsecutiveBig - Never ring two big bells in a row
+   * @param {string|number|null} config.seed - Seed for a reproducible sequence (null = unseeded)
+   * @param {boolean} config.preplanned - Plan every bell of a fixed-length sit when it starts
+   * @param {Array<Object>|null} config.plannedSchedule - Plan to follow (null = draw a new plan)
+   * @param {number} config.duration - Session length in minutes (0 = open-ended)
+   * @param {number} config.preparationTime - Settling-in period in minutes
+   * @param {string} config.preparationBell - Bell that starts the settling-in period
+   * @param {string|Array<Object>|null} config.openingPattern - Pattern for the opening bell
+   * @param {string|Array<Object>|null} config.closingPattern - Pattern for the closing bells
    */
   updateConfig(config) {
     const newConfig = {
@@ -252,6 +614,15 @@ export class RandomMode {
       throw new Error(`Invalid configuration: ${validation.errors.join(', ')}`);
     }
     
+    const optionsValidation = validateRandomOptions({
+      distribution: config.distribution,
+      bigBellProbability: config.bigBellProbability,
+      seed: config.seed
+    });
+    if (!optionsValidation.valid) {
+      throw new Error(`Invalid configuration: ${optionsValidation.errors.join(', ')}`);
+    }
+    
     if (config.minInterval !== undefined) {
       this.minInterval = config.minInterval;
     }
@@ -260,6 +631,22 @@ export class RandomMode {
       this.maxInterval = config.maxInterval;
     }
     
+    if (config.distribution !== undefined) {
+      this.distribution = config.distribution;
+    }
+    
+    if (config.bigBellProbability !== undefined) {
+      this.bigBellProbability = config.bigBellProbability;
+    }
+    
+    if (config.noConsecutiveBig !== undefined) {
+      this.noConsecutiveBig = Boolean(config.noConsecutiveBig);
+    }
+    
+    if (config.seed !== undefined) {
+      this.seed = config.seed;
+    }
+    
     if (config.bellType !== undefined) {
       if (config.bellType !== 'random') {
         const bellValidation = validateBellType(config.bellType);
@@ -269,5 +656,49 @@ export class RandomMode {
       }
       this.bellType = config.bellType;
     }
+    
+    if (config.duration !== undefined) {
+      const durationValidation = validateDuration(config.duration);
+      if (!durationValidation.valid) {
+        throw new Error(`Invalid duration: ${durationValidation.errors.join(', ')}`);
+      }
+      this.duration = config.duration;
+    }
+    
+    if (config.preplanned !== undefined) {
+      this.preplanned = Boolean(config.preplanned);
+    }
+    
+    // A plan only fits the settings it was drawn with, so an update without one drops it
+    if (config.plannedSchedule !== undefined) {
+      const scheduleValidation = validateRandomSchedule(config.plannedSchedule, this.duration);
+      if (!scheduleValidation.valid) {
+        throw new Error(`Invalid planned schedule: ${scheduleValidation.errors.join(', ')}`);
+      }
+      this.plannedSchedule = config.plannedSchedule;
+    } else {
+      this.plannedSchedule = null;
+    }
+    
+    if (config.preparationTime !== undefined || config.preparationBell !== undefined) {
+      const preparationTime = config.preparationTime ?? this.preparationTime;
+      const preparationBell = config.preparationBell ?? this.preparationBell;
+      const preparationValidation = validatePreparation(preparationTime, preparationBell);
+      if (!preparationValidation.valid) {
+        throw new Error(`Invalid preparation: ${preparationValidation.errors.join(', ')}`);
+      }
+      this.preparationTime = preparationTime;
+      this.preparationBell = preparationBell;
+    }
+    
+    ['openingPattern', 'closingPattern'].forEach(field => {
+      if (config[field] !== undefined) {
+        const validation = validateBellPattern(config[field]);
+        if (!validation.valid) {
+          throw new Error(`Invalid bell pattern: ${validation.errors.join(', ')}`);
+        }
+        this[field] = config[field];
+      }
+    });
   }
 }
@@ -4,19 +4,36 @@
  */
 
 import { eventBus } from '../EventBus.js';
+import { clock } from '../../utils/clock.js';
 import { EVENTS, BELL_TYPES, TIMER_MODES } from '../../config/constants.js';
-import { timeUntilTime } from '../../utils/time.js';
-import { validateReminderTimes, validateBellType } from '../../utils/validation.js';
+import { validateReminderTimes, validateBellType, validateWeeklySchedule, validateBellPattern } from '../../utils/validation.js';
+import { repeatBell, resolveBellPattern } from '../../utils/bells.js';
+import {
+  normalizeSchedule,
+  isDayEnabled,
+  getDayValue,
+  getWeekdayKey,
+  atTimeOfDay,
+  LOOKAHEAD_DAYS
+} from '../../utils/schedule.js';
 
 /**
  * ReminderMode rings bells at user-specified times
- * Supports one-time and recurring daily reminders
+ * Supports one-time and recurring daily reminders, optionally limited to
+ * some days of the week with different times per day
+ * 
+ * Times follow the local clock: a time in the hour the clocks skip rings
+ * late, as they go forward, and a time in the hour they repeat rings once
  * 
  * @example
  * const mode = new ReminderMode({
  *   times: ['06:00', '12:00', '18:00'],  // Ring at 6 AM, noon, and 6 PM
  *   recurring: true,                      // Repeat daily
- *   bellType: 'big'                       // Always use big bell
+ *   bellType: 'big',                      // Always use big bell
+ *   schedule: {
+ *     days: DAY_MASKS.EVERY_DAY,
+ *     perDay: { sat: ['08:00'], sun: ['08:00'] }  // Later, single bell at weekends
+ *   }
  * });
  */
 export class ReminderMode {
@@ -26,14 +43,20 @@ export class ReminderMode {
    * @param {string[]} config.times - Array of times in HH:MM format
    * @param {boolean} config.recurring - Whether reminders repeat daily
    * @param {string} config.bellType - Bell type ('big' or 'small')
+   * @param {Object|null} config.schedule - Weekly schedule {days, perDay} (null = every day)
+   * @param {string|Array<Object>|null} config.pattern - Bell pattern to ring instead of a single bell
    * @param {EventBus} config.eventBus - Event bus instance (optional)
+   * @param {Clock} config.clock - Source of time (optional, uses the app's clock)
    */
   constructor(config = {}) {
     const {
       times = [],
       recurring = true,
       bellType = BELL_TYPES.BIG,
-      eventBus: customEventBus = null
+      schedule = null,
+      pattern = null,
+      eventBus: customEventBus = null,
+      clock: customClock = null
     } = config;
     
     // Validate times
@@ -48,6 +71,18 @@ export class ReminderMode {
       throw new Error(`Invalid bell type: ${bellValidation.errors.join(', ')}`);
     }
     
+    // Validate weekly schedule
+    const scheduleValidation = validateWeeklySchedule(schedule, TIMER_MODES.REMINDER);
+    if (!scheduleValidation.valid) {
+      throw new Error(`Invalid schedule: ${scheduleValidation.errors.join(', ')}`);
+    }
+    
+    // Validate bell pattern
+    const patternValidation = validateBellPattern(pattern);
+    if (!patternValidation.valid) {
+      throw new Error(`Invalid bell pattern: ${patternValidation.errors.join(', ')}`);
+    }
+    
     /** @public {string} Mode name */
     this.name = TIMER_MODES.REMINDER;
     
@@ -60,9 +95,18 @@ export class ReminderMode {
     /** @private {string} Bell type */
     this.bellType = bellType;
     
+    /** @private {Object|null} Weekly schedule */
+    this.schedule = this.#normalizeSchedule(schedule);
+    
+    /** @private {string|Array<Object>|null} Bell pattern (null = single bell) */
+    this.pattern = pattern;
+    
     /** @private {EventBus} Event bus reference */
     this.eventBus = customEventBus || eventBus;
     
+    /** @private {Clock} Source of time */
+    this.clock = customClock || clock;
+    
     /** @private {Set<string>} Completed reminder times (for one-time reminders) */
     this.completed = new Set();
     
@@ -91,12 +135,31 @@ export class ReminderMode {
     this.#scheduleNextReminder(timer);
   }
 
+  /**
+   * Called after the timer is restored from a checkpoint
+   * Reminders that fell due while the page was gone are not rung late
+   * @param {TimerEngine} timer - Timer engine instance
+   */
+  onRestore(timer) {
+    this.#scheduleNextReminder(timer);
+  }
+
+  /**
+   * Called when the wall clock jumps or the local UTC offset changes
+   * The next reminder is found again on the new local clock
+   * @param {TimerEngine} timer - Timer engine instance
+   * @param {Object} change - Clock change {reason, jump, timezoneOffset, ...}
+   */
+  onClockChange(timer, change) {
+    this.#scheduleNextReminder(timer);
+  }
+
   /**
    * Called when timer completes an interval
    * @param {TimerEngine} timer - Timer engine instance
    */
   onComplete(timer) {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // Ring the bell
     this.#ringBell(this.bellType, now, this.nextReminderTime);
@@ -121,22 +184,16 @@ export class ReminderMode {
     
     if (!nextReminder) {
       // No more reminders
-      timer.stop();
-      this.eventBus.dispatch(EVENTS.TIMER_STOP, {
-        reason: 'No more reminders scheduled',
-        bellCount: this.bellCount
-      });
+      timer.stop('completed');
       return;
     }
     
     this.nextReminderTime = nextReminder.time;
     this.nextBellTime = nextReminder.timestamp;
     
-    const interval = nextReminder.timestamp - Date.now();
+    const interval = nextReminder.timestamp - this.clock.now();
     
-    // Reset timer with interval to next reminder
-    timer.reset(interval);
-    timer.start();
+    timer.scheduleNext(interval);
   }
 
   /**
@@ -145,29 +202,56 @@ export class ReminderMode {
    * @returns {Object|null} Next reminder {time, timestamp} or null
    */
   #findNextReminder() {
-    const now = new Date();
-    const candidates = [];
+    const now = this.clock.date();
     
-    for (const time of this.times) {
-      // Skip if already completed (for one-time reminders)
-      if (!this.recurring && this.completed.has(time)) {
+    // Days are visited in order and each day's times are sorted,
+    // so the first upcoming time found is the earliest
+    for (let offset = 0; offset < LOOKAHEAD_DAYS; offset++) {
+      const day = atTimeOfDay(now, '00:00', offset);
+      
+      if (!isDayEnabled(this.schedule, day)) {
         continue;
       }
       
-      const msUntil = timeUntilTime(time);
-      const timestamp = now.getTime() + msUntil;
-      
-      candidates.push({
-        time,
-        timestamp,
-        msUntil
-      });
+      for (const time of getDayValue(this.schedule, day, this.times)) {
+        // Skip if already completed (for one-time reminders)
+        if (!this.recurring && this.completed.has(time)) {
+          continue;
+        }
+        
+        const target = atTimeOfDay(now, time, offset);
+        if (target <= now) {
+          continue;
+        }
+        
+        return {
+          time,
+          day: getWeekdayKey(target),
+          timestamp: target.getTime(),
+          msUntil: target.getTime() - now.getTime()
+        };
+      }
     }
     
-    // Sort by timestamp and return earliest
-    candidates.sort((a, b) => a.timestamp - b.timestamp);
+    return null;
+  }
+
+  /**
+   * Copy a schedule with each day's times sorted
+   * @private
+   * @param {Object|null} schedule - Weekly schedule
+   * @returns {Object|null} Normalized schedule
+   */
+  #normalizeSchedule(schedule) {
+    const normalized = normalizeSchedule(schedule);
+    
+    if (normalized) {
+      for (const [day, times] of Object.entries(normalized.perDay)) {
+        normalized.perDay[day] = [...times].sort();
+      }
+    }
     
-    return candidates.length > 0 ? candidates[0] : null;
+    return normalized;
   }
 
   /**
@@ -178,8 +262,11 @@ export class ReminderMode {
    * @param {string} reminderTime - The reminder time (HH:MM)
    */
   #ringBell(bellType, timestamp, reminderTime) {
+    const strikes = this.#strikes(bellType);
+    
     this.eventBus.dispatch(EVENTS.BELL_RING, {
-      bellType,
+      bellType: strikes[0].bellType,
+      pattern: strikes,
       timestamp,
       mode: this.name,
       reminderTime,
@@ -187,6 +274,30 @@ export class ReminderMode {
     });
   }
 
+  /**
+   * Describe the bell the next completion will ring, so the audio can
+   * queue it ahead of time
+   * @returns {Object|null} {time, bellType, pattern} or null when nothing is scheduled
+   */
+  getUpcomingBell() {
+    if (!this.nextBellTime) {
+      return null;
+    }
+    
+    const pattern = this.#strikes(this.bellType);
+    return { time: this.nextBellTime, bellType: pattern[0].bellType, pattern };
+  }
+
+  /**
+   * Strikes of a bell, or of the pattern configured in its place
+   * @private
+   * @param {string} bellType - Bell type
+   * @returns {Array<Object>} Strikes {bellType, gap}
+   */
+  #strikes(bellType) {
+    return resolveBellPattern(this.pattern, repeatBell(bellType));
+  }
+
   /**
    * Get the next scheduled bell time
    * @returns {Object} Next bell info {time, reminderTime, interval}
@@ -207,7 +318,7 @@ export class ReminderMode {
     return {
       time: this.nextBellTime,
       reminderTime: this.nextReminderTime,
-      interval: this.nextBellTime - Date.now()
+      interval: this.nextBellTime - this.clock.now()
     };
   }
 
@@ -221,12 +332,34 @@ export class ReminderMode {
       times: [...this.times],
       recurring: this.recurring,
       bellType: this.bellType,
+      schedule: this.schedule,
       bellCount: this.bellCount,
       completed: Array.from(this.completed),
       nextBell: this.getNextBell()
     };
   }
 
+  /**
+   * Snapshot the running state for a session checkpoint
+   * @returns {Object} Checkpoint state; reminders have no planned end
+   */
+  getCheckpoint() {
+    return {
+      bellCount: this.bellCount,
+      completed: Array.from(this.completed),
+      endsAt: null
+    };
+  }
+
+  /**
+   * Restore the running state from a checkpoint, before the timer is restored
+   * @param {Object} state - Result of getCheckpoint()
+   */
+  restoreCheckpoint(state) {
+    this.bellCount = state.bellCount || 0;
+    this.completed = new Set(state.completed || []);
+  }
+
   /**
    * Reset mode state
    */
@@ -245,7 +378,9 @@ export class ReminderMode {
     return {
       times: [...this.times],
       recurring: this.recurring,
-      bellType: this.bellType
+      bellType: this.bellType,
+      schedule: this.#normalizeSchedule(this.schedule),
+      pattern: this.pattern
     };
   }
 
@@ -255,6 +390,8 @@ export class ReminderMode {
    * @param {string[]} config.times - New reminder times
    * @param {boolean} config.recurring - Recurring setting
    * @param {string} config.bellType - Bell type
+   * @param {Object|null} config.schedule - Weekly schedule
+   * @param {string|Array<Object>|null} config.pattern - Bell pattern
    */
   updateConfig(config) {
     if (config.times !== undefined) {
@@ -276,6 +413,22 @@ export class ReminderMode {
       }
       this.bellType = config.bellType;
     }
+    
+    if (config.pattern !== undefined) {
+      const validation = validateBellPattern(config.pattern);
+      if (!validation.valid) {
+        throw new Error(`Invalid bell pattern: ${validation.errors.join(', ')}`);
+      }
+      this.pattern = config.pattern;
+    }
+    
+    if (config.schedule !== undefined) {
+      const validation = validateWeeklySchedule(config.schedule, TIMER_MODES.REMINDER);
+      if (!validation.valid) {
+        throw new Error(`Invalid schedule: ${validation.errors.join(', ')}`);
+      }
+      this.schedule = this.#normalizeSchedule(config.schedule);
+    }
   }
 
   /**
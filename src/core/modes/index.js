@@ -0,0 +1,22 @@
+/**
+ * Timer Modes - Mode classes by name
+ * @module core/modes
+ */
+
+import { PeriodicMode } from './PeriodicMode.js';
+import { RandomMode } from './RandomMode.js';
+import { ReminderMode } from './ReminderMode.js';
+import { HourlyMode } from './HourlyMode.js';
+import { ProgramMode } from './ProgramMode.js';
+
+/**
+ * Mode classes by name
+ * @constant
+ */
+export const MODES = {
+  periodic: PeriodicMode,
+  random: RandomMode,
+  reminder: ReminderMode,
+  hourly: HourlyMode,
+  program: ProgramMode
+};
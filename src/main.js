@@ -11,14 +11,21 @@ import { PeriodicMode } from './core/modes/PeriodicMode.js';
 import { RandomMode } from './core/modes/RandomMode.js';
 import { ReminderMode } from './core/modes/ReminderMode.js';
 import { HourlyMode } from './core/modes/HourlyMode.js';
+import { ProgramMode } from './core/modes/ProgramMode.js';
 import { audioSystem } from './audio/AudioSystem.js';
-import { EVENTS, STORAGE_KEYS, APP_VERSION } from './config/constants.js';
-import { DEFAULT_PREFERENCES, DEFAULT_STATE } from './config/defaults.js';
+import { EVENTS, APP_VERSION, TIMER_PHASES, AMBIENT_LAYERS } from './config/constants.js';
+import { DEFAULT_STATE } from './config/defaults.js';
 
 // Import storage and AI modules
 import { storageManager, sessionStore, insightsStore, preferencesStore } from './storage/index.js';
 import { moodTracker, ambientDetector, patternDetector, insightGenerator } from './ai/index.js';
 import { sessionManager } from './core/SessionManager.js';
+import { doNotDisturb } from './core/DoNotDisturb.js';
+import { sessionCheckpoint } from './core/SessionCheckpoint.js';
+import { driftMonitor } from './core/DriftMonitor.js';
+import { eventSchemas } from './core/EventSchema.js';
+import { tabCoordinator } from './core/TabCoordinator.js';
+import { eventRecorder } from './core/EventRecorder.js';
 
 // Import utilities
 import { initPerformanceMonitoring } from './utils/performance.js';
@@ -36,15 +43,22 @@ import './components/WelcomeMessage.js';
 import './components/TimerDisplay.js';
 import './components/ControlButtons.js';
 import './components/AudioControls.js';
+import './components/BellLibraryPanel.js';
+import './components/BellDesigner.js';
 import './components/ModeSelector.js';
 import './components/PeriodicModePanel.js';
 import './components/RandomModePanel.js';
+import './components/ReminderModePanel.js';
 import './components/HourlyModePanel.js';
+import './components/ProgramModePanel.js';
 import './components/MoodCheckModal.js';
+import './components/ResumeSessionModal.js';
+import './components/SessionExport.js';
 import './components/InsightsDashboard.js';
 import './components/StatsDisplay.js';
 import './components/SessionHistory.js';
 import './components/PrivacySettings.js';
+import './components/TimingDiagnostics.js';
 
 /**
  * Application class - main entry point
@@ -63,6 +77,9 @@ class AwakeningBellApp {
     /** @private {string} Current mode name */
     this.currentModeName = 'periodic';
     
+    /** @private {Promise<void>} Ending of the last stopped session */
+    this.sessionEnding = Promise.resolve();
+    
     /** @private {string} Current session ID */
     this.currentSessionId = null;
     
@@ -77,18 +94,27 @@ class AwakeningBellApp {
    */
   async init() {
     try {
+      // Report malformed event payloads in development, ahead of other middleware
+      eventSchemas.install(eventBus);
+      
       // Initialize storage system
       await this.#initializeStorage();
       
-      // Load user preferences
-      await this.#loadPreferences();
+      // Load saved state
+      await this.#loadPersistedState();
       
       // Initialize AI modules
       await this.#initializeAI();
       
+      // Apply the global quiet schedule before any bell can ring
+      await this.#initializeDoNotDisturb();
+      
       // Initialize event listeners
       this.#initializeEventListeners();
       
+      // Let one tab own the timer when the app is open in several
+      this.#initializeCrossTab();
+      
       // Initialize audio system
       await this.#initializeAudio();
       
@@ -101,6 +127,12 @@ class AwakeningBellApp {
       // Attach component event listeners
       this.#attachComponentListeners();
       
+      // Show the saved mode settings in their panel
+      this.#showModeConfig(this.currentModeName, this.currentMode.getConfig?.());
+      
+      // Offer to pick up a session the last page load left running
+      this.#offerSessionResume();
+      
       this.initialized = true;
       console.log('[AwakeningBell] Initialization complete');
       
@@ -113,7 +145,7 @@ class AwakeningBellApp {
       window.insightsStore = insightsStore;
       
       // Dispatch ready event
-      eventBus.dispatch(EVENTS.STATE_CHANGED, stateManager.getState());
+      eventBus.dispatch(EVENTS.STATE_CHANGED, { state: stateManager.getState(), previousState: null });
       
     } catch (error) {
       console.error('[AwakeningBell] Initialization failed:', error);
@@ -154,6 +186,35 @@ class AwakeningBellApp {
     }
   }
 
+  /**
+   * Load the do not disturb schedule and keep it in sync with preferences
+   * @private
+   */
+  async #initializeDoNotDisturb() {
+    const applySettings = (settings) => {
+      try {
+        doNotDisturb.configure(settings || {});
+      } catch (error) {
+        console.error('[App] Invalid do not disturb settings:', error);
+      }
+    };
+    
+    try {
+      applySettings(await preferencesStore.get('timer.doNotDisturb'));
+    } catch (error) {
+      console.error('[App] Failed to load do not disturb settings:', error);
+    }
+    
+    doNotDisturb.install(eventBus);
+    
+    // Record what listeners receive, after suppression, for bug reports
+    eventRecorder.install(eventBus);
+    
+    eventBus.on(EVENTS.PREFERENCES_CHANGED, ({ preferences }) => {
+      applySettings(preferences?.timer?.doNotDisturb);
+    });
+  }
+
   /**
    * Initialize audio system
    * @private
@@ -182,47 +243,21 @@ class AwakeningBellApp {
   }
 
   /**
-   * Load user preferences from localStorage
+   * Load the persisted state (preferences, theme and the last mode settings),
+   * migrating it first if the app was updated since it was saved
    * @private
    */
-  #loadPreferences() {
+  async #loadPersistedState() {
     try {
-      const storedPrefs = localStorage.getItem(STORAGE_KEYS.PREFERENCES);
+      const { restored, migratedFrom } = await stateManager.enablePersistence();
       
-      if (storedPrefs) {
-        const prefs = JSON.parse(storedPrefs);
-        console.log('[AwakeningBell] Loaded preferences from localStorage');
-        
-        // Update state with loaded preferences
-        stateManager.setState((state) => ({
-          ...state,
-          user: {
-            ...state.user,
-            preferences: {
-              ...DEFAULT_PREFERENCES,
-              ...prefs
-            }
-          }
-        }));
-      } else {
-        console.log('[AwakeningBell] Using default preferences');
-        // Save default preferences
-        localStorage.setItem(STORAGE_KEYS.PREFERENCES, JSON.stringify(DEFAULT_PREFERENCES));
+      if (migratedFrom) {
+        console.log(`[AwakeningBell] Migrated saved state from v${migratedFrom}`);
       }
-      
-      // Store version
-      localStorage.setItem(STORAGE_KEYS.VERSION, APP_VERSION);
-      
+      console.log(`[AwakeningBell] Restored saved state: ${restored.join(', ') || 'none'}`);
     } catch (error) {
-      console.error('[AwakeningBell] Failed to load preferences:', error);
-      // Use defaults
-      stateManager.setState((state) => ({
-        ...state,
-        user: {
-          ...state.user,
-          preferences: DEFAULT_PREFERENCES
-        }
-      }));
+      console.error('[AwakeningBell] Failed to load saved state:', error);
+      // Carry on with the defaults
     }
   }
 
@@ -231,6 +266,14 @@ class AwakeningBellApp {
    * @private
    */
   #initializeEventListeners() {
+    // Measure bell timing and let the running timer follow the adapted lead time
+    driftMonitor.install(eventBus);
+    
+    eventBus.on(EVENTS.TIMER_LEAD_CHANGED, ({ leadTime }) => {
+      console.log('[App] Timer lead time adapted:', leadTime);
+      this.timer?.setLeadTime(leadTime);
+    });
+    
     // Listen to timer events for state updates
     eventBus.on(EVENTS.TIMER_START, async (data) => {
       console.log('[App] Timer started:', data);
@@ -239,12 +282,20 @@ class AwakeningBellApp {
         timer: {
           ...state.timer,
           status: 'running',
+          phase: data.phase,
           startedAt: Date.now()
         }
       }));
       
-      // Start session tracking
-      await sessionManager.startSession(this.currentModeName, this.currentMode?.config || {});
+      // Start session tracking (a restored session is already tracked)
+      if (!data.restored) {
+        await sessionManager.startSession(this.currentModeName, this.#sessionConfig());
+      }
+      
+      // Keep the session recoverable should the page go away
+      if (this.timer && !this.timer.isIdle()) {
+        sessionCheckpoint.start(() => this.#collectCheckpoint());
+      }
     });
     
     eventBus.on(EVENTS.TIMER_PAUSE, (data) => {
@@ -256,6 +307,7 @@ class AwakeningBellApp {
           status: 'paused'
         }
       }));
+      sessionCheckpoint.save();
     });
     
     eventBus.on(EVENTS.TIMER_RESUME, (data) => {
@@ -267,6 +319,7 @@ class AwakeningBellApp {
           status: 'running'
         }
       }));
+      sessionCheckpoint.save();
     });
     
     eventBus.on(EVENTS.TIMER_STOP, async (data) => {
@@ -276,42 +329,100 @@ class AwakeningBellApp {
         timer: {
           ...state.timer,
           status: 'stopped',
-          elapsed: 0
+          elapsed: 0,
+          segment: null,
+          nextSegment: null
         }
       }));
       
-      // End session tracking
-      await sessionManager.endSession();
+      sessionCheckpoint.stop();
+      sessionCheckpoint.clear();
+      
+      // End session tracking; a session started over this one waits for it
+      this.sessionEnding = sessionManager.endSession({
+        reason: data?.reason,
+        breakdown: this.currentMode?.getBreakdown?.()
+      });
+      await this.sessionEnding;
     });
     
     eventBus.on(EVENTS.TIMER_TICK, (data) => {
-      // Update elapsed time
+      // Update elapsed time (or the settling-in countdown)
+      const preparing = data.phase === TIMER_PHASES.PREPARING;
+      stateManager.setState((state) => ({
+        ...state,
+        timer: {
+          ...state.timer,
+          phase: data.phase,
+          elapsed: preparing ? 0 : Math.floor(data.elapsedTime / 1000),
+          preparationRemaining: preparing ? Math.ceil(data.remainingTime / 1000) : 0
+        }
+      }));
+    });
+    
+    eventBus.on(EVENTS.TIMER_PREPARATION_END, (data) => {
+      console.log('[App] Preparation finished:', data);
+      stateManager.setState((state) => ({
+        ...state,
+        timer: {
+          ...state.timer,
+          phase: TIMER_PHASES.PRACTICE,
+          elapsed: 0,
+          preparationRemaining: 0
+        }
+      }));
+    });
+    
+    eventBus.on(EVENTS.PROGRAM_SEGMENT_START, (data) => {
+      console.log('[App] Program segment started:', data);
       stateManager.setState((state) => ({
         ...state,
         timer: {
           ...state.timer,
-          elapsed: Math.floor(data.elapsedTime / 1000)
+          segment: `${data.label} (${data.index + 1}/${data.total})`,
+          nextSegment: data.next
         }
       }));
     });
     
-    eventBus.on(EVENTS.BELL_RING, async (data) => {
+    eventBus.on(EVENTS.BELL_RING, (data) => {
       console.log('[App] Bell rang:', data);
-      try {
-        await audioSystem.playBell(data.bellType || 'small');
-        // Track bell ring for session
-        sessionManager.recordBellRing();
-      } catch (error) {
-        console.error('[App] Failed to play bell:', error);
-      }
+      // The audio system plays the bell's pattern; only count it here
+      sessionManager.recordBellRing();
     });
     
-    eventBus.on(EVENTS.STATE_CHANGED, (state) => {
-      // Save preferences when they change
-      if (state.user?.preferences) {
-        localStorage.setItem(STORAGE_KEYS.PREFERENCES, JSON.stringify(state.user.preferences));
+    eventBus.on(EVENTS.BELL_SUPPRESSED, (data) => {
+      console.log('[App] Bell held back by do not disturb:', data);
+      sessionManager.recordSuppressedBell(data);
+    });
+  }
+
+  /**
+   * Follow the leading tab: show its session here, stop this tab's session
+   * when another takes over, and carry out commands sent from other tabs
+   * @private
+   */
+  #initializeCrossTab() {
+    eventBus.on(EVENTS.TAB_LEADER_CHANGED, ({ isLeader, leaderId }) => {
+      console.log(`[App] ${isLeader ? 'This tab leads' : `Tab ${leaderId || '(none)'} leads`}`);
+      
+      if (!isLeader && this.timer && !this.timer.isIdle()) {
+        this.timer.stop('another-tab');
       }
+      stateManager.set('timer.remote', null);
+    });
+    
+    eventBus.on(EVENTS.TAB_STATE, ({ timer }) => {
+      const active = timer.status === 'running' || timer.status === 'paused';
+      stateManager.set('timer.remote', active ? timer : null);
     });
+    
+    eventBus.on(EVENTS.TAB_COMMAND, ({ action, from }) => {
+      console.log(`[App] Control action from tab ${from}:`, action);
+      this.#controlTimer(action);
+    });
+    
+    tabCoordinator.install(eventBus);
   }
 
   /**
@@ -321,16 +432,23 @@ class AwakeningBellApp {
   #initializeTimer() {
     const state = stateManager.getState();
     const mode = state.timer.currentMode || 'periodic';
-    const config = state.timer.config || { smallInterval: 5, bigInterval: 15 };
+    const config = this.#reusableConfig(state.timer.config || { smallInterval: 5, bigInterval: 15 });
     
-    // Create mode instance
-    this.currentMode = this.#createModeInstance(mode, config);
-    this.currentModeName = mode;
+    // Create mode instance; saved settings that no longer validate fall back to the defaults
+    try {
+      this.currentMode = this.#createModeInstance(mode, config);
+      this.currentModeName = mode;
+    } catch (error) {
+      console.error('[App] Saved mode settings are invalid, using defaults:', error);
+      this.currentMode = this.#createModeInstance(DEFAULT_STATE.timer.currentMode, DEFAULT_STATE.timer.config);
+      this.currentModeName = DEFAULT_STATE.timer.currentMode;
+    }
     
     // Create timer
     this.timer = new TimerEngine({
       mode: this.currentMode,
-      eventBus
+      eventBus,
+      leadTime: driftMonitor.getLeadTime()
     });
     
     console.log(`[App] Timer initialized with ${mode} mode`);
@@ -353,18 +471,198 @@ class AwakeningBellApp {
         return new ReminderMode(config);
       case 'hourly':
         return new HourlyMode(config);
+      case 'program':
+        return new ProgramMode(config);
       default:
         console.warn(`[App] Unknown mode: ${modeName}, using periodic`);
         return new PeriodicMode(config);
     }
   }
 
+  /**
+   * Gather everything needed to pick the running session up again
+   * @private
+   * @returns {Object|null} {mode, config, timer, modeState, session}, or null when nothing is running
+   */
+  #collectCheckpoint() {
+    const timer = this.timer?.getCheckpoint();
+    const session = sessionManager.getCheckpoint();
+    
+    if (!timer || !session || !this.currentMode) {
+      return null;
+    }
+    
+    return {
+      mode: this.currentMode.name,
+      config: this.#sessionConfig(),
+      timer,
+      modeState: this.currentMode.getCheckpoint?.() || null,
+      session
+    };
+  }
+
+  /**
+   * The current mode's configuration, with the ambient layer played under it
+   * @private
+   * @returns {Object} Mode configuration and {ambient}, an AMBIENT_LAYERS value, with
+   *   the {schedule} of a planned random sit
+   */
+  #sessionConfig() {
+    const config = {
+      ...(this.currentMode?.getConfig?.() || {}),
+      ambient: audioSystem.getAmbientLayer()
+    };
+    
+    // A planned random sit is saved with the bells drawn for it
+    const schedule = this.currentMode?.getSchedule?.();
+    if (schedule) {
+      config.schedule = schedule;
+    }
+    
+    return config;
+  }
+
+  /**
+   * Mode settings to keep for later sits
+   * A random sit's plan is given for one start only, so it is left out
+   * @private
+   * @param {Object} config - Mode config
+   * @returns {Object} The config without a plannedSchedule
+   */
+  #reusableConfig(config) {
+    const { plannedSchedule, ...reusable } = config || {};
+    return reusable;
+  }
+
+  /**
+   * Ask whether to resume a session left running by the last page load
+   * @private
+   */
+  #offerSessionResume() {
+    const checkpoint = sessionCheckpoint.load();
+    if (!checkpoint) {
+      return;
+    }
+    
+    const modal = document.createElement('resume-session-modal');
+    modal.setAttribute('mode', checkpoint.mode);
+    modal.setAttribute('started', String(checkpoint.session.startTime));
+    modal.setAttribute('elapsed', String(Math.max(0, Math.floor((checkpoint.savedAt - checkpoint.session.startTime) / 1000))));
+    modal.setAttribute('resumable', String(sessionCheckpoint.canResume(checkpoint)));
+    
+    modal.addEventListener('session-resume', () => this.#resumeSession(checkpoint));
+    modal.addEventListener('session-save-interrupted', () => this.#saveInterruptedSession(checkpoint));
+    
+    document.body.appendChild(modal);
+  }
+
+  /**
+   * Ask how long a rendered session should be, then render it
+   * The length starts at the sit's own, settling-in included, where it has one
+   * @private
+   * @param {string} mode - Mode name
+   * @param {Object} config - Mode configuration
+   */
+  #offerSessionExport(mode, config) {
+    const sitLength = config.segments
+      ? config.segments.reduce((sum, segment) => sum + segment.duration, 0)
+      : config.duration || 0;
+    
+    const modal = document.createElement('session-export');
+    modal.config = config;
+    modal.setAttribute('mode', mode);
+    modal.setAttribute('ambient', audioSystem.getAmbientLayer());
+    if (sitLength > 0) {
+      modal.setAttribute('duration', String(Math.ceil(sitLength + (config.preparationTime || 0))));
+    }
+    
+    document.body.appendChild(modal);
+  }
+
+  /**
+   * Restore the mode, timer and session from a checkpoint
+   * @private
+   * @param {Object} checkpoint - Stored checkpoint
+   */
+  async #resumeSession(checkpoint) {
+    if (!sessionCheckpoint.canResume(checkpoint)) {
+      await this.#saveInterruptedSession(checkpoint);
+      return;
+    }
+    
+    // Resuming is a user gesture, so audio can be enabled here
+    try {
+      await audioSystem.enableAudio();
+    } catch (error) {
+      console.error('[App] Failed to enable audio:', error);
+    }
+    
+    let mode;
+    try {
+      mode = this.#createModeInstance(checkpoint.mode, checkpoint.config);
+      mode.restoreCheckpoint?.(checkpoint.modeState || {});
+    } catch (error) {
+      console.error('[App] Failed to restore session:', error);
+      await this.#saveInterruptedSession(checkpoint);
+      return;
+    }
+    
+    document.querySelector('mode-selector')?.selectTab?.(checkpoint.mode);
+    
+    this.currentMode = mode;
+    this.currentModeName = checkpoint.mode;
+    
+    stateManager.setState((state) => ({
+      ...state,
+      timer: {
+        ...state.timer,
+        currentMode: checkpoint.mode,
+        config: checkpoint.config,
+        mode: checkpoint.mode
+      }
+    }));
+    
+    tabCoordinator.claim();
+    
+    if (this.timer && !this.timer.isIdle()) {
+      this.timer.stop();
+    }
+    
+    this.timer = new TimerEngine({
+      mode: this.currentMode,
+      eventBus,
+      leadTime: driftMonitor.getLeadTime()
+    });
+    window.timerEngine = this.timer;
+    
+    // The ambient layer fades back in as the timer restarts
+    try {
+      audioSystem.setAmbientLayer(checkpoint.config.ambient || AMBIENT_LAYERS.NONE);
+    } catch (error) {
+      console.warn('[App] Ignoring the checkpoint\'s ambient layer:', error.message);
+    }
+    
+    sessionManager.restoreSession(checkpoint.session);
+    this.timer.restore(checkpoint.timer);
+  }
+
+  /**
+   * Save a checkpointed session as interrupted instead of resuming it
+   * @private
+   * @param {Object} checkpoint - Stored checkpoint
+   */
+  async #saveInterruptedSession(checkpoint) {
+    sessionCheckpoint.clear();
+    await sessionManager.saveInterrupted(checkpoint.session, checkpoint.savedAt);
+  }
+
   /**
    * Render UI with Web Components
    * @private
    */
   #renderUI() {
     const appDiv = document.getElementById('app');
+    const audioStatus = audioSystem.getStatus();
     
     appDiv.innerHTML = `
       <app-shell>
@@ -379,20 +677,27 @@ class AwakeningBellApp {
           <div class="mode-panels">
             <periodic-mode-panel id="periodic-panel" style="display: block;"></periodic-mode-panel>
             <random-mode-panel id="random-panel" style="display: none;"></random-mode-panel>
+            <reminder-mode-panel id="reminder-panel" style="display: none;"></reminder-mode-panel>
             <hourly-mode-panel id="hourly-panel" style="display: none;"></hourly-mode-panel>
+            <program-mode-panel id="program-panel" style="display: none;"></program-mode-panel>
           </div>
           
           <timer-display status="idle" elapsed="0"></timer-display>
           
           <control-buttons status="idle"></control-buttons>
           
-          <audio-controls volume="70" muted="false"></audio-controls>
+          <audio-controls volume="70" muted="false" reverb="${audioStatus.reverb}"
+            ambient="${audioStatus.ambient.layer}" ambient-volume="${Math.round(audioStatus.volume.ambient * 100)}"></audio-controls>
+          
+          <bell-library-panel></bell-library-panel>
+          <bell-designer></bell-designer>
         </div>
         
         <!-- Stats & Insights Tab -->
         <div slot="stats">
           <stats-display></stats-display>
           <insights-dashboard></insights-dashboard>
+          <timing-diagnostics></timing-diagnostics>
         </div>
         
         <!-- History Tab -->
@@ -451,30 +756,27 @@ class AwakeningBellApp {
         console.error('[App] Failed to enable audio:', error);
       }
       
-      // Create new mode instance
-      this.currentMode = this.#createModeInstance(mode, config);
-      this.currentModeName = mode;
+      // Create new mode instance and a timer to run it
+      try {
+        await this.#useMode(mode, config);
+      } catch (error) {
+        console.error('[App] Failed to apply mode settings:', error);
+        return;
+      }
       
-      // Update state
+      // Update state; a plan given for this start is not kept
       stateManager.setState((state) => ({
         ...state,
         timer: {
           ...state.timer,
           currentMode: mode,
-          config,
+          config: this.#reusableConfig(config),
           mode
         }
       }));
       
-      // Start timer
-      if (this.timer) {
-        this.timer.stop();
-      }
-      
-      this.timer = new TimerEngine({
-        mode: this.currentMode,
-        eventBus
-      });
+      // Start timer, here rather than in any other tab
+      tabCoordinator.claim();
       
       if (this.currentMode && typeof this.currentMode.onStart === 'function') {
         this.currentMode.onStart(this.timer);
@@ -483,6 +785,31 @@ class AwakeningBellApp {
       }
     });
     
+    // Settings edited in a panel are recorded, so they can be undone
+    appDiv.addEventListener('mode-config-change', async (e) => {
+      const { mode } = e.detail;
+      const config = this.#reusableConfig(e.detail.config);
+      const { status } = stateManager.getState().timer;
+      if (status === 'running' || status === 'paused') return;
+      
+      try {
+        await this.#useMode(mode, config);
+      } catch (error) {
+        console.error('[App] Failed to apply mode settings:', error);
+        return;
+      }
+      
+      stateManager.setState((state) => ({
+        ...state,
+        timer: {
+          ...state.timer,
+          currentMode: mode,
+          config,
+          mode
+        }
+      }));
+    });
+    
     // Control button events
     appDiv.addEventListener('control-action', async (e) => {
       const { action } = e.detail;
@@ -495,32 +822,22 @@ class AwakeningBellApp {
         console.error('[App] Failed to enable audio:', error);
       }
       
-      switch (action) {
-        case 'start':
-          if (this.timer) {
-            if (this.currentMode && typeof this.currentMode.onStart === 'function') {
-              this.currentMode.onStart(this.timer);
-            } else {
-              this.timer.start();
-            }
-          }
-          break;
-        case 'pause':
-          if (this.timer) {
-            this.timer.pause();
-          }
-          break;
-        case 'resume':
-          if (this.timer) {
-            this.timer.resume();
-          }
-          break;
-        case 'stop':
-          if (this.timer) {
-            this.timer.stop();
-          }
-          break;
+      // A session running in another tab is controlled there
+      if (action !== 'start' && stateManager.get('timer.remote') && tabCoordinator.sendCommand(action)) {
+        return;
       }
+      
+      if (action === 'start') {
+        tabCoordinator.claim();
+      }
+      
+      this.#controlTimer(action);
+    });
+    
+    // Show the session's status on the controls, wherever it runs
+    eventBus.on(EVENTS.STATE_CHANGED, ({ state }) => {
+      const timer = state.timer.remote || state.timer;
+      appDiv.querySelector('control-buttons')?.setAttribute('status', timer.status || 'idle');
     });
     
     // Audio control events
@@ -558,6 +875,177 @@ class AwakeningBellApp {
       const { volume } = e.detail;
       audioSystem.setVolume(volume / 100);
     });
+    
+    // Render a mode's settings to a WAV file
+    appDiv.addEventListener('session-export', (e) => {
+      const { mode, config } = e.detail;
+      this.#offerSessionExport(mode, config);
+    });
+    
+    // The ambient layer is chosen for the next session, or swapped in the running one
+    appDiv.addEventListener('ambient-change', async (e) => {
+      const { layer } = e.detail;
+      
+      try {
+        audioSystem.setAmbientLayer(layer);
+        await preferencesStore.set('audio.ambientLayer', layer);
+      } catch (error) {
+        console.error('[App] Failed to change the ambient layer:', error);
+      }
+    });
+    
+    appDiv.addEventListener('ambient-volume-change', async (e) => {
+      const { volume } = e.detail;
+      audioSystem.setAmbientVolume(volume / 100);
+      
+      try {
+        await preferencesStore.set('audio.ambientVolume', volume / 100);
+      } catch (error) {
+        console.error('[App] Failed to save the ambience volume:', error);
+      }
+    });
+    
+    appDiv.addEventListener('reverb-change', async (e) => {
+      const { room } = e.detail;
+      
+      try {
+        audioSystem.setReverb(room);
+        await preferencesStore.set('audio.reverb', room);
+      } catch (error) {
+        console.error('[App] Failed to change the reverb room:', error);
+      }
+    });
+    
+    // Undo and redo mode settings from the keyboard; form fields keep their own undo
+    appDiv.querySelector('.mode-panels')?.addEventListener('keydown', (e) => {
+      const action = this.#historyShortcut(e);
+      if (!action) return;
+      
+      const target = e.composedPath()[0];
+      if (target instanceof HTMLInputElement ||
+          target instanceof HTMLSelectElement ||
+          target instanceof HTMLTextAreaElement) {
+        return;
+      }
+      
+      e.preventDefault();
+      this.#travelModeConfig(action);
+    });
+  }
+
+  /**
+   * Start, pause, resume or stop this tab's timer
+   * @private
+   * @param {string} action - Control action
+   */
+  #controlTimer(action) {
+    if (!this.timer) {
+      return;
+    }
+    
+    switch (action) {
+      case 'start':
+        if (this.currentMode && typeof this.currentMode.onStart === 'function') {
+          this.currentMode.onStart(this.timer);
+        } else {
+          this.timer.start();
+        }
+        break;
+      case 'pause':
+        this.timer.pause();
+        break;
+      case 'resume':
+        this.timer.resume();
+        break;
+      case 'stop':
+        this.timer.stop();
+        break;
+    }
+  }
+
+  /**
+   * Make a mode the current one, on a fresh timer
+   * A session still running is stopped and its ending awaited before the
+   * new mode takes over, so it is saved with its own mode's breakdown and
+   * cannot ring on alongside. A config that does not validate leaves it running
+   * @private
+   * @param {string} mode - Mode name
+   * @param {Object} config - Mode config
+   * @returns {Promise<void>}
+   * @throws {Error} If the config does not validate
+   */
+  async #useMode(mode, config) {
+    const nextMode = this.#createModeInstance(mode, config);
+    
+    if (this.timer && !this.timer.isIdle()) {
+      this.timer.stop();
+      await this.sessionEnding;
+    }
+    
+    this.currentMode = nextMode;
+    this.currentModeName = mode;
+    this.timer = new TimerEngine({
+      mode: this.currentMode,
+      eventBus,
+      leadTime: driftMonitor.getLeadTime()
+    });
+    window.timerEngine = this.timer;
+  }
+
+  /**
+   * Select a mode's tab and fill its panel with a config
+   * @private
+   * @param {string} mode - Mode name
+   * @param {Object} config - Mode config
+   */
+  #showModeConfig(mode, config) {
+    document.querySelector('mode-selector')?.selectTab?.(mode);
+    document.querySelector(`#${mode}-panel`)?.setConfig?.(config);
+  }
+
+  /**
+   * Undo or redo shortcut of a key press
+   * Ctrl+Z (Cmd+Z on a Mac) undoes; with Shift, or Ctrl+Y, it redoes
+   * @private
+   * @param {KeyboardEvent} e - Key press
+   * @returns {string|null} 'undo', 'redo' or null
+   */
+  #historyShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+      return null;
+    }
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z') {
+      return e.shiftKey ? 'redo' : 'undo';
+    }
+    
+    return key === 'y' && !e.shiftKey ? 'redo' : null;
+  }
+
+  /**
+   * Step the mode settings back or forward and show them in their panel
+   * Nothing changes while a session runs on them (see DEFAULT_UNDO_RULES)
+   * @private
+   * @param {string} action - 'undo' or 'redo'
+   * @returns {Promise<void>}
+   */
+  async #travelModeConfig(action) {
+    const changed = action === 'undo' ? stateManager.undo('timer') : stateManager.redo('timer');
+    if (!changed) return;
+    
+    const { currentMode: mode, config } = stateManager.getState().timer;
+    
+    try {
+      await this.#useMode(mode, config);
+    } catch (error) {
+      console.error(`[App] Failed to ${action} mode settings:`, error);
+      return;
+    }
+    
+    this.#showModeConfig(mode, config);
+    
+    console.log(`[App] Mode settings ${action === 'undo' ? 'undone' : 'redone'}:`, mode);
   }
 
   /**
@@ -610,6 +1098,7 @@ document.addEventListener('DOMContentLoaded', () => {
       eventBus,
       stateManager,
       audioSystem,
+      eventRecorder,
       version: APP_VERSION
     };
   }
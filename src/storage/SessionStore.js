@@ -5,7 +5,7 @@
 
 import { storageManager } from './StorageManager.js';
 import { eventBus } from '../core/EventBus.js';
-import { EVENTS } from '../config/constants.js';
+import { EVENTS, TIMER_MODES } from '../config/constants.js';
 
 const STORE_NAME = 'sessions';
 const DATA_RETENTION_DAYS = 90; // Default retention policy
@@ -29,9 +29,14 @@ function generateUUID() {
  * @property {number} startTime - Unix timestamp (ms)
  * @property {number} endTime - Unix timestamp (ms)
  * @property {number} duration - Seconds
- * @property {string} mode - 'periodic'|'random'|'hourly'|'reminder'
- * @property {Object} modeConfig - Mode-specific configuration
+ * @property {number|null} plannedDuration - Planned length of a fixed-length sit in seconds
+ * @property {boolean} completed - Whether a fixed-length sit ran to its planned end
+ * @property {boolean} interrupted - Whether the page went away mid-session and the sit was not resumed
+ * @property {string} mode - 'periodic'|'random'|'hourly'|'reminder'|'program'
+ * @property {Object} modeConfig - Mode-specific configuration, with the `ambient` layer played under the session (programs add a per-segment `breakdown`, planned random sits the `schedule` drawn for them)
  * @property {number} bellsRung - Count of bells during session
+ * @property {Array<Object>} suppressedBells - Bells held back by do not disturb {timestamp, bellType, phase, reason}
+ * @property {Object|null} timing - Timing accuracy {bellCount, averageLateness, maxLateness, onTimeRate, leadTime, bells}
  * @property {Object|null} moodPre - Pre-session mood {score: 1-10, emoji: string}
  * @property {Object|null} moodPost - Post-session mood
  * @property {number|null} moodDelta - moodPost.score - moodPre.score
@@ -95,9 +100,14 @@ export class SessionStore {
       startTime: sessionData.startTime || Date.now(),
       endTime: sessionData.endTime || Date.now(),
       duration: sessionData.duration || 0,
+      plannedDuration: sessionData.plannedDuration || null,
+      completed: sessionData.completed || false,
+      interrupted: sessionData.interrupted || false,
       mode: sessionData.mode || 'periodic',
       modeConfig: sessionData.modeConfig || {},
       bellsRung: sessionData.bellsRung || 0,
+      suppressedBells: sessionData.suppressedBells || [],
+      timing: sessionData.timing || null,
       moodPre: sessionData.moodPre || null,
       moodPost: sessionData.moodPost || null,
       moodDelta: this._calculateMoodDelta(sessionData.moodPre, sessionData.moodPost),
@@ -266,7 +276,8 @@ export class SessionStore {
         currentStreak: 0,
         longestStreak: 0,
         sessionsByMode: {},
-        moodImprovementRate: 0
+        moodImprovementRate: 0,
+        suppressedBells: 0
       };
     }
 
@@ -289,6 +300,9 @@ export class SessionStore {
       return acc;
     }, {});
 
+    // Bells held back by do not disturb
+    const suppressedBells = sessions.reduce((sum, s) => sum + (s.suppressedBells?.length || 0), 0);
+
     // Calculate streaks
     const { currentStreak, longestStreak } = this._calculateStreaks(sessions);
 
@@ -301,7 +315,8 @@ export class SessionStore {
       currentStreak,
       longestStreak,
       sessionsByMode,
-      moodImprovementRate: Math.round(moodImprovementRate * 100)
+      moodImprovementRate: Math.round(moodImprovementRate * 100),
+      suppressedBells
     };
   }
 
@@ -359,7 +374,7 @@ export class SessionStore {
     if (session.endTime < session.startTime) throw new Error('endTime must be after startTime');
     if (session.duration < 0) throw new Error('Duration must be positive');
     
-    const validModes = ['periodic', 'random', 'hourly', 'reminder'];
+    const validModes = Object.values(TIMER_MODES);
     if (!validModes.includes(session.mode)) {
       throw new Error(`Invalid mode: ${session.mode}`);
     }
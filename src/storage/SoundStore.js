@@ -0,0 +1,201 @@
+/**
+ * Sound Store - Keeps the recordings of the bell library
+ * @module storage/SoundStore
+ */
+
+import { storageManager, STORAGE_TYPE } from './StorageManager.js';
+import { DB_CONFIG } from '../config/constants.js';
+
+const STORE_NAME = DB_CONFIG.STORES.AUDIO_CACHE;
+
+/**
+ * Generate UUID v4
+ * @returns {string} UUID
+ */
+function generateUUID() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * Bell library sound data model
+ * The recording is kept as imported; trim and normalization are applied
+ * when it is decoded, so they can be changed later
+ * @typedef {Object} LibrarySound
+ * @property {string} id - UUID
+ * @property {string} name - Name shown in the library
+ * @property {string} fileName - Name of the imported file
+ * @property {string} type - MIME type of the imported file
+ * @property {ArrayBuffer} data - Encoded recording
+ * @property {number} size - Bytes
+ * @property {number} duration - Length of the whole recording in seconds
+ * @property {number} trimStart - Seconds cut from the start
+ * @property {number|null} trimEnd - Where the kept sound ends in seconds (null = end of recording)
+ * @property {number|null} peakDb - dBFS the loudest sample is brought to (null = as recorded)
+ * @property {number} createdAt - Unix timestamp (ms)
+ * @property {number} updatedAt - Unix timestamp (ms)
+ */
+
+/**
+ * Sound Store class
+ * Recordings are binary, so they are only persisted in IndexedDB; under the
+ * localStorage fallback they last until the page is closed
+ */
+export class SoundStore {
+  constructor() {
+    this.sounds = null;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Initialize and load sounds
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._loadSounds();
+    return this.loadPromise;
+  }
+
+  /**
+   * Load sounds from storage
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _loadSounds() {
+    try {
+      await storageManager.initialize();
+      this.sounds = this._canPersist() ? await storageManager.getAll(STORE_NAME) : [];
+
+      console.log(`✓ Loaded ${this.sounds.length} library sounds`);
+    } catch (error) {
+      console.error('Failed to load library sounds:', error);
+      this.sounds = [];
+    }
+  }
+
+  /**
+   * Whether recordings survive a reload in the storage in use
+   * @private
+   * @returns {boolean}
+   */
+  _canPersist() {
+    return storageManager.storageType === STORAGE_TYPE.INDEXED_DB;
+  }
+
+  /**
+   * Get all sounds, oldest first
+   * @returns {Promise<Array<LibrarySound>>}
+   */
+  async getAllSounds() {
+    await this.initialize();
+    return [...this.sounds].sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Get a sound by ID
+   * @param {string} id - Sound ID
+   * @returns {Promise<LibrarySound|null>}
+   */
+  async getSound(id) {
+    await this.initialize();
+    return this.sounds.find(sound => sound.id === id) || null;
+  }
+
+  /**
+   * Add a sound
+   * @param {Object} soundData - Sound fields other than id and timestamps
+   * @returns {Promise<LibrarySound>} Created sound
+   */
+  async createSound(soundData) {
+    await this.initialize();
+
+    const now = Date.now();
+    const sound = {
+      id: generateUUID(),
+      name: soundData.name,
+      fileName: soundData.fileName || null,
+      type: soundData.type || '',
+      data: soundData.data,
+      size: soundData.size || soundData.data?.byteLength || 0,
+      duration: soundData.duration || 0,
+      trimStart: soundData.trimStart || 0,
+      trimEnd: soundData.trimEnd ?? null,
+      peakDb: soundData.peakDb ?? null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this._persist(sound);
+    this.sounds.push(sound);
+
+    return sound;
+  }
+
+  /**
+   * Update a sound
+   * @param {string} id - Sound ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<LibrarySound>} Updated sound
+   * @throws {Error} If the sound does not exist
+   */
+  async updateSound(id, updates) {
+    await this.initialize();
+
+    const index = this.sounds.findIndex(sound => sound.id === id);
+    if (index === -1) {
+      throw new Error(`Sound not found: ${id}`);
+    }
+
+    const updated = {
+      ...this.sounds[index],
+      ...updates,
+      id,
+      data: this.sounds[index].data,
+      updatedAt: Date.now()
+    };
+
+    await this._persist(updated);
+    this.sounds[index] = updated;
+
+    return updated;
+  }
+
+  /**
+   * Delete a sound
+   * @param {string} id - Sound ID
+   * @returns {Promise<void>}
+   */
+  async deleteSound(id) {
+    await this.initialize();
+
+    const index = this.sounds.findIndex(sound => sound.id === id);
+    if (index !== -1) {
+      if (this._canPersist()) {
+        await storageManager.delete(STORE_NAME, id);
+      }
+      this.sounds.splice(index, 1);
+    }
+  }
+
+  /**
+   * Write a sound to storage when it can be kept there
+   * @private
+   * @param {LibrarySound} sound - Sound to write
+   * @returns {Promise<void>}
+   */
+  async _persist(sound) {
+    if (this._canPersist()) {
+      await storageManager.set(STORE_NAME, sound);
+    }
+  }
+}
+
+// Export singleton instance
+export const soundStore = new SoundStore();
@@ -26,7 +26,7 @@ export class StorageManager {
    * @param {string} dbName - Database name
    * @param {number} version - Database version
    */
-  constructor(dbName = 'MeditationBellDB', version = 1) {
+  constructor(dbName = 'MeditationBellDB', version = 3) {
     this.dbName = dbName;
     this.version = version;
     this.db = null;
@@ -124,6 +124,17 @@ export class StorageManager {
           insightsStore.createIndex('createdAt', 'createdAt', { unique: false });
           insightsStore.createIndex('category', 'category', { unique: false });
         }
+
+        // Persisted application state (version 2)
+        if (!db.objectStoreNames.contains('state')) {
+          db.createObjectStore('state', { keyPath: 'key' });
+        }
+
+        // Bell library recordings (version 3)
+        if (!db.objectStoreNames.contains('audioCache')) {
+          const audioStore = db.createObjectStore('audioCache', { keyPath: 'id' });
+          audioStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
       };
     });
   }
@@ -7,4 +7,5 @@ export { StorageManager, storageManager, STORAGE_TYPE } from './StorageManager.j
 export { PreferencesStore, preferencesStore } from './PreferencesStore.js';
 export { SessionStore, sessionStore } from './SessionStore.js';
 export { InsightsStore, insightsStore } from './InsightsStore.js';
+export { SoundStore, soundStore } from './SoundStore.js';
 export { DataPortability, dataPortability } from './DataPortability.js';
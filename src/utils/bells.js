@@ -0,0 +1,148 @@
+/**
+ * Bell pattern helpers
+ * @module utils/bells
+ */
+
+import { BELL_PATTERNS, BELL_PHASES, SESSION_BELLS } from '../config/constants.js';
+
+/**
+ * A strike of a bell pattern
+ * @typedef {Object} BellStrike
+ * @property {string} bellType - 'big' or 'small'
+ * @property {number} gap - Milliseconds since the previous strike
+ */
+
+/**
+ * Build a pattern that strikes the same bell several times
+ * @param {string} bellType - 'big' or 'small'
+ * @param {number} strikes - Number of strikes
+ * @param {number} gap - Milliseconds between strikes
+ * @returns {Array<BellStrike>} Pattern
+ *
+ * @example
+ * repeatBell('big', 3, 6000)
+ * // [{ bellType: 'big', gap: 0 }, { bellType: 'big', gap: 6000 }, { bellType: 'big', gap: 6000 }]
+ */
+export function repeatBell(bellType, strikes = 1, gap = 0) {
+  return Array.from({ length: Math.max(1, strikes) }, (_, index) => ({
+    bellType,
+    gap: index === 0 ? 0 : gap
+  }));
+}
+
+/**
+ * Turn a configured pattern into a list of strikes
+ * @param {string|Array<BellStrike>|null} pattern - BELL_PATTERNS key, strikes, or null
+ * @param {Array<BellStrike>} fallback - Strikes to use when no pattern is set
+ * @returns {Array<BellStrike>} Copy of the strikes
+ *
+ * @example
+ * resolveBellPattern('two-to-close', repeatBell('big'))
+ * resolveBellPattern(null, repeatBell('small')) // [{ bellType: 'small', gap: 0 }]
+ */
+export function resolveBellPattern(pattern, fallback = []) {
+  let strikes = fallback;
+
+  if (typeof pattern === 'string' && BELL_PATTERNS[pattern]) {
+    strikes = BELL_PATTERNS[pattern].strikes;
+  } else if (Array.isArray(pattern) && pattern.length > 0) {
+    strikes = pattern;
+  }
+
+  return strikes.map(strike => ({ bellType: strike.bellType, gap: strike.gap || 0 }));
+}
+
+/**
+ * Strikes of a session bell, or of the pattern configured in its place
+ * @param {Object} bell - Entry from SESSION_BELLS or PREPARATION_BELLS {bellType, strikes, gap}
+ * @param {string|Array<BellStrike>|null} [pattern] - Configured pattern
+ * @returns {Array<BellStrike>} Strikes
+ *
+ * @example
+ * sessionStrikes(SESSION_BELLS.CLOSING, 'two-to-close')
+ */
+export function sessionStrikes(bell, pattern = null) {
+  return resolveBellPattern(pattern, repeatBell(bell.bellType, bell.strikes, bell.gap));
+}
+
+/**
+ * BELL_RING payload of a preparation, opening or closing bell
+ * @param {Object} bell - Entry from SESSION_BELLS or PREPARATION_BELLS {bellType, strikes, gap}
+ * @param {Object} ring - The ring
+ * @param {string} ring.phase - Session phase from BELL_PHASES
+ * @param {number} ring.timestamp - When it rings
+ * @param {string} ring.mode - Mode name
+ * @param {string|Array<BellStrike>|null} [ring.pattern] - Configured pattern replacing the bell
+ * @returns {Object} {bellType, pattern, strikes, timestamp, mode, phase}
+ *
+ * @example
+ * eventBus.dispatch(EVENTS.BELL_RING, sessionBellRing(SESSION_BELLS.OPENING, { phase: BELL_PHASES.OPENING, timestamp, mode: 'periodic' }));
+ */
+export function sessionBellRing(bell, { phase, timestamp, mode, pattern = null }) {
+  const strikes = sessionStrikes(bell, pattern);
+
+  return {
+    bellType: strikes[0].bellType,
+    pattern: strikes,
+    strikes: strikes.length,
+    timestamp,
+    mode,
+    phase
+  };
+}
+
+/**
+ * Describe the bell a mode's next completion will ring: the closing bell at
+ * the end of a fixed-length sit, a single strike otherwise
+ * @param {Object|null} next - The mode's next bell {time, closing}
+ * @param {string} bellType - Bell the next interval rings
+ * @param {string|Array<BellStrike>|null} [closingPattern] - Configured closing pattern
+ * @returns {Object|null} {time, bellType, pattern, phase} or null when nothing is scheduled
+ */
+export function upcomingBell(next, bellType, closingPattern = null) {
+  if (!next) {
+    return null;
+  }
+
+  if (next.closing) {
+    const pattern = sessionStrikes(SESSION_BELLS.CLOSING, closingPattern);
+    return { time: next.time, bellType: pattern[0].bellType, pattern, phase: BELL_PHASES.CLOSING };
+  }
+
+  return { time: next.time, bellType, pattern: repeatBell(bellType), phase: BELL_PHASES.INTERVAL };
+}
+
+/**
+ * Lay a pattern out as delays from its first strike, the shape
+ * AudioScheduler#scheduleSequence takes
+ * @param {Array<BellStrike>} strikes - Pattern
+ * @param {Function} [getOptions] - Returns schedule options for a strike
+ * @returns {Array<Object>} Entries {bellType, delayMs, options}
+ *
+ * @example
+ * toSequence(repeatBell('big', 2, 6000))
+ * // [{ bellType: 'big', delayMs: 0 }, { bellType: 'big', delayMs: 6000 }]
+ */
+export function toSequence(strikes, getOptions = () => undefined) {
+  let delayMs = 0;
+
+  return strikes.map((strike, index) => {
+    if (index > 0) {
+      delayMs += strike.gap || 0;
+    }
+    return {
+      bellType: strike.bellType,
+      delayMs,
+      options: getOptions(strike, index)
+    };
+  });
+}
+
+/**
+ * Time from the first strike of a pattern to its last
+ * @param {Array<BellStrike>} strikes - Pattern
+ * @returns {number} Milliseconds
+ */
+export function getPatternDuration(strikes) {
+  return strikes.slice(1).reduce((total, strike) => total + (strike.gap || 0), 0);
+}
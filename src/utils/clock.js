@@ -0,0 +1,344 @@
+/**
+ * Clock - Where the app reads the current time and waits for it to pass
+ * @module utils/clock
+ */
+
+/**
+ * Source of time and timers
+ * TimerEngine, the modes and SessionManager take one in their options and
+ * otherwise use the app's `clock`, which reads the source set with
+ * setClockSource()
+ * @typedef {Object} Clock
+ * @property {Function} now - Wall-clock time, as Date.now()
+ * @property {Function} performanceNow - Monotonic time, as performance.now()
+ * @property {Function} date - Current wall-clock time as a Date
+ * @property {Function} setTimeout - Call a function after some milliseconds; returns an id
+ * @property {Function} clearTimeout - Cancel a call by its id
+ */
+
+/**
+ * Clock reading the real time
+ * The globals are looked up on each call, so test fake timers still apply
+ */
+export class SystemClock {
+  now() {
+    return Date.now();
+  }
+
+  performanceNow() {
+    return performance.now();
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  setTimeout(callback, ms) {
+    return setTimeout(callback, ms);
+  }
+
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+}
+
+/**
+ * Clock reading the real time
+ * @constant
+ */
+export const systemClock = new SystemClock();
+
+/** @type {Clock} Clock the app currently reads */
+let source = systemClock;
+
+/**
+ * The app's clock. Its methods always read the source set with
+ * setClockSource(), so modules can import it once and a replay or test
+ * can swap the time underneath them
+ * @constant
+ *
+ * @example
+ * const startTime = clock.now();
+ * const today = clock.date();
+ */
+export const clock = {
+  /**
+   * Wall-clock time, as Date.now()
+   * @returns {number} Milliseconds since the epoch
+   */
+  now: () => source.now(),
+
+  /**
+   * Monotonic time, as performance.now()
+   * @returns {number} Milliseconds
+   */
+  performanceNow: () => source.performanceNow(),
+
+  /**
+   * Current wall-clock time as a Date
+   * @returns {Date} Now
+   */
+  date: () => new Date(source.now()),
+
+  /**
+   * Call a function once the source's time has passed
+   * @param {Function} callback - Function to call
+   * @param {number} ms - Milliseconds to wait
+   * @returns {*} Id for clearTimeout()
+   */
+  setTimeout: (callback, ms) => source.setTimeout(callback, ms),
+
+  /**
+   * Cancel a call set with setTimeout()
+   * @param {*} id - Id returned by setTimeout()
+   */
+  clearTimeout: (id) => source.clearTimeout(id)
+};
+
+/**
+ * Read the time from another clock
+ * @param {Clock} next - Clock to read
+ * @returns {Clock} The clock it replaced
+ * @throws {TypeError} If the clock lacks a method of the Clock interface
+ *
+ * @example
+ * const previous = setClockSource(new FakeClock({ time: Date.parse('2026-01-01T08:00:00') }));
+ * // ...
+ * setClockSource(previous);
+ */
+export function setClockSource(next) {
+  const missing = ['now', 'performanceNow', 'setTimeout', 'clearTimeout']
+    .filter(method => typeof next?.[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new TypeError(`Clock is missing ${missing.join(', ')}`);
+  }
+
+  const previous = source;
+  source = next;
+  return previous;
+}
+
+/**
+ * Go back to the real time
+ */
+export function resetClockSource() {
+  source = systemClock;
+}
+
+/**
+ * Clock that only moves when told to, for replays and tests
+ * Wall-clock and monotonic time move together unless set apart. Timers
+ * run, in order of their due time, as advance() passes them
+ *
+ * @example
+ * const fake = new FakeClock({ time: Date.parse('2026-01-01T08:00:00') });
+ * fake.setTimeout(ring, 60000);
+ * fake.advance(60000); // Rings
+ * fake.set({ time: fake.now() + 5000 }); // The wall clock jumps; performanceNow() does not
+ */
+export class FakeClock {
+  /**
+   * Create a fake clock
+   * @param {Object} [options] - Starting times
+   * @param {number} [options.time] - Wall-clock time (defaults to the real time)
+   * @param {number} [options.performanceTime=0] - Monotonic time
+   */
+  constructor({ time = Date.now(), performanceTime = 0 } = {}) {
+    /** @private {number} Wall-clock time (ms) */
+    this.time = time;
+
+    /** @private {number} Monotonic time (ms) */
+    this.performanceTime = performanceTime;
+
+    /** @private {Map<number, Object>} Pending timers by id {due, callback} */
+    this.timers = new Map();
+
+    /** @private {number} Last timer id handed out */
+    this.lastTimerId = 0;
+  }
+
+  /**
+   * Wall-clock time
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Monotonic time
+   * @returns {number} Milliseconds
+   */
+  performanceNow() {
+    return this.performanceTime;
+  }
+
+  /**
+   * Current wall-clock time as a Date
+   * @returns {Date} Now
+   */
+  date() {
+    return new Date(this.time);
+  }
+
+  /**
+   * Call a function once advance() reaches it
+   * Due times are monotonic, so setting the wall clock doesn't run timers
+   * @param {Function} callback - Function to call
+   * @param {number} ms - Milliseconds to wait
+   * @returns {number} Timer id
+   */
+  setTimeout(callback, ms = 0) {
+    const id = ++this.lastTimerId;
+    this.timers.set(id, { due: this.performanceTime + Math.max(0, ms || 0), callback });
+    return id;
+  }
+
+  /**
+   * Cancel a timer
+   * @param {number} id - Timer id
+   */
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Set either or both times
+   * @param {Object} times - {time, performanceTime}
+   */
+  set({ time = this.time, performanceTime = this.performanceTime }) {
+    this.time = time;
+    this.performanceTime = performanceTime;
+  }
+
+  /**
+   * Move both times forward, running the timers that fall due on the way
+   * Each timer runs with the clock at its due time, so timers it sets run
+   * within the same advance when they fall due before its end
+   * @param {number} ms - Milliseconds
+   * @throws {RangeError} If ms is negative
+   */
+  advance(ms) {
+    if (!(ms >= 0)) {
+      throw new RangeError('A clock can only be advanced forward');
+    }
+
+    const end = this.performanceTime + ms;
+    let next = this.#nextTimer(end);
+
+    while (next) {
+      const [id, timer] = next;
+      this.timers.delete(id);
+      this.#moveTo(timer.due);
+      timer.callback();
+      next = this.#nextTimer(end);
+    }
+
+    this.#moveTo(end);
+  }
+
+  /**
+   * Number of timers waiting to run
+   * @returns {number} Pending timers
+   */
+  pendingTimers() {
+    return this.timers.size;
+  }
+
+  /**
+   * Earliest timer due by a monotonic time, first set first among equals
+   * @private
+   * @param {number} end - Monotonic time (ms)
+   * @returns {Array|null} [id, timer] or null
+   */
+  #nextTimer(end) {
+    let next = null;
+
+    this.timers.forEach((timer, id) => {
+      if (timer.due <= end && (!next || timer.due < next[1].due)) {
+        next = [id, timer];
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Move both times to a monotonic time
+   * @private
+   * @param {number} performanceTime - Monotonic time (ms), not before now
+   */
+  #moveTo(performanceTime) {
+    const step = Math.max(0, performanceTime - this.performanceTime);
+    this.time += step;
+    this.performanceTime += step;
+  }
+}
+
+/**
+ * Real clock running faster than real time, to watch a long sit play out
+ * in minutes. Time starts from the real time, or a chosen wall-clock time,
+ * and timers wait the scaled-down real time
+ *
+ * @example
+ * // An hour-long sit in a minute, starting at 06:00
+ * const fast = new AcceleratedClock({ rate: 60, time: Date.parse('2026-03-29T06:00:00') });
+ * const timer = new TimerEngine({ mode, clock: fast });
+ */
+export class AcceleratedClock {
+  /**
+   * Create an accelerated clock
+   * @param {Object} [options] - Options
+   * @param {number} [options.rate=1] - Clock milliseconds per real millisecond
+   * @param {number} [options.time] - Wall-clock time to start from (defaults to the real time)
+   * @param {Clock} [options.base] - Real clock to scale (defaults to systemClock)
+   * @throws {RangeError} If the rate is not a positive number
+   */
+  constructor({ rate = 1, time = null, base = systemClock } = {}) {
+    if (!(rate > 0) || !Number.isFinite(rate)) {
+      throw new RangeError('Clock rate must be a positive number');
+    }
+
+    /** @private {number} Clock milliseconds per real millisecond */
+    this.rate = rate;
+
+    /** @private {Clock} Real clock being scaled */
+    this.base = base;
+
+    /** @private {number} Real monotonic time the clock started at */
+    this.startedAt = base.performanceNow();
+
+    /** @private {number} Wall-clock time the clock started at */
+    this.startTime = time ?? base.now();
+  }
+
+  /**
+   * Clock time passed since the clock started
+   * @private
+   * @returns {number} Milliseconds
+   */
+  #elapsed() {
+    return (this.base.performanceNow() - this.startedAt) * this.rate;
+  }
+
+  now() {
+    return this.startTime + this.#elapsed();
+  }
+
+  performanceNow() {
+    return this.startedAt + this.#elapsed();
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  setTimeout(callback, ms = 0) {
+    return this.base.setTimeout(callback, Math.max(0, ms || 0) / this.rate);
+  }
+
+  clearTimeout(id) {
+    this.base.clearTimeout(id);
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Random number helpers
+ * @module utils/random
+ */
+
+import { RANDOM_DISTRIBUTIONS, BELL_TYPES } from '../config/constants.js';
+
+/**
+ * Turn a seed into a 32-bit state
+ * Numbers are used as they are; strings are hashed (FNV-1a)
+ * @param {string|number} seed - Seed
+ * @returns {number} Unsigned 32-bit state
+ */
+function toState(seed) {
+  if (typeof seed === 'number') {
+    return seed >>> 0;
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * The same seed always gives the same sequence. The generator's
+ * getState() can be passed back in to carry on where it left off
+ * @param {string|number} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1), with a getState() method
+ *
+ * @example
+ * const random = createSeededRandom('morning sit');
+ * random(); // Same first value on every run
+ * const resumed = createSeededRandom(random.getState());
+ */
+export function createSeededRandom(seed) {
+  let state = toState(seed);
+
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.getState = () => state;
+
+  return random;
+}
+
+/**
+ * Draw a value between min and max from a distribution
+ * - uniform: every value equally likely
+ * - triangular: the mean of two uniform draws, favouring the middle
+ * - exponential: gaps of a Poisson process starting at min, truncated at max,
+ *   with a scale of a third of the range, so short gaps are most likely
+ * - normal: centred on the middle with a standard deviation of a sixth of
+ *   the range, clamped to it
+ * @param {string} distribution - Value of RANDOM_DISTRIBUTIONS
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @param {Function} random - Generator returning numbers in [0, 1)
+ * @returns {number} Value in [min, max]
+ *
+ * @example
+ * sampleDistribution('uniform', 2, 10, Math.random) // e.g. 6.83
+ */
+export function sampleDistribution(distribution, min, max, random = Math.random) {
+  const range = max - min;
+
+  switch (distribution) {
+    case RANDOM_DISTRIBUTIONS.UNIFORM:
+      return min + random() * range;
+
+    case RANDOM_DISTRIBUTIONS.EXPONENTIAL: {
+      const scale = range / 3;
+      const cutoff = 1 - Math.exp(-range / scale);
+      return min - scale * Math.log(1 - random() * cutoff);
+    }
+
+    case RANDOM_DISTRIBUTIONS.NORMAL: {
+      // Box-Muller transform
+      const u1 = 1 - random();
+      const u2 = random();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return Math.min(max, Math.max(min, min + range / 2 + z * range / 6));
+    }
+
+    case RANDOM_DISTRIBUTIONS.TRIANGULAR:
+    default:
+      return min + ((random() + random()) / 2) * range;
+  }
+}
+
+/**
+ * Choose the type of a random-mode bell
+ * @param {Object} options - {bellType, bigBellProbability, noConsecutiveBig}
+ * @param {string|null} previous - Bell rung before this one, if any
+ * @param {Function} random - Generator returning numbers in [0, 1)
+ * @returns {string} 'big' or 'small'
+ *
+ * @example
+ * drawBellType({ bellType: 'random', bigBellProbability: 0.25 }, 'small', Math.random)
+ */
+export function drawBellType(options, previous, random = Math.random) {
+  const { bellType = 'random', bigBellProbability = 0.5, noConsecutiveBig = false } = options;
+
+  if (bellType !== 'random') {
+    return bellType;
+  }
+
+  if (noConsecutiveBig && previous === BELL_TYPES.BIG) {
+    return BELL_TYPES.SMALL;
+  }
+
+  return random() < bigBellProbability ? BELL_TYPES.BIG : BELL_TYPES.SMALL;
+}
+
+/**
+ * Plan every bell of a fixed-length random sit up front
+ * Draws in the same order as a sit run bell by bell, so a seeded plan
+ * matches the sit the same seed would ring. Bells falling at or after the
+ * end are left out; the closing bells take their place
+ * @param {Object} config - Random mode config {duration, minInterval, maxInterval, distribution, bellType, bigBellProbability, noConsecutiveBig, seed}
+ * @param {Function} [random] - Generator to draw from (defaults to the seed, or Math.random)
+ * @returns {Array<Object>} Planned bells {at (minutes into the sit), bellType}
+ *
+ * @example
+ * planRandomSchedule({ duration: 30, minInterval: 2, maxInterval: 10, seed: 'dawn' })
+ * // [{ at: 6.1, bellType: 'small' }, { at: 9.8, bellType: 'big' }, ...]
+ */
+export function planRandomSchedule(config, random = null) {
+  const {
+    duration = 0,
+    minInterval = 2,
+    maxInterval = 10,
+    distribution = RANDOM_DISTRIBUTIONS.TRIANGULAR,
+    seed = null
+  } = config;
+
+  const generator = random || (seed !== null && seed !== undefined ? createSeededRandom(seed) : Math.random);
+  const schedule = [];
+
+  if (!(duration > 0)) {
+    return schedule;
+  }
+
+  let at = 0;
+  let previous = null;
+
+  for (;;) {
+    at += sampleDistribution(distribution, minInterval, maxInterval, generator);
+    const bellType = drawBellType(config, previous, generator);
+
+    if (at >= duration) {
+      return schedule;
+    }
+
+    schedule.push({ at, bellType });
+    previous = bellType;
+  }
+}
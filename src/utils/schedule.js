@@ -0,0 +1,131 @@
+/**
+ * Weekly schedule helpers
+ * @module utils/schedule
+ */
+
+import { WEEKDAYS, DAY_MASKS } from '../config/constants.js';
+import { atLocalTime } from './time.js';
+
+/**
+ * A weekly schedule restricts a mode to some days of the week and may
+ * override the mode's daily setting for individual days
+ * @typedef {Object} WeeklySchedule
+ * @property {number} days - Day-of-week mask (bit n = WEEKDAYS[n])
+ * @property {Object<string, *>} perDay - Overrides keyed by weekday ('mon', 'sat', ...)
+ */
+
+/**
+ * Days to search ahead; one more than a week so a time that has already
+ * passed today can still be found on the same weekday next week
+ */
+export const LOOKAHEAD_DAYS = 8;
+
+/**
+ * Fill in defaults and copy a schedule
+ * @param {WeeklySchedule|null} schedule - Schedule as configured
+ * @returns {WeeklySchedule|null} Normalized schedule, or null for "every day"
+ *
+ * @example
+ * normalizeSchedule({ days: DAY_MASKS.WEEKDAYS }) // { days: 62, perDay: {} }
+ */
+export function normalizeSchedule(schedule) {
+  if (!schedule) {
+    return null;
+  }
+
+  return {
+    days: schedule.days ?? DAY_MASKS.EVERY_DAY,
+    perDay: { ...(schedule.perDay || {}) }
+  };
+}
+
+/**
+ * Get the weekday key for a date
+ * @param {Date} date - Date
+ * @returns {string} Weekday key from WEEKDAYS
+ *
+ * @example
+ * getWeekdayKey(new Date('2026-01-03T12:00:00')) // "sat"
+ */
+export function getWeekdayKey(date) {
+  return WEEKDAYS[date.getDay()];
+}
+
+/**
+ * Check whether a schedule is active on a date
+ * @param {WeeklySchedule|null} schedule - Weekly schedule (null = every day)
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the day is enabled
+ */
+export function isDayEnabled(schedule, date) {
+  if (!schedule) {
+    return true;
+  }
+
+  return (schedule.days & (1 << date.getDay())) !== 0;
+}
+
+/**
+ * Resolve a schedule's setting for a date
+ * @param {WeeklySchedule|null} schedule - Weekly schedule
+ * @param {Date} date - Date to resolve
+ * @param {*} fallback - Mode's everyday setting
+ * @returns {*} The day's override, or the fallback when there is none
+ */
+export function getDayValue(schedule, date, fallback) {
+  const key = getWeekdayKey(date);
+
+  if (schedule?.perDay && Object.prototype.hasOwnProperty.call(schedule.perDay, key)) {
+    return schedule.perDay[key];
+  }
+
+  return fallback;
+}
+
+/**
+ * Build a local date at a time of day, optionally some days ahead
+ * The wall-clock time is kept across DST changes; a time the clocks skip or
+ * repeat follows the policy of atLocalTime()
+ * @param {Date} date - Reference date
+ * @param {string} timeStr - Time in HH:MM format
+ * @param {number} dayOffset - Days to add to the reference date
+ * @returns {Date} Local date at the given time
+ *
+ * @example
+ * atTimeOfDay(new Date(), '06:00', 1) // tomorrow at 06:00
+ */
+export function atTimeOfDay(date, timeStr, dayOffset = 0) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return atLocalTime(date, hours, minutes, dayOffset);
+}
+
+/**
+ * Check whether a time of day falls inside a window
+ * The start is included and the end excluded; a window whose end is
+ * earlier than its start wraps past midnight (e.g. 21:00-06:00)
+ * @param {string} time - Time in HH:MM format
+ * @param {Object} window - Window {start, end} in HH:MM
+ * @returns {boolean} True if inside the window
+ *
+ * @example
+ * isWithinWindow('23:30', { start: '21:00', end: '06:00' }) // true
+ * isWithinWindow('12:00', { start: '21:00', end: '06:00' }) // false
+ */
+export function isWithinWindow(time, window) {
+  const { start, end } = window;
+
+  if (start <= end) {
+    return time >= start && time < end;
+  }
+
+  return time >= start || time < end;
+}
+
+/**
+ * Format the time of day of a date as HH:MM
+ * @param {Date} date - Date
+ * @returns {string} Time in HH:MM format
+ */
+export function toTimeOfDay(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
@@ -3,6 +3,8 @@
  * @module utils/time
  */
 
+import { clock } from './clock.js';
+
 /**
  * Format seconds into human-readable time string
  * @param {number} seconds - Total seconds
@@ -107,17 +109,19 @@ export function secondsToMs(seconds) {
 
 /**
  * Get current timestamp in milliseconds
+ * @param {Clock} source - Clock to read (defaults to the app's clock)
  * @returns {number} Current timestamp
  * 
  * @example
  * const now = now() // 1705507200000
  */
-export function now() {
-  return Date.now();
+export function now(source = clock) {
+  return source.now();
 }
 
 /**
  * Get high-precision timestamp using Performance API
+ * @param {Clock} source - Clock to read (defaults to the app's clock)
  * @returns {number} High-precision timestamp in milliseconds
  * 
  * @example
@@ -125,52 +129,165 @@ export function now() {
  * // ... do work ...
  * const elapsed = performanceNow() - start;
  */
-export function performanceNow() {
-  return performance.now();
+export function performanceNow(source = clock) {
+  return source.performanceNow();
+}
+
+/**
+ * Build a local date at a time of day, optionally some days ahead
+ * Daylight saving policy: a time the clocks repeat when they go back is
+ * its first pass; a time they skip when they go forward is the moment
+ * they change, so whatever is due then happens late rather than not at all
+ * @param {Date} date - Reference date
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes (0-59)
+ * @param {number} dayOffset - Days to add to the reference date
+ * @returns {Date} Local date at the given time
+ * 
+ * @example
+ * // London, 29 March 2026: 01:30 doesn't exist, the clocks go from 01:00 to 02:00
+ * atLocalTime(new Date(2026, 2, 29), 1, 30) // 02:00 BST
+ */
+export function atLocalTime(date, hours, minutes, dayOffset = 0) {
+  const target = new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + dayOffset,
+    hours,
+    minutes,
+    0,
+    0
+  );
+  
+  // The Date constructor moves a skipped time on by the length of the gap
+  if (target.getHours() === hours && target.getMinutes() === minutes) {
+    return target;
+  }
+  
+  const change = findOffsetChange(target.getTime() - 24 * 60 * 60 * 1000, target.getTime());
+  return change !== null ? new Date(change) : target;
+}
+
+/**
+ * Find when the local UTC offset last changed before a time
+ * @param {number} from - Timestamp the search starts at, with the old offset
+ * @param {number} to - Timestamp the search ends at, with the new offset
+ * @returns {number|null} First timestamp with the new offset, or null if the offset is the same at both ends
+ * 
+ * @example
+ * // London, autumn 2026
+ * findOffsetChange(Date.parse('2026-10-24T12:00Z'), Date.parse('2026-10-25T12:00Z')) // 2026-10-25T01:00Z
+ */
+export function findOffsetChange(from, to) {
+  const offset = new Date(to).getTimezoneOffset();
+  
+  if (new Date(from).getTimezoneOffset() === offset) {
+    return null;
+  }
+  
+  let before = from;
+  let after = to;
+  
+  while (after - before > 1) {
+    const middle = before + Math.floor((after - before) / 2);
+    if (new Date(middle).getTimezoneOffset() === offset) {
+      after = middle;
+    } else {
+      before = middle;
+    }
+  }
+  
+  return after;
 }
 
 /**
  * Calculate time until a specific hour
+ * Follows the daylight saving policy of atLocalTime()
  * @param {number} targetHour - Target hour (0-23)
+ * @param {Clock} source - Clock to read (defaults to the app's clock)
  * @returns {number} Milliseconds until target hour
  * 
  * @example
  * const msUntilNoon = timeUntilHour(12);
  */
-export function timeUntilHour(targetHour) {
-  const now = new Date();
-  const target = new Date(now);
-  target.setHours(targetHour, 0, 0, 0);
+export function timeUntilHour(targetHour, source = clock) {
+  return timeUntilLocal(targetHour, 0, source);
+}
+
+/**
+ * Milliseconds until the next time a local time of day comes round
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes (0-59)
+ * @param {Clock} source - Clock to read
+ * @returns {number} Milliseconds until the time
+ */
+function timeUntilLocal(hours, minutes, source) {
+  const now = source.date();
+  let target = atLocalTime(now, hours, minutes);
   
-  // If target hour has passed today, set for tomorrow
+  // If the time has passed today, set for tomorrow
   if (target <= now) {
-    target.setDate(target.getDate() + 1);
+    target = atLocalTime(now, hours, minutes, 1);
   }
   
   return target.getTime() - now.getTime();
 }
 
+/**
+ * Find the next wall-clock boundary of a repeating interval
+ * Boundaries are counted from local midnight plus the offset, so a 15 minute
+ * interval falls on :00/:15/:30/:45 and restarts at midnight each day.
+ * Boundaries in the hour the clocks skip fall on the moment they change,
+ * and those in the hour they repeat come round once
+ * @param {number} intervalMinutes - Interval in minutes
+ * @param {number} offsetMinutes - Shift of every boundary in minutes
+ * @param {number} from - Timestamp to search from (exclusive)
+ * @returns {number} Timestamp of the next boundary
+ * 
+ * @example
+ * // At 10:07 → 10:15
+ * nextAlignedTime(15);
+ * // At 10:07 → 10:20 (:05/:20/:35/:50)
+ * nextAlignedTime(15, 5);
+ */
+export function nextAlignedTime(intervalMinutes, offsetMinutes = 0, from = clock.now()) {
+  const date = new Date(from);
+  const minutesIntoDay = date.getHours() * 60 + date.getMinutes() +
+    (date.getSeconds() * 1000 + date.getMilliseconds()) / 60000;
+  
+  let steps = Math.max(0, Math.floor((minutesIntoDay - offsetMinutes) / intervalMinutes) + 1);
+  
+  for (;;) {
+    const targetMinutes = offsetMinutes + steps * intervalMinutes;
+    
+    // The grid restarts at midnight rather than running on into tomorrow
+    if (targetMinutes >= 24 * 60) {
+      return atLocalTime(date, Math.floor(offsetMinutes / 60), offsetMinutes % 60, 1).getTime();
+    }
+    
+    // In the repeated hour a boundary is its first pass, which may be gone
+    const target = atLocalTime(date, Math.floor(targetMinutes / 60), targetMinutes % 60).getTime();
+    if (target > from) {
+      return target;
+    }
+    
+    steps++;
+  }
+}
+
 /**
  * Calculate time until a specific time (HH:MM format)
+ * Follows the daylight saving policy of atLocalTime()
  * @param {string} timeStr - Time string in HH:MM format
+ * @param {Clock} source - Clock to read (defaults to the app's clock)
  * @returns {number} Milliseconds until target time
  * 
  * @example
  * const msUntil6PM = timeUntilTime('18:00');
  */
-export function timeUntilTime(timeStr) {
+export function timeUntilTime(timeStr, source = clock) {
   const [hours, minutes] = timeStr.split(':').map(Number);
-  
-  const now = new Date();
-  const target = new Date(now);
-  target.setHours(hours, minutes, 0, 0);
-  
-  // If target time has passed today, set for tomorrow
-  if (target <= now) {
-    target.setDate(target.getDate() + 1);
-  }
-  
-  return target.getTime() - now.getTime();
+  return timeUntilLocal(hours, minutes, source);
 }
 
 /**
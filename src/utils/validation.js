@@ -3,7 +3,7 @@
  * @module utils/validation
  */
 
-import { LIMITS, TIMER_MODES, BELL_TYPES } from '../config/constants.js';
+import { LIMITS, TIMER_MODES, BELL_TYPES, PREPARATION_BELLS, BELL_PATTERNS, WEEKDAYS, DAY_MASKS, RANDOM_DISTRIBUTIONS, SOUND_LIBRARY, BELL_MODEL_LIMITS } from '../config/constants.js';
 import { isValidTimeString } from './time.js';
 
 /**
@@ -66,6 +66,150 @@ export function validateInterval(interval, type = 'periodic') {
   };
 }
 
+/**
+ * Validate a fixed session length in minutes
+ * @param {number} duration - Session length in minutes (0 = open-ended)
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateDuration(25) // {valid: true, errors: []}
+ * validateDuration(0)  // {valid: true, errors: []} - runs until stopped
+ */
+export function validateDuration(duration) {
+  const errors = [];
+  
+  if (typeof duration !== 'number' || !Number.isFinite(duration)) {
+    errors.push('Duration must be a finite number');
+    return { valid: false, errors };
+  }
+  
+  if (duration !== 0 &&
+      (duration < LIMITS.MIN_SESSION_DURATION || duration > LIMITS.MAX_SESSION_DURATION)) {
+    errors.push(`Duration must be 0 or between ${LIMITS.MIN_SESSION_DURATION} and ${LIMITS.MAX_SESSION_DURATION} minutes`);
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a settling-in period
+ * @param {number} preparationTime - Preparation length in minutes (0 = none)
+ * @param {string} [preparationBell='none'] - Key of PREPARATION_BELLS
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validatePreparation(2, 'triple') // {valid: true, errors: []}
+ */
+export function validatePreparation(preparationTime, preparationBell = 'none') {
+  const errors = [];
+  
+  if (typeof preparationTime !== 'number' || !Number.isFinite(preparationTime)) {
+    errors.push('Preparation time must be a finite number');
+  } else if (preparationTime < 0 || preparationTime > LIMITS.MAX_PREPARATION_TIME) {
+    errors.push(`Preparation time must be between 0 and ${LIMITS.MAX_PREPARATION_TIME} minutes`);
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(PREPARATION_BELLS, preparationBell)) {
+    errors.push(`Invalid preparation bell: ${preparationBell}. Must be one of: ${Object.keys(PREPARATION_BELLS).join(', ')}`);
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a wall-clock alignment offset
+ * @param {number} offset - Offset of every boundary in minutes
+ * @param {number} interval - Interval the offset applies to, in minutes
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateAlignOffset(5, 15) // {valid: true, errors: []}
+ */
+export function validateAlignOffset(offset, interval) {
+  const errors = [];
+  
+  if (typeof offset !== 'number' || !Number.isInteger(offset)) {
+    errors.push('Alignment offset must be a whole number of minutes');
+  } else if (offset < 0 || offset >= interval) {
+    errors.push(`Alignment offset must be between 0 and ${interval - 1} minutes`);
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate the segments of a program
+ * @param {Array<Object>} segments - Segments {label, duration, bellType, strikes, gap, interval}
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateProgramSegments([{ label: 'Sitting', duration: 25 }, { label: 'Walking', duration: 10 }])
+ */
+export function validateProgramSegments(segments) {
+  const errors = [];
+  
+  if (!Array.isArray(segments)) {
+    errors.push('Segments must be an array');
+    return { valid: false, errors };
+  }
+  
+  if (segments.length === 0) {
+    errors.push('A program needs at least one segment');
+  } else if (segments.length > LIMITS.MAX_PROGRAM_SEGMENTS) {
+    errors.push(`Maximum ${LIMITS.MAX_PROGRAM_SEGMENTS} segments allowed`);
+  }
+  
+  segments.forEach((segment, index) => {
+    if (!segment || typeof segment !== 'object') {
+      errors.push(`Segment ${index + 1} must be an object`);
+      return;
+    }
+    
+    if (typeof segment.label !== 'string' || segment.label.trim() === '' ||
+        segment.label.length > LIMITS.MAX_SEGMENT_LABEL_LENGTH) {
+      errors.push(`Segment ${index + 1} needs a label of at most ${LIMITS.MAX_SEGMENT_LABEL_LENGTH} characters`);
+    }
+    
+    const durationResult = validateDuration(segment.duration);
+    if (!durationResult.valid || segment.duration === 0) {
+      errors.push(`Segment ${index + 1} duration must be between ${LIMITS.MIN_SESSION_DURATION} and ${LIMITS.MAX_SESSION_DURATION} minutes`);
+    }
+    
+    if (segment.bellType !== undefined && !Object.values(BELL_TYPES).includes(segment.bellType)) {
+      errors.push(`Segment ${index + 1} has an invalid bell type: ${segment.bellType}`);
+    }
+    
+    if (segment.strikes !== undefined &&
+        (!Number.isInteger(segment.strikes) || segment.strikes < 1 || segment.strikes > LIMITS.MAX_BELL_STRIKES)) {
+      errors.push(`Segment ${index + 1} strikes must be between 1 and ${LIMITS.MAX_BELL_STRIKES}`);
+    }
+    
+    if (segment.gap !== undefined &&
+        (typeof segment.gap !== 'number' || isNaN(segment.gap) || segment.gap < 0 || segment.gap > LIMITS.MAX_PATTERN_GAP)) {
+      errors.push(`Segment ${index + 1} gap must be between 0 and ${LIMITS.MAX_PATTERN_GAP} ms`);
+    }
+    
+    if (segment.interval !== undefined && segment.interval !== 0) {
+      const intervalResult = validateInterval(segment.interval, 'periodic');
+      errors.push(...intervalResult.errors.map(error => `Segment ${index + 1}: ${error}`));
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate random timer configuration
  * @param {Object} config - Random timer config {minInterval, maxInterval}
@@ -101,6 +245,90 @@ export function validateRandomConfig(config) {
   };
 }
 
+/**
+ * Validate how random mode draws its intervals and bells
+ * @param {Object} options - {distribution, bigBellProbability, seed}; missing fields are not checked
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateRandomOptions({ distribution: 'exponential', bigBellProbability: 0.25, seed: 'dawn' })
+ */
+export function validateRandomOptions(options = {}) {
+  const errors = [];
+  const { distribution, bigBellProbability, seed } = options;
+  
+  if (distribution !== undefined && !Object.values(RANDOM_DISTRIBUTIONS).includes(distribution)) {
+    errors.push(`Invalid distribution: ${distribution}. Must be one of: ${Object.values(RANDOM_DISTRIBUTIONS).join(', ')}`);
+  }
+  
+  if (bigBellProbability !== undefined &&
+      (typeof bigBellProbability !== 'number' || isNaN(bigBellProbability) || bigBellProbability < 0 || bigBellProbability > 1)) {
+    errors.push('Big bell probability must be between 0 and 1');
+  }
+  
+  if (seed !== undefined && seed !== null) {
+    if (typeof seed === 'number') {
+      if (!Number.isInteger(seed)) {
+        errors.push('Seed must be a whole number or text');
+      }
+    } else if (typeof seed !== 'string' || seed.length === 0 || seed.length > LIMITS.MAX_SEED_LENGTH) {
+      errors.push(`Seed must be a whole number or text of 1 to ${LIMITS.MAX_SEED_LENGTH} characters`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a planned random schedule
+ * Bells must be in order and fall within the sit
+ * @param {Array<Object>|null} schedule - Planned bells {at (minutes), bellType}, or null for none
+ * @param {number} duration - Session length in minutes
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateRandomSchedule([{ at: 4.5, bellType: 'small' }, { at: 11, bellType: 'big' }], 20)
+ */
+export function validateRandomSchedule(schedule, duration) {
+  const errors = [];
+  
+  if (schedule === null || schedule === undefined) {
+    return { valid: true, errors };
+  }
+  
+  if (!Array.isArray(schedule)) {
+    errors.push('Planned schedule must be an array');
+    return { valid: false, errors };
+  }
+  
+  if (!(duration > 0)) {
+    errors.push('A planned schedule needs a session duration');
+  }
+  
+  let previousAt = 0;
+  schedule.forEach((bell, index) => {
+    const at = bell?.at;
+    
+    if (typeof at !== 'number' || isNaN(at) || at <= previousAt || (duration > 0 && at >= duration)) {
+      errors.push(`Planned bell ${index + 1} must come after the one before and within the session`);
+    } else {
+      previousAt = at;
+    }
+    
+    if (!Object.values(BELL_TYPES).includes(bell?.bellType)) {
+      errors.push(`Planned bell ${index + 1} has an invalid bell type`);
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate reminder times array
  * @param {string[]} times - Array of time strings in HH:MM format
@@ -135,6 +363,120 @@ export function validateReminderTimes(times) {
   };
 }
 
+/**
+ * Validate an hour window {start, end}
+ * @param {Object|null} window - Window in HH:MM, or null for "all day"
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateHourWindow({ start: '09:00', end: '21:00' })
+ */
+export function validateHourWindow(window) {
+  const errors = [];
+  
+  if (window === null) {
+    return { valid: true, errors };
+  }
+  
+  if (!window || typeof window !== 'object' || !window.start || !window.end) {
+    errors.push('Hour window must have both start and end times');
+  } else if (!isValidTimeString(window.start) || !isValidTimeString(window.end)) {
+    errors.push('Hour window times must be in HH:MM format');
+  } else if (window.start === window.end) {
+    errors.push('Hour window start and end must differ');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a list of quiet windows
+ * Windows may wrap past midnight (e.g. 21:00-06:00)
+ * @param {Array<Object>} windows - Windows {start, end} in HH:MM
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateQuietWindows([{ start: '12:00', end: '13:00' }, { start: '22:00', end: '07:00' }])
+ */
+export function validateQuietWindows(windows) {
+  const errors = [];
+  
+  if (!Array.isArray(windows)) {
+    errors.push('Quiet windows must be an array');
+    return { valid: false, errors };
+  }
+  
+  if (windows.length > LIMITS.MAX_QUIET_WINDOWS) {
+    errors.push(`Maximum ${LIMITS.MAX_QUIET_WINDOWS} quiet windows allowed`);
+  }
+  
+  windows.forEach((window, index) => {
+    const result = window === null
+      ? { errors: ['Hour window must have both start and end times'] }
+      : validateHourWindow(window);
+    errors.push(...result.errors.map(error => `Quiet window ${index + 1}: ${error}`));
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a weekly schedule {days, perDay}
+ * Per-day overrides are reminder time lists or hourly windows, depending on mode
+ * @param {Object|null} schedule - Weekly schedule (null = every day)
+ * @param {string} mode - TIMER_MODES.REMINDER or TIMER_MODES.HOURLY
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateWeeklySchedule({ days: DAY_MASKS.WEEKDAYS, perDay: {} }, 'reminder')
+ */
+export function validateWeeklySchedule(schedule, mode) {
+  const errors = [];
+  
+  if (schedule === null || schedule === undefined) {
+    return { valid: true, errors };
+  }
+  
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    errors.push('Schedule must be an object');
+    return { valid: false, errors };
+  }
+  
+  const { days = DAY_MASKS.EVERY_DAY, perDay = {} } = schedule;
+  
+  if (!Number.isInteger(days) || days < 1 || days > DAY_MASKS.EVERY_DAY) {
+    errors.push('Schedule days must be a day mask with at least one day set');
+  }
+  
+  if (!perDay || typeof perDay !== 'object' || Array.isArray(perDay)) {
+    errors.push('Schedule perDay must be an object keyed by weekday');
+    return { valid: false, errors };
+  }
+  
+  Object.entries(perDay).forEach(([day, value]) => {
+    if (!WEEKDAYS.includes(day)) {
+      errors.push(`Unknown schedule day: ${day}`);
+      return;
+    }
+    
+    const result = mode === TIMER_MODES.HOURLY
+      ? validateHourWindow(value)
+      : validateReminderTimes(value);
+    errors.push(...result.errors.map(error => `${day}: ${error}`));
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate timer mode
  * @param {string} mode - Timer mode
@@ -182,6 +524,55 @@ export function validateBellType(bellType) {
   };
 }
 
+/**
+ * Validate a bell pattern
+ * @param {string|Array<Object>|null} pattern - BELL_PATTERNS key, strikes {bellType, gap}, or null for the usual bell
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateBellPattern('three-to-open') // {valid: true, errors: []}
+ * validateBellPattern([{ bellType: 'big', gap: 0 }, { bellType: 'small', gap: 2000 }])
+ */
+export function validateBellPattern(pattern) {
+  const errors = [];
+  
+  if (pattern === null || pattern === undefined) {
+    return { valid: true, errors };
+  }
+  
+  if (typeof pattern === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(BELL_PATTERNS, pattern)) {
+      errors.push(`Unknown bell pattern: ${pattern}. Must be one of: ${Object.keys(BELL_PATTERNS).join(', ')}`);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+  
+  if (!Array.isArray(pattern) || pattern.length === 0) {
+    errors.push('Bell pattern must be a pattern name or a non-empty list of strikes');
+    return { valid: false, errors };
+  }
+  
+  if (pattern.length > LIMITS.MAX_BELL_STRIKES) {
+    errors.push(`Bell pattern cannot have more than ${LIMITS.MAX_BELL_STRIKES} strikes`);
+  }
+  
+  pattern.forEach((strike, index) => {
+    if (!Object.values(BELL_TYPES).includes(strike?.bellType)) {
+      errors.push(`Strike ${index + 1} must be a big or small bell`);
+    }
+    
+    const gap = strike?.gap ?? 0;
+    if (typeof gap !== 'number' || isNaN(gap) || gap < 0 || gap > LIMITS.MAX_PATTERN_GAP) {
+      errors.push(`Strike ${index + 1} gap must be between 0 and ${LIMITS.MAX_PATTERN_GAP} ms`);
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate timer configuration based on mode
  * @param {string} mode - Timer mode
@@ -222,12 +613,45 @@ export function validateTimerConfig(mode, config) {
           errors.push('Big bell interval must be greater than small bell interval');
         }
       }
+      
+      if (config.duration !== undefined) {
+        const result = validateDuration(config.duration);
+        errors.push(...result.errors);
+      }
+      
+      if (config.preparationTime !== undefined) {
+        const result = validatePreparation(config.preparationTime, config.preparationBell);
+        errors.push(...result.errors);
+      }
+      
+      if (config.align && config.alignOffset !== undefined) {
+        const result = validateAlignOffset(config.alignOffset, smallBellInterval ?? 5);
+        errors.push(...result.errors);
+      }
       break;
     }
     
     case TIMER_MODES.RANDOM: {
       const result = validateRandomConfig(config);
       errors.push(...result.errors);
+      
+      const optionsResult = validateRandomOptions(config);
+      errors.push(...optionsResult.errors);
+      
+      if (config.plannedSchedule) {
+        const scheduleResult = validateRandomSchedule(config.plannedSchedule, config.duration);
+        errors.push(...scheduleResult.errors);
+      }
+      
+      if (config.duration !== undefined) {
+        const durationResult = validateDuration(config.duration);
+        errors.push(...durationResult.errors);
+      }
+      
+      if (config.preparationTime !== undefined) {
+        const preparationResult = validatePreparation(config.preparationTime, config.preparationBell);
+        errors.push(...preparationResult.errors);
+      }
       break;
     }
     
@@ -241,6 +665,17 @@ export function validateTimerConfig(mode, config) {
         const result = validateBellType(config.bellType);
         errors.push(...result.errors);
       }
+      
+      if (config.schedule) {
+        const result = validateWeeklySchedule(config.schedule, TIMER_MODES.REMINDER);
+        errors.push(...result.errors);
+      }
+      break;
+    }
+    
+    case TIMER_MODES.PROGRAM: {
+      const result = validateProgramSegments(config.segments);
+      errors.push(...result.errors);
       break;
     }
     
@@ -249,10 +684,191 @@ export function validateTimerConfig(mode, config) {
         const result = validateBellType(config.bellType);
         errors.push(...result.errors);
       }
+      
+      if (config.onlyDuringHours) {
+        const result = validateHourWindow(config.onlyDuringHours);
+        errors.push(...result.errors);
+      }
+      
+      if (config.quietHours) {
+        const result = validateQuietWindows(config.quietHours);
+        errors.push(...result.errors);
+      }
+      
+      if (config.schedule) {
+        const result = validateWeeklySchedule(config.schedule, TIMER_MODES.HOURLY);
+        errors.push(...result.errors);
+      }
       break;
     }
   }
   
+  ['pattern', 'openingPattern', 'closingPattern'].forEach(field => {
+    if (config[field] !== undefined) {
+      const result = validateBellPattern(config[field]);
+      errors.push(...result.errors);
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate an audio file offered to the bell library
+ * The type is taken from the file's MIME type, or its extension when the
+ * browser gives none
+ * @param {File|Object} file - File {name, type, size}
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateSoundFile({ name: 'bowl.ogg', type: 'audio/ogg', size: 80000 }) // {valid: true, errors: []}
+ */
+export function validateSoundFile(file) {
+  const errors = [];
+  
+  if (!file || typeof file.name !== 'string') {
+    errors.push('A file is required');
+    return { valid: false, errors };
+  }
+  
+  const extension = file.name.split('.').pop().toLowerCase();
+  const knownType = file.type
+    ? SOUND_LIBRARY.MIME_TYPES.includes(file.type)
+    : SOUND_LIBRARY.EXTENSIONS.includes(extension);
+  
+  if (!knownType) {
+    errors.push(`File must be one of: ${SOUND_LIBRARY.EXTENSIONS.join(', ')}`);
+  }
+  
+  if (typeof file.size !== 'number' || file.size <= 0) {
+    errors.push('File is empty');
+  } else if (file.size > SOUND_LIBRARY.MAX_FILE_SIZE) {
+    errors.push(`File must be smaller than ${SOUND_LIBRARY.MAX_FILE_SIZE / (1024 * 1024)} MB`);
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate the name, trim and normalization of a bell library sound
+ * Fields left out are not checked, so an update can carry only what changed
+ * @param {Object} settings - {name, trimStart, trimEnd, peakDb}
+ * @param {number} [duration=Infinity] - Length of the recording in seconds
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateSoundSettings({ name: 'Temple bell', trimStart: 0.2, trimEnd: null, peakDb: -1 }, 30) // {valid: true, errors: []}
+ */
+export function validateSoundSettings(settings, duration = Infinity) {
+  const errors = [];
+  const { name, trimStart = 0, trimEnd = null, peakDb } = settings || {};
+  
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      errors.push('Name is required');
+    } else if (name.trim().length > SOUND_LIBRARY.MAX_NAME_LENGTH) {
+      errors.push(`Name must be ${SOUND_LIBRARY.MAX_NAME_LENGTH} characters or fewer`);
+    }
+  }
+  
+  if (typeof trimStart !== 'number' || !Number.isFinite(trimStart) || trimStart < 0) {
+    errors.push('Trim start must be a number of seconds, 0 or more');
+  } else if (trimStart >= duration) {
+    errors.push('Trim start must be before the end of the recording');
+  }
+  
+  if (trimEnd !== null) {
+    if (typeof trimEnd !== 'number' || !Number.isFinite(trimEnd)) {
+      errors.push('Trim end must be a number of seconds, or null for the end of the recording');
+    } else if (trimEnd <= trimStart) {
+      errors.push('Trim end must be after trim start');
+    } else if (trimEnd > duration) {
+      errors.push('Trim end must be within the recording');
+    }
+  }
+  
+  const kept = Math.min(trimEnd ?? duration, duration) - trimStart;
+  if (Number.isFinite(kept) && kept > SOUND_LIBRARY.MAX_DURATION) {
+    errors.push(`Trimmed sound must be ${SOUND_LIBRARY.MAX_DURATION} seconds or shorter`);
+  }
+  
+  if (peakDb !== undefined && peakDb !== null) {
+    if (typeof peakDb !== 'number' || peakDb > 0 || peakDb < SOUND_LIBRARY.MIN_PEAK_DB) {
+      errors.push(`Peak level must be between ${SOUND_LIBRARY.MIN_PEAK_DB} and 0 dBFS, or null to leave the level as recorded`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a modal bell model
+ * @param {Object} model - {fundamentalFreq, duration, hardness, partials}
+ * @returns {Object} Validation result {valid, errors}
+ * 
+ * @example
+ * validateBellModel(BELL_PARAMS.BIG_BELL) // {valid: true, errors: []}
+ */
+export function validateBellModel(model) {
+  const errors = [];
+  
+  if (!model || typeof model !== 'object') {
+    errors.push('Bell model must be an object');
+    return { valid: false, errors };
+  }
+  
+  const inRange = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+  
+  if (!inRange(model.fundamentalFreq, BELL_MODEL_LIMITS.MIN_FUNDAMENTAL, BELL_MODEL_LIMITS.MAX_FUNDAMENTAL)) {
+    errors.push(`Fundamental must be between ${BELL_MODEL_LIMITS.MIN_FUNDAMENTAL} and ${BELL_MODEL_LIMITS.MAX_FUNDAMENTAL} Hz`);
+  }
+  
+  if (!inRange(model.duration, BELL_MODEL_LIMITS.MIN_DURATION, BELL_MODEL_LIMITS.MAX_DURATION)) {
+    errors.push(`Duration must be between ${BELL_MODEL_LIMITS.MIN_DURATION} and ${BELL_MODEL_LIMITS.MAX_DURATION} seconds`);
+  }
+  
+  if (!inRange(model.hardness, 0, 1)) {
+    errors.push('Strike hardness must be between 0 and 1');
+  }
+  
+  if (!Array.isArray(model.partials) || model.partials.length === 0) {
+    errors.push('Bell model needs at least one partial');
+    return { valid: false, errors };
+  }
+  
+  if (model.partials.length > BELL_MODEL_LIMITS.MAX_PARTIALS) {
+    errors.push(`Bell model can have at most ${BELL_MODEL_LIMITS.MAX_PARTIALS} partials`);
+  }
+  
+  model.partials.forEach((partial, index) => {
+    const label = `Partial ${index + 1}`;
+    
+    if (!inRange(partial?.ratio, BELL_MODEL_LIMITS.MIN_RATIO, BELL_MODEL_LIMITS.MAX_RATIO)) {
+      errors.push(`${label}: ratio must be between ${BELL_MODEL_LIMITS.MIN_RATIO} and ${BELL_MODEL_LIMITS.MAX_RATIO}`);
+    }
+    if (!inRange(partial?.gain, 0, 1)) {
+      errors.push(`${label}: gain must be between 0 and 1`);
+    }
+    if (!inRange(partial?.decay, BELL_MODEL_LIMITS.MIN_DECAY, BELL_MODEL_LIMITS.MAX_DECAY)) {
+      errors.push(`${label}: decay must be between ${BELL_MODEL_LIMITS.MIN_DECAY} and ${BELL_MODEL_LIMITS.MAX_DECAY} seconds`);
+    }
+    if (!inRange(partial?.detune ?? 0, -BELL_MODEL_LIMITS.MAX_DETUNE, BELL_MODEL_LIMITS.MAX_DETUNE)) {
+      errors.push(`${label}: detune must be within ${BELL_MODEL_LIMITS.MAX_DETUNE} cents`);
+    }
+    if (!inRange(partial?.beat ?? 0, 0, BELL_MODEL_LIMITS.MAX_BEAT)) {
+      errors.push(`${label}: beating must be between 0 and ${BELL_MODEL_LIMITS.MAX_BEAT} Hz`);
+    }
+  });
+  
   return {
     valid: errors.length === 0,
     errors
@@ -363,6 +979,21 @@ export function validatePreferences(preferences) {
       const result = validateReminderTimes(preferences.timer.reminderTimes);
       errors.push(...result.errors);
     }
+    
+    if (preferences.timer.reminderBellType) {
+      const result = validateBellType(preferences.timer.reminderBellType);
+      errors.push(...result.errors);
+    }
+    
+    if (preferences.timer.reminderPattern) {
+      const result = validateBellPattern(preferences.timer.reminderPattern);
+      errors.push(...result.errors);
+    }
+    
+    if (preferences.timer.doNotDisturb?.windows) {
+      const result = validateQuietWindows(preferences.timer.doNotDisturb.windows);
+      errors.push(...result.errors);
+    }
   }
   
   return {
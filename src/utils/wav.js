@@ -0,0 +1,82 @@
+/**
+ * WAV encoding
+ * @module utils/wav
+ */
+
+/**
+ * Write an ASCII tag into a DataView
+ * @param {DataView} view - Target
+ * @param {number} offset - Byte offset
+ * @param {string} tag - Four characters
+ */
+function writeTag(view, offset, tag) {
+  for (let i = 0; i < tag.length; i++) {
+    view.setUint8(offset + i, tag.charCodeAt(i));
+  }
+}
+
+/**
+ * Encode float samples as a PCM WAV file
+ * Samples are clipped to [-1, 1] and interleaved
+ * @param {Array<Float32Array>} channels - Samples of each channel, all the same length
+ * @param {number} sampleRate - Samples per second
+ * @param {number} [bitDepth=16] - 16 or 24 bits per sample
+ * @returns {ArrayBuffer} WAV file
+ * @throws {Error} If there are no channels or the bit depth is unsupported
+ *
+ * @example
+ * const wav = encodeWav([buffer.getChannelData(0), buffer.getChannelData(1)], buffer.sampleRate);
+ * const blob = new Blob([wav], { type: 'audio/wav' });
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 16) {
+  if (!channels || channels.length === 0) {
+    throw new Error('Cannot encode a WAV file without channels');
+  }
+  if (bitDepth !== 16 && bitDepth !== 24) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const frames = channels[0].length;
+  const blockAlign = channels.length * bytesPerSample;
+  const dataSize = frames * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  // RIFF header
+  writeTag(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(view, 8, 'WAVE');
+
+  // Format chunk: PCM
+  writeTag(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // Data chunk
+  writeTag(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const max = Math.pow(2, bitDepth - 1) - 1;
+  let offset = 44;
+
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels.length; channel++) {
+      const sample = Math.round(Math.max(-1, Math.min(1, channels[channel][frame])) * max);
+
+      if (bitDepth === 16) {
+        view.setInt16(offset, sample, true);
+      } else {
+        view.setUint8(offset, sample & 0xff);
+        view.setInt16(offset + 1, sample >> 8, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return view.buffer;
+}
@@ -0,0 +1,67 @@
+/**
+ * Ambience unit tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { noiseSamples, ambientLoop, scheduleDuck } from '../../src/audio/Ambience.js';
+import { AMBIENT, AMBIENT_PRESETS, AMBIENT_LAYERS } from '../../src/config/constants.js';
+import { createSeededRandom } from '../../src/utils/random.js';
+
+const RATE = 8000;
+
+/**
+ * Mean size of the step from one sample to the next: high for bright noise
+ */
+function roughness(samples) {
+  let sum = 0;
+  for (let i = 1; i < samples.length; i++) {
+    sum += Math.abs(samples[i] - samples[i - 1]);
+  }
+  return sum / (samples.length - 1);
+}
+
+describe('Ambience', () => {
+  describe('noiseSamples', () => {
+    it('should peak at full scale, darker for pink and brown than white', () => {
+      const [white, pink, brown] = ['white', 'pink', 'brown'].map(color => noiseSamples(color, RATE, createSeededRandom(1)));
+      const peak = (samples) => Math.max(...samples.map(Math.abs));
+
+      [white, pink, brown].forEach(samples => expect(peak(samples)).toBeCloseTo(1, 5));
+      expect(roughness(pink)).toBeLessThan(roughness(white) / 2);
+      expect(roughness(brown)).toBeLessThan(roughness(pink) / 2);
+      expect(() => noiseSamples('purple', 10, Math.random)).toThrow('Unknown noise color: purple');
+    });
+  });
+
+  describe('ambientLoop', () => {
+    it('should loop without a jump, the same every time it is built', () => {
+      const preset = AMBIENT_PRESETS[AMBIENT_LAYERS.BROWN_NOISE];
+      const [left, right] = ambientLoop(preset, RATE);
+      const seam = Math.abs(left[0] - left[left.length - 1]);
+
+      expect(left).toHaveLength(AMBIENT.LOOP_LENGTH * RATE);
+      expect(right).toHaveLength(left.length);
+      expect(right).not.toEqual(left);
+      expect(seam).toBeLessThan(roughness(left) * 5);
+      expect(ambientLoop(preset, RATE)[0]).toEqual(left);
+    });
+  });
+
+  describe('scheduleDuck', () => {
+    it('should duck from the first strike until the hold after the last', () => {
+      const calls = [];
+      const param = {
+        cancelScheduledValues: (time) => calls.push(['cancel', time]),
+        setTargetAtTime: (value, time) => calls.push(['target', value, time])
+      };
+
+      scheduleDuck(param, 10, 6);
+
+      expect(calls).toEqual([
+        ['cancel', 10],
+        ['target', AMBIENT.DUCK_LEVEL, 10],
+        ['target', 1, 16 + AMBIENT.DUCK_HOLD]
+      ]);
+    });
+  });
+});
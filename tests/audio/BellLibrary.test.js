@@ -0,0 +1,69 @@
+/**
+ * Bell library unit tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { processSound } from '../../src/audio/BellLibrary.js';
+import { validateSoundFile, validateSoundSettings } from '../../src/utils/validation.js';
+import { SOUND_LIBRARY } from '../../src/config/constants.js';
+
+const RATE = 1000;
+
+/**
+ * One second of a constant level
+ */
+function flat(level) {
+  return new Float32Array(RATE).fill(level);
+}
+
+describe('BellLibrary', () => {
+  describe('processSound', () => {
+    it('should trim to the kept seconds and fade the cuts', () => {
+      const fade = Math.round(SOUND_LIBRARY.TRIM_FADE * RATE);
+      const source = flat(0.5);
+
+      const { channels } = processSound([source], RATE, { trimStart: 0.25, trimEnd: 0.75 });
+
+      expect(channels[0]).toHaveLength(500);
+      expect(channels[0][0]).toBe(0);
+      expect(channels[0][fade]).toBe(0.5);
+      expect(channels[0][499]).toBe(0);
+      expect(source[0]).toBe(0.5);
+    });
+
+    it('should bring the loudest sample of any channel to the peak level', () => {
+      const left = flat(0.1);
+      const right = flat(0.1);
+      right[500] = -0.25;
+
+      const { channels, peak, gain } = processSound([left, right], RATE, { peakDb: -6 });
+
+      expect(peak).toBe(0.25);
+      expect(gain).toBeCloseTo(Math.pow(10, -6 / 20) / 0.25);
+      expect(channels[1][500]).toBeCloseTo(-Math.pow(10, -6 / 20));
+      expect(channels[0][0]).toBeCloseTo(0.1 * gain);
+    });
+
+    it('should leave the level alone without a peak level or on silence', () => {
+      expect(processSound([flat(0.3)], RATE, { peakDb: null }).gain).toBe(1);
+      expect(processSound([flat(0)], RATE, { peakDb: -1 }).gain).toBe(1);
+    });
+  });
+
+  describe('validation', () => {
+    it('should accept wav, mp3 and ogg files within the size limit', () => {
+      expect(validateSoundFile({ name: 'bowl.ogg', type: 'audio/ogg', size: 8000 }).valid).toBe(true);
+      expect(validateSoundFile({ name: 'gong.MP3', type: '', size: 8000 }).valid).toBe(true);
+      expect(validateSoundFile({ name: 'bell.flac', type: 'audio/flac', size: 8000 }).valid).toBe(false);
+      expect(validateSoundFile({ name: 'bell.wav', type: 'audio/wav', size: SOUND_LIBRARY.MAX_FILE_SIZE + 1 }).valid).toBe(false);
+    });
+
+    it('should keep the trim within the recording', () => {
+      expect(validateSoundSettings({ name: 'Temple', trimStart: 0.5, trimEnd: 4, peakDb: -1 }, 5).valid).toBe(true);
+      expect(validateSoundSettings({ trimStart: 2, trimEnd: 1 }, 5).errors).toContain('Trim end must be after trim start');
+      expect(validateSoundSettings({ trimEnd: 6 }, 5).errors).toContain('Trim end must be within the recording');
+      expect(validateSoundSettings({ name: ' ' }, 5).errors).toContain('Name is required');
+      expect(validateSoundSettings({ peakDb: 3 }, 5).valid).toBe(false);
+    });
+  });
+});
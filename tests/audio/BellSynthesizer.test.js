@@ -0,0 +1,77 @@
+/**
+ * Bell synthesizer unit tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { modalStrike } from '../../src/audio/BellSynthesizer.js';
+import { validateBellModel } from '../../src/utils/validation.js';
+import { BELL_PARAMS, BELL_MODEL_PRESETS } from '../../src/config/constants.js';
+
+/**
+ * A bell model with the given partials
+ */
+function bell(partials, hardness = 1) {
+  return { fundamentalFreq: 200, duration: 10, hardness, partials };
+}
+
+describe('BellSynthesizer', () => {
+  describe('modalStrike', () => {
+    it('should ring each partial at its ratio of the fundamental, detuned in cents', () => {
+      const { voices } = modalStrike(bell([
+        { ratio: 1, gain: 1, decay: 8 },
+        { ratio: 2.76, gain: 0.5, decay: 4, detune: 1200 }
+      ]));
+
+      expect(voices).toEqual([
+        { partial: 0, frequency: 200, level: 1, decay: 8 },
+        { partial: 1, frequency: 1104, level: 0.5, decay: 4 }
+      ]);
+    });
+
+    it('should split a beating partial into two sines the beat apart', () => {
+      const { voices } = modalStrike(bell([{ ratio: 1, gain: 0.8, decay: 8, beat: 2 }]));
+
+      expect(voices.map(voice => voice.frequency)).toEqual([199, 201]);
+      expect(voices.map(voice => voice.level)).toEqual([0.4, 0.4]);
+    });
+
+    it('should quieten the upper partials and slow the attack of a soft strike', () => {
+      const partials = [{ ratio: 0.5, gain: 1, decay: 8 }, { ratio: 1, gain: 1, decay: 8 }, { ratio: 4, gain: 1, decay: 8 }];
+      const soft = modalStrike(bell(partials, 0));
+      const hard = modalStrike(bell(partials, 1));
+
+      expect(soft.voices.map(voice => voice.level).slice(0, 2)).toEqual([1, 1]);
+      expect(soft.voices[2].level).toBeLessThan(hard.voices[2].level);
+      expect(soft.attack).toBeGreaterThan(hard.attack);
+      expect(soft.noiseLevel).toBe(0);
+      expect(hard.noiseLevel).toBeGreaterThan(0);
+    });
+
+    it('should leave out partials at or above the Nyquist frequency', () => {
+      const { voices } = modalStrike(bell([{ ratio: 1, gain: 1, decay: 8 }, { ratio: 20, gain: 1, decay: 8 }]), 8000);
+
+      expect(voices.map(voice => voice.partial)).toEqual([0]);
+    });
+  });
+
+  describe('validateBellModel', () => {
+    it('should accept the built-in bells and presets', () => {
+      [BELL_PARAMS.BIG_BELL, BELL_PARAMS.SMALL_BELL, ...Object.values(BELL_MODEL_PRESETS)].forEach(model => {
+        expect(validateBellModel(model)).toEqual({ valid: true, errors: [] });
+      });
+    });
+
+    it('should reject partials out of range', () => {
+      const result = validateBellModel(bell([{ ratio: 1, gain: 2, decay: 0, beat: -1 }], 1.5));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Strike hardness must be between 0 and 1',
+        'Partial 1: gain must be between 0 and 1',
+        expect.stringContaining('Partial 1: decay'),
+        expect.stringContaining('Partial 1: beating')
+      ]);
+      expect(validateBellModel(bell([])).errors).toContain('Bell model needs at least one partial');
+    });
+  });
+});
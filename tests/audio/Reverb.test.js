@@ -0,0 +1,47 @@
+/**
+ * Reverb unit tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { impulseResponse } from '../../src/audio/Reverb.js';
+import { REVERB_PRESETS, REVERB_ROOMS } from '../../src/config/constants.js';
+
+const RATE = 8000;
+
+/**
+ * Energy of a stretch of samples
+ */
+function energy(samples, from, to) {
+  return samples.slice(from, to).reduce((sum, sample) => sum + sample * sample, 0);
+}
+
+describe('Reverb', () => {
+  describe('impulseResponse', () => {
+    it('should last the pre-delay and decay, silent until the first echo', () => {
+      const preset = REVERB_PRESETS[REVERB_ROOMS.ZENDO_HALL];
+      const [left, right] = impulseResponse(preset, RATE);
+      const firstEcho = Math.round(preset.reflections[0].time * RATE);
+
+      expect(left).toHaveLength(Math.round((preset.preDelay + preset.decay) * RATE));
+      expect(right).toHaveLength(left.length);
+      expect(energy(left, 0, firstEcho)).toBe(0);
+    });
+
+    it('should die away to around -60 dB over the decay', () => {
+      const preset = REVERB_PRESETS[REVERB_ROOMS.SMALL_ROOM];
+      const [left] = impulseResponse(preset, RATE);
+      const start = Math.round(preset.preDelay * RATE) + 200;
+      const tenth = Math.round(left.length / 10);
+
+      expect(energy(left, start, start + tenth)).toBeGreaterThan(1000 * energy(left, left.length - tenth));
+    });
+
+    it('should build the same room every time, with different noise in each ear', () => {
+      const preset = REVERB_PRESETS[REVERB_ROOMS.OPEN_AIR];
+      const [left, right] = impulseResponse(preset, RATE);
+
+      expect(impulseResponse(preset, RATE)[0]).toEqual(left);
+      expect(right).not.toEqual(left);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Session renderer unit tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { planStrikes } from '../../src/audio/SessionRenderer.js';
+import { encodeWav } from '../../src/utils/wav.js';
+
+/**
+ * Read a four-character tag
+ */
+function tag(view, offset) {
+  return String.fromCharCode(...[0, 1, 2, 3].map(i => view.getUint8(offset + i)));
+}
+
+describe('SessionRenderer', () => {
+  describe('planStrikes', () => {
+    it('should lay every strike of every bell out in seconds', () => {
+      const plan = {
+        duration: 600000,
+        bells: [
+          { offset: 0, bellType: 'big', pattern: [{ bellType: 'big', gap: 0 }] },
+          { offset: 600000, bellType: 'big', pattern: [{ bellType: 'big', gap: 0 }, { bellType: 'small', gap: 6000 }] }
+        ]
+      };
+
+      expect(planStrikes(plan)).toEqual([
+        { bellType: 'big', time: 0 },
+        { bellType: 'big', time: 600 },
+        { bellType: 'small', time: 606 }
+      ]);
+    });
+  });
+
+  describe('encodeWav', () => {
+    it('should write a 16-bit PCM header and interleave the channels', () => {
+      const left = new Float32Array([0, 1, -1]);
+      const right = new Float32Array([0.5, 2, -0.5]);
+
+      const view = new DataView(encodeWav([left, right], 22050));
+
+      expect(view.byteLength).toBe(44 + 3 * 2 * 2);
+      expect([tag(view, 0), tag(view, 8), tag(view, 12), tag(view, 36)]).toEqual(['RIFF', 'WAVE', 'fmt ', 'data']);
+      expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+      expect(view.getUint16(20, true)).toBe(1);
+      expect(view.getUint16(22, true)).toBe(2);
+      expect(view.getUint32(24, true)).toBe(22050);
+      expect(view.getUint32(28, true)).toBe(22050 * 4);
+      expect(view.getUint16(34, true)).toBe(16);
+      expect([0, 1, 2, 3, 4, 5].map(i => view.getInt16(44 + i * 2, true))).toEqual([0, 16384, 32767, 32767, -32767, -16383]);
+    });
+
+    it('should write 24-bit samples and refuse other depths', () => {
+      const view = new DataView(encodeWav([new Float32Array([-1])], 8000, 24));
+
+      expect(view.getUint16(34, true)).toBe(24);
+      expect(view.getUint8(44) | (view.getUint8(45) << 8) | (view.getInt8(46) << 16)).toBe(-8388607);
+      expect(() => encodeWav([new Float32Array(1)], 8000, 8)).toThrow('Unsupported bit depth: 8');
+    });
+  });
+});
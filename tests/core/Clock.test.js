@@ -0,0 +1,171 @@
+/**
+ * Clock unit tests
+ *
+ * The test run is set to Europe/London (tests/setup/timezone.js), which
+ * springs forward at 01:00 on 29 March 2026 and falls back at 02:00 on
+ * 25 October 2026.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EventBus } from '../../src/core/EventBus.js';
+import { TimerEngine } from '../../src/core/TimerEngine.js';
+import { PeriodicMode } from '../../src/core/modes/PeriodicMode.js';
+import { ReminderMode } from '../../src/core/modes/ReminderMode.js';
+import { HourlyMode } from '../../src/core/modes/HourlyMode.js';
+import { EVENTS, BELL_PHASES } from '../../src/config/constants.js';
+import { FakeClock, AcceleratedClock } from '../../src/utils/clock.js';
+import { timeUntilTime } from '../../src/utils/time.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Clock', () => {
+  let eventBus;
+  let bells;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    bells = [];
+    eventBus.on(EVENTS.BELL_RING, (payload) => bells.push(payload));
+  });
+
+  /**
+   * Start a mode on a timer reading the given clock
+   */
+  function startSession(mode, clock) {
+    const timer = new TimerEngine({ mode, eventBus, clock });
+    mode.onStart(timer);
+    return timer;
+  }
+
+  /**
+   * Local times of the bells rung so far, as HH:MM
+   */
+  function bellTimes() {
+    return bells.map(bell => new Date(bell.timestamp).toTimeString().slice(0, 5));
+  }
+
+  describe('FakeClock', () => {
+    it('should run timers in order as it advances, with the clock at their due time', () => {
+      const clock = new FakeClock({ time: Date.parse('2026-01-01T08:00:00') });
+      const calls = [];
+
+      clock.setTimeout(() => calls.push(['b', clock.performanceNow()]), 200);
+      clock.setTimeout(() => {
+        calls.push(['a', clock.performanceNow()]);
+        clock.setTimeout(() => calls.push(['c', clock.performanceNow()]), 150);
+      }, 100);
+      const cancelled = clock.setTimeout(() => calls.push(['x']), 50);
+      clock.clearTimeout(cancelled);
+
+      clock.advance(300);
+
+      expect(calls).toEqual([['a', 100], ['b', 200], ['c', 250]]);
+      expect(clock.now()).toBe(Date.parse('2026-01-01T08:00:00') + 300);
+      expect(clock.pendingTimers()).toBe(0);
+    });
+  });
+
+  describe('long sessions', () => {
+    it('should ring an hour-long sit through to its closing bell', () => {
+      const clock = new FakeClock({ time: Date.parse('2026-01-01T08:00:00') });
+      const stop = vi.fn();
+      eventBus.on(EVENTS.TIMER_STOP, stop);
+      const mode = new PeriodicMode({ smallBellInterval: 5, bigBellInterval: 15, duration: 60, eventBus, clock });
+
+      startSession(mode, clock);
+      clock.advance(HOUR + 60 * 1000);
+
+      expect(bells[0].phase).toBe(BELL_PHASES.OPENING);
+      expect(bells.at(-1)).toMatchObject({ phase: BELL_PHASES.CLOSING, timestamp: Date.parse('2026-01-01T09:00:00') });
+      expect(bells.filter(bell => bell.phase === BELL_PHASES.INTERVAL).map(bell => bell.bellType)).toEqual([
+        'small', 'small', 'big', 'small', 'small', 'big', 'small', 'small', 'big', 'small', 'small'
+      ]);
+      expect(stop).toHaveBeenCalledWith(expect.objectContaining({ reason: 'completed' }));
+      expect(clock.pendingTimers()).toBe(0);
+    });
+
+    it('should play an hour-long sit out in a minute on an accelerated clock', () => {
+      const base = new FakeClock({ time: Date.parse('2026-01-01T08:00:00') });
+      const clock = new AcceleratedClock({ rate: 60, base });
+      const mode = new PeriodicMode({ smallBellInterval: 20, duration: 60, eventBus, clock });
+
+      startSession(mode, clock);
+      base.advance(60 * 1000 + 100);
+
+      expect(bellTimes()).toEqual(['08:00', '08:20', '08:40', '09:00']);
+    });
+
+    it('should carry reminders over midnight', () => {
+      const clock = new FakeClock({ time: Date.parse('2026-01-05T23:30:00') });
+      const mode = new ReminderMode({ times: ['23:50', '00:10'], eventBus, clock });
+
+      startSession(mode, clock);
+      clock.advance(HOUR);
+
+      expect(bells.map(bell => new Date(bell.timestamp))).toEqual([
+        new Date('2026-01-05T23:50:00'),
+        new Date('2026-01-06T00:10:00')
+      ]);
+      expect(timeUntilTime('00:10', clock)).toBe(24 * HOUR - 20 * 60 * 1000);
+    });
+  });
+
+  describe('DST transitions', () => {
+    it('should strike each real hour when the clocks go forward', () => {
+      const clock = new FakeClock({ time: Date.parse('2026-03-28T23:30:00Z') });
+      const mode = new HourlyMode({ eventBus, clock });
+
+      startSession(mode, clock);
+      clock.advance(4 * HOUR);
+
+      // 01:00 GMT is 02:00 BST: the missing hour is not struck
+      expect(bells.map(bell => bell.hour)).toEqual([0, 2, 3, 4]);
+      expect(bells.slice(1).map((bell, i) => bell.timestamp - bells[i].timestamp)).toEqual([HOUR, HOUR, HOUR]);
+    });
+
+    it('should strike the repeated hour once when the clocks go back', () => {
+      const clock = new FakeClock({ time: Date.parse('2026-10-24T22:30:00Z') });
+      const mode = new HourlyMode({ eventBus, clock });
+
+      startSession(mode, clock);
+      clock.advance(4 * HOUR);
+
+      // 00:00 BST, 01:00 BST, then 02:00 GMT two real hours later
+      expect(bells.map(bell => bell.hour)).toEqual([0, 1, 2]);
+      expect(bells.map(bell => new Date(bell.timestamp).toISOString())).toEqual([
+        '2026-10-24T23:00:00.000Z',
+        '2026-10-25T00:00:00.000Z',
+        '2026-10-25T02:00:00.000Z'
+      ]);
+    });
+
+    it('should ring aligned boundaries of the repeated hour once', () => {
+      const clock = new FakeClock({ time: Date.parse('2026-10-25T00:10:00Z') });
+      const changes = [];
+      eventBus.on(EVENTS.TIMER_CLOCK_CHANGED, (change) => changes.push(change));
+      const mode = new PeriodicMode({ smallBellInterval: 30, align: true, eventBus, clock });
+
+      const timer = startSession(mode, clock);
+      clock.advance(2.5 * HOUR);
+      timer.stop();
+
+      // 01:30 BST, then 02:00 GMT: 01:00 and 01:30 GMT come round a second time
+      expect(bells.map(bell => new Date(bell.timestamp).toISOString())).toEqual([
+        '2026-10-25T00:30:00.000Z',
+        '2026-10-25T02:00:00.000Z',
+        '2026-10-25T02:30:00.000Z'
+      ]);
+      expect(changes).toEqual([expect.objectContaining({ reason: 'dst', timezoneOffset: 0, previousTimezoneOffset: -60 })]);
+    });
+
+    it('should keep interval bells a fixed real time apart across a clock change', () => {
+      const clock = new FakeClock({ time: Date.parse('2026-03-29T00:30:00Z') });
+      const mode = new PeriodicMode({ smallBellInterval: 30, duration: 90, eventBus, clock });
+
+      startSession(mode, clock);
+      clock.advance(2 * HOUR);
+
+      expect(bellTimes()).toEqual(['00:30', '02:00', '02:30', '03:00']);
+    });
+  });
+});
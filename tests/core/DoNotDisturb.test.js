@@ -0,0 +1,74 @@
+/**
+ * DoNotDisturb unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../src/core/EventBus.js';
+import { DoNotDisturb } from '../../src/core/DoNotDisturb.js';
+import { EVENTS } from '../../src/config/constants.js';
+
+describe('DoNotDisturb', () => {
+  let eventBus;
+  let dnd;
+  let rung;
+  let suppressed;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    eventBus = new EventBus();
+    dnd = new DoNotDisturb();
+    dnd.configure({ enabled: true, windows: [{ start: '22:00', end: '07:00' }] });
+    dnd.install(eventBus);
+
+    rung = vi.fn();
+    suppressed = vi.fn();
+    eventBus.on(EVENTS.BELL_RING, rung);
+    eventBus.on(EVENTS.BELL_SUPPRESSED, suppressed);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should hold back bells inside an overnight window', () => {
+    vi.setSystemTime(new Date('2026-01-05T02:00:00'));
+
+    eventBus.dispatch(EVENTS.BELL_RING, { bellType: 'big', timestamp: Date.now(), mode: 'hourly' });
+
+    expect(rung).not.toHaveBeenCalled();
+    expect(suppressed).toHaveBeenCalledWith(expect.objectContaining({
+      bellType: 'big',
+      mode: 'hourly',
+      reason: 'do-not-disturb'
+    }));
+  });
+
+  it('should let bells through outside the windows', () => {
+    vi.setSystemTime(new Date('2026-01-05T12:00:00'));
+
+    eventBus.dispatch(EVENTS.BELL_RING, { bellType: 'small', timestamp: Date.now() });
+
+    expect(rung).toHaveBeenCalledTimes(1);
+    expect(suppressed).not.toHaveBeenCalled();
+  });
+
+  it('should let every bell through when disabled', () => {
+    vi.setSystemTime(new Date('2026-01-05T02:00:00'));
+    dnd.configure({ enabled: false, windows: [{ start: '22:00', end: '07:00' }] });
+
+    eventBus.dispatch(EVENTS.BELL_RING, { bellType: 'small', timestamp: Date.now() });
+
+    expect(rung).toHaveBeenCalledTimes(1);
+  });
+
+  it('should drop an upcoming bell due inside a window without counting it', () => {
+    const upcoming = vi.fn();
+    eventBus.on(EVENTS.BELL_UPCOMING, upcoming);
+
+    eventBus.dispatch(EVENTS.BELL_UPCOMING, { bellType: 'big', time: new Date('2026-01-05T23:00:00').getTime() });
+    eventBus.dispatch(EVENTS.BELL_UPCOMING, { bellType: 'big', time: new Date('2026-01-05T12:00:00').getTime() });
+
+    expect(upcoming).toHaveBeenCalledTimes(1);
+    expect(suppressed).not.toHaveBeenCalled();
+  });
+});
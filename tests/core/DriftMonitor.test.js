@@ -0,0 +1,66 @@
+/**
+ * DriftMonitor unit tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EventBus } from '../../src/core/EventBus.js';
+import { DriftMonitor } from '../../src/core/DriftMonitor.js';
+import { EVENTS, TIMING } from '../../src/config/constants.js';
+
+describe('DriftMonitor', () => {
+  let eventBus;
+  let monitor;
+
+  /**
+   * Complete an interval some milliseconds late and ring a bell from it
+   */
+  function completeLate(lateness, bellType = 'small') {
+    eventBus.dispatch(EVENTS.TIMER_COMPLETE, { drift: lateness, scheduledAt: 1000 });
+    eventBus.dispatch(EVENTS.BELL_RING, { bellType, timestamp: 1000 + lateness });
+  }
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    monitor = new DriftMonitor();
+    monitor.install(eventBus);
+    eventBus.dispatch(EVENTS.TIMER_START, {});
+  });
+
+  it('should record how late each scheduled bell rang', () => {
+    const timings = vi.fn();
+    eventBus.on(EVENTS.BELL_TIMING, timings);
+
+    completeLate(4, 'big');
+    completeLate(30);
+
+    expect(timings).toHaveBeenCalledWith(expect.objectContaining({ bellType: 'big', scheduledAt: 1000, lateness: 4 }));
+    expect(monitor.getSessionSummary()).toMatchObject({
+      bellCount: 2,
+      averageLateness: 17,
+      maxLateness: 30,
+      onTimeRate: 0.5
+    });
+  });
+
+  it('should not measure bells rung on demand', async () => {
+    eventBus.dispatch(EVENTS.TIMER_COMPLETE, { drift: 5, scheduledAt: 1000 });
+    await Promise.resolve();
+    eventBus.dispatch(EVENTS.BELL_RING, { bellType: 'big', phase: 'opening' });
+
+    expect(monitor.getSessionSummary().bellCount).toBe(0);
+  });
+
+  it('should raise the lead time when bells keep ringing late', () => {
+    const changes = vi.fn();
+    eventBus.on(EVENTS.TIMER_LEAD_CHANGED, changes);
+
+    // Throttling and sleep are not drift
+    for (let i = 0; i < 5; i++) completeLate(TIMING.DRIFT_OUTLIER);
+    expect(monitor.getLeadTime()).toBe(0);
+
+    for (let i = 0; i < 5; i++) completeLate(20);
+
+    expect(monitor.getLeadTime()).toBe(20);
+    expect(changes).toHaveBeenCalledWith({ leadTime: 20 });
+  });
+});
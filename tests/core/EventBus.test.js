@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { EventBus } from '../../src/core/EventBus.js';
+import { EventBus, CANCEL_EVENT } from '../../src/core/EventBus.js';
 
 describe('EventBus', () => {
   let eventBus;
@@ -132,11 +132,54 @@ describe('EventBus', () => {
       expect(callback).toHaveBeenCalledWith({ data: 'test', enhanced: true });
     });
 
+    it('should drop events cancelled by middleware', () => {
+      const laterMiddleware = vi.fn((eventType, payload) => payload);
+      const callback = vi.fn();
+      
+      eventBus.use(() => CANCEL_EVENT);
+      eventBus.use(laterMiddleware);
+      eventBus.on('TEST_EVENT', callback);
+      
+      eventBus.dispatch('TEST_EVENT', { data: 'test' });
+      
+      expect(laterMiddleware).not.toHaveBeenCalled();
+      expect(callback).not.toHaveBeenCalled();
+    });
+
     it('should throw TypeError for invalid middleware', () => {
       expect(() => eventBus.use('not a function')).toThrow(TypeError);
     });
   });
 
+  describe('namespace subscriptions', () => {
+    it('should deliver events to their namespace and to every-event listeners', () => {
+      const audio = vi.fn();
+      const all = vi.fn();
+      const exact = vi.fn();
+      eventBus.on('audio:*', audio);
+      eventBus.on('*', all);
+      eventBus.on('audio:volume-change', exact);
+
+      eventBus.dispatch('audio:volume-change', { volume: 0.5 });
+      eventBus.dispatch('timer:start', { mode: 'periodic' });
+
+      expect(exact).toHaveBeenCalledWith({ volume: 0.5 });
+      expect(audio).toHaveBeenCalledTimes(1);
+      expect(audio).toHaveBeenCalledWith({ volume: 0.5 }, 'audio:volume-change');
+      expect(all).toHaveBeenCalledTimes(2);
+      expect(all).toHaveBeenLastCalledWith({ mode: 'periodic' }, 'timer:start');
+    });
+
+    it('should not deliver events cancelled by middleware', () => {
+      const all = vi.fn();
+      eventBus.on('*', all);
+      eventBus.use(() => CANCEL_EVENT);
+
+      eventBus.dispatch('bell:ring', {});
+      expect(all).not.toHaveBeenCalled();
+    });
+  });
+
   describe('clear() method', () => {
     it('should clear all listeners for an event', () => {
       eventBus.on('TEST_EVENT', vi.fn());
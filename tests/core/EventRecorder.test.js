@@ -0,0 +1,94 @@
+/**
+ * EventRecorder and replay unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../src/core/EventBus.js';
+import { EventRecorder } from '../../src/core/EventRecorder.js';
+import { replayRecording } from '../../src/core/EventReplay.js';
+import { TimerEngine } from '../../src/core/TimerEngine.js';
+import { PeriodicMode } from '../../src/core/modes/PeriodicMode.js';
+import { EVENTS, RECORDING } from '../../src/config/constants.js';
+import { clock, systemClock } from '../../src/utils/clock.js';
+
+const CONFIG = {
+  smallBellInterval: 1,
+  bigBellInterval: 2,
+  duration: 5,
+  preparationTime: 1,
+  preparationBell: 'triple'
+};
+
+describe('EventRecorder', () => {
+  let eventBus;
+  let recorder;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date', 'performance'] });
+    vi.setSystemTime(new Date('2026-01-01T08:00:00'));
+    eventBus = new EventBus();
+    recorder = new EventRecorder();
+    recorder.install(eventBus);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  /**
+   * Run a fixed-length sit with a pause to its end, as the app would
+   */
+  function recordSession() {
+    const mode = new PeriodicMode({ ...CONFIG, eventBus });
+    const timer = new TimerEngine({ mode, eventBus });
+
+    mode.onStart(timer);
+    vi.advanceTimersByTime(150 * 1000);
+    timer.pause();
+    vi.advanceTimersByTime(20 * 1000);
+    timer.resume();
+    vi.advanceTimersByTime(10 * 60 * 1000);
+
+    return recorder.export({ mode: 'periodic', config: CONFIG });
+  }
+
+  it('should keep the latest events in a ring buffer', () => {
+    const small = new EventRecorder({ capacity: 3 });
+    small.install(eventBus);
+
+    ['a', 'b', 'c', 'd', 'e'].forEach(name => eventBus.dispatch(`test:${name}`, { name }));
+    eventBus.dispatch(EVENTS.TIMER_TICK, {});
+
+    const recording = small.export();
+    expect(recording.format).toBe(RECORDING.FORMAT);
+    expect(recording.dropped).toBe(2);
+    expect(recording.events.map(event => event.payload.name)).toEqual(['c', 'd', 'e']);
+    expect(recording.events[0]).toMatchObject({ seq: 2, time: Date.now() });
+  });
+
+  it('should replay a recorded session to the same bells', () => {
+    const recording = recordSession();
+    const rung = recording.events.filter(event => event.type === EVENTS.BELL_RING);
+    expect(rung.length).toBeGreaterThan(4);
+
+    const result = replayRecording(JSON.parse(JSON.stringify(recording)));
+
+    expect(result.differences).toEqual([]);
+    expect(result.matches).toBe(true);
+    expect(result.stopReason).toBe('completed');
+    expect(clock.now()).toBe(systemClock.now());
+  });
+
+  it('should report where a replay departs from the recording', () => {
+    const recording = recordSession();
+
+    const result = replayRecording(recording, { config: { ...CONFIG, bigBellInterval: 3 } });
+
+    expect(result.matches).toBe(false);
+    expect(result.differences[0]).toMatch(/^Bell \d+: /);
+  });
+
+  it('should refuse a file that is not a recording', () => {
+    expect(() => replayRecording({ events: [] })).toThrow(/^Invalid recording/);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * EventSchema unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../src/core/EventBus.js';
+import { EventSchemaRegistry, EVENT_SCHEMAS, oneOf } from '../../src/core/EventSchema.js';
+import { EVENTS } from '../../src/config/constants.js';
+
+describe('EventSchemaRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new EventSchemaRegistry(EVENT_SCHEMAS);
+  });
+
+  describe('validate()', () => {
+    it('should accept a payload matching its schema', () => {
+      const result = registry.validate(EVENTS.BELL_RING, {
+        bellType: 'big',
+        pattern: [{ bellType: 'big', delay: 0 }],
+        timestamp: Date.now(),
+        mode: 'periodic',
+        smallBellCount: 2
+      });
+
+      expect(result).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report missing and mistyped fields', () => {
+      const result = registry.validate(EVENTS.BELL_RING, { bellType: 'medium', pattern: [], timestamp: '12:00' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'bellType must be one of big, small',
+        'timestamp must be number'
+      ]);
+    });
+
+    it('should reject a session saved without its wrapper', () => {
+      expect(registry.validate(EVENTS.SESSION_SAVED, { id: 'abc', startTime: 1 }).errors)
+        .toEqual(['session is required']);
+      expect(registry.validate(EVENTS.SESSION_SAVED, { session: { id: 'abc' } }).valid).toBe(true);
+    });
+
+    it('should accept any payload for an unregistered event', () => {
+      expect(registry.validate('custom:event', 42).valid).toBe(true);
+    });
+
+    it('should support optional, union and rule fields', () => {
+      registry.register('test:event', { count: 'number?', label: 'string|null', kind: oneOf('a', 'b') });
+
+      expect(registry.validate('test:event', { label: null, kind: 'a' }).valid).toBe(true);
+      expect(registry.validate('test:event', { count: 'x', kind: 'c' }).errors).toEqual([
+        'count must be number',
+        'label is required',
+        'kind must be one of a, b'
+      ]);
+    });
+  });
+
+  describe('install()', () => {
+    let bus;
+    let warn;
+
+    beforeEach(() => {
+      bus = new EventBus();
+      warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      registry.install(bus);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should report mismatches once, in dev mode only, and pass events on', () => {
+      const listener = vi.fn();
+      bus.on(EVENTS.TIMER_LEAD_CHANGED, listener);
+
+      bus.dispatch(EVENTS.TIMER_LEAD_CHANGED, { leadTime: '20' });
+      expect(warn).not.toHaveBeenCalled();
+
+      bus.setDevMode(true);
+      bus.dispatch(EVENTS.TIMER_LEAD_CHANGED, { leadTime: '20' });
+      bus.dispatch(EVENTS.TIMER_LEAD_CHANGED, { leadTime: '20' });
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toContain('leadTime must be number');
+      expect(listener).toHaveBeenCalledTimes(3);
+    });
+  });
+});
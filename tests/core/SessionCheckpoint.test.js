@@ -0,0 +1,88 @@
+/**
+ * SessionCheckpoint unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionCheckpoint } from '../../src/core/SessionCheckpoint.js';
+import { STORAGE_KEYS } from '../../src/config/constants.js';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+function createState(overrides = {}) {
+  return {
+    mode: 'periodic',
+    config: { smallBellInterval: 5, bigBellInterval: 15 },
+    timer: { state: 'running', phase: 'practice', interval: 60000, startedAt: Date.now(), dueAt: Date.now() + 60000, pausedAt: null },
+    modeState: { endsAt: null },
+    session: { id: 'session-1', startTime: Date.now(), bellsRung: 2 },
+    ...overrides
+  };
+}
+
+describe('SessionCheckpoint', () => {
+  let storage;
+  let checkpoint;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T08:00:00'));
+    storage = createStorage();
+    checkpoint = new SessionCheckpoint({ storage, interval: 15000 });
+  });
+
+  afterEach(() => {
+    checkpoint.stop();
+    vi.useRealTimers();
+  });
+
+  it('should write the running state at intervals and on pagehide', () => {
+    let bellsRung = 0;
+    checkpoint.start(() => createState({ session: { id: 'session-1', startTime: Date.now(), bellsRung } }));
+
+    bellsRung = 3;
+    vi.advanceTimersByTime(15000);
+    expect(checkpoint.load().session.bellsRung).toBe(3);
+
+    bellsRung = 4;
+    window.dispatchEvent(new Event('pagehide'));
+    expect(checkpoint.load().session.bellsRung).toBe(4);
+    expect(checkpoint.load().savedAt).toBe(Date.now());
+  });
+
+  it('should keep the last checkpoint after stopping until cleared', () => {
+    checkpoint.start(() => createState());
+    checkpoint.stop();
+
+    expect(checkpoint.load()).not.toBeNull();
+
+    checkpoint.clear();
+    expect(checkpoint.load()).toBeNull();
+  });
+
+  it('should discard a checkpoint it cannot read', () => {
+    storage.setItem(STORAGE_KEYS.SESSION_CHECKPOINT, '{"version":0}');
+
+    expect(checkpoint.load()).toBeNull();
+    expect(storage.getItem(STORAGE_KEYS.SESSION_CHECKPOINT)).toBeNull();
+  });
+
+  it('should not offer to resume a fixed-length sit that has ended', () => {
+    const endsAt = Date.now() + 60000;
+    const running = { ...createState({ modeState: { endsAt } }), version: 1, savedAt: Date.now() };
+    const paused = { ...running, timer: { ...running.timer, state: 'paused' } };
+
+    expect(checkpoint.canResume(running, endsAt - 1)).toBe(true);
+    expect(checkpoint.canResume(running, endsAt)).toBe(false);
+    expect(checkpoint.canResume(paused, endsAt + 60000)).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * SessionPlanner unit tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { planSession } from '../../src/core/SessionPlanner.js';
+import { BELL_PHASES } from '../../src/config/constants.js';
+
+const MINUTE = 60 * 1000;
+
+describe('SessionPlanner', () => {
+  it('should place the bells of a timed sit at their offsets', () => {
+    const plan = planSession('periodic', { smallBellInterval: 5, bigBellInterval: 15, duration: 20 }, 20 * MINUTE, {
+      startTime: Date.parse('2026-01-01T08:00:00')
+    });
+
+    expect(plan.bells.map(bell => [bell.offset / MINUTE, bell.bellType, bell.phase])).toEqual([
+      [0, 'big', BELL_PHASES.OPENING],
+      [5, 'small', BELL_PHASES.INTERVAL],
+      [10, 'small', BELL_PHASES.INTERVAL],
+      [15, 'big', BELL_PHASES.INTERVAL],
+      [20, 'big', BELL_PHASES.CLOSING]
+    ]);
+    expect(plan.bells.at(-1).pattern).toHaveLength(3);
+    expect(plan.stopReason).toBe('completed');
+  });
+
+  it('should count the sit from the end of the settling-in period', () => {
+    const plan = planSession('periodic', { smallBellInterval: 5, duration: 10, preparationTime: 2 }, 12 * MINUTE, {
+      startTime: Date.parse('2026-01-01T08:00:00')
+    });
+
+    expect(plan.bells.map(bell => [bell.offset / MINUTE, bell.phase])).toEqual([
+      [2, BELL_PHASES.OPENING],
+      [7, BELL_PHASES.INTERVAL],
+      [12, BELL_PHASES.CLOSING]
+    ]);
+    expect(plan.stopReason).toBe('completed');
+  });
+
+  it('should ring clock-based modes by the start time', () => {
+    const plan = planSession('hourly', {}, 90 * MINUTE, { startTime: Date.parse('2026-01-01T08:40:00') });
+
+    expect(plan.bells.map(bell => bell.offset / MINUTE)).toEqual([20, 80]);
+    expect(plan.stopReason).toBeNull();
+  });
+
+  it('should reject unknown modes and empty lengths', () => {
+    expect(() => planSession('chanting', {}, MINUTE)).toThrow('unknown mode chanting');
+    expect(() => planSession('periodic', {}, 0)).toThrow('duration must be a positive number');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * StateManager unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StateManager } from '../../src/core/StateManager.js';
+
+describe('StateManager', () => {
+  let stateManager;
+
+  /**
+   * Submit a mode config the way the app does
+   */
+  function configure(mode, config) {
+    stateManager.setState((state) => ({
+      ...state,
+      timer: { ...state.timer, currentMode: mode, config, mode }
+    }));
+  }
+
+  /**
+   * Set the timer status the way the app's timer listeners do
+   */
+  function setStatus(status) {
+    stateManager.setState((state) => ({
+      ...state,
+      timer: { ...state.timer, status }
+    }));
+  }
+
+  beforeEach(() => {
+    stateManager = new StateManager();
+  });
+
+  describe('undo and redo', () => {
+    it('should undo and redo mode settings', () => {
+      configure('periodic', { smallBellInterval: 5, bigBellInterval: 15 });
+      configure('random', { minInterval: 2, maxInterval: 10 });
+
+      expect(stateManager.undo()).toBe(true);
+      expect(stateManager.get('timer.currentMode')).toBe('periodic');
+      expect(stateManager.get('timer.config')).toEqual({ smallBellInterval: 5, bigBellInterval: 15 });
+
+      expect(stateManager.redo()).toBe(true);
+      expect(stateManager.get('timer.config')).toEqual({ minInterval: 2, maxInterval: 10 });
+      expect(stateManager.redo()).toBe(false);
+    });
+
+    it('should not let ticks push settings out of reach or rewind them', () => {
+      configure('random', { minInterval: 2, maxInterval: 10 });
+      for (let i = 0; i < 100; i++) {
+        stateManager.set('timer.elapsedSeconds', i);
+      }
+
+      expect(stateManager.undo('timer')).toBe(true);
+      expect(stateManager.get('timer.currentMode')).toBe('periodic');
+      expect(stateManager.get('timer.elapsedSeconds')).toBe(99);
+    });
+
+    it('should keep settings while a session runs on them', () => {
+      stateManager.set('ui.theme', 'dark');
+      configure('random', { minInterval: 2, maxInterval: 10 });
+      setStatus('running');
+
+      expect(stateManager.canUndo('timer')).toBe(false);
+      expect(stateManager.undo()).toBe(true);
+      expect(stateManager.get('ui.theme')).toBe('auto');
+      expect(stateManager.get('timer.currentMode')).toBe('random');
+
+      setStatus('stopped');
+      expect(stateManager.undo()).toBe(true);
+      expect(stateManager.get('timer.currentMode')).toBe('periodic');
+    });
+
+    it('should drop the redo branch on a new change', () => {
+      stateManager.set('ui.currentView', 'stats');
+      stateManager.undo();
+      stateManager.set('ui.currentView', 'history');
+
+      expect(stateManager.canRedo()).toBe(false);
+    });
+  });
+
+  describe('persistence', () => {
+    let stores;
+    let writes;
+    let adapters;
+
+    /**
+     * In-memory storage backend that counts writes
+     */
+    function createAdapter(name) {
+      stores[name] = new Map();
+      return {
+        read: (key) => stores[name].get(key),
+        write: (key, value) => {
+          writes.push(key);
+          stores[name].set(key, JSON.parse(JSON.stringify(value)));
+        }
+      };
+    }
+
+    function enable(options = {}) {
+      return stateManager.enablePersistence({
+        paths: [
+          { path: 'ui.theme', storage: 'local' },
+          { path: 'user.preferences', storage: 'local', key: 'prefs' },
+          { path: 'timer.config', storage: 'indexeddb' }
+        ],
+        version: '1.2.0',
+        throttle: 1000,
+        adapters,
+        ...options
+      });
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      stores = {};
+      writes = [];
+      adapters = { local: createAdapter('local'), indexeddb: createAdapter('indexeddb') };
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should restore stored values, merging objects over the defaults', async () => {
+      stores.local.set('awakening-bell:state:ui.theme', 'dark');
+      stores.local.set('prefs', { audio: { volume: 0.3 } });
+      stores.local.set('awakening-bell:version', '1.2.0');
+
+      const result = await enable();
+
+      expect(result).toEqual({ restored: ['ui.theme', 'user.preferences'], migratedFrom: null });
+      expect(stateManager.get('ui.theme')).toBe('dark');
+      expect(stateManager.get('user.preferences.audio')).toEqual({ volume: 0.3 });
+      expect(stateManager.get('user.preferences.timer')).toBeDefined();
+      expect(stateManager.canUndo()).toBe(false);
+    });
+
+    it('should throttle writes and skip unpersisted changes', async () => {
+      await enable();
+      writes = [];
+
+      for (let i = 0; i < 20; i++) {
+        stateManager.set('timer.elapsedSeconds', i);
+      }
+      stateManager.set('ui.theme', 'dark');
+      stateManager.set('ui.theme', 'light');
+      expect(writes).toEqual([]);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(writes).toEqual(['awakening-bell:state:ui.theme']);
+      expect(stores.local.get('awakening-bell:state:ui.theme')).toBe('light');
+    });
+
+    it('should run the migrations between the stored and current versions', async () => {
+      stores.local.set('awakening-bell:version', '1.0.0');
+      stores.indexeddb.set('awakening-bell:state:timer.config', { smallInterval: 5 });
+
+      const migrated = [];
+      const result = await enable({
+        migrations: [
+          { version: '1.3.0', migrate: () => { throw new Error('Too new'); } },
+          {
+            version: '1.1.0',
+            migrate: (values) => {
+              migrated.push('1.1.0');
+              const { smallInterval, ...config } = values['timer.config'];
+              return { ...values, 'timer.config': { ...config, smallBellInterval: smallInterval } };
+            }
+          },
+          { version: '1.0.0', migrate: () => { throw new Error('Already applied'); } }
+        ]
+      });
+
+      expect(result.migratedFrom).toBe('1.0.0');
+      expect(migrated).toEqual(['1.1.0']);
+      expect(stateManager.get('timer.config').smallBellInterval).toBe(5);
+      expect(stores.indexeddb.get('awakening-bell:state:timer.config').smallBellInterval).toBe(5);
+      expect(stores.local.get('awakening-bell:version')).toBe('1.2.0');
+    });
+  });
+
+  describe('restore', () => {
+    it('should restore the undoable parts of a history entry', () => {
+      stateManager.set('ui.theme', 'dark');
+      stateManager.set('ui.isMenuOpen', true);
+      stateManager.set('ui.theme', 'light');
+
+      expect(stateManager.restore(0)).toBe(true);
+      expect(stateManager.get('ui.theme')).toBe('dark');
+      expect(stateManager.get('ui.isMenuOpen')).toBe(true);
+
+      stateManager.undo();
+      expect(stateManager.get('ui.theme')).toBe('light');
+    });
+
+    it('should reject an index that is not a whole number', () => {
+      expect(() => stateManager.restore(1.5)).toThrow(RangeError);
+      expect(stateManager.restore(99)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * TabCoordinator unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../src/core/EventBus.js';
+import { TabCoordinator } from '../../src/core/TabCoordinator.js';
+import { EVENTS, TIMING } from '../../src/config/constants.js';
+
+describe('TabCoordinator', () => {
+  let channels;
+  let tabs;
+
+  /**
+   * In-memory stand-in for BroadcastChannel; messages reach the other
+   * channels asynchronously, as in a browser
+   */
+  function createChannel() {
+    const channel = {
+      onmessage: null,
+      postMessage(data) {
+        const copy = structuredClone(data);
+        channels.forEach(other => {
+          if (other !== channel) {
+            Promise.resolve().then(() => other.onmessage?.({ data: copy }));
+          }
+        });
+      },
+      close() {
+        channels.delete(channel);
+      }
+    };
+    channels.add(channel);
+    return channel;
+  }
+
+  /**
+   * Open a tab a second after the last one
+   */
+  function openTab() {
+    vi.advanceTimersByTime(1000);
+    const bus = new EventBus();
+    const coordinator = new TabCoordinator();
+    const tab = { bus, coordinator, leaderChanges: vi.fn(), states: vi.fn(), commands: vi.fn() };
+
+    bus.on(EVENTS.TAB_LEADER_CHANGED, tab.leaderChanges);
+    bus.on(EVENTS.TAB_STATE, tab.states);
+    bus.on(EVENTS.TAB_COMMAND, tab.commands);
+    coordinator.install(bus, { createChannel });
+
+    tabs.push(tab);
+    return tab;
+  }
+
+  /**
+   * Report a timer status the way the app's state changes do
+   */
+  function setStatus(tab, status, elapsed = 0) {
+    tab.bus.dispatch(EVENTS.STATE_CHANGED, { state: { timer: { status, elapsed, mode: 'periodic' } }, previousState: null });
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    channels = new Set();
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach(tab => tab.coordinator.uninstall());
+    vi.useRealTimers();
+  });
+
+  it('should elect the first tab and have later tabs follow it', async () => {
+    const first = openTab();
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_ELECTION_DELAY);
+    const second = openTab();
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_ELECTION_DELAY);
+
+    expect(first.coordinator.isLeader).toBe(true);
+    expect(second.coordinator.isLeader).toBe(false);
+    expect(second.coordinator.leaderId).toBe(first.coordinator.tabId);
+  });
+
+  it('should mirror the leader\'s timer and relay commands to it', async () => {
+    const leader = openTab();
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_ELECTION_DELAY);
+    const follower = openTab();
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_ELECTION_DELAY);
+
+    setStatus(leader, 'running', 42);
+    setStatus(leader, 'running', 42);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(follower.states).toHaveBeenCalledTimes(1);
+    expect(follower.states.mock.calls[0][0].timer).toMatchObject({ status: 'running', elapsed: 42 });
+
+    expect(follower.coordinator.sendCommand('pause')).toBe(true);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(leader.commands).toHaveBeenCalledWith({ action: 'pause', from: follower.coordinator.tabId });
+    expect(() => follower.coordinator.sendCommand('start')).toThrow('Invalid tab command');
+  });
+
+  it('should hand the lead on when the leader closes or goes quiet', async () => {
+    const first = openTab();
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_ELECTION_DELAY);
+    const second = openTab();
+    const third = openTab();
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_ELECTION_DELAY);
+
+    first.coordinator.uninstall();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(second.coordinator.isLeader).toBe(true);
+    expect(third.coordinator.leaderId).toBe(second.coordinator.tabId);
+
+    // A leader that stops answering without saying goodbye
+    second.coordinator.channel.onmessage = null;
+    clearInterval(second.coordinator.heartbeatTimer);
+    channels.delete(second.coordinator.channel);
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_LEADER_TIMEOUT + TIMING.TAB_HEARTBEAT);
+    expect(third.coordinator.isLeader).toBe(true);
+  });
+
+  it('should let a tab starting a session take the lead', async () => {
+    const first = openTab();
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_ELECTION_DELAY);
+    const second = openTab();
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_ELECTION_DELAY);
+
+    second.coordinator.claim();
+    setStatus(second, 'running');
+    await vi.advanceTimersByTimeAsync(TIMING.TAB_HEARTBEAT * 3);
+
+    expect(second.coordinator.isLeader).toBe(true);
+    expect(first.coordinator.isLeader).toBe(false);
+    expect(first.leaderChanges).toHaveBeenLastCalledWith({ isLeader: false, leaderId: second.coordinator.tabId });
+  });
+});
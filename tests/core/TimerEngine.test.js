@@ -0,0 +1,157 @@
+/**
+ * TimerEngine unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../src/core/EventBus.js';
+import { TimerEngine } from '../../src/core/TimerEngine.js';
+import { EVENTS } from '../../src/config/constants.js';
+
+/**
+ * Mode stand-in that rings once, an interval after the timer starts
+ */
+function createModeStub(intervalMs) {
+  return {
+    name: 'stub',
+    dueAt: null,
+    onStart(timer) {
+      this.dueAt = Date.now() + intervalMs;
+      timer.scheduleNext(intervalMs);
+    },
+    onComplete: vi.fn(),
+    getUpcomingBell() {
+      return { time: this.dueAt, bellType: 'big', pattern: [{ bellType: 'big', gap: 0 }] };
+    }
+  };
+}
+
+/**
+ * Switch the page between hidden and visible
+ */
+function setHidden(hidden) {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('TimerEngine', () => {
+  let eventBus;
+  let timer;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date', 'performance'] });
+    vi.setSystemTime(new Date('2026-01-01T08:00:00'));
+    eventBus = new EventBus();
+  });
+
+  afterEach(() => {
+    timer?.stop();
+    delete document.hidden;
+    vi.useRealTimers();
+  });
+
+  it('should complete an interval on a timeout clock', () => {
+    const mode = createModeStub(60 * 1000);
+    timer = new TimerEngine({ mode, eventBus });
+
+    mode.onStart(timer);
+    vi.advanceTimersByTime(60 * 1000);
+
+    expect(mode.onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('should announce the upcoming bell once it is within the preschedule window', () => {
+    const upcoming = vi.fn();
+    eventBus.on(EVENTS.BELL_UPCOMING, upcoming);
+    const mode = createModeStub(10 * 60 * 1000);
+    timer = new TimerEngine({ mode, eventBus });
+
+    mode.onStart(timer);
+    expect(upcoming).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(6 * 60 * 1000);
+    expect(upcoming).toHaveBeenCalledTimes(1);
+    expect(upcoming).toHaveBeenCalledWith(expect.objectContaining({ time: mode.dueAt, mode: 'stub' }));
+  });
+
+  it('should not announce a bell the mode has not due when the interval ends', () => {
+    const upcoming = vi.fn();
+    eventBus.on(EVENTS.BELL_UPCOMING, upcoming);
+    const mode = createModeStub(10 * 60 * 1000);
+    timer = new TimerEngine({ mode, eventBus });
+
+    mode.onStart(timer);
+    mode.dueAt -= 3 * 60 * 1000;
+    vi.advanceTimersByTime(6 * 60 * 1000);
+
+    expect(upcoming).not.toHaveBeenCalled();
+  });
+
+  it('should announce the upcoming bell as soon as the page is hidden', () => {
+    const upcoming = vi.fn();
+    eventBus.on(EVENTS.BELL_UPCOMING, upcoming);
+    const mode = createModeStub(30 * 60 * 1000);
+    timer = new TimerEngine({ mode, eventBus });
+
+    mode.onStart(timer);
+    setHidden(true);
+
+    expect(upcoming).toHaveBeenCalledTimes(1);
+  });
+
+  it('should catch up from wall time when the page becomes visible', () => {
+    const mode = createModeStub(5 * 60 * 1000);
+    timer = new TimerEngine({ mode, eventBus });
+
+    mode.onStart(timer);
+    setHidden(true);
+
+    // The device slept: the wall clock moved on, timers and performance.now() did not
+    vi.setSystemTime(Date.now() + 6 * 60 * 1000);
+    setHidden(false);
+
+    expect(mode.onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('should pick up a checkpointed interval after a reload', () => {
+    const mode = createModeStub(60 * 1000);
+    const previous = new TimerEngine({ mode, eventBus });
+
+    mode.onStart(previous);
+    vi.advanceTimersByTime(20 * 1000);
+    const checkpoint = JSON.parse(JSON.stringify(previous.getCheckpoint()));
+    previous.stop();
+
+    // The page was gone for half a minute
+    vi.setSystemTime(Date.now() + 30 * 1000);
+    const started = vi.fn();
+    eventBus.on(EVENTS.TIMER_START, started);
+    timer = new TimerEngine({ mode, eventBus });
+    timer.restore(checkpoint);
+
+    expect(started).toHaveBeenCalledWith(expect.objectContaining({ restored: true }));
+    vi.advanceTimersByTime(9 * 1000);
+    expect(mode.onComplete).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1000);
+    expect(mode.onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let the mode re-arm when the wall clock is set back', () => {
+    const mode = createModeStub(60 * 60 * 1000);
+    mode.onClockChange = vi.fn();
+    const changed = vi.fn();
+    eventBus.on(EVENTS.TIMER_CLOCK_CHANGED, changed);
+    timer = new TimerEngine({ mode, eventBus });
+
+    mode.onStart(timer);
+    vi.advanceTimersByTime(5000);
+    expect(changed).not.toHaveBeenCalled();
+
+    // Date.now() moves back; the monotonic clock runs on
+    vi.setSystemTime(Date.now() - 30 * 60 * 1000);
+    vi.advanceTimersByTime(1000);
+
+    const change = { reason: 'jump', jump: -30 * 60 * 1000 };
+    expect(changed).toHaveBeenCalledWith(expect.objectContaining(change));
+    expect(mode.onClockChange).toHaveBeenCalledWith(timer, expect.objectContaining(change));
+  });
+});
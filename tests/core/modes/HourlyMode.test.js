@@ -0,0 +1,118 @@
+/**
+ * HourlyMode unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { HourlyMode } from '../../../src/core/modes/HourlyMode.js';
+import { DAY_MASKS } from '../../../src/config/constants.js';
+
+describe('HourlyMode', () => {
+  let eventBus;
+  let timer;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    eventBus = new EventBus();
+    timer = { scheduleNext: vi.fn(), stop: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('weekly schedule', () => {
+    it('should carry the window over to the next day', () => {
+      vi.setSystemTime(new Date('2026-01-05T21:30:00'));
+      const mode = new HourlyMode({ onlyDuringHours: { start: '09:00', end: '21:00' }, eventBus });
+
+      mode.onStart(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-06T09:00:00'));
+    });
+
+    it('should skip weekend days when limited to weekdays', () => {
+      // Friday evening
+      vi.setSystemTime(new Date('2026-01-02T21:30:00'));
+      const mode = new HourlyMode({
+        onlyDuringHours: { start: '09:00', end: '21:00' },
+        schedule: { days: DAY_MASKS.WEEKDAYS },
+        eventBus
+      });
+
+      mode.onStart(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-05T09:00:00'));
+    });
+
+    it('should use a day override in place of the everyday window', () => {
+      // Friday evening, Saturday starts later
+      vi.setSystemTime(new Date('2026-01-02T21:30:00'));
+      const mode = new HourlyMode({
+        onlyDuringHours: { start: '09:00', end: '21:00' },
+        schedule: { perDay: { sat: { start: '11:00', end: '18:00' } } },
+        eventBus
+      });
+
+      mode.onStart(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-03T11:00:00'));
+    });
+  });
+
+  describe('quiet windows', () => {
+    it('should ring through an allowed window that wraps past midnight', () => {
+      vi.setSystemTime(new Date('2026-01-05T23:30:00'));
+      const mode = new HourlyMode({ onlyDuringHours: { start: '21:00', end: '06:00' }, eventBus });
+
+      mode.onStart(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-06T00:00:00'));
+    });
+
+    it('should carry an overnight day override into the next morning only', () => {
+      // Friday night, Friday rings through the night
+      vi.setSystemTime(new Date('2026-01-02T23:30:00'));
+      const config = {
+        onlyDuringHours: { start: '09:00', end: '17:00' },
+        schedule: { perDay: { fri: { start: '21:00', end: '06:00' } } },
+        eventBus
+      };
+      const mode = new HourlyMode(config);
+
+      mode.onStart(timer);
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-03T00:00:00'));
+
+      // Early Saturday after Friday's window has closed
+      vi.setSystemTime(new Date('2026-01-03T06:30:00'));
+      const morning = new HourlyMode(config);
+
+      morning.onStart(timer);
+      expect(new Date(morning.getNextBell().time)).toEqual(new Date('2026-01-03T09:00:00'));
+
+      // Friday morning waits for Friday's own window; Thursday's does not run into it
+      vi.setSystemTime(new Date('2026-01-01T23:30:00'));
+      const thursday = new HourlyMode(config);
+
+      thursday.onStart(timer);
+      expect(new Date(thursday.getNextBell().time)).toEqual(new Date('2026-01-02T21:00:00'));
+    });
+
+    it('should skip every quiet window, including overnight ones', () => {
+      vi.setSystemTime(new Date('2026-01-05T21:30:00'));
+      const mode = new HourlyMode({
+        quietHours: [{ start: '22:00', end: '07:00' }, { start: '07:00', end: '08:00' }],
+        eventBus
+      });
+
+      mode.onStart(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-06T08:00:00'));
+    });
+
+    it('should reject a window that starts and ends at the same time', () => {
+      expect(() => new HourlyMode({ quietHours: [{ start: '12:00', end: '12:00' }], eventBus }))
+        .toThrow(/Invalid quiet hours/);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * PeriodicMode unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { PeriodicMode } from '../../../src/core/modes/PeriodicMode.js';
+import { EVENTS } from '../../../src/config/constants.js';
+
+/**
+ * Minimal stand-in for TimerEngine that records scheduling calls
+ */
+function createTimerStub() {
+  return {
+    scheduleNext: vi.fn(),
+    startPreparation: vi.fn(),
+    stop: vi.fn()
+  };
+}
+
+describe('PeriodicMode', () => {
+  let eventBus;
+  let bells;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T08:00:00'));
+    eventBus = new EventBus();
+    bells = [];
+    eventBus.on(EVENTS.BELL_RING, (data) => bells.push(data));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('fixed duration', () => {
+    it('should reject an out-of-range duration', () => {
+      expect(() => new PeriodicMode({ duration: 1000, eventBus })).toThrow(/Invalid duration/);
+    });
+
+    it('should ring an opening bell on start', () => {
+      const mode = new PeriodicMode({ smallBellInterval: 5, duration: 12, eventBus });
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+
+      expect(bells).toHaveLength(1);
+      expect(bells[0].phase).toBe('opening');
+      expect(timer.scheduleNext).toHaveBeenCalledWith(5 * 60 * 1000);
+    });
+
+    it('should wake at the planned end instead of the next interval bell', () => {
+      const mode = new PeriodicMode({ smallBellInterval: 5, duration: 12, eventBus });
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      mode.onComplete(timer);
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      mode.onComplete(timer);
+
+      expect(timer.scheduleNext).toHaveBeenLastCalledWith(2 * 60 * 1000);
+    });
+
+    it('should ring the closing sequence and stop the timer at the end', () => {
+      const mode = new PeriodicMode({ smallBellInterval: 5, duration: 10, eventBus });
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      mode.onComplete(timer);
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      mode.onComplete(timer);
+
+      expect(bells.map(bell => bell.phase)).toEqual(['opening', 'interval', 'closing']);
+      expect(bells[2].strikes).toBeGreaterThan(1);
+      expect(timer.stop).toHaveBeenCalledWith('completed');
+    });
+
+    it('should run open-ended when duration is 0', () => {
+      const mode = new PeriodicMode({ smallBellInterval: 5, eventBus });
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      mode.onComplete(timer);
+
+      expect(bells.map(bell => bell.phase)).toEqual(['interval']);
+      expect(timer.stop).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('preparation', () => {
+    it('should settle in before counting intervals', () => {
+      const mode = new PeriodicMode({ smallBellInterval: 5, preparationTime: 2, eventBus });
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+
+      expect(timer.startPreparation).toHaveBeenCalledWith(2 * 60 * 1000);
+      expect(timer.scheduleNext).not.toHaveBeenCalled();
+      expect(mode.getNextBell()).toBeNull();
+    });
+
+    it('should ring the settling bell when configured', () => {
+      const mode = new PeriodicMode({ preparationTime: 2, preparationBell: 'triple', eventBus });
+
+      mode.onStart(createTimerStub());
+
+      expect(bells).toHaveLength(1);
+      expect(bells[0]).toMatchObject({ phase: 'preparation', strikes: 3 });
+    });
+
+    it('should count the first interval from the end of preparation', () => {
+      const mode = new PeriodicMode({ smallBellInterval: 5, duration: 20, preparationTime: 2, eventBus });
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+      vi.advanceTimersByTime(2 * 60 * 1000);
+      mode.onPrepared(timer);
+
+      expect(timer.scheduleNext).toHaveBeenCalledWith(5 * 60 * 1000);
+      expect(bells.map(bell => bell.phase)).toEqual(['opening']);
+      expect(mode.getStats().remainingTime).toBe(20 * 60 * 1000);
+    });
+
+    it('should reject an unknown settling bell', () => {
+      expect(() => new PeriodicMode({ preparationTime: 1, preparationBell: 'gong', eventBus }))
+        .toThrow(/Invalid preparation/);
+    });
+  });
+
+  describe('wall-clock alignment', () => {
+    beforeEach(() => {
+      vi.setSystemTime(new Date('2026-01-01T10:07:00'));
+    });
+
+    it('should schedule the first bell on the next quarter hour', () => {
+      const timer = createTimerStub();
+      const mode = new PeriodicMode({ smallBellInterval: 15, bigBellInterval: 60, align: true, eventBus });
+
+      mode.onStart(timer);
+
+      expect(timer.scheduleNext).toHaveBeenLastCalledWith(8 * 60 * 1000);
+      expect(mode.getNextBell().time).toBe(new Date('2026-01-01T10:15:00').getTime());
+    });
+
+    it('should shift the grid by the offset', () => {
+      const timer = createTimerStub();
+      const mode = new PeriodicMode({ smallBellInterval: 15, align: true, alignOffset: 5, eventBus });
+
+      mode.onStart(timer);
+
+      expect(timer.scheduleNext).toHaveBeenLastCalledWith(13 * 60 * 1000);
+    });
+
+    it('should return to the grid after a pause', () => {
+      const timer = createTimerStub();
+      const mode = new PeriodicMode({ smallBellInterval: 15, align: true, eventBus });
+
+      mode.onStart(timer);
+      vi.setSystemTime(new Date('2026-01-01T10:22:00'));
+      mode.onResume(timer, 12 * 60 * 1000);
+
+      expect(timer.scheduleNext).toHaveBeenLastCalledWith(8 * 60 * 1000);
+    });
+
+    it('should reject an offset that is not below the interval', () => {
+      expect(() => new PeriodicMode({ smallBellInterval: 15, align: true, alignOffset: 15, eventBus }))
+        .toThrow(/Invalid alignment/);
+    });
+  });
+
+  describe('bell patterns', () => {
+    it('should ring the configured opening and closing patterns', () => {
+      const closingPattern = [{ bellType: 'small', gap: 0 }, { bellType: 'big', gap: 2000 }];
+      const mode = new PeriodicMode({
+        smallBellInterval: 5,
+        duration: 5,
+        openingPattern: 'three-to-open',
+        closingPattern,
+        eventBus
+      });
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      mode.onComplete(timer);
+
+      expect(bells[0].pattern).toHaveLength(3);
+      expect(bells[0].pattern.every(strike => strike.bellType === 'big')).toBe(true);
+      expect(bells[1]).toMatchObject({ phase: 'closing', bellType: 'small', pattern: closingPattern });
+    });
+
+    it('should ring interval bells as single-strike patterns', () => {
+      const mode = new PeriodicMode({ smallBellInterval: 5, eventBus });
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      mode.onComplete(timer);
+
+      expect(bells[0].pattern).toEqual([{ bellType: 'small', gap: 0 }]);
+    });
+
+    it('should reject an unknown pattern', () => {
+      expect(() => new PeriodicMode({ closingPattern: 'gong', eventBus })).toThrow(/Invalid bell pattern/);
+    });
+  });
+
+  describe('checkpoints', () => {
+    it('should carry counts and bell times over to a new instance', () => {
+      const config = { smallBellInterval: 5, bigBellInterval: 15, duration: 30, eventBus };
+      const mode = new PeriodicMode(config);
+      const timer = createTimerStub();
+
+      mode.onStart(timer);
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      mode.onComplete(timer);
+
+      const state = JSON.parse(JSON.stringify(mode.getCheckpoint()));
+      const restored = new PeriodicMode(config);
+      restored.restoreCheckpoint(state);
+
+      expect(state.endsAt).toBe(new Date('2026-01-01T08:30:00').getTime());
+      expect(restored.getStats().smallBellCount).toBe(1);
+      expect(restored.getNextBell()).toEqual(mode.getNextBell());
+    });
+  });
+});
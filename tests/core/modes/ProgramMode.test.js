@@ -0,0 +1,102 @@
+/**
+ * ProgramMode unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { ProgramMode } from '../../../src/core/modes/ProgramMode.js';
+import { EVENTS } from '../../../src/config/constants.js';
+
+const SEGMENTS = [
+  { label: 'Sitting', duration: 20, bellType: 'big', strikes: 3, interval: 0 },
+  { label: 'Walking', duration: 10, bellType: 'small', strikes: 1, interval: 0 }
+];
+
+describe('ProgramMode', () => {
+  let eventBus;
+  let bells;
+  let timer;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T08:00:00'));
+    eventBus = new EventBus();
+    bells = [];
+    eventBus.on(EVENTS.BELL_RING, (data) => bells.push(data));
+    timer = { scheduleNext: vi.fn(), stop: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should reject an empty program', () => {
+    expect(() => new ProgramMode({ segments: [], eventBus })).toThrow(/Invalid program/);
+  });
+
+  it('should reject strike gaps out of range and keep a gap of 0', () => {
+    expect(() => new ProgramMode({ segments: [{ ...SEGMENTS[0], gap: 60000 }], eventBus }))
+      .toThrow(/Segment 1 gap must be between 0 and 30000 ms/);
+    expect(() => new ProgramMode({ segments: [{ ...SEGMENTS[0], strikes: 0 }], eventBus }))
+      .toThrow(/Segment 1 strikes must be between 1/);
+
+    const mode = new ProgramMode({ segments: [{ ...SEGMENTS[0], gap: 0 }], eventBus });
+    mode.onStart(timer);
+
+    expect(bells[0].pattern.map(strike => strike.gap)).toEqual([0, 0, 0]);
+  });
+
+  it('should open the first segment with its bell pattern', () => {
+    const mode = new ProgramMode({ segments: SEGMENTS, eventBus });
+
+    mode.onStart(timer);
+
+    expect(bells[0]).toMatchObject({ phase: 'segment', bellType: 'big', strikes: 3, segment: 'Sitting' });
+    expect(timer.scheduleNext).toHaveBeenCalledWith(20 * 60 * 1000);
+  });
+
+  it('should move to the next segment and announce it', () => {
+    const mode = new ProgramMode({ segments: SEGMENTS, eventBus });
+    const segmentStarts = [];
+    eventBus.on(EVENTS.PROGRAM_SEGMENT_START, (data) => segmentStarts.push(data));
+
+    mode.onStart(timer);
+    vi.advanceTimersByTime(20 * 60 * 1000);
+    mode.onComplete(timer);
+
+    expect(segmentStarts.map(segment => segment.label)).toEqual(['Sitting', 'Walking']);
+    expect(segmentStarts[1]).toMatchObject({ index: 1, total: 2, next: null });
+    expect(bells[1]).toMatchObject({ bellType: 'small', segment: 'Walking' });
+  });
+
+  it('should close after the last segment and record the breakdown', () => {
+    const mode = new ProgramMode({ segments: SEGMENTS, eventBus });
+
+    mode.onStart(timer);
+    vi.advanceTimersByTime(20 * 60 * 1000);
+    mode.onComplete(timer);
+    vi.advanceTimersByTime(10 * 60 * 1000);
+    mode.onComplete(timer);
+
+    expect(bells.map(bell => bell.phase)).toEqual(['segment', 'segment', 'closing']);
+    expect(timer.stop).toHaveBeenCalledWith('completed');
+    expect(mode.getBreakdown().every(entry => entry.endedAt !== null)).toBe(true);
+  });
+
+  it('should push the running segment back by a pause', () => {
+    const mode = new ProgramMode({
+      segments: [{ label: 'Sitting', duration: 10, bellType: 'big', strikes: 1, interval: 4 }, SEGMENTS[1]],
+      eventBus
+    });
+
+    mode.onStart(timer);
+    const startedAt = mode.getBreakdown()[0].startedAt;
+    vi.advanceTimersByTime(7 * 60 * 1000);
+    mode.onResume(timer, 5 * 60 * 1000);
+
+    expect(mode.getCurrentSegment().remaining).toBe(8 * 60 * 1000);
+    expect(mode.getUpcomingBell().time).toBe(Date.now() + 2 * 60 * 1000);
+    expect(mode.getBreakdown()[0].startedAt).toBe(startedAt + 5 * 60 * 1000);
+    expect(timer.scheduleNext).toHaveBeenLastCalledWith(2 * 60 * 1000);
+  });
+});
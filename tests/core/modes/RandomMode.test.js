@@ -0,0 +1,144 @@
+/**
+ * RandomMode unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { RandomMode } from '../../../src/core/modes/RandomMode.js';
+import { EVENTS, RANDOM_DISTRIBUTIONS } from '../../../src/config/constants.js';
+import { createSeededRandom, sampleDistribution, planRandomSchedule } from '../../../src/utils/random.js';
+
+/**
+ * Minimal stand-in for TimerEngine that records scheduling calls
+ */
+function createTimerStub() {
+  return {
+    scheduleNext: vi.fn(),
+    startPreparation: vi.fn(),
+    stop: vi.fn()
+  };
+}
+
+describe('RandomMode', () => {
+  let eventBus;
+  let bells;
+
+  /**
+   * Run a sit and collect its first bells as [minutes after start, bell type]
+   */
+  function ringBells(config, count) {
+    const mode = new RandomMode({ minInterval: 2, maxInterval: 10, eventBus, ...config });
+    const timer = createTimerStub();
+    const start = Date.now();
+
+    mode.onStart(timer);
+    for (let i = 0; i < count; i++) {
+      vi.setSystemTime(mode.getNextBell().time);
+      mode.onComplete(timer);
+    }
+
+    return bells.splice(0).map(bell => [(bell.timestamp - start) / 60000, bell.bellType]);
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T08:00:00'));
+    eventBus = new EventBus();
+    bells = [];
+    eventBus.on(EVENTS.BELL_RING, (data) => bells.push(data));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should repeat the same sequence for the same seed', () => {
+    const first = ringBells({ seed: 'dawn', distribution: 'uniform' }, 6);
+    vi.setSystemTime(new Date('2026-01-02T08:00:00'));
+    const second = ringBells({ seed: 'dawn', distribution: 'uniform' }, 6);
+
+    expect(second).toEqual(first);
+  });
+
+  it('should never ring two big bells in a row when asked not to', () => {
+    const sequence = ringBells({ seed: 7, bigBellProbability: 0.9, noConsecutiveBig: true }, 20);
+    const types = sequence.map(([, bellType]) => bellType);
+
+    expect(types).toContain('big');
+    types.slice(1).forEach((bellType, index) => {
+      expect(bellType === 'big' && types[index] === 'big').toBe(false);
+    });
+  });
+
+  it('should weight big and small bells', () => {
+    const types = ringBells({ seed: 3, bigBellProbability: 0 }, 10).map(([, bellType]) => bellType);
+
+    expect(new Set(types)).toEqual(new Set(['small']));
+  });
+
+  it('should keep every distribution within the range', () => {
+    const random = createSeededRandom(42);
+
+    Object.values(RANDOM_DISTRIBUTIONS).forEach(distribution => {
+      for (let i = 0; i < 200; i++) {
+        const value = sampleDistribution(distribution, 2, 10, random);
+        expect(value).toBeGreaterThanOrEqual(2);
+        expect(value).toBeLessThanOrEqual(10);
+      }
+    });
+  });
+
+  it('should reject an unknown distribution', () => {
+    expect(() => new RandomMode({ distribution: 'poisson', eventBus })).toThrow(/Invalid distribution/);
+  });
+
+  describe('planned sits', () => {
+    it('should plan the same bells a seeded sit rings', () => {
+      const config = { duration: 30, minInterval: 2, maxInterval: 10, seed: 'dawn' };
+      const plan = planRandomSchedule(config);
+      // Skip the opening bell
+      const rung = ringBells(config, plan.length).slice(1);
+
+      expect(plan.length).toBeGreaterThan(0);
+      expect(plan[plan.length - 1].at).toBeLessThan(30);
+      rung.forEach(([at, bellType], index) => {
+        expect(at).toBeCloseTo(plan[index].at, 3);
+        expect(bellType).toBe(plan[index].bellType);
+      });
+    });
+
+    it('should follow a given plan once, close the sit after it and keep it out of the config', () => {
+      const plannedSchedule = [{ at: 4, bellType: 'small' }, { at: 9.5, bellType: 'big' }];
+      const rung = ringBells({ duration: 12, preplanned: true, plannedSchedule }, 3);
+
+      expect(rung).toEqual([
+        [0, 'big'],
+        [4, 'small'],
+        [9.5, 'big'],
+        [12, 'big']
+      ]);
+
+      const mode = new RandomMode({ duration: 12, preplanned: true, plannedSchedule, eventBus });
+      mode.onStart(createTimerStub());
+      expect(mode.getSchedule()).toEqual(plannedSchedule);
+      expect(mode.getConfig().plannedSchedule).toBeNull();
+    });
+
+    it('should push the plan back by a pause', () => {
+      const mode = new RandomMode({ duration: 12, preplanned: true, plannedSchedule: [{ at: 4, bellType: 'small' }], eventBus });
+      const timer = createTimerStub();
+      const start = Date.now();
+
+      mode.onStart(timer);
+      mode.onResume(timer, 60000);
+
+      expect(mode.getNextBell().time).toBe(start + 5 * 60000);
+      expect(mode.getStats().remainingTime).toBe(13 * 60000);
+    });
+
+    it('should reject a plan that runs past the sit', () => {
+      expect(() => new RandomMode({ duration: 10, preplanned: true, plannedSchedule: [{ at: 12, bellType: 'big' }], eventBus }))
+        .toThrow(/Invalid planned schedule/);
+    });
+  });
+});
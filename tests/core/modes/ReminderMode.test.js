@@ -0,0 +1,111 @@
+/**
+ * ReminderMode unit tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../../../src/core/EventBus.js';
+import { ReminderMode } from '../../../src/core/modes/ReminderMode.js';
+import { DAY_MASKS } from '../../../src/config/constants.js';
+
+describe('ReminderMode', () => {
+  let eventBus;
+  let timer;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    eventBus = new EventBus();
+    timer = { scheduleNext: vi.fn(), stop: vi.fn() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('weekly schedule', () => {
+    it('should skip disabled days when looking ahead', () => {
+      // Friday evening, reminders on weekdays only
+      vi.setSystemTime(new Date('2026-01-02T20:00:00'));
+      const mode = new ReminderMode({
+        times: ['07:00'],
+        schedule: { days: DAY_MASKS.WEEKDAYS },
+        eventBus
+      });
+
+      mode.onStart(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-05T07:00:00'));
+    });
+
+    it('should use per-day times when a day overrides them', () => {
+      // Friday evening, later reminder on Saturday
+      vi.setSystemTime(new Date('2026-01-02T20:00:00'));
+      const mode = new ReminderMode({
+        times: ['07:00'],
+        schedule: { perDay: { sat: ['09:30'] } },
+        eventBus
+      });
+
+      mode.onStart(timer);
+
+      expect(mode.getNextBell()).toMatchObject({ reminderTime: '09:30' });
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-03T09:30:00'));
+    });
+
+    it('should find a passed time on the same weekday next week', () => {
+      // Monday 08:00, reminder only on Mondays at 07:00
+      vi.setSystemTime(new Date('2026-01-05T08:00:00'));
+      const mode = new ReminderMode({
+        times: ['07:00'],
+        schedule: { days: 0b0000010 },
+        eventBus
+      });
+
+      mode.onStart(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-01-12T07:00:00'));
+    });
+
+    it('should reject an unknown day', () => {
+      expect(() => new ReminderMode({ times: ['07:00'], schedule: { perDay: { funday: [] } }, eventBus }))
+        .toThrow(/Invalid schedule/);
+    });
+  });
+
+  // The test run is set to Europe/London (tests/setup/timezone.js)
+  describe('clock changes', () => {
+    it('should ring a time the clocks skip as they go forward', () => {
+      // 00:30 GMT; at 01:00 the clocks go to 02:00
+      vi.setSystemTime(new Date('2026-03-29T00:30:00Z'));
+      const mode = new ReminderMode({ times: ['01:30'], eventBus });
+
+      mode.onStart(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-03-29T01:00:00Z'));
+    });
+
+    it('should ring a time in the repeated hour once', () => {
+      // 01:00 BST; at 02:00 the clocks go back to 01:00
+      vi.setSystemTime(new Date('2026-10-25T00:00:00Z'));
+      const mode = new ReminderMode({ times: ['01:30'], eventBus });
+
+      mode.onStart(timer);
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-10-25T00:30:00Z'));
+
+      vi.setSystemTime(new Date('2026-10-25T00:30:00Z'));
+      mode.onComplete(timer);
+
+      expect(new Date(mode.getNextBell().time)).toEqual(new Date('2026-10-26T01:30:00Z'));
+    });
+
+    it('should find the next reminder again when the clock is set back', () => {
+      vi.setSystemTime(new Date('2026-01-05T09:30:00'));
+      const mode = new ReminderMode({ times: ['10:00'], eventBus });
+      mode.onStart(timer);
+
+      vi.setSystemTime(new Date('2026-01-05T08:30:00'));
+      mode.onClockChange(timer, { reason: 'jump', jump: -60 * 60 * 1000 });
+
+      expect(timer.scheduleNext).toHaveBeenLastCalledWith(90 * 60 * 1000);
+    });
+  });
+});
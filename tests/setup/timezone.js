@@ -0,0 +1,11 @@
+/**
+ * Run the tests in a zone with daylight saving time
+ *
+ * Local-time behaviour (DST transitions, midnight rollover) only shows when
+ * the zone has clock changes, and a worker can't change its zone once
+ * started, so it is set here, before any worker is created.
+ */
+
+export default function setup() {
+  process.env.TZ = 'Europe/London';
+}
@@ -25,6 +25,7 @@ export default defineConfig({
   test: {
     globals: true,
     environment: 'jsdom',
+    globalSetup: ['tests/setup/timezone.js'],
     coverage: {
       provider: 'v8',
       reporter: ['text', 'json', 'html'],